@@ -0,0 +1,140 @@
+const GameModel = require('../../models/Game');
+const GameAnalyzer = require('../../engine/analysis/GameAnalyzer');
+const EngineProvider = require('../../engine/ai/EngineProvider');
+
+// Temps d'analyse de chaque position d'une partie terminée (ms)
+const ANALYSIS_TIME_PER_POSITION = 500;
+
+// Parties en attente d'analyse, traitées une à une pour ménager le moteur
+const analysisQueue = [];
+let processing = false;
+
+/**
+ * Met une partie terminée en file d'analyse
+ * Sans effet si elle est déjà en attente, en cours ou analysée
+ * @param {string} gameId - ID de la partie
+ * @returns {Promise<boolean>} True si la partie a été ajoutée à la file
+ */
+const queueGameAnalysis = async (gameId) => {
+  const gameData = await GameModel.findById(gameId).select('moves status');
+  if (!gameData || ['active', 'waiting', 'paused'].includes(gameData.status)) {
+    return false;
+  }
+
+  // Mise à jour conditionnelle : une seule demande aboutit
+  const update = await GameModel.updateOne({
+    _id: gameId,
+    'analysis.status': { $in: [null, 'failed'] }
+  }, {
+    $set: {
+      analysis: {
+        status: 'pending',
+        progress: { current: 0, total: gameData.moves.length + 1 },
+        requestedAt: new Date()
+      }
+    }
+  });
+
+  if (update.modifiedCount === 0) {
+    return false;
+  }
+
+  analysisQueue.push(gameId.toString());
+  processQueue();
+  return true;
+};
+
+/**
+ * Remet en file les analyses interrompues par un redémarrage du serveur
+ * @returns {Promise<number>} Nombre de parties remises en file
+ */
+const resumePendingAnalyses = async () => {
+  const games = await GameModel.find({
+    'analysis.status': { $in: ['pending', 'running'] }
+  }).select('_id');
+
+  for (const game of games) {
+    analysisQueue.push(game._id.toString());
+  }
+  processQueue();
+
+  return games.length;
+};
+
+/**
+ * Traite la file d'analyse tant qu'elle n'est pas vide
+ */
+const processQueue = async () => {
+  if (processing) {
+    return;
+  }
+  processing = true;
+
+  while (analysisQueue.length > 0) {
+    const gameId = analysisQueue.shift();
+    try {
+      await runAnalysis(gameId);
+    } catch (error) {
+      console.error(`Erreur lors de l'analyse de la partie ${gameId}:`, error);
+      await GameModel.updateOne({ _id: gameId }, {
+        $set: { 'analysis.status': 'failed', 'analysis.error': error.message }
+      });
+    }
+  }
+
+  processing = false;
+};
+
+/**
+ * Analyse une partie et enregistre le résultat
+ * @param {string} gameId - ID de la partie
+ */
+const runAnalysis = async (gameId) => {
+  const gameData = await GameModel.findById(gameId).select('initialFen variant moves');
+  if (!gameData) {
+    return;
+  }
+
+  await GameModel.updateOne({ _id: gameId }, { $set: { 'analysis.status': 'running' } });
+
+  let engineName = null;
+  const analyzer = new GameAnalyzer(async (fen, options) => {
+    const analysis = await EngineProvider.analyzePosition(fen, {
+      ...options,
+      timeLimit: ANALYSIS_TIME_PER_POSITION,
+      tag: `analysis:${gameId}`
+    });
+    engineName = analysis.engine;
+    return analysis;
+  });
+
+  const result = await analyzer.analyze({
+    initialFen: gameData.initialFen,
+    variant: gameData.variant,
+    moves: gameData.moves.map(move => move.notation)
+  }, (current, total) => GameModel.updateOne({ _id: gameId }, {
+    $set: { 'analysis.progress': { current, total } }
+  }));
+
+  await GameModel.updateOne({ _id: gameId }, {
+    $set: {
+      'analysis.status': 'completed',
+      'analysis.engine': engineName,
+      'analysis.completedAt': new Date(),
+      'analysis.accuracy': result.accuracy,
+      'analysis.averageCentipawnLoss': result.averageCentipawnLoss,
+      'analysis.inaccuracies': result.inaccuracies,
+      'analysis.mistakes': result.mistakes,
+      'analysis.blunders': result.blunders,
+      'analysis.bestMove': result.bestMove,
+      'analysis.evaluation': result.evaluation,
+      'analysis.moves': result.moves
+    },
+    $unset: { 'analysis.error': '' }
+  });
+};
+
+module.exports = {
+  queueGameAnalysis,
+  resumePendingAnalyses
+};
@@ -1,5 +1,24 @@
+const EventEmitter = require('events');
 const { validationResult } = require('express-validator');
 const Game = require('../../engine/Game');
+const Board = require('../../engine/board/Board');
+const PGNParser = require('../../engine/pgn/PGNParser');
+const PGNWriter = require('../../engine/pgn/PGNWriter');
+const MoveParser = require('../../engine/moves/MoveParser');
+const ComputerPlayer = require('../../engine/ai/ComputerPlayer');
+const EngineProvider = require('../../engine/ai/EngineProvider');
+const EnginePool = require('../../engine/ai/EnginePool');
+const VariantRegistry = require('../../engine/variants/VariantRegistry');
+const GameView = require('../../engine/powers/GameView');
+const PowerDraft = require('../../engine/powers/PowerDraft');
+const PowerRegistry = require('../../engine/powers/PowerRegistry');
+const { queueGameAnalysis } = require('./game.analysis');
+const {
+  GAME_END_REASONS,
+  GAME_VARIANTS,
+  AI_DIFFICULTY_LEVELS,
+  COMPUTER_PLAYER_ID
+} = require('../../../shared/constants/chess-notation');
 const GameModel = require('../../models/Game');
 const User = require('../../models/User');
 
@@ -7,6 +26,23 @@ const User = require('../../models/User');
 const activeGames = new Map();
 const matchmakingQueue = new Map();
 
+// Nombre maximum de parties par import PGN
+const MAX_IMPORTED_GAMES = 50;
+
+// Temps d'analyse d'une position par défaut (ms)
+const ANALYSIS_TIME_LIMIT = 2000;
+
+// Délais (ms) avant de relancer l'ordinateur après un échec de sa recherche ;
+// le dernier est répété tant que la partie attend son coup
+const COMPUTER_RETRY_DELAYS = [1000, 5000, 15000];
+
+// Relances prévues de l'ordinateur, par partie
+const computerRetries = new Map();
+
+// Coups ('move') et échecs ('failure') de l'ordinateur joués hors requête
+// (relance, reprise d'une partie, fin du choix des pouvoirs) : (gameId, game, result)
+const computerEvents = new EventEmitter();
+
 /**
  * @desc    Créer une nouvelle partie
  * @route   POST /api/game/create
@@ -22,9 +58,40 @@ const createGame = async (req, res) => {
       });
     }
 
-    const { timeControl = 900, increment = 0, isRanked = true, gameType = 'classic' } = req.body;
+    const {
+      timeControl = 900,
+      increment = 0,
+      isRanked = true,
+      gameType = 'classic',
+      fen = null,
+      variant = GAME_VARIANTS.STANDARD,
+      startPosition,
+      opponent = 'human',
+      difficulty = AI_DIFFICULTY_LEVELS.MEDIUM,
+      color = 'white',
+      powerMode,
+      powerSeed,
+      powerTimeLimit
+    } = req.body;
     const userId = req.user._id;
 
+    // Valider la position de départ personnalisée
+    if (fen) {
+      const fenValidation = Board.validateFEN(fen, { variant });
+      if (!fenValidation.isValid) {
+        return res.status(400).json({
+          message: fenValidation.message,
+          code: fenValidation.reason
+        });
+      }
+    }
+
+    // Position de départ de la variante (position 960 choisie, ou tirée au sort),
+    // enregistrée pour que la partie reprenne toujours de la même position
+    const startingBoard = fen || variant !== GAME_VARIANTS.STANDARD ?
+      Board.fromFEN(fen || VariantRegistry.get(variant).getStartFEN({ startPosition }), { variant }) :
+      null;
+
     // Vérifier le nombre de parties actives de l'utilisateur
     const activeGameCount = await GameModel.countDocuments({
       $or: [
@@ -41,30 +108,65 @@ const createGame = async (req, res) => {
       });
     }
 
+    // Contre l'ordinateur, la partie commence immédiatement et n'est jamais classée
+    const computer = opponent === 'computer' ? {
+      color: resolvePlayerColor(color) === 'white' ? 'black' : 'white',
+      difficulty
+    } : undefined;
+
+    // Variante à pouvoirs : mode de choix des pouvoirs, et graine tirée dès la
+    // création pour que le tirage au sort puisse être rejoué ; une graine
+    // choisie par le client fixerait les pouvoirs d'une partie classée
+    const ranked = !computer && isRanked;
+    const powerDraft = VariantRegistry.get(variant).hasPowers ? {
+      mode: powerMode,
+      seed: Number.isInteger(powerSeed) && !ranked ? powerSeed : PowerDraft.createSeed(),
+      timeLimit: powerTimeLimit
+    } : undefined;
+
     // Créer la partie en base de données
     const gameData = new GameModel({
       players: {
         white: {
-          user: userId,
+          user: computer && computer.color === 'white' ? null : userId,
           timeRemaining: timeControl
         },
         black: {
-          user: null,
+          user: computer && computer.color === 'white' ? userId : null,
           timeRemaining: timeControl
         }
       },
-      status: 'waiting',
+      status: computer ? 'active' : 'waiting',
+      startedAt: computer ? new Date() : undefined,
+      computer,
       gameType,
+      variant,
+      powerDraft,
+      initialFen: startingBoard ? startingBoard.toFEN() : null,
+      currentTurn: startingBoard ? startingBoard.activeColor : 'white',
+      moveNumber: startingBoard ? startingBoard.fullMoveNumber : 1,
       timeControl: {
         initial: timeControl,
         increment
       },
-      isRanked,
+      isRanked: ranked,
       roomId: generateRoomId()
     });
 
     await gameData.save();
 
+    // Créer l'instance de jeu en mémoire et laisser l'ordinateur ouvrir s'il a les blancs
+    let gameState;
+    let computerError = null;
+    if (computer) {
+      const game = createGameInstance(gameData);
+      activeGames.set(gameData._id.toString(), game);
+      schedulePowerDraftTimeout(gameData._id.toString(), game);
+
+      computerError = getComputerFailure(await playComputerMove(gameData._id.toString(), game));
+      gameState = GameView.project(game, GameView.getViewer(game, userId.toString()));
+    }
+
     res.status(201).json({
       message: 'Partie créée avec succès',
       game: {
@@ -73,8 +175,13 @@ const createGame = async (req, res) => {
         status: gameData.status,
         timeControl: gameData.timeControl,
         gameType: gameData.gameType,
-        isRanked: gameData.isRanked
-      }
+        variant: gameData.variant,
+        initialFen: gameData.initialFen,
+        isRanked: gameData.isRanked,
+        computer: gameData.computer
+      },
+      gameState,
+      computerError
     });
 
   } catch (error) {
@@ -138,22 +245,14 @@ const joinGame = async (req, res) => {
     await gameData.save();
 
     // Créer l'instance de jeu en mémoire
-    const game = new Game(
-      gameData.players.white.user._id.toString(),
-      gameData.players.black.user._id.toString(),
-      {
-        gameId: gameData._id.toString(),
-        timeControl: gameData.timeControl.initial,
-        increment: gameData.timeControl.increment,
-        isRanked: gameData.isRanked
-      }
-    );
+    const game = createGameInstance(gameData);
 
     activeGames.set(gameData._id.toString(), game);
+    schedulePowerDraftTimeout(gameData._id.toString(), game);
 
     res.json({
       message: 'Partie rejointe avec succès',
-      game: game.getGameState()
+      game: GameView.project(game, 'black')
     });
 
   } catch (error) {
@@ -175,12 +274,12 @@ const getGame = async (req, res) => {
     const { gameId } = req.params;
     const userId = req.user._id.toString();
 
-    // Vérifier d'abord dans le cache
+    // Récupérer depuis la base de données si la partie n'est pas en cache
     let game = activeGames.get(gameId);
-    
+    let gameData = null;
+
     if (!game) {
-      // Récupérer depuis la base de données
-      const gameData = await GameModel.findById(gameId).populate('players.white.user players.black.user');
+      gameData = await GameModel.findById(gameId).populate('players.white.user players.black.user');
       
       if (!gameData) {
         return res.status(404).json({
@@ -190,10 +289,7 @@ const getGame = async (req, res) => {
       }
 
       // Vérifier que l'utilisateur fait partie de la partie
-      const isPlayer = gameData.players.white.user._id.toString() === userId ||
-                      gameData.players.black.user._id.toString() === userId;
-
-      if (!isPlayer) {
+      if (!isGamePlayer(gameData, userId)) {
         return res.status(403).json({
           message: 'Accès non autorisé à cette partie',
           code: 'ACCESS_DENIED'
@@ -202,28 +298,17 @@ const getGame = async (req, res) => {
 
       // Si la partie est active, recréer l'instance en mémoire
       if (gameData.status === 'active') {
-        game = new Game(
-          gameData.players.white.user._id.toString(),
-          gameData.players.black.user._id.toString(),
-          {
-            gameId: gameData._id.toString(),
-            timeControl: gameData.timeControl.initial,
-            increment: gameData.timeControl.increment,
-            isRanked: gameData.isRanked
-          }
-        );
-
-        // Restaurer l'état depuis la base de données
-        game.moves = gameData.moves || [];
-        game.currentTurn = gameData.currentTurn;
-        game.status = gameData.status;
-        game.result = gameData.result;
-
-        activeGames.set(gameId, game);
+        game = getGameInstance(gameData);
+        if (!game) {
+          return res.status(422).json({
+            message: 'Impossible de rejouer les coups de la partie',
+            code: 'REPLAY_FAILED'
+          });
+        }
       }
     }
 
-    const gameState = game ? game.getGameState() : {
+    const gameState = game ? GameView.project(game, GameView.getViewer(game, userId)) : {
       id: gameData._id,
       status: gameData.status,
       result: gameData.result,
@@ -259,7 +344,7 @@ const makeMove = async (req, res) => {
     }
 
     const { gameId } = req.params;
-    const { fromRank, fromFile, toRank, toFile, promotion } = req.body;
+    const { fromRank, fromFile, toRank, toFile, promotion, drop, notation } = req.body;
     const userId = req.user._id.toString();
 
     // Récupérer la partie du cache
@@ -272,13 +357,14 @@ const makeMove = async (req, res) => {
       });
     }
 
-    // Tenter de jouer le coup
-    const moveResult = game.makeMove(userId, {
+    // Tenter de jouer le coup (notation SAN/UCI, coordonnées ou parachutage)
+    const moveResult = game.makeMove(userId, notation ? { notation } : {
       fromRank,
       fromFile,
       toRank,
       toFile,
-      promotion
+      promotion,
+      drop
     });
 
     if (!moveResult.success) {
@@ -291,10 +377,17 @@ const makeMove = async (req, res) => {
     // Sauvegarder en base de données
     await updateGameInDatabase(gameId, game);
 
+    // Réponse de l'ordinateur, jouée dans la foulée
+    const viewer = GameView.getViewer(game, userId);
+    const computerResult = await playComputerMove(gameId, game);
+
     res.json({
       message: 'Coup joué avec succès',
       move: moveResult.move,
-      gameState: moveResult.gameState
+      computerMove: computerResult && computerResult.success ?
+        GameView.projectMove(game, computerResult.move, viewer) : null,
+      computerError: getComputerFailure(computerResult),
+      gameState: GameView.project(game, viewer)
     });
 
   } catch (error) {
@@ -306,6 +399,70 @@ const makeMove = async (req, res) => {
   }
 };
 
+/**
+ * @desc    Décrire les pouvoirs spéciaux : ciblage, charges, recharge et durée
+ * @route   GET /api/game/powers
+ * @access  Private
+ */
+const getPowers = (req, res) => {
+  res.json({ powers: PowerRegistry.describeAll() });
+};
+
+/**
+ * @desc    Choisir ses pouvoirs avant la partie (variante à pouvoirs)
+ * @route   POST /api/game/:gameId/powers
+ * @access  Private
+ */
+const choosePowers = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Choix de pouvoirs invalide',
+        errors: errors.array()
+      });
+    }
+
+    const { gameId } = req.params;
+    const { powers } = req.body;
+    const userId = req.user._id.toString();
+
+    const game = activeGames.get(gameId);
+    if (!game) {
+      return res.status(404).json({
+        message: 'Partie non trouvée ou inactive',
+        code: 'GAME_NOT_FOUND'
+      });
+    }
+
+    const result = game.choosePowers(userId, powers);
+    if (!result.success) {
+      return res.status(400).json({
+        message: result.message,
+        code: result.error
+      });
+    }
+
+    await updateGameInDatabase(gameId, game);
+
+    // L'ordinateur ouvre la partie s'il a les blancs
+    const computerResult = await playComputerMove(gameId, game);
+
+    res.json({
+      message: 'Pouvoirs choisis',
+      computerError: getComputerFailure(computerResult),
+      gameState: GameView.project(game, GameView.getViewer(game, userId))
+    });
+
+  } catch (error) {
+    console.error('Erreur lors du choix des pouvoirs:', error);
+    res.status(500).json({
+      message: 'Erreur interne du serveur',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+};
+
 /**
  * @desc    Abandonner la partie
  * @route   POST /api/game/:gameId/resign
@@ -412,21 +569,34 @@ const offerDraw = async (req, res) => {
 const getMoves = async (req, res) => {
   try {
     const { gameId } = req.params;
+    const userId = req.user._id.toString();
 
-    const game = activeGames.get(gameId);
-    let moves = [];
-
-    if (game) {
-      moves = game.moves;
-    } else {
-      const gameData = await GameModel.findById(gameId);
-      if (gameData) {
-        moves = gameData.moves || [];
-      }
+    const gameData = await GameModel.findById(gameId);
+    if (!gameData) {
+      return res.status(404).json({
+        message: 'Partie non trouvée',
+        code: 'GAME_NOT_FOUND'
+      });
+    }
+
+    if (!isGamePlayer(gameData, userId)) {
+      return res.status(403).json({
+        message: 'Accès non autorisé à cette partie',
+        code: 'ACCESS_DENIED'
+      });
+    }
+
+    // Coups vus par le joueur, depuis la partie en mémoire ou reprise de la base
+    const game = getGameInstance(gameData);
+    if (!game) {
+      return res.status(422).json({
+        message: 'Impossible de rejouer les coups de la partie',
+        code: 'REPLAY_FAILED'
+      });
     }
 
     res.json({
-      moves
+      moves: GameView.project(game, GameView.getViewer(game, userId)).moves
     });
 
   } catch (error) {
@@ -446,20 +616,35 @@ const getMoves = async (req, res) => {
 const exportPGN = async (req, res) => {
   try {
     const { gameId } = req.params;
+    const userId = req.user._id.toString();
 
-    const game = activeGames.get(gameId);
-    let pgn = '';
-
-    if (game) {
-      pgn = game.toPGN();
-    } else {
-      const gameData = await GameModel.findById(gameId).populate('players.white.user players.black.user');
-      if (gameData) {
-        // Générer le PGN depuis les données de la base
-        pgn = generatePGNFromGameData(gameData);
-      }
+    const gameData = await GameModel.findById(gameId).populate('players.white.user players.black.user');
+    if (!gameData) {
+      return res.status(404).json({
+        message: 'Partie non trouvée',
+        code: 'GAME_NOT_FOUND'
+      });
+    }
+
+    if (!isGamePlayer(gameData, userId)) {
+      return res.status(403).json({
+        message: 'Accès non autorisé à cette partie',
+        code: 'ACCESS_DENIED'
+      });
     }
 
+    // Le PGN d'une partie à pouvoirs en cours révélerait les informations
+    // cachées, que la partie soit en mémoire ou non
+    if (VariantRegistry.get(gameData.variant).hasPowers && isGameInProgress(gameData)) {
+      return res.status(409).json({
+        message: 'Le PGN d\'une partie à pouvoirs est disponible à la fin de la partie',
+        code: 'GAME_IN_PROGRESS'
+      });
+    }
+
+    const game = activeGames.get(gameId);
+    const pgn = game ? game.toPGN(getPlayerTags(gameData)) : generatePGNFromGameData(gameData);
+
     res.setHeader('Content-Type', 'application/x-chess-pgn');
     res.setHeader('Content-Disposition', `attachment; filename="game_${gameId}.pgn"`);
     res.send(pgn);
@@ -489,17 +674,290 @@ const updateGameInDatabase = async (gameId, game) => {
       currentTurn: gameState.currentTurn,
       moveNumber: gameState.moveNumber,
       moves: gameState.moves,
+      positionHistory: game.getPositionHistory(),
       'players.white.timeRemaining': gameState.players.white.timeRemaining,
       'players.black.timeRemaining': gameState.players.black.timeRemaining,
+      // Pouvoirs attribués, marqués utilisés au fil de la partie
+      ...(gameState.powers && {
+        'players.white.powers': gameState.powers.white,
+        'players.black.powers': gameState.powers.black
+      }),
       endedAt: gameState.endTime,
       lastMoveTime: gameState.lastMoveTime
     });
 
+    // Une partie terminée n'a plus besoin des recherches lancées pour elle
+    // et part en analyse
+    if (gameState.status !== 'active') {
+      EngineProvider.cancel(gameId);
+      await queueGameAnalysis(gameId);
+    }
+
   } catch (error) {
     console.error('Erreur lors de la mise à jour en base:', error);
   }
 };
 
+/**
+ * Termine le choix des pouvoirs à l'échéance : les choix manquants sont
+ * complétés par défaut et l'ordinateur joue s'il a le trait
+ * @param {string} gameId - ID de la partie
+ * @param {Game} game - Instance de la partie
+ */
+const schedulePowerDraftTimeout = (gameId, game) => {
+  if (!game.isPowerDraftInProgress()) {
+    return;
+  }
+
+  const timer = setTimeout(async () => {
+    if (!game.expirePowerDraft()) {
+      return;
+    }
+    await updateGameInDatabase(gameId, game);
+    scheduleComputerMove(gameId, game);
+  }, Math.max(0, game.powerDraft.deadline - Date.now()));
+
+  // Le délai ne doit pas retenir l'arrêt du serveur
+  timer.unref();
+};
+
+/**
+ * Fait jouer l'ordinateur s'il a le trait et enregistre son coup
+ * Si la recherche échoue (moteur saturé, planté, hors délai, coup refusé),
+ * le coup est relancé plus tard avec le moteur intégré, jusqu'à ce que
+ * l'ordinateur joue ou que la partie n'attende plus son coup
+ * @param {string} gameId - ID de la partie
+ * @param {Game} game - Instance de la partie
+ * @param {number} attempt - Nombre d'échecs déjà essuyés pour ce coup
+ * @returns {Promise<Object|null>} Résultat de ComputerPlayer.playMove (retryIn en
+ *   cas de relance), null si l'ordinateur n'a pas le trait
+ */
+const playComputerMove = async (gameId, game, attempt = 0) => {
+  if (!ComputerPlayer.isComputerTurn(game)) {
+    return null;
+  }
+
+  const result = await ComputerPlayer.playMove(game, attempt > 0 ? EnginePool.getDefault() : undefined);
+  if (result.success) {
+    await updateGameInDatabase(gameId, game);
+    return result;
+  }
+
+  if (!ComputerPlayer.canRetry(result) || !ComputerPlayer.isComputerTurn(game)) {
+    return result;
+  }
+
+  const retryIn = COMPUTER_RETRY_DELAYS[Math.min(attempt, COMPUTER_RETRY_DELAYS.length - 1)];
+  console.error(`Partie ${gameId}: l'ordinateur n'a pas pu jouer (${result.error}), nouvel essai dans ${retryIn} ms`);
+  scheduleComputerMove(gameId, game, retryIn, attempt + 1);
+  return { ...result, retryIn };
+};
+
+/**
+ * Fait jouer l'ordinateur hors de la requête en cours ; son coup ou son
+ * échec est annoncé par computerEvents. Une seule relance à la fois par partie
+ * @param {string} gameId - ID de la partie
+ * @param {Game} game - Instance de la partie
+ * @param {number} delay - Délai avant la recherche (ms)
+ * @param {number} attempt - Nombre d'échecs déjà essuyés pour ce coup
+ */
+const scheduleComputerMove = (gameId, game, delay = 0, attempt = 0) => {
+  if (computerRetries.has(gameId)) {
+    return;
+  }
+
+  const timer = setTimeout(async () => {
+    computerRetries.delete(gameId);
+    const result = await playComputerMove(gameId, game, attempt);
+    if (result && result.success) {
+      computerEvents.emit('move', gameId, game, result);
+    } else if (getComputerFailure(result)) {
+      computerEvents.emit('failure', gameId, game, result);
+    }
+  }, delay);
+
+  timer.unref();
+  computerRetries.set(gameId, timer);
+};
+
+/**
+ * Échec de l'ordinateur à signaler aux joueurs
+ * @param {Object|null} result - Résultat de playComputerMove
+ * @returns {Object|null} { code, message, retryIn }, null si l'ordinateur a joué,
+ *   n'avait pas le trait ou n'a plus à jouer
+ */
+const getComputerFailure = (result) => {
+  if (!result || !result.retryIn) {
+    return null;
+  }
+  return { code: result.error, message: result.message, retryIn: result.retryIn };
+};
+
+/**
+ * Identifiant d'un joueur d'une partie de la base
+ * @param {Object} gameData - Données de la partie
+ * @param {string} color - Couleur du joueur
+ * @returns {string|null} ID de l'utilisateur, COMPUTER_PLAYER_ID ou null si la place est libre
+ */
+const getPlayerId = (gameData, color) => {
+  if (gameData.computer && gameData.computer.color === color) {
+    return COMPUTER_PLAYER_ID;
+  }
+
+  const user = gameData.players[color].user;
+  if (!user) {
+    return null;
+  }
+  return (user._id || user).toString();
+};
+
+/**
+ * Vérifie qu'un utilisateur joue une partie de la base
+ * @param {Object} gameData - Données de la partie
+ * @param {string} userId - ID de l'utilisateur
+ * @returns {boolean} True si l'utilisateur a les blancs ou les noirs
+ */
+const isGamePlayer = (gameData, userId) => {
+  return getPlayerId(gameData, 'white') === userId || getPlayerId(gameData, 'black') === userId;
+};
+
+/**
+ * Vérifie qu'une partie de la base n'est pas terminée
+ * @param {Object} gameData - Données de la partie
+ * @returns {boolean} True si la partie attend un adversaire, se joue ou est en pause
+ */
+const isGameInProgress = (gameData) => {
+  return ['waiting', 'active', 'paused'].includes(gameData.status);
+};
+
+/**
+ * Crée l'instance de jeu en mémoire d'une partie de la base
+ * @param {Object} gameData - Données de la partie
+ * @returns {Game} Instance de la partie
+ */
+const createGameInstance = (gameData) => {
+  return new Game(getPlayerId(gameData, 'white'), getPlayerId(gameData, 'black'), {
+    gameId: gameData._id.toString(),
+    timeControl: gameData.timeControl.initial,
+    increment: gameData.timeControl.increment,
+    isRanked: gameData.isRanked,
+    fen: gameData.initialFen,
+    variant: gameData.variant,
+    // Mode de choix des pouvoirs, et pouvoirs déjà attribués à la reprise d'une partie
+    powerDraft: {
+      ...(gameData.powerDraft && {
+        mode: gameData.powerDraft.mode,
+        seed: gameData.powerDraft.seed,
+        timeLimit: gameData.powerDraft.timeLimit
+      }),
+      loadouts: {
+        white: gameData.players.white.powers.map(power => power.name),
+        black: gameData.players.black.powers.map(power => power.name)
+      }
+    },
+    computer: gameData.computer ? {
+      color: gameData.computer.color,
+      difficulty: gameData.computer.difficulty
+    } : null
+  });
+};
+
+/**
+ * Recrée l'instance en mémoire d'une partie de la base en rejouant ses coups
+ * (voir Game.replayMoves), puis restaure les pendules et l'issue enregistrées
+ * @param {Object} gameData - Données de la partie
+ * @returns {Game|null} Instance de la partie, null si un coup ne peut pas être rejoué
+ */
+const restoreGameInstance = (gameData) => {
+  const game = createGameInstance(gameData);
+
+  const replay = game.replayMoves(gameData.moves || []);
+  if (!replay.success) {
+    console.error(`Partie ${gameData._id}: coup ${replay.ply} impossible à rejouer (${replay.error})`);
+    return null;
+  }
+
+  for (const color of ['white', 'black']) {
+    game.players[color].timeRemaining = gameData.players[color].timeRemaining;
+  }
+  if (gameData.startedAt) {
+    game.startTime = gameData.startedAt;
+    if (game.moves.length === 0) {
+      game.lastMoveTime = gameData.startedAt;
+    }
+  }
+
+  // Abandon, nulle acceptée ou temps écoulé : l'issue ne découle pas des coups
+  if (gameData.status !== 'active' && game.status === 'active') {
+    game.status = gameData.status;
+    game.result = gameData.result;
+    game.resultReason = gameData.resultReason;
+    game.endTime = gameData.endedAt;
+  }
+
+  return game;
+};
+
+/**
+ * Instance en mémoire d'une partie : celle du cache, ou recréée depuis la
+ * base (et mise en cache si la partie est active, l'ordinateur jouant alors
+ * s'il a le trait)
+ * @param {Object} gameData - Données de la partie
+ * @returns {Game|null} Instance de la partie, null si elle ne peut pas être recréée
+ */
+const getGameInstance = (gameData) => {
+  const gameId = gameData._id.toString();
+  if (activeGames.has(gameId)) {
+    return activeGames.get(gameId);
+  }
+
+  const game = restoreGameInstance(gameData);
+  if (game && gameData.status === 'active') {
+    activeGames.set(gameId, game);
+    schedulePowerDraftTimeout(gameId, game);
+    if (ComputerPlayer.isComputerTurn(game)) {
+      scheduleComputerMove(gameId, game);
+    }
+  }
+  return game;
+};
+
+/**
+ * Couleur du joueur à la création d'une partie
+ * @param {string} color - 'white', 'black' ou 'random'
+ * @returns {string} Couleur retenue
+ */
+const resolvePlayerColor = (color) => {
+  if (color === 'random') {
+    return Math.random() < 0.5 ? 'white' : 'black';
+  }
+  return color === 'black' ? 'black' : 'white';
+};
+
+/**
+ * Rejoue les coups d'une partie de la base jusqu'à un demi-coup donné
+ * @param {Object} gameData - Données de la partie
+ * @param {number} ply - Nombre de demi-coups à jouer
+ * @returns {Board|null} Échiquier obtenu, null si un coup est illisible
+ */
+const replayGameData = (gameData, ply) => {
+  const board = Board.fromFEN(
+    gameData.initialFen || VariantRegistry.get(gameData.variant).getStartFEN(),
+    { variant: gameData.variant }
+  );
+  const parser = new MoveParser(board);
+
+  for (const move of gameData.moves.slice(0, ply)) {
+    const result = parser.parse(move.notation, board.activeColor);
+    if (!result.isValid) {
+      return null;
+    }
+    board.makeMove(result.move);
+  }
+
+  return board;
+};
+
 /**
  * Génère un ID de salon unique
  * @returns {string} ID du salon
@@ -508,40 +966,52 @@ const generateRoomId = () => {
   return 'room_' + Date.now().toString(36) + Math.random().toString(36).substr(2);
 };
 
+/**
+ * Tags des joueurs (nom et classement) d'une partie de la base
+ * @param {Object} gameData - Données de la partie, joueurs peuplés
+ * @returns {Object} Tags White, Black, WhiteElo, BlackElo
+ */
+const getPlayerTags = (gameData) => {
+  const tags = { Date: gameData.createdAt };
+
+  for (const color of ['white', 'black']) {
+    const prefix = color === 'white' ? 'White' : 'Black';
+    const user = gameData.players[color].user;
+    if (gameData.computer && gameData.computer.color === color) {
+      tags[prefix] = `AX Engine (${gameData.computer.difficulty})`;
+    }
+    if (user && user.username) {
+      tags[prefix] = user.username;
+    }
+    if (user && user.rating && user.rating.current) {
+      tags[`${prefix}Elo`] = user.rating.current;
+    }
+  }
+
+  return tags;
+};
+
 /**
  * Génère un PGN depuis les données de la base
+ * Les tags d'origine d'une partie importée priment sur ceux de l'importateur
  * @param {Object} gameData - Données de la partie
  * @returns {string} PGN
  */
 const generatePGNFromGameData = (gameData) => {
-  let pgn = `[Event "AX Chess Game"]
-[Site "AX Chess Platform"]
-[Date "${gameData.createdAt.toISOString().split('T')[0]}"]
-[Round "1"]
-[White "${gameData.players.white.user.username}"]
-[Black "${gameData.players.black.user.username}"]
-[Result "${gameData.result}"]
-
-`;
-
-  // Ajouter les coups
-  if (gameData.moves && gameData.moves.length > 0) {
-    for (let i = 0; i < gameData.moves.length; i += 2) {
-      const moveNumber = Math.floor(i / 2) + 1;
-      pgn += `${moveNumber}. `;
-      
-      if (gameData.moves[i]) {
-        pgn += `${gameData.moves[i].notation} `;
-      }
-      
-      if (gameData.moves[i + 1]) {
-        pgn += `${gameData.moves[i + 1].notation} `;
-      }
-    }
-  }
-  
-  pgn += gameData.result;
-  return pgn;
+  const { white, black } = gameData.players;
+  const originalTags = gameData.pgnTags ? Object.fromEntries(gameData.pgnTags) : {};
+
+  return PGNWriter.write({
+    headers: { ...getPlayerTags(gameData), ...originalTags },
+    moves: gameData.moves,
+    result: gameData.result,
+    resultReason: gameData.resultReason,
+    initialFen: gameData.initialFen,
+    variant: gameData.variant,
+    // Une partie importée sans cadence n'a pas d'horloges à exporter
+    timeControl: gameData.source === 'import' && !originalTags.TimeControl ? null : gameData.timeControl,
+    powers: { white: white.powers, black: black.powers }
+  });
 };
 
 // Fonctions supplémentaires pour les autres routes...
@@ -575,21 +1045,321 @@ const sendChatMessage = async (req, res) => {
   res.json({ message: 'Message envoyé' });
 };
 
+/**
+ * @desc    Analyse d'une partie terminée : analyse complète de la partie
+ *          (mise en file si besoin, progression tant qu'elle n'est pas finie)
+ *          ou, avec ply, analyse d'une position par le moteur configuré
+ * @route   GET /api/game/:gameId/analysis?ply=&depth=&movetime=&multipv=
+ * @access  Private
+ */
 const getGameAnalysis = async (req, res) => {
-  // TODO: Implémenter
-  res.json({ analysis: {} });
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Paramètres d\'analyse invalides',
+        errors: errors.array()
+      });
+    }
+
+    const { gameId } = req.params;
+    const userId = req.user._id.toString();
+
+    const gameData = await GameModel.findById(gameId);
+    if (!gameData) {
+      return res.status(404).json({
+        message: 'Partie non trouvée',
+        code: 'GAME_NOT_FOUND'
+      });
+    }
+
+    if (!isGamePlayer(gameData, userId)) {
+      return res.status(403).json({
+        message: 'Accès non autorisé à cette partie',
+        code: 'ACCESS_DENIED'
+      });
+    }
+
+    // Pas d'aide du moteur pendant la partie
+    if (isGameInProgress(gameData)) {
+      return res.status(400).json({
+        message: 'L\'analyse n\'est disponible qu\'une fois la partie terminée',
+        code: 'GAME_IN_PROGRESS'
+      });
+    }
+
+    if (req.query.ply === undefined) {
+      return sendGameAnalysis(res, gameData);
+    }
+
+    const ply = parseInt(req.query.ply, 10);
+    if (ply > gameData.moves.length) {
+      return res.status(400).json({
+        message: `La partie ne compte que ${gameData.moves.length} demi-coups`,
+        code: 'INVALID_PLY'
+      });
+    }
+
+    const board = replayGameData(gameData, ply);
+    if (!board) {
+      return res.status(422).json({
+        message: 'Impossible de rejouer les coups de la partie',
+        code: 'REPLAY_FAILED'
+      });
+    }
+
+    const fen = board.toFEN();
+    const analysis = await EngineProvider.analyzePosition(fen, {
+      maxDepth: req.query.depth ? parseInt(req.query.depth, 10) : undefined,
+      timeLimit: req.query.movetime ? parseInt(req.query.movetime, 10) : ANALYSIS_TIME_LIMIT,
+      multiPV: req.query.multipv ? parseInt(req.query.multipv, 10) : undefined,
+      variant: board.rules.name,
+      chess960: board.chess960,
+      tag: `analysis:${gameId}`
+    });
+
+    res.json({
+      analysis: { fen, ply, ...analysis }
+    });
+
+  } catch (error) {
+    // Moteur saturé, planté ou injoignable
+    if (error.code && error.code.startsWith('ENGINE_')) {
+      return res.status(503).json({
+        message: error.message,
+        code: error.code
+      });
+    }
+
+    console.error('Erreur lors de l\'analyse de partie:', error);
+    res.status(500).json({
+      message: 'Erreur interne du serveur',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+};
+
+/**
+ * Répond avec l'analyse complète d'une partie, en la mettant en file si elle
+ * n'a pas encore été demandée ou si la précédente a échoué
+ * @param {Object} res - Réponse Express
+ * @param {Object} gameData - Données de la partie
+ */
+const sendGameAnalysis = async (res, gameData) => {
+  let analysis = gameData.analysis;
+
+  if (!analysis || !analysis.status || analysis.status === 'failed') {
+    await queueGameAnalysis(gameData._id);
+    analysis = (await GameModel.findById(gameData._id).select('analysis')).analysis;
+  }
+
+  if (analysis.status === 'completed') {
+    return res.json({ analysis });
+  }
+
+  const { current, total } = analysis.progress;
+  res.status(202).json({
+    analysis: {
+      status: analysis.status,
+      progress: {
+        current,
+        total,
+        percent: total > 0 ? Math.round(current * 100 / total) : 0
+      },
+      requestedAt: analysis.requestedAt
+    }
+  });
 };
 
+/**
+ * @desc    Importer une ou plusieurs parties depuis un PGN
+ * @route   POST /api/game/import-pgn
+ * @access  Private
+ */
 const importPGN = async (req, res) => {
-  // TODO: Implémenter
-  res.json({ message: 'PGN importé' });
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Données PGN invalides',
+        errors: errors.array()
+      });
+    }
+
+    const { pgn } = req.body;
+    const userId = req.user._id;
+
+    let parsedGames;
+    try {
+      parsedGames = PGNParser.parse(pgn);
+    } catch (error) {
+      return res.status(400).json({
+        message: `PGN invalide: ${error.message}`,
+        code: 'INVALID_PGN'
+      });
+    }
+
+    if (parsedGames.length === 0) {
+      return res.status(400).json({
+        message: 'Aucune partie trouvée dans le PGN',
+        code: 'INVALID_PGN'
+      });
+    }
+
+    if (parsedGames.length > MAX_IMPORTED_GAMES) {
+      return res.status(400).json({
+        message: `Trop de parties dans le PGN (${MAX_IMPORTED_GAMES} maximum)`,
+        code: 'TOO_MANY_GAMES'
+      });
+    }
+
+    const imported = [];
+    const failures = [];
+
+    for (let index = 0; index < parsedGames.length; index++) {
+      const parsedGame = parsedGames[index];
+      const replay = PGNParser.replay(parsedGame);
+
+      if (!replay.isValid) {
+        failures.push({
+          game: index + 1,
+          white: parsedGame.headers.White || null,
+          black: parsedGame.headers.Black || null,
+          ply: replay.ply,
+          move: replay.move,
+          message: replay.message
+        });
+        continue;
+      }
+
+      const gameData = await saveImportedGame(parsedGame, replay, userId);
+      imported.push({
+        id: gameData._id,
+        white: parsedGame.headers.White || null,
+        black: parsedGame.headers.Black || null,
+        result: gameData.result,
+        moveCount: gameData.moves.length
+      });
+    }
+
+    if (imported.length === 0) {
+      return res.status(400).json({
+        message: 'Aucune partie valide dans le PGN',
+        code: 'ILLEGAL_PGN',
+        errors: failures
+      });
+    }
+
+    res.status(201).json({
+      message: `${imported.length} partie(s) importée(s)`,
+      games: imported,
+      errors: failures
+    });
+
+  } catch (error) {
+    console.error('Erreur lors de l\'import PGN:', error);
+    res.status(500).json({
+      message: 'Erreur interne du serveur',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+};
+
+/**
+ * Enregistre une partie importée comme partie terminée
+ * @param {Object} parsedGame - Partie analysée (tags, coups, résultat)
+ * @param {Object} replay - Résultat du rejeu (coups validés, échiquier final)
+ * @param {ObjectId} userId - Utilisateur qui importe
+ * @returns {Promise<GameModel>} Partie enregistrée
+ */
+const saveImportedGame = async (parsedGame, replay, userId) => {
+  const { headers } = parsedGame;
+  const lastMove = replay.moves[replay.moves.length - 1];
+  const result = ['1-0', '0-1', '1/2-1/2'].includes(headers.Result) ? headers.Result : parsedGame.result;
+
+  let resultReason = Object.values(GAME_END_REASONS).includes(headers.AXResultReason) ?
+    headers.AXResultReason :
+    null;
+  if (lastMove && lastMove.isCheckmate) {
+    resultReason = 'checkmate';
+  } else if (lastMove && lastMove.isStalemate) {
+    resultReason = 'stalemate';
+  }
+
+  // Temps par coup reconstitué depuis les horloges [%clk]
+  const timeControl = PGNParser.parseTimeControl(headers.TimeControl);
+  const clocks = timeControl ? { white: timeControl.initial, black: timeControl.initial } : null;
+  const timesSpent = replay.moves.map(move => {
+    if (!clocks || move.clock === null) {
+      return 0;
+    }
+    const spent = Math.max(0, clocks[move.color] - move.clock + timeControl.increment);
+    clocks[move.color] = move.clock;
+    return spent;
+  });
+
+  // Les tags AX sont restitués dans la partie et non conservés comme tags d'origine
+  const pgnTags = Object.fromEntries(
+    Object.entries(headers).filter(([name]) => !name.startsWith('AX'))
+  );
+
+  const gameData = new GameModel({
+    players: {
+      white: { user: userId, powers: PGNParser.parsePowers(headers.AXPowersWhite) },
+      black: { user: userId, powers: PGNParser.parsePowers(headers.AXPowersBlack) }
+    },
+    status: 'finished',
+    result,
+    resultReason,
+    gameType: 'custom',
+    variant: PGNParser.parseVariant(headers.Variant),
+    source: 'import',
+    pgnTags,
+    timeControl: timeControl || undefined,
+    initialFen: headers.FEN || null,
+    currentTurn: replay.board.activeColor,
+    moveNumber: replay.board.fullMoveNumber,
+    moves: replay.moves.map((move, index) => ({
+      from: move.from || undefined,
+      to: move.to,
+      drop: move.drop,
+      piece: move.piece,
+      color: move.color,
+      notation: move.notation,
+      capturedPiece: move.capturedPiece,
+      isCheck: move.isCheck,
+      isCheckmate: move.isCheckmate,
+      isEnPassant: move.isEnPassant,
+      isCastling: move.isCastling,
+      isPromotion: move.isPromotion,
+      promotionPiece: move.isPromotion ? move.promotionPiece : null,
+      timeSpent: timesSpent[index],
+      comment: move.comment,
+      nags: move.nags,
+      power: move.power || undefined
+    })),
+    isRanked: false,
+    roomId: generateRoomId(),
+    endedAt: new Date()
+  });
+
+  await gameData.save();
+  return gameData;
 };
 
 module.exports = {
+  activeGames,
+  computerEvents,
+  updateGameInDatabase,
+  getGameInstance,
+  playComputerMove,
+  getComputerFailure,
   createGame,
   joinGame,
   getGame,
   makeMove,
+  getPowers,
+  choosePowers,
   resign,
   offerDraw,
   getMoves,
@@ -1,7 +1,9 @@
 const express = require('express');
-const { body, param } = require('express-validator');
+const { body, param, query } = require('express-validator');
 const gameController = require('./game.controller');
 const { authenticateToken } = require('../../middleware/auth');
+const PowerRegistry = require('../../engine/powers/PowerRegistry');
+const { AI_DIFFICULTY_LEVELS, GAME_VARIANTS, POWER_SELECTION_MODES } = require('../../../shared/constants/chess-notation');
 
 const router = express.Router();
 
@@ -20,12 +22,80 @@ const createGameValidation = [
   body('isRanked')
     .optional()
     .isBoolean()
-    .withMessage('isRanked doit être un booléen'),
+    .withMessage('isRanked doit être un booléen')
+    .toBoolean(),
   
   body('gameType')
     .optional()
     .isIn(['classic', 'rapid', 'blitz', 'bullet'])
-    .withMessage('Type de partie invalide')
+    .withMessage('Type de partie invalide'),
+
+  body('fen')
+    .optional()
+    .isString()
+    .isLength({ max: 100 })
+    .withMessage('Position FEN invalide'),
+
+  body('variant')
+    .optional()
+    .isIn(Object.values(GAME_VARIANTS))
+    .withMessage('Variante invalide'),
+
+  body('startPosition')
+    .optional()
+    .isInt({ min: 0, max: 959 })
+    .withMessage('Position 960 invalide (0 à 959)')
+    .toInt(),
+
+  body('opponent')
+    .optional()
+    .isIn(['human', 'computer'])
+    .withMessage('Adversaire invalide'),
+
+  body('difficulty')
+    .optional()
+    .isIn(Object.values(AI_DIFFICULTY_LEVELS))
+    .withMessage('Niveau de difficulté invalide'),
+
+  body('color')
+    .optional()
+    .isIn(['white', 'black', 'random'])
+    .withMessage('Couleur invalide'),
+
+  // Choix des pouvoirs (variante à pouvoirs)
+  body('powerMode')
+    .optional()
+    .isIn(Object.values(POWER_SELECTION_MODES))
+    .withMessage('Mode de choix des pouvoirs invalide'),
+
+  // La graine fixe les pouvoirs tirés au sort : choisie par le client, elle
+  // n'est admise que hors des parties classées
+  body('powerSeed')
+    .optional()
+    .isInt({ min: 0, max: 4294967295 })
+    .withMessage('Graine de tirage invalide')
+    .bail()
+    .custom((seed, { req }) => req.body.opponent === 'computer' || req.body.isRanked === false)
+    .withMessage('La graine de tirage n\'est acceptée que pour les parties non classées')
+    .toInt(),
+
+  body('powerTimeLimit')
+    .optional()
+    .isInt({ min: 10, max: 600 })
+    .withMessage('Temps de choix des pouvoirs entre 10 secondes et 10 minutes')
+    .toInt()
+];
+
+// Validation pour le choix des pouvoirs
+const choosePowersValidation = [
+  param('gameId')
+    .notEmpty()
+    .withMessage('ID de partie requis'),
+
+  body('powers')
+    .custom(powers => (Array.isArray(powers) ? powers : [powers])
+      .every(power => PowerRegistry.has(power)))
+    .withMessage('Pouvoirs invalides')
 ];
 
 // Validation pour rejoindre une partie
@@ -41,25 +111,44 @@ const makeMoveValidation = [
     .notEmpty()
     .withMessage('ID de partie requis'),
   
+  body('notation')
+    .optional()
+    .isString()
+    .isLength({ min: 2, max: 16 })
+    .withMessage('Notation de coup invalide (SAN ou UCI attendue)'),
+
+  // Parachutage d'une pièce de la réserve (crazyhouse), sans case de départ
+  body('drop')
+    .optional()
+    .isIn(['Q', 'R', 'B', 'N', 'P'])
+    .withMessage('Pièce à parachuter invalide'),
+
+  // Les coordonnées ne sont requises qu'en l'absence de notation
   body('fromRank')
+    .if(body('notation').not().exists())
+    .if(body('drop').not().exists())
     .isInt({ min: 0, max: 7 })
     .withMessage('Rang de départ invalide'),
   
   body('fromFile')
+    .if(body('notation').not().exists())
+    .if(body('drop').not().exists())
     .isInt({ min: 0, max: 7 })
     .withMessage('Colonne de départ invalide'),
   
   body('toRank')
+    .if(body('notation').not().exists())
     .isInt({ min: 0, max: 7 })
     .withMessage('Rang de destination invalide'),
   
   body('toFile')
+    .if(body('notation').not().exists())
     .isInt({ min: 0, max: 7 })
     .withMessage('Colonne de destination invalide'),
   
   body('promotion')
     .optional()
-    .isIn(['Q', 'R', 'B', 'N'])
+    .isIn(['Q', 'R', 'B', 'N', 'K'])
     .withMessage('Pièce de promotion invalide')
 ];
 
@@ -77,6 +166,13 @@ router.post('/create', authenticateToken, createGameValidation, gameController.c
  */
 router.post('/join/:gameId', authenticateToken, joinGameValidation, gameController.joinGame);
 
+/**
+ * @route   GET /api/game/powers
+ * @desc    Décrire les pouvoirs spéciaux disponibles
+ * @access  Private
+ */
+router.get('/powers', authenticateToken, gameController.getPowers);
+
 /**
  * @route   GET /api/game/:gameId
  * @desc    Récupérer l'état d'une partie
@@ -93,6 +189,13 @@ router.get('/:gameId', authenticateToken, [
  */
 router.post('/:gameId/move', authenticateToken, makeMoveValidation, gameController.makeMove);
 
+/**
+ * @route   POST /api/game/:gameId/powers
+ * @desc    Choisir ses pouvoirs avant la partie
+ * @access  Private
+ */
+router.post('/:gameId/powers', authenticateToken, choosePowersValidation, gameController.choosePowers);
+
 /**
  * @route   POST /api/game/:gameId/resign
  * @desc    Abandonner la partie
@@ -192,7 +295,23 @@ router.post('/:gameId/chat', authenticateToken, [
  * @access  Private
  */
 router.get('/:gameId/analysis', authenticateToken, [
-  param('gameId').notEmpty().withMessage('ID de partie requis')
+  param('gameId').notEmpty().withMessage('ID de partie requis'),
+  query('ply')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Demi-coup invalide'),
+  query('depth')
+    .optional()
+    .isInt({ min: 1, max: 64 })
+    .withMessage('Profondeur doit être entre 1 et 64'),
+  query('movetime')
+    .optional()
+    .isInt({ min: 100, max: 30000 })
+    .withMessage('Temps d\'analyse doit être entre 100 ms et 30 secondes'),
+  query('multipv')
+    .optional()
+    .isInt({ min: 1, max: 5 })
+    .withMessage('Nombre de variantes doit être entre 1 et 5')
 ], gameController.getGameAnalysis);
 
 /**
@@ -202,6 +321,7 @@ router.get('/:gameId/analysis', authenticateToken, [
  */
 router.post('/import-pgn', authenticateToken, [
   body('pgn')
+    .isString()
     .notEmpty()
     .withMessage('Données PGN requises')
 ], gameController.importPGN);
@@ -0,0 +1,22 @@
+/**
+ * Configuration du moteur d'analyse externe (protocole UCI)
+ * Sans UCI_ENGINE_PATH, le moteur intégré est utilisé pour l'analyse et les bots
+ * @returns {Object} { path, args, options, useForBots }
+ */
+const getEngineConfig = () => {
+  const options = {
+    Threads: process.env.UCI_ENGINE_THREADS,
+    Hash: process.env.UCI_ENGINE_HASH,
+    MultiPV: process.env.UCI_ENGINE_MULTIPV
+  };
+
+  return {
+    path: process.env.UCI_ENGINE_PATH || null,
+    args: process.env.UCI_ENGINE_ARGS ? process.env.UCI_ENGINE_ARGS.split(/\s+/).filter(Boolean) : [],
+    // Options UCI transmises au démarrage (les valeurs absentes sont ignorées)
+    options: Object.fromEntries(Object.entries(options).filter(([, value]) => value !== undefined && value !== '')),
+    useForBots: process.env.UCI_ENGINE_BOTS !== 'false'
+  };
+};
+
+module.exports = getEngineConfig;
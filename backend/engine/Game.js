@@ -1,6 +1,20 @@
 const Board = require('./board/Board');
 const MoveValidator = require('./moves/MoveValidator');
-const { GAME_RESULTS } = require('../../shared/constants/chess-notation');
+const MoveParser = require('./moves/MoveParser');
+const Zobrist = require('./board/Zobrist');
+const PGNWriter = require('./pgn/PGNWriter');
+const VariantRegistry = require('./variants/VariantRegistry');
+const PowerManager = require('./powers/PowerManager');
+const PowerRegistry = require('./powers/PowerRegistry');
+const PowerDraft = require('./powers/PowerDraft');
+const { GAME_RESULTS, GAME_VARIANTS, positionToAlgebraic } = require('../../shared/constants/chess-notation');
+
+// Fins de partie provoquées par le coup lui-même (annulables avec undoLastMove)
+const MOVE_END_REASONS = [
+  'checkmate', 'stalemate', 'fivefold_repetition', 'fifty_move_rule',
+  'insufficient_material', 'timeout', 'explosion', 'all_pieces_captured',
+  'hill_reached', 'three_checks'
+];
 
 /**
  * Classe principale représentant une partie d'échecs
@@ -14,18 +28,25 @@ class Game {
       black: { id: blackPlayerId, timeRemaining: options.timeControl || 900 }
     };
     
-    this.board = new Board();
+    // Variante : règles et position de départ (les échecs 960 partent d'une
+    // position tirée au sort, ou choisie avec options.startPosition)
+    this.variant = options.variant || GAME_VARIANTS.STANDARD;
+    this.rules = VariantRegistry.get(this.variant);
+
+    // Position de départ : celle de la variante ou personnalisée via FEN
+    this.board = Board.fromFEN(options.fen || this.rules.getStartFEN(options), { variant: this.variant });
     this.validator = new MoveValidator(this.board);
+    this.initialFen = this.board.toFEN();
     
     // État de la partie
     this.status = 'active';
-    this.currentTurn = 'white';
+    this.currentTurn = this.board.activeColor;
     this.result = GAME_RESULTS.ONGOING;
     this.resultReason = null;
     
     // Historique et métadonnées
     this.moves = [];
-    this.moveNumber = 1;
+    this.moveNumber = this.board.fullMoveNumber;
     this.startTime = new Date();
     this.lastMoveTime = new Date();
     
@@ -33,18 +54,30 @@ class Game {
     this.timeControl = options.timeControl || 900; // 15 minutes par défaut
     this.increment = options.increment || 0;
     this.isRanked = options.isRanked !== false;
+
+    // Adversaire ordinateur : { color, difficulty } ou null entre deux humains
+    this.computer = options.computer || null;
     
-    // Pouvoirs spéciaux (Phase 2)
-    this.powers = {
-      white: this.generateRandomPowers(),
-      black: this.generateRandomPowers()
-    };
+    // Pouvoirs spéciaux (Phase 2), selon la variante : tirés au sort avec une
+    // graine rejouable, ou choisis par les joueurs avant le premier coup
+    // (options.powerDraft = { mode, seed, timeLimit })
+    this.powerDraft = this.rules.hasPowers ? new PowerDraft(options.powerDraft) : null;
+    this.powers = { white: [], black: [] };
+    if (this.powerDraft) {
+      if (this.computer) {
+        this.powerDraft.chooseDefault(this.computer.color);
+      }
+      if (this.powerDraft.isComplete()) {
+        this.powers = this.powerDraft.getPowers();
+      }
+    }
     
-    // Statistiques de la partie
+    // Statistiques de la partie (les échecs déjà donnés d'une position de
+    // trois échecs sont repris de la FEN)
     this.stats = {
       totalMoves: 0,
       captures: { white: 0, black: 0 },
-      checks: { white: 0, black: 0 },
+      checks: { ...this.board.checkCounts },
       castling: { white: false, black: false }
     };
   }
@@ -52,7 +85,8 @@ class Game {
   /**
    * Tente de jouer un coup
    * @param {string} playerId - ID du joueur
-   * @param {Object} moveData - Données du mouvement
+   * @param {Object} moveData - Coordonnées du mouvement, parachutage { drop, toRank, toFile }
+   *   (crazyhouse), ou { notation } en SAN/UCI (un pouvoir noté T:Nb1-e5 passe par usePower)
    * @returns {Object} Résultat de la tentative
    */
   makeMove(playerId, moveData) {
@@ -60,14 +94,21 @@ class Game {
       // Vérifications préliminaires
       const preliminaryCheck = this.validateMoveRequest(playerId, moveData);
       if (!preliminaryCheck.isValid) {
-        return preliminaryCheck;
+        return {
+          success: false,
+          error: preliminaryCheck.reason,
+          message: preliminaryCheck.message
+        };
       }
 
       // Valider le mouvement avec le moteur d'échecs
-      const validation = this.validator.isMoveLegal({
-        ...moveData,
-        color: this.currentTurn
-      });
+      // (la notation SAN/UCI est convertie et validée par le MoveParser)
+      const validation = typeof moveData.notation === 'string' ?
+        new MoveParser(this.board).parse(moveData.notation, this.currentTurn) :
+        this.validator.isMoveLegal({
+          ...moveData,
+          color: this.currentTurn
+        });
 
       if (!validation.isValid) {
         return {
@@ -77,6 +118,10 @@ class Game {
         };
       }
 
+      if (validation.move.power) {
+        return this.usePower(playerId, validation.move.power);
+      }
+
       // Exécuter le mouvement
       const moveResult = this.executeMove(validation.move);
 
@@ -109,6 +154,37 @@ class Game {
    * @returns {Object} Résultat de la validation
    */
   validateMoveRequest(playerId, moveData) {
+    const turnCheck = this.validatePlayerTurn(playerId);
+    if (!turnCheck.isValid) {
+      return turnCheck;
+    }
+
+    // Un coup en notation SAN ou UCI remplace les coordonnées
+    if (moveData && typeof moveData.notation === 'string') {
+      return { isValid: true };
+    }
+
+    // Vérifier les données du mouvement (un parachutage n'a pas de case de départ)
+    if (!moveData || (!moveData.drop && (typeof moveData.fromRank === 'undefined' ||
+        typeof moveData.fromFile === 'undefined')) ||
+        typeof moveData.toRank === 'undefined' || 
+        typeof moveData.toFile === 'undefined') {
+      return {
+        isValid: false,
+        reason: 'INVALID_MOVE_DATA',
+        message: 'Données de mouvement invalides'
+      };
+    }
+
+    return { isValid: true };
+  }
+
+  /**
+   * Vérifie que la partie est active et que le joueur a le trait
+   * @param {string} playerId - ID du joueur
+   * @returns {Object} Résultat de la validation
+   */
+  validatePlayerTurn(playerId) {
     // Vérifier que la partie est active
     if (this.status !== 'active') {
       return {
@@ -127,21 +203,257 @@ class Game {
       };
     }
 
-    // Vérifier les données du mouvement
-    if (!moveData || typeof moveData.fromRank === 'undefined' || 
-        typeof moveData.fromFile === 'undefined' ||
-        typeof moveData.toRank === 'undefined' || 
-        typeof moveData.toFile === 'undefined') {
+    // Les coups attendent la fin du choix des pouvoirs (ou de son délai)
+    if (this.isPowerDraftInProgress() && !this.expirePowerDraft()) {
       return {
         isValid: false,
-        reason: 'INVALID_MOVE_DATA',
-        message: 'Données de mouvement invalides'
+        reason: 'POWER_DRAFT_IN_PROGRESS',
+        message: 'Les pouvoirs n\'ont pas encore été choisis'
       };
     }
 
     return { isValid: true };
   }
 
+  /**
+   * Vérifie si les joueurs choisissent encore leurs pouvoirs
+   * @returns {boolean} True pendant le choix des pouvoirs
+   */
+  isPowerDraftInProgress() {
+    return !!this.powerDraft && !this.powerDraft.isComplete();
+  }
+
+  /**
+   * Choix des pouvoirs d'un joueur avant la partie
+   * @param {string} playerId - ID du joueur
+   * @param {string|Array} powers - Pouvoirs choisis (tous en mode pick, un par tour en draft)
+   * @returns {Object} Résultat du choix
+   */
+  choosePowers(playerId, powers) {
+    if (this.status !== 'active') {
+      return {
+        success: false,
+        error: 'GAME_NOT_ACTIVE',
+        message: 'La partie n\'est pas active'
+      };
+    }
+
+    const color = this.getPlayerColor(playerId);
+    if (!color) {
+      return {
+        success: false,
+        error: 'NOT_A_PLAYER',
+        message: 'Joueur non trouvé dans cette partie'
+      };
+    }
+
+    if (!this.powerDraft) {
+      return {
+        success: false,
+        error: 'POWERS_NOT_ALLOWED',
+        message: 'Les pouvoirs ne sont pas disponibles dans cette variante'
+      };
+    }
+
+    if (this.expirePowerDraft()) {
+      return {
+        success: false,
+        error: 'POWER_DRAFT_EXPIRED',
+        message: 'Le temps de choix est écoulé, les pouvoirs par défaut ont été attribués'
+      };
+    }
+
+    const result = this.powerDraft.choose(color, powers);
+    if (!result.success) {
+      return result;
+    }
+
+    if (this.computer) {
+      this.powerDraft.chooseDefault(this.computer.color);
+    }
+    if (this.powerDraft.isComplete()) {
+      this.startAfterPowerDraft();
+    }
+
+    return {
+      success: true,
+      gameState: this.getGameState()
+    };
+  }
+
+  /**
+   * Termine le choix des pouvoirs si son délai est écoulé
+   * @param {Date} now - Heure courante
+   * @returns {boolean} True si le délai vient de terminer le choix
+   */
+  expirePowerDraft(now = new Date()) {
+    if (!this.powerDraft || !this.powerDraft.expire(now)) {
+      return false;
+    }
+
+    this.startAfterPowerDraft();
+    return true;
+  }
+
+  /**
+   * Attribue les pouvoirs choisis ; la pendule part du premier coup possible
+   */
+  startAfterPowerDraft() {
+    this.powers = this.powerDraft.getPowers();
+    this.lastMoveTime = new Date();
+  }
+
+  /**
+   * Utilise un pouvoir spécial à la place d'un coup
+   * Le pouvoir doit avoir été attribué au joueur, lui rester une charge et
+   * être rechargé ; son utilisation est enregistrée dans l'historique des coups
+   * @param {string} playerId - ID du joueur
+   * @param {Object} powerData - { name, squares } (cases en notation algébrique ou { rank, file })
+   * @returns {Object} Résultat de la tentative
+   */
+  usePower(playerId, powerData) {
+    try {
+      const turnCheck = this.validatePlayerTurn(playerId);
+      if (!turnCheck.isValid) {
+        return {
+          success: false,
+          error: turnCheck.reason,
+          message: turnCheck.message
+        };
+      }
+
+      if (!this.rules.hasPowers) {
+        return {
+          success: false,
+          error: 'POWERS_NOT_ALLOWED',
+          message: 'Les pouvoirs ne sont pas disponibles dans cette variante'
+        };
+      }
+
+      const power = this.powers[this.currentTurn]
+        .find(candidate => powerData && candidate.name === powerData.name);
+      if (!power || power.charges === 0) {
+        return {
+          success: false,
+          error: 'POWER_NOT_AVAILABLE',
+          message: 'Ce pouvoir n\'est pas disponible'
+        };
+      }
+
+      const definition = PowerRegistry.get(power.name);
+      if (!definition.canUse(power, this.moves.length)) {
+        return {
+          success: false,
+          error: 'POWER_ON_COOLDOWN',
+          message: `Ce pouvoir se recharge encore ${power.cooldownUntilPly - this.moves.length} demi-coup(s)`
+        };
+      }
+
+      const validation = PowerManager.validate(this.board, this.currentTurn, powerData);
+      if (!validation.isValid) {
+        return {
+          success: false,
+          error: validation.reason,
+          message: validation.message
+        };
+      }
+
+      const moveResult = this.executeMove(validation.move);
+      power.charges--;
+      power.cooldownUntilPly = this.moves.length + definition.cooldown;
+      power.used = true;
+      power.usedAt = moveResult.timestamp;
+
+      this.updateGameState(moveResult);
+      this.switchTurn();
+
+      return {
+        success: true,
+        move: moveResult,
+        gameState: this.getGameState()
+      };
+
+    } catch (error) {
+      console.error('Erreur lors de l\'utilisation du pouvoir:', error);
+      return {
+        success: false,
+        error: 'EXECUTION_ERROR',
+        message: 'Erreur lors de l\'utilisation du pouvoir'
+      };
+    }
+  }
+
+  /**
+   * Effets de pouvoirs encore actifs
+   * @returns {Array} Effets { name, color, square, remainingPlies }
+   */
+  getActivePowerEffects() {
+    return PowerManager.describeEffects(this.board);
+  }
+
+  /**
+   * Recalcule l'état d'un pouvoir (charges, recharge, dernière utilisation)
+   * d'après les coups de l'historique, après l'annulation d'un coup
+   * @param {string} color - Couleur du joueur
+   * @param {string} name - Nom du pouvoir
+   */
+  restorePowerState(color, name) {
+    const power = this.powers[color].find(candidate => candidate.name === name);
+    if (!power) {
+      return;
+    }
+
+    const uses = this.moves
+      .map((move, index) => ({ move, ply: index + 1 }))
+      .filter(({ move }) => move.power && move.power.name === name && move.player === color);
+    const lastUse = uses[uses.length - 1];
+    const definition = PowerRegistry.get(name);
+
+    power.charges = definition.charges - uses.length;
+    power.cooldownUntilPly = lastUse ? lastUse.ply + definition.cooldown : 0;
+    power.used = !!lastUse;
+    power.usedAt = lastUse ? lastUse.move.timestamp : null;
+  }
+
+  /**
+   * Rejoue les coups enregistrés d'une partie (reprise depuis la base)
+   * Chaque coup passe par makeMove, ou usePower pour un pouvoir : la position,
+   * les effets des pouvoirs actifs, leurs charges et recharges, l'historique
+   * des positions et le trait sont reconstruits comme pendant la partie.
+   * Les coups gardent leur horodatage, leur temps et leurs annotations d'origine
+   * @param {Array} moves - Coups enregistrés ({ notation, timestamp, timeSpent, ... })
+   * @returns {Object} { success, ply } ou { success: false, error, message, ply } (ply du coup refusé)
+   */
+  replayMoves(moves) {
+    for (const [index, saved] of moves.entries()) {
+      const result = this.makeMove(this.players[this.currentTurn].id, { notation: saved.notation });
+      if (!result.success) {
+        return { success: false, error: result.error, message: result.message, ply: index + 1 };
+      }
+
+      Object.assign(result.move, {
+        timestamp: saved.timestamp || result.move.timestamp,
+        timeSpent: saved.timeSpent || 0,
+        comment: saved.comment || null,
+        nags: saved.nags || []
+      });
+    }
+
+    const lastMove = this.moves[this.moves.length - 1];
+    if (lastMove) {
+      this.lastMoveTime = lastMove.timestamp;
+    }
+
+    // Dates d'utilisation des pouvoirs d'après les horodatages d'origine
+    for (const color of ['white', 'black']) {
+      for (const power of this.powers[color]) {
+        this.restorePowerState(color, power.name);
+      }
+    }
+
+    return { success: true, ply: this.moves.length };
+  }
+
   /**
    * Exécute le mouvement sur l'échiquier
    * @param {Object} move - Le mouvement validé
@@ -155,11 +467,15 @@ class Game {
     // Exécuter le mouvement sur l'échiquier
     const moveInfo = this.board.makeMove(move);
 
-    // Enrichir les informations du mouvement
+    // Enrichir les informations du mouvement (types de pièces uniquement :
+    // les objets Piece et l'état d'annulation restent dans board.moveHistory)
     const enrichedMove = {
       ...move,
-      ...moveInfo,
-      moveNumber: this.currentTurn === 'white' ? this.moveNumber : this.moveNumber,
+      capturedPiece: moveInfo.capturedPiece ? moveInfo.capturedPiece.type : null,
+      isCapture: !!moveInfo.capturedPiece,
+      rookMove: moveInfo.rookMove || null,
+      explosion: moveInfo.explosion ? Game.describeExplosion(moveInfo.explosion) : null,
+      moveNumber: this.moveNumber,
       timestamp: moveTime,
       timeSpent,
       player: this.currentTurn
@@ -176,23 +492,36 @@ class Game {
     return enrichedMove;
   }
 
+  /**
+   * Décrit une explosion (échecs atomiques) pour l'historique et l'affichage
+   * @param {Object} explosion - { rank, file, pieces } noté par la variante
+   * @returns {Object} { square, pieces: [{ type, color, square }] }
+   */
+  static describeExplosion(explosion) {
+    return {
+      square: positionToAlgebraic(explosion.file, explosion.rank),
+      pieces: explosion.pieces.map(({ piece, rank, file }) => ({
+        type: piece.type,
+        color: piece.color,
+        square: positionToAlgebraic(file, rank)
+      }))
+    };
+  }
+
   /**
    * Met à jour l'état de la partie après un mouvement
+   * Les nulles automatiques sont la quintuple répétition et les 50 coups ;
+   * la triple répétition doit être réclamée par le joueur (offerDraw)
    * @param {Object} move - Le mouvement exécuté
    */
   updateGameState(move) {
-    // Vérifier les conditions de fin de partie
-    const opponentColor = this.currentTurn === 'white' ? 'black' : 'white';
-    
-    if (move.isCheckmate) {
-      this.endGame(
-        this.currentTurn === 'white' ? GAME_RESULTS.WHITE_WINS : GAME_RESULTS.BLACK_WINS,
-        'checkmate'
-      );
-    } else if (move.isStalemate) {
-      this.endGame(GAME_RESULTS.DRAW, 'stalemate');
-    } else if (this.isDrawByRepetition()) {
-      this.endGame(GAME_RESULTS.DRAW, 'threefold_repetition');
+    // Vérifier les conditions de fin de partie (mat et pat, ou celles de la variante)
+    const outcome = this.rules.getOutcome(this.board);
+
+    if (outcome) {
+      this.endGame(this.getResultForWinner(outcome.winner), outcome.reason);
+    } else if (this.isDrawByFivefoldRepetition()) {
+      this.endGame(GAME_RESULTS.DRAW, 'fivefold_repetition');
     } else if (this.isDrawByFiftyMoveRule()) {
       this.endGame(GAME_RESULTS.DRAW, 'fifty_move_rule');
     } else if (this.isDrawByInsufficientMaterial()) {
@@ -203,6 +532,18 @@ class Game {
     this.updatePlayerTime();
   }
 
+  /**
+   * Résultat correspondant au vainqueur d'une partie
+   * @param {string|null} winner - Couleur du vainqueur, null pour une nulle
+   * @returns {string} Résultat (GAME_RESULTS)
+   */
+  getResultForWinner(winner) {
+    if (!winner) {
+      return GAME_RESULTS.DRAW;
+    }
+    return winner === 'white' ? GAME_RESULTS.WHITE_WINS : GAME_RESULTS.BLACK_WINS;
+  }
+
   /**
    * Change le tour du joueur
    */
@@ -255,6 +596,74 @@ class Game {
     }
   }
 
+  /**
+   * Annule le dernier coup joué
+   * Restaure l'échiquier, le trait, les statistiques et le temps du joueur.
+   * Une partie terminée par ce coup (mat, pat, nulle automatique, temps)
+   * redevient active
+   * @returns {Object} Résultat de l'annulation
+   */
+  undoLastMove() {
+    const lastMove = this.moves[this.moves.length - 1];
+    if (!lastMove) {
+      return {
+        success: false,
+        message: 'Aucun coup à annuler'
+      };
+    }
+
+    if (this.status !== 'active' && !MOVE_END_REASONS.includes(this.resultReason)) {
+      return {
+        success: false,
+        message: 'La partie n\'est pas active'
+      };
+    }
+
+    this.moves.pop();
+    this.board.unmakeMove();
+
+    // Rendre la charge du pouvoir utilisé (l'échiquier retire ses effets)
+    if (lastMove.power) {
+      this.restorePowerState(lastMove.player, lastMove.power.name);
+    }
+
+    // Restaurer le trait et le numéro de coup
+    this.currentTurn = lastMove.player;
+    this.moveNumber = this.board.fullMoveNumber;
+
+    // Restaurer les statistiques
+    this.stats.totalMoves--;
+    if (lastMove.isCapture) {
+      this.stats.captures[lastMove.player]--;
+    }
+    if (lastMove.isCheck) {
+      this.stats.checks[lastMove.player]--;
+    }
+    if (lastMove.isCastling) {
+      this.stats.castling[lastMove.player] = false;
+    }
+
+    // Rendre le temps consommé (moins l'incrément accordé)
+    if (this.timeControl > 0) {
+      const player = this.players[lastMove.player];
+      player.timeRemaining = Math.max(0, player.timeRemaining + lastMove.timeSpent - this.increment);
+    }
+
+    // Rouvrir la partie si elle s'était terminée sur ce coup
+    if (this.status !== 'active') {
+      this.status = 'active';
+      this.result = GAME_RESULTS.ONGOING;
+      this.resultReason = null;
+      this.endTime = null;
+    }
+
+    return {
+      success: true,
+      move: lastMove,
+      gameState: this.getGameState()
+    };
+  }
+
   /**
    * Termine la partie
    * @param {string} result - Résultat de la partie
@@ -269,29 +678,43 @@ class Game {
 
   /**
    * Vérifie la nulle par répétition (3 fois)
-   * @returns {boolean} True si nulle par répétition
+   * La position est comparée par hachage de Zobrist : placement, trait, droits
+   * de roque et prise en passant possible doivent être identiques.
+   * La nulle n'est pas automatique : elle est réclamée avec offerDraw
+   * @returns {boolean} True si la nulle peut être réclamée
    */
   isDrawByRepetition() {
-    const currentPosition = this.board.toFEN();
-    let count = 0;
-
-    // Compter les occurrences de cette position
-    for (const positionEntry of this.board.positionHistory) {
-      if (positionEntry.fen === currentPosition) {
-        count = positionEntry.count;
-        break;
-      }
-    }
+    return this.board.getRepetitionCount() >= 3;
+  }
+
+  /**
+   * Vérifie la nulle automatique par quintuple répétition
+   * @returns {boolean} True si la position est apparue 5 fois
+   */
+  isDrawByFivefoldRepetition() {
+    return this.board.getRepetitionCount() >= 5;
+  }
 
-    return count >= 3;
+  /**
+   * Retourne l'historique des positions agrégé par hachage
+   * @returns {Array} Liste de { hash, count } dans l'ordre d'apparition
+   */
+  getPositionHistory() {
+    const counts = new Map();
+    for (const hash of this.board.positionHistory) {
+      const key = Zobrist.toHex(hash);
+      counts.set(key, (counts.get(key) || 0) + 1);
+    }
+    return Array.from(counts, ([hash, count]) => ({ hash, count }));
   }
 
   /**
    * Vérifie la nulle par la règle des 50 coups
+   * halfMoveClock compte les demi-coups : 50 coups de chaque camp font 100
    * @returns {boolean} True si nulle par 50 coups
    */
   isDrawByFiftyMoveRule() {
-    return this.board.halfMoveClock >= 50;
+    return this.board.halfMoveClock >= 100;
   }
 
   /**
@@ -299,41 +722,7 @@ class Game {
    * @returns {boolean} True si matériel insuffisant
    */
   isDrawByInsufficientMaterial() {
-    const pieces = { white: [], black: [] };
-
-    // Recenser toutes les pièces
-    for (let rank = 0; rank < 8; rank++) {
-      for (let file = 0; file < 8; file++) {
-        const piece = this.board.getPiece(rank, file);
-        if (piece && piece.type !== 'K') {
-          pieces[piece.color].push(piece.type);
-        }
-      }
-    }
-
-    // Vérifier les cas de matériel insuffisant
-    const whitePieces = pieces.white.sort();
-    const blackPieces = pieces.black.sort();
-
-    // Roi contre roi
-    if (whitePieces.length === 0 && blackPieces.length === 0) {
-      return true;
-    }
-
-    // Roi + fou/cavalier contre roi
-    if ((whitePieces.length === 1 && ['B', 'N'].includes(whitePieces[0]) && blackPieces.length === 0) ||
-        (blackPieces.length === 1 && ['B', 'N'].includes(blackPieces[0]) && whitePieces.length === 0)) {
-      return true;
-    }
-
-    // Roi + fou contre roi + fou (même couleur de cases)
-    if (whitePieces.length === 1 && blackPieces.length === 1 &&
-        whitePieces[0] === 'B' && blackPieces[0] === 'B') {
-      // TODO: Vérifier si les fous sont sur la même couleur de cases
-      return true;
-    }
-
-    return false;
+    return this.rules.hasInsufficientMaterial(this.board);
   }
 
   /**
@@ -380,6 +769,17 @@ class Game {
       };
     }
 
+    // Une triple répétition permet de réclamer la nulle directement,
+    // sans l'accord de l'adversaire
+    if (this.isDrawByRepetition()) {
+      this.endGame(GAME_RESULTS.DRAW, 'threefold_repetition');
+      return {
+        success: true,
+        result: this.result,
+        reason: this.resultReason
+      };
+    }
+
     // TODO: Implémenter la logique de proposition de nulle
     this.endGame(GAME_RESULTS.DRAW, 'draw_agreement');
 
@@ -403,12 +803,24 @@ class Game {
       currentTurn: this.currentTurn,
       moveNumber: this.moveNumber,
       board: this.board.toFEN(),
+      initialFen: this.initialFen,
+      variant: this.variant,
+      pockets: this.rules.hasPockets ? {
+        white: { ...this.board.pockets.white },
+        black: { ...this.board.pockets.black }
+      } : null,
+      checks: this.rules.countsChecks ? { ...this.stats.checks } : null,
+      powers: this.rules.hasPowers ? this.powers : null,
+      powerDraft: this.powerDraft ? this.powerDraft.getState() : null,
+      powerEffects: this.rules.hasPowers ? this.getActivePowerEffects() : null,
+      positionHash: this.board.getPositionKey(),
       players: this.players,
       moves: this.moves,
       stats: this.stats,
       timeControl: this.timeControl,
       increment: this.increment,
       isRanked: this.isRanked,
+      computer: this.computer,
       startTime: this.startTime,
       endTime: this.endTime || null,
       lastMoveTime: this.lastMoveTime
@@ -426,28 +838,6 @@ class Game {
     return null;
   }
 
-  /**
-   * Génère des pouvoirs aléatoires pour un joueur
-   * @returns {Array} Liste des pouvoirs
-   */
-  generateRandomPowers() {
-    const availablePowers = ['teleportation', 'invisibility', 'exchange'];
-    const selectedPowers = [];
-    
-    // Sélectionner 2 pouvoirs aléatoires
-    for (let i = 0; i < 2; i++) {
-      const randomIndex = Math.floor(Math.random() * availablePowers.length);
-      selectedPowers.push({
-        name: availablePowers[randomIndex],
-        used: false,
-        usedAt: null
-      });
-      availablePowers.splice(randomIndex, 1);
-    }
-    
-    return selectedPowers;
-  }
-
   /**
    * Génère un ID unique pour la partie
    * @returns {string} ID de la partie
@@ -457,29 +847,26 @@ class Game {
   }
 
   /**
-   * Retourne l'historique des coups en notation PGN
-   * @returns {string} Historique PGN
+   * Retourne la partie au format PGN (tags et coups)
+   * @param {Object} headers - Tags complémentaires (Event, White, Black, WhiteElo...)
+   * @returns {string} PGN de la partie
    */
-  toPGN() {
-    let pgn = '';
-    
-    for (let i = 0; i < this.moves.length; i += 2) {
-      const moveNumber = Math.floor(i / 2) + 1;
-      pgn += `${moveNumber}. `;
-      
-      // Coup des blancs
-      if (this.moves[i]) {
-        pgn += `${this.moves[i].notation} `;
-      }
-      
-      // Coup des noirs
-      if (this.moves[i + 1]) {
-        pgn += `${this.moves[i + 1].notation} `;
-      }
-    }
-    
-    pgn += this.result;
-    return pgn.trim();
+  toPGN(headers = {}) {
+    return PGNWriter.write({
+      headers: {
+        Date: this.startTime,
+        White: this.players.white.id,
+        Black: this.players.black.id,
+        ...headers
+      },
+      moves: this.moves,
+      result: this.result,
+      resultReason: this.resultReason,
+      initialFen: this.initialFen,
+      variant: this.variant,
+      timeControl: { initial: this.timeControl, increment: this.increment },
+      powers: this.powers
+    });
   }
 
   /**
@@ -491,7 +878,9 @@ class Game {
       gameId: this.id + '_clone',
       timeControl: this.timeControl,
       increment: this.increment,
-      isRanked: false
+      isRanked: false,
+      variant: this.variant,
+      fen: this.initialFen
     });
     
     cloned.board = this.board.clone();
@@ -0,0 +1,104 @@
+const { COMPUTER_PLAYER_ID } = require('../../../shared/constants/chess-notation');
+const EngineProvider = require('./EngineProvider');
+
+// Échecs dus à la partie elle-même (terminée, coup déjà joué, plus de coup
+// légal) ou à l'arrêt du serveur : relancer la recherche ne servirait à rien
+const FINAL_ERRORS = ['NOT_COMPUTER_TURN', 'POSITION_CHANGED', 'SEARCH_CANCELLED', 'NO_LEGAL_MOVE', 'ENGINE_SHUTDOWN'];
+
+/**
+ * Joueur ordinateur d'une partie
+ * Cherche le meilleur coup hors de la boucle d'événements (pool de moteurs
+ * intégré ou moteur UCI externe) puis le joue par Game.makeMove(), exactement comme un joueur humain
+ */
+class ComputerPlayer {
+  /**
+   * Vérifie si c'est à l'ordinateur de jouer
+   * @param {Game} game - La partie
+   * @returns {boolean} True si l'ordinateur a le trait
+   */
+  static isComputerTurn(game) {
+    return game.status === 'active' &&
+           !game.isPowerDraftInProgress() &&
+           game.players[game.currentTurn].id === COMPUTER_PLAYER_ID;
+  }
+
+  /**
+   * Vérifie si un échec de playMove mérite une nouvelle tentative : moteur
+   * saturé, planté ou hors délai, recherche en erreur, coup refusé par la partie
+   * @param {Object} result - Résultat de playMove
+   * @returns {boolean} True si la recherche peut être relancée
+   */
+  static canRetry(result) {
+    return !result.success && !FINAL_ERRORS.includes(result.error);
+  }
+
+  /**
+   * Cherche et joue le coup de l'ordinateur
+   * @param {Game} game - La partie (game.computer.difficulty fixe le niveau)
+   * @param {EnginePool|UCIAdapter} engine - Moteur (moteur des bots configuré pour la variante par défaut)
+   * @returns {Promise<Object>} Résultat de Game.makeMove(), complété par la recherche
+   *   (error SEARCH_CANCELLED si la partie se termine pendant la recherche)
+   */
+  static async playMove(game, engine = EngineProvider.getBotEngine(game.variant)) {
+    if (!ComputerPlayer.isComputerTurn(game)) {
+      return {
+        success: false,
+        error: 'NOT_COMPUTER_TURN',
+        message: 'Ce n\'est pas au tour de l\'ordinateur'
+      };
+    }
+
+    const positionKey = game.board.getPositionKey();
+    let search;
+    try {
+      search = await engine.search({
+        fen: game.board.toFEN(),
+        variant: game.variant,
+        chess960: game.board.chess960,
+        positionHistory: game.board.positionHistory,
+        powerEffects: game.getActivePowerEffects(),
+        difficulty: game.computer && game.computer.difficulty
+      }, { tag: game.id });
+    } catch (error) {
+      return {
+        success: false,
+        error: error.code || 'SEARCH_FAILED',
+        message: error.message
+      };
+    }
+
+    // La partie a pu évoluer pendant la recherche (abandon, nulle, coup annulé)
+    if (!ComputerPlayer.isComputerTurn(game) || game.board.getPositionKey() !== positionKey) {
+      return {
+        success: false,
+        error: 'POSITION_CHANGED',
+        message: 'La position a changé pendant la recherche'
+      };
+    }
+
+    if (!search.move) {
+      return {
+        success: false,
+        error: 'NO_LEGAL_MOVE',
+        message: 'Aucun coup légal disponible'
+      };
+    }
+
+    const { fromRank, fromFile, toRank, toFile, promotion, drop } = search.move;
+    const moveResult = game.makeMove(COMPUTER_PLAYER_ID, drop ?
+      { drop, toRank, toFile } :
+      { fromRank, fromFile, toRank, toFile, promotion });
+
+    return {
+      ...moveResult,
+      search: {
+        score: search.score,
+        depth: search.depth,
+        nodes: search.nodes,
+        time: search.time
+      }
+    };
+  }
+}
+
+module.exports = ComputerPlayer;
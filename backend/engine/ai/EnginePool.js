@@ -0,0 +1,333 @@
+const os = require('os');
+const path = require('path');
+const { Worker } = require('worker_threads');
+const SearchEngine = require('./SearchEngine');
+
+const WORKER_SCRIPT = path.join(__dirname, 'EngineWorker.js');
+
+// Temps de réflexion maximal accepté pour une recherche (ms)
+const MAX_TIME_LIMIT = 30000;
+
+// Marge accordée à un thread au-delà de son temps de réflexion avant d'être
+// considéré comme bloqué et remplacé (ms)
+const WATCHDOG_MARGIN = 5000;
+
+// Nombre maximal de recherches en attente
+const DEFAULT_MAX_QUEUE_SIZE = 100;
+
+// Pool partagé, créé à la première utilisation
+let defaultPool = null;
+
+/**
+ * Crée une erreur de recherche avec un code exploitable par les appelants
+ * @param {string} code - Code de l'erreur (SEARCH_CANCELLED, ENGINE_BUSY...)
+ * @param {string} message - Message d'erreur
+ * @returns {Error} Erreur
+ */
+const createSearchError = (code, message) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+/**
+ * Pool de moteurs de recherche exécutés dans des worker_threads
+ * Les recherches sont mises en file d'attente puis confiées au premier thread
+ * libre, pour que le calcul des coups de l'ordinateur et les analyses ne
+ * bloquent jamais la boucle d'événements du serveur
+ */
+class EnginePool {
+  /**
+   * @param {Object} options - Options du pool
+   * @param {number} options.size - Nombre de threads (par défaut : cœurs - 1, entre 1 et 4)
+   * @param {number} options.maxQueueSize - Nombre maximal de recherches en attente
+   * @param {number} options.maxTimeLimit - Temps de réflexion maximal accepté (ms,
+   *   Infinity pour une analyse sans limite interrompue par stop())
+   */
+  constructor(options = {}) {
+    this.size = options.size || Math.min(Math.max(os.cpus().length - 1, 1), 4);
+    this.maxQueueSize = options.maxQueueSize || DEFAULT_MAX_QUEUE_SIZE;
+    this.maxTimeLimit = options.maxTimeLimit || MAX_TIME_LIMIT;
+
+    this.workers = [];
+    this.queue = [];
+    this.nextJobId = 1;
+  }
+
+  /**
+   * Retourne le pool partagé par les contrôleurs et le gestionnaire de sockets
+   * @returns {EnginePool} Pool par défaut
+   */
+  static getDefault() {
+    if (!defaultPool) {
+      defaultPool = new EnginePool();
+    }
+    return defaultPool;
+  }
+
+  /**
+   * Lance une recherche
+   * @param {Object} request - Position et limites
+   * @param {string} request.fen - Position à analyser
+   * @param {string} request.variant - Variante (GAME_VARIANTS), standard par défaut
+   * @param {boolean} request.chess960 - Règles de roque des échecs 960
+   * @param {Array} request.positionHistory - Hachages des positions précédentes (répétitions)
+   * @param {Array} request.powerEffects - Effets de pouvoirs actifs { name, color, square, remainingPlies }
+   * @param {string} request.difficulty - Niveau de difficulté (paramètres par défaut)
+   * @param {number} request.maxDepth - Profondeur maximale, prioritaire sur le niveau
+   * @param {number} request.timeLimit - Temps de réflexion en ms, prioritaire sur le niveau
+   * @param {number} request.randomness - Bruit sur les coups racine, prioritaire sur le niveau
+   * @param {Object} options - Options de la recherche
+   * @param {string} options.tag - Étiquette (ID de partie) utilisée par cancel()
+   * @param {Function} options.onInfo - Appelée à chaque itération terminée
+   * @returns {Promise<Object>} { move, score, depth, nodes, time, pv }
+   */
+  search(request, options = {}) {
+    if (this.queue.length >= this.maxQueueSize) {
+      return Promise.reject(createSearchError('ENGINE_BUSY', 'Trop de recherches en attente'));
+    }
+
+    return new Promise((resolve, reject) => {
+      this.queue.push({
+        id: this.nextJobId++,
+        tag: options.tag || null,
+        onInfo: options.onInfo || null,
+        request: this.resolveLimits(request),
+        resolve,
+        reject
+      });
+      this.dispatch();
+    });
+  }
+
+  /**
+   * Annule les recherches d'une étiquette (en attente ou en cours)
+   * Leurs promesses sont rejetées avec le code SEARCH_CANCELLED
+   * @param {string} tag - Étiquette des recherches (ID de partie)
+   * @returns {number} Nombre de recherches annulées
+   */
+  cancel(tag) {
+    let cancelled = 0;
+
+    this.queue = this.queue.filter(job => {
+      if (job.tag !== tag) return true;
+      job.reject(createSearchError('SEARCH_CANCELLED', 'Recherche annulée'));
+      cancelled++;
+      return false;
+    });
+
+    for (const worker of this.workers) {
+      if (worker.job && worker.job.tag === tag && !worker.job.cancelled) {
+        worker.job.cancelled = true;
+        Atomics.store(worker.stopSignal, 0, 1);
+        cancelled++;
+      }
+    }
+
+    return cancelled;
+  }
+
+  /**
+   * Interrompt les recherches en cours d'une étiquette sans les annuler : leurs
+   * promesses sont résolues avec le meilleur coup trouvé jusque-là
+   * @param {string} tag - Étiquette des recherches
+   * @returns {number} Nombre de recherches interrompues
+   */
+  stop(tag) {
+    let stopped = 0;
+
+    for (const worker of this.workers) {
+      if (worker.job && worker.job.tag === tag) {
+        Atomics.store(worker.stopSignal, 0, 1);
+        stopped++;
+      }
+    }
+
+    return stopped;
+  }
+
+  /**
+   * Arrête tous les threads et rejette les recherches en cours et en attente
+   * @returns {Promise} Résolue une fois les threads terminés
+   */
+  async shutdown() {
+    const error = createSearchError('ENGINE_SHUTDOWN', 'Pool de moteurs arrêté');
+
+    for (const job of this.queue) {
+      job.reject(error);
+    }
+    this.queue = [];
+
+    const workers = this.workers;
+    this.workers = [];
+    for (const worker of workers) {
+      const job = worker.job;
+      this.finishJob(worker);
+      worker.thread.removeAllListeners();
+      if (job) {
+        job.reject(error);
+      }
+    }
+
+    await Promise.all(workers.map(worker => worker.thread.terminate()));
+  }
+
+  /**
+   * Retourne l'occupation du pool
+   * @returns {Object} { size, workers, busy, queued }
+   */
+  getStats() {
+    return {
+      size: this.size,
+      workers: this.workers.length,
+      busy: this.workers.filter(worker => worker.job).length,
+      queued: this.queue.length
+    };
+  }
+
+  /**
+   * Calcule les limites effectives d'une recherche : paramètres du niveau,
+   * remplacés par les limites explicites, temps plafonné à maxTimeLimit
+   * @param {Object} request - Requête de recherche
+   * @returns {Object} Requête transmise au thread
+   */
+  resolveLimits(request) {
+    const settings = SearchEngine.getDifficultySettings(request.difficulty);
+
+    return {
+      fen: request.fen,
+      variant: request.variant,
+      chess960: !!request.chess960,
+      positionHistory: request.positionHistory || [],
+      powerEffects: request.powerEffects || [],
+      maxDepth: request.maxDepth || settings.maxDepth,
+      timeLimit: Math.min(request.timeLimit || settings.timeLimit, this.maxTimeLimit),
+      randomness: request.randomness !== undefined ? request.randomness : settings.randomness
+    };
+  }
+
+  /**
+   * Confie les recherches en attente aux threads libres, en créant des
+   * threads tant que la taille du pool le permet
+   */
+  dispatch() {
+    while (this.queue.length > 0) {
+      let worker = this.workers.find(candidate => !candidate.job);
+      if (!worker) {
+        if (this.workers.length >= this.size) {
+          return;
+        }
+        worker = this.createWorker();
+      }
+
+      const job = this.queue.shift();
+      worker.job = job;
+      Atomics.store(worker.stopSignal, 0, 0);
+
+      // Un thread qui dépasse largement son temps de réflexion est remplacé
+      if (Number.isFinite(job.request.timeLimit)) {
+        worker.watchdog = setTimeout(() => {
+          this.replaceWorker(worker, createSearchError('ENGINE_TIMEOUT', 'Le moteur ne répond plus'));
+        }, job.request.timeLimit + WATCHDOG_MARGIN);
+      }
+
+      worker.thread.postMessage({ ...job.request, jobId: job.id, reportInfo: !!job.onInfo });
+    }
+  }
+
+  /**
+   * Crée un thread de recherche
+   * @returns {Object} { thread, stopSignal, job, watchdog }
+   */
+  createWorker() {
+    const stopBuffer = new SharedArrayBuffer(Int32Array.BYTES_PER_ELEMENT);
+    const worker = {
+      thread: new Worker(WORKER_SCRIPT, { workerData: { stopBuffer } }),
+      stopSignal: new Int32Array(stopBuffer),
+      job: null,
+      watchdog: null
+    };
+
+    // Les threads inactifs ne doivent pas empêcher le processus de se terminer
+    worker.thread.unref();
+
+    worker.thread.on('message', message => this.handleMessage(worker, message));
+    worker.thread.on('error', error => {
+      this.replaceWorker(worker, createSearchError('ENGINE_CRASHED', error.message));
+    });
+    worker.thread.on('exit', () => {
+      this.replaceWorker(worker, createSearchError('ENGINE_CRASHED', 'Le moteur s\'est arrêté'));
+    });
+
+    this.workers.push(worker);
+    return worker;
+  }
+
+  /**
+   * Traite un message d'un thread (info, résultat ou erreur)
+   * @param {Object} worker - Le thread
+   * @param {Object} message - Message reçu
+   */
+  handleMessage(worker, message) {
+    const job = worker.job;
+    if (!job || job.id !== message.jobId) {
+      return;
+    }
+
+    if (message.type === 'info') {
+      if (!job.cancelled) {
+        job.onInfo(message.info);
+      }
+      return;
+    }
+
+    this.finishJob(worker);
+
+    if (job.cancelled) {
+      job.reject(createSearchError('SEARCH_CANCELLED', 'Recherche annulée'));
+    } else if (message.type === 'error') {
+      job.reject(createSearchError('SEARCH_FAILED', message.message));
+    } else {
+      job.resolve(message.result);
+    }
+
+    this.dispatch();
+  }
+
+  /**
+   * Libère un thread de sa recherche
+   * @param {Object} worker - Le thread
+   */
+  finishJob(worker) {
+    clearTimeout(worker.watchdog);
+    worker.watchdog = null;
+    worker.job = null;
+  }
+
+  /**
+   * Retire un thread défaillant du pool ; sa recherche éventuelle est rejetée
+   * et les suivantes sont confiées à un nouveau thread
+   * @param {Object} worker - Le thread
+   * @param {Error} error - Erreur transmise à la recherche en cours
+   */
+  replaceWorker(worker, error) {
+    const index = this.workers.indexOf(worker);
+    if (index === -1) {
+      return;
+    }
+    this.workers.splice(index, 1);
+
+    const job = worker.job;
+    this.finishJob(worker);
+    worker.thread.removeAllListeners();
+    worker.thread.terminate();
+
+    if (job) {
+      job.reject(job.cancelled ? createSearchError('SEARCH_CANCELLED', 'Recherche annulée') : error);
+    }
+
+    this.dispatch();
+  }
+}
+
+module.exports = EnginePool;
@@ -0,0 +1,105 @@
+const getEngineConfig = require('../../config/engine');
+const EnginePool = require('./EnginePool');
+const UCIAdapter = require('../uci/UCIAdapter');
+const MoveParser = require('../moves/MoveParser');
+const SearchEngine = require('./SearchEngine');
+const VariantRegistry = require('../variants/VariantRegistry');
+const { AI_DIFFICULTY_LEVELS } = require('../../../shared/constants/chess-notation');
+
+// Moteur externe partagé, créé à la première utilisation
+let externalEngine = null;
+
+/**
+ * Choix du moteur selon la configuration : moteur UCI externe si
+ * UCI_ENGINE_PATH est défini, moteur intégré (EnginePool) sinon
+ * Les deux exposent la même interface (search, cancel, stop, shutdown)
+ * Les variantes inconnues du moteur externe (atomiques...) restent au moteur intégré
+ */
+class EngineProvider {
+  /**
+   * Retourne le moteur d'analyse
+   * @param {string} variant - Variante à analyser (GAME_VARIANTS), standard par défaut
+   * @returns {EnginePool|UCIAdapter} Moteur configuré
+   */
+  static getAnalysisEngine(variant) {
+    const config = getEngineConfig();
+    if (!config.path || (variant && !VariantRegistry.get(variant).externalEngine)) {
+      return EnginePool.getDefault();
+    }
+
+    if (!externalEngine) {
+      externalEngine = new UCIAdapter(config);
+    }
+    return externalEngine;
+  }
+
+  /**
+   * Retourne le moteur des parties contre l'ordinateur
+   * @param {string} variant - Variante de la partie (GAME_VARIANTS), standard par défaut
+   * @returns {EnginePool|UCIAdapter} Moteur configuré
+   */
+  static getBotEngine(variant) {
+    return getEngineConfig().useForBots ?
+      EngineProvider.getAnalysisEngine(variant) :
+      EnginePool.getDefault();
+  }
+
+  /**
+   * Annule les recherches d'une partie sur tous les moteurs en service
+   * @param {string} tag - ID de la partie
+   */
+  static cancel(tag) {
+    EnginePool.getDefault().cancel(tag);
+    if (externalEngine) {
+      externalEngine.cancel(tag);
+    }
+  }
+
+  /**
+   * Analyse une position
+   * Les scores sont exprimés en centipions du point de vue des blancs, mate
+   * donnant le nombre de coups jusqu'au mat (négatif si les noirs matent)
+   * @param {string} fen - Position à analyser
+   * @param {Object} options - { maxDepth, timeLimit, multiPV, variant, chess960, tag }
+   * @returns {Promise<Object>} { engine, depth, bestMove, ponder, score, mate, lines }
+   */
+  static async analyzePosition(fen, options = {}) {
+    const engine = EngineProvider.getAnalysisEngine(options.variant);
+    const result = await engine.search({
+      fen,
+      variant: options.variant,
+      chess960: options.chess960,
+      // Pleine force : seules la profondeur et le temps demandés limitent l'analyse
+      difficulty: AI_DIFFICULTY_LEVELS.EXPERT,
+      maxDepth: options.maxDepth,
+      timeLimit: options.timeLimit,
+      multiPV: options.multiPV,
+      randomness: 0
+    }, { tag: options.tag });
+
+    const sign = fen.split(' ')[1] === 'b' ? -1 : 1;
+    // Le moteur intégré ne calcule qu'une variante
+    const lines = result.lines || [{
+      multipv: 1,
+      depth: result.depth,
+      score: result.score,
+      pv: result.pv.map(move => MoveParser.toUCI(move))
+    }];
+
+    return {
+      engine: engine instanceof UCIAdapter ? engine.name : 'AX Chess',
+      depth: result.depth,
+      bestMove: result.move ? MoveParser.toUCI(result.move) : null,
+      ponder: result.ponder || (result.pv && result.pv[1] ? MoveParser.toUCI(result.pv[1]) : null),
+      score: result.score * sign,
+      mate: SearchEngine.getMateDistance(result.score * sign),
+      lines: lines.map(line => ({
+        ...line,
+        score: line.score * sign,
+        mate: SearchEngine.getMateDistance(line.score * sign)
+      }))
+    };
+  }
+}
+
+module.exports = EngineProvider;
@@ -0,0 +1,44 @@
+const { parentPort, workerData } = require('worker_threads');
+const Board = require('../board/Board');
+const SearchEngine = require('./SearchEngine');
+const PowerManager = require('../powers/PowerManager');
+
+/**
+ * Point d'entrée d'un thread du pool de moteurs (EnginePool)
+ * Reçoit une recherche à la fois, la mène sur son propre échiquier et renvoie
+ * le résultat ; le drapeau partagé stopSignal permet au thread principal de
+ * l'interrompre sans attendre la fin du temps de réflexion
+ */
+const stopSignal = new Int32Array(workerData.stopBuffer);
+
+parentPort.on('message', (job) => {
+  try {
+    const board = Board.fromFEN(job.fen, { variant: job.variant, chess960: job.chess960 });
+
+    // L'historique des positions permet de reconnaître les répétitions
+    if (job.positionHistory && job.positionHistory.length > 0) {
+      board.positionHistory = [...job.positionHistory];
+    }
+
+    // Les effets des pouvoirs (pièce gelée, protégée...) restreignent les coups
+    if (job.powerEffects && job.powerEffects.length > 0) {
+      PowerManager.restoreEffects(board, job.powerEffects);
+    }
+
+    const engine = new SearchEngine({
+      maxDepth: job.maxDepth,
+      timeLimit: job.timeLimit,
+      randomness: job.randomness,
+      stopSignal,
+      onInfo: job.reportInfo ?
+        (info) => parentPort.postMessage({ type: 'info', jobId: job.jobId, info }) :
+        null
+    });
+
+    const result = engine.search(board);
+    parentPort.postMessage({ type: 'result', jobId: job.jobId, result });
+
+  } catch (error) {
+    parentPort.postMessage({ type: 'error', jobId: job.jobId, message: error.message });
+  }
+});
@@ -0,0 +1,123 @@
+// Conversion des évaluations des pièces (en pions) en centipions
+const CENTIPAWNS = 100;
+
+// Bonus de bouclier de pions devant un roi roqué, par pion
+const PAWN_SHIELD_BONUS = 15;
+
+// Bonus de centralisation du roi en finale, par case de rapprochement du centre
+const KING_CENTRALIZATION_BONUS = 10;
+
+// Valeur de référence d'un pion dans la somme de matériel
+const PAWN_VALUE = 1;
+
+// En dessous de ce matériel (hors pions et rois, pour les deux camps), la partie est une finale
+const ENDGAME_MATERIAL = 26;
+
+// Valeur des pièces en réserve (crazyhouse), parachutables à tout moment
+const POCKET_VALUES = { P: 1, N: 3, B: 3, R: 5, Q: 9 };
+
+// Bonus par échec déjà donné (trois échecs), en centipions
+const CHECK_GIVEN_BONUS = 150;
+
+/**
+ * Évaluation statique d'une position
+ * Combine les évaluations propres à chaque pièce (Pawn.isPassedPawn,
+ * Knight.isOnOutpost, Bishop.hasBishopPair, Rook.isOnOpenFile,
+ * Queen.isEarlyDevelopment...) avec la sécurité du roi
+ */
+class Evaluator {
+  /**
+   * Évalue la position du point de vue du camp au trait
+   * @param {Board} board - L'échiquier
+   * @returns {number} Score en centipions (positif = avantage au camp au trait)
+   */
+  static evaluate(board) {
+    const score = Evaluator.evaluateForWhite(board);
+    return board.activeColor === 'white' ? score : -score;
+  }
+
+  /**
+   * Évalue la position du point de vue des blancs
+   * @param {Board} board - L'échiquier
+   * @returns {number} Score en centipions
+   */
+  static evaluateForWhite(board) {
+    let score = 0;
+    let pieceMaterial = 0;
+    const kings = [];
+
+    for (let rank = 0; rank < 8; rank++) {
+      for (let file = 0; file < 8; file++) {
+        const piece = board.squares[rank][file];
+        if (!piece) continue;
+
+        if (piece.type === 'K') {
+          kings.push(piece);
+          continue;
+        }
+
+        if (piece.value > PAWN_VALUE) {
+          pieceMaterial += piece.value;
+        }
+
+        const sign = piece.color === 'white' ? 1 : -1;
+        score += sign * piece.evaluate(board) * CENTIPAWNS;
+      }
+    }
+
+    for (const [color, sign] of [['white', 1], ['black', -1]]) {
+      for (const [type, count] of Object.entries(board.pockets[color])) {
+        score += sign * count * POCKET_VALUES[type] * CENTIPAWNS;
+      }
+      score += sign * board.checkCounts[color] * CHECK_GIVEN_BONUS;
+    }
+
+    const isEndgame = pieceMaterial <= ENDGAME_MATERIAL;
+    for (const king of kings) {
+      const sign = king.color === 'white' ? 1 : -1;
+      score += sign * (isEndgame ?
+        Evaluator.kingCentralization(king) :
+        Evaluator.kingShelter(king, board));
+    }
+
+    // Qui perd gagne (antichess) : l'avantage revient au camp le moins fourni
+    return Math.round(board.rules.losing ? -score : score);
+  }
+
+  /**
+   * Bouclier de pions devant le roi, en milieu de partie
+   * @param {King} king - Le roi
+   * @param {Board} board - L'échiquier
+   * @returns {number} Bonus en centipions
+   */
+  static kingShelter(king, board) {
+    const direction = king.color === 'white' ? 1 : -1;
+    const shieldRank = king.rank + direction;
+    if (shieldRank < 0 || shieldRank > 7) {
+      return 0;
+    }
+
+    let bonus = 0;
+    for (let file = king.file - 1; file <= king.file + 1; file++) {
+      if (file < 0 || file > 7) continue;
+      const piece = board.squares[shieldRank][file];
+      if (piece && piece.type === 'P' && piece.color === king.color) {
+        bonus += PAWN_SHIELD_BONUS;
+      }
+    }
+
+    return bonus;
+  }
+
+  /**
+   * Centralisation du roi, en finale
+   * @param {King} king - Le roi
+   * @returns {number} Bonus en centipions
+   */
+  static kingCentralization(king) {
+    const centerDistance = Math.max(Math.abs(king.rank - 3.5), Math.abs(king.file - 3.5));
+    return Math.round((3.5 - centerDistance) * KING_CENTRALIZATION_BONUS);
+  }
+}
+
+module.exports = Evaluator;
@@ -0,0 +1,503 @@
+const { AI_DIFFICULTY_LEVELS } = require('../../../shared/constants/chess-notation');
+const MoveGenerator = require('../moves/MoveGenerator');
+const Evaluator = require('./Evaluator');
+
+// Score d'un mat, diminué du nombre de demi-coups pour préférer le mat le plus court
+const MATE_SCORE = 100000;
+const MATE_THRESHOLD = MATE_SCORE - 1000;
+const INFINITY = MATE_SCORE + 1;
+
+// Profondeur maximale de l'approfondissement itératif
+const MAX_DEPTH = 64;
+
+// Fréquence (en nœuds) de vérification du temps écoulé
+const TIME_CHECK_INTERVAL = 1024;
+
+// Nombre maximal d'entrées de la table de transposition
+const MAX_TABLE_ENTRIES = 200000;
+
+// Type de score stocké dans la table de transposition
+const EXACT = 0;
+const LOWER_BOUND = 1;
+const UPPER_BOUND = 2;
+
+// Valeurs utilisées pour trier les captures (MVV-LVA)
+const ORDERING_VALUES = { P: 1, N: 3, B: 3, R: 5, Q: 9, K: 10 };
+
+// Marge de l'élagage delta en quiescence (centipions) : une capture qui ne
+// peut pas ramener le score au niveau d'alpha n'est pas examinée
+const DELTA_MARGIN = 200;
+
+// Paramètres par niveau : profondeur maximale, temps de réflexion (ms) et
+// amplitude du bruit ajouté aux coups racine (centipions) pour les niveaux faibles
+const DIFFICULTY_SETTINGS = {
+  [AI_DIFFICULTY_LEVELS.BEGINNER]: { maxDepth: 1, timeLimit: 250, randomness: 200 },
+  [AI_DIFFICULTY_LEVELS.EASY]: { maxDepth: 2, timeLimit: 500, randomness: 80 },
+  [AI_DIFFICULTY_LEVELS.MEDIUM]: { maxDepth: 3, timeLimit: 1000, randomness: 20 },
+  [AI_DIFFICULTY_LEVELS.HARD]: { maxDepth: 5, timeLimit: 2000, randomness: 0 },
+  [AI_DIFFICULTY_LEVELS.EXPERT]: { maxDepth: MAX_DEPTH, timeLimit: 4000, randomness: 0 }
+};
+
+/**
+ * Moteur de recherche du meilleur coup
+ * Recherche alpha-bêta (negamax) à approfondissement itératif, avec recherche
+ * de quiescence sur les captures, tri des coups (coup de la table, MVV-LVA,
+ * coups killer) et table de transposition indexée par le hachage de Zobrist
+ */
+class SearchEngine {
+  /**
+   * @param {Object} options - Options de recherche
+   * @param {number} options.maxDepth - Profondeur maximale en demi-coups
+   * @param {number} options.timeLimit - Temps de réflexion maximal en millisecondes
+   * @param {number} options.randomness - Bruit ajouté aux coups racine (centipions)
+   * @param {Function} options.onInfo - Appelée à chaque itération terminée
+   * @param {Int32Array} options.stopSignal - Drapeau partagé (SharedArrayBuffer) : 1 interrompt
+   *   la recherche depuis un autre thread
+   */
+  constructor(options = {}) {
+    this.maxDepth = Math.min(options.maxDepth || MAX_DEPTH, MAX_DEPTH);
+    this.timeLimit = options.timeLimit || 1000;
+    this.randomness = options.randomness || 0;
+    this.onInfo = options.onInfo || null;
+    this.stopSignal = options.stopSignal || null;
+
+    this.table = new Map();
+    this.killers = [];
+    this.nodes = 0;
+    this.stopped = false;
+  }
+
+  /**
+   * Crée un moteur réglé pour un niveau de difficulté
+   * @param {string} level - Niveau (beginner, easy, medium, hard, expert)
+   * @param {Object} options - Options complémentaires (onInfo...)
+   * @returns {SearchEngine} Moteur configuré
+   */
+  static fromDifficulty(level, options = {}) {
+    return new SearchEngine({ ...SearchEngine.getDifficultySettings(level), ...options });
+  }
+
+  /**
+   * Retourne les paramètres de recherche d'un niveau de difficulté
+   * @param {string} level - Niveau (beginner, easy, medium, hard, expert)
+   * @returns {Object} { maxDepth, timeLimit, randomness }
+   */
+  static getDifficultySettings(level) {
+    return { ...(DIFFICULTY_SETTINGS[level] || DIFFICULTY_SETTINGS[AI_DIFFICULTY_LEVELS.MEDIUM]) };
+  }
+
+  /**
+   * Convertit un score de mat en nombre de coups
+   * @param {number} score - Score en centipions
+   * @returns {number|null} Coups jusqu'au mat (négatif si le camp au trait est maté),
+   *   null si le score n'est pas un score de mat
+   */
+  static getMateDistance(score) {
+    if (Math.abs(score) < MATE_THRESHOLD) {
+      return null;
+    }
+
+    const plies = MATE_SCORE - Math.abs(score);
+    return score > 0 ? Math.ceil(plies / 2) : -Math.ceil(plies / 2);
+  }
+
+  /**
+   * Convertit un nombre de coups jusqu'au mat en score
+   * @param {number} moves - Coups jusqu'au mat (négatif si le camp au trait est maté)
+   * @returns {number} Score en centipions
+   */
+  static getMateScore(moves) {
+    const plies = moves > 0 ? 2 * moves - 1 : -2 * moves;
+    return moves > 0 ? MATE_SCORE - plies : -(MATE_SCORE - plies);
+  }
+
+  /**
+   * Score d'une fin de partie : gain et perte comptent comme un mat
+   * @param {Object} outcome - { winner, reason } (voir Variant.getOutcome)
+   * @param {string} color - Camp au trait
+   * @param {number} ply - Distance à la racine
+   * @returns {number} Score du point de vue du camp au trait
+   */
+  static getOutcomeScore(outcome, color, ply) {
+    if (!outcome.winner) {
+      return 0;
+    }
+    return outcome.winner === color ? MATE_SCORE - ply : -MATE_SCORE + ply;
+  }
+
+  /**
+   * Retourne les niveaux de difficulté disponibles
+   * @returns {Array} Noms des niveaux
+   */
+  static getDifficultyLevels() {
+    return Object.keys(DIFFICULTY_SETTINGS);
+  }
+
+  /**
+   * Interrompt la recherche en cours ; search() retourne le meilleur coup
+   * de la dernière itération terminée
+   */
+  stop() {
+    this.stopped = true;
+  }
+
+  /**
+   * Cherche le meilleur coup pour le camp au trait
+   * L'échiquier est exploré par makeMove/unmakeMove et retrouve son état initial
+   * @param {Board} board - L'échiquier
+   * @returns {Object} { move, score, depth, nodes, time, pv } (move null si aucun coup légal)
+   */
+  search(board) {
+    this.nodes = 0;
+    this.stopped = false;
+    this.killers = [];
+    this.startTime = Date.now();
+
+    const rootMoves = MoveGenerator.generateLegalMoves(board, board.activeColor);
+    const result = { move: rootMoves[0] || null, score: 0, depth: 0, nodes: 0, time: 0, pv: [] };
+
+    if (rootMoves.length <= 1) {
+      result.score = rootMoves.length === 1 ? Evaluator.evaluate(board) : 0;
+      return result;
+    }
+
+    for (let depth = 1; depth <= this.maxDepth; depth++) {
+      const iteration = this.searchRoot(board, rootMoves, depth);
+
+      // Une itération interrompue n'est retenue que faute de mieux : à la
+      // première profondeur, si au moins un coup racine a été évalué
+      if (this.stopped && (depth > 1 || iteration.score === -INFINITY)) {
+        break;
+      }
+
+      result.move = iteration.move;
+      result.score = iteration.score;
+      result.depth = depth;
+      result.nodes = this.nodes;
+      result.time = Date.now() - this.startTime;
+      result.pv = this.extractPrincipalVariation(board, iteration.move, depth);
+
+      if (this.onInfo) {
+        this.onInfo({ depth, score: result.score, nodes: result.nodes, time: result.time, pv: result.pv });
+      }
+
+      // Inutile de chercher plus loin quand un mat est trouvé
+      if (Math.abs(iteration.score) >= MATE_THRESHOLD || this.stopped) {
+        break;
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Recherche à la racine : le meilleur coup trouvé est remonté en tête pour
+   * l'itération suivante
+   * @param {Board} board - L'échiquier
+   * @param {Array} rootMoves - Coups légaux de la racine (réordonnés sur place)
+   * @param {number} depth - Profondeur de l'itération
+   * @returns {Object} { move, score }
+   */
+  searchRoot(board, rootMoves, depth) {
+    let alpha = -INFINITY;
+    let best = { move: rootMoves[0], score: -INFINITY, noisyScore: -INFINITY };
+
+    for (const move of rootMoves) {
+      board.makeMove(move);
+      // Avec du bruit, chaque coup doit recevoir un score exact (fenêtre complète)
+      const score = -this.negamax(board, depth - 1, -INFINITY, this.randomness > 0 ? INFINITY : -alpha, 1);
+      board.unmakeMove();
+
+      if (this.stopped) {
+        break;
+      }
+
+      const noisyScore = score + Math.random() * this.randomness;
+      if (noisyScore > best.noisyScore) {
+        best = { move, score, noisyScore };
+      }
+      alpha = Math.max(alpha, score);
+    }
+
+    if (!this.stopped) {
+      rootMoves.splice(rootMoves.indexOf(best.move), 1);
+      rootMoves.unshift(best.move);
+      this.store(board, depth, best.score, EXACT, best.move, 0);
+    }
+
+    return best;
+  }
+
+  /**
+   * Recherche alpha-bêta au format negamax
+   * @param {Board} board - L'échiquier
+   * @param {number} depth - Profondeur restante
+   * @param {number} alpha - Borne inférieure
+   * @param {number} beta - Borne supérieure
+   * @param {number} ply - Distance à la racine
+   * @returns {number} Score du point de vue du camp au trait
+   */
+  negamax(board, depth, alpha, beta, ply) {
+    if (this.shouldStop()) {
+      return 0;
+    }
+
+    if (board.halfMoveClock >= 100 || board.getRepetitionCount() >= 2) {
+      return 0;
+    }
+
+    // Fin de partie propre à la variante
+    const outcome = board.rules.getSpecialOutcome(board);
+    if (outcome) {
+      return SearchEngine.getOutcomeScore(outcome, board.activeColor, ply);
+    }
+
+    if (depth <= 0) {
+      return this.quiescence(board, alpha, beta, ply);
+    }
+
+    this.nodes++;
+    const originalAlpha = alpha;
+    const entry = this.table.get(board.hash);
+    if (entry && entry.depth >= depth) {
+      const score = SearchEngine.scoreFromTable(entry.score, ply);
+      if (entry.flag === EXACT) return score;
+      if (entry.flag === LOWER_BOUND && score >= beta) return score;
+      if (entry.flag === UPPER_BOUND && score <= alpha) return score;
+    }
+
+    const color = board.activeColor;
+    const moves = this.orderMoves(board, MoveGenerator.generatePseudoLegalMoves(board, color), entry && entry.move, ply);
+    let bestScore = -INFINITY;
+    let bestMove = null;
+    let legalMoves = 0;
+
+    for (const move of moves) {
+      board.makeMove(move);
+      if (!board.rules.isLegalPosition(board, color)) {
+        board.unmakeMove();
+        continue;
+      }
+
+      legalMoves++;
+      const score = -this.negamax(board, depth - 1, -beta, -alpha, ply + 1);
+      board.unmakeMove();
+
+      if (score > bestScore) {
+        bestScore = score;
+        bestMove = move;
+      }
+      if (score > alpha) {
+        alpha = score;
+      }
+      if (alpha >= beta) {
+        if (!move.isCapture) {
+          this.killers[ply] = move;
+        }
+        break;
+      }
+    }
+
+    // Aucun coup légal : mat ou pat (ou l'issue prévue par la variante)
+    if (legalMoves === 0) {
+      return SearchEngine.getOutcomeScore(board.rules.getNoMovesOutcome(board), color, ply);
+    }
+
+    if (!this.stopped) {
+      const flag = bestScore <= originalAlpha ? UPPER_BOUND : (bestScore >= beta ? LOWER_BOUND : EXACT);
+      this.store(board, depth, bestScore, flag, bestMove, ply);
+    }
+
+    return bestScore;
+  }
+
+  /**
+   * Recherche de quiescence : prolonge la recherche sur les captures et les
+   * promotions pour ne pas évaluer une position au milieu d'un échange
+   * @param {Board} board - L'échiquier
+   * @param {number} alpha - Borne inférieure
+   * @param {number} beta - Borne supérieure
+   * @param {number} ply - Distance à la racine
+   * @returns {number} Score du point de vue du camp au trait
+   */
+  quiescence(board, alpha, beta, ply) {
+    if (this.shouldStop()) {
+      return 0;
+    }
+
+    const outcome = board.rules.getSpecialOutcome(board);
+    if (outcome) {
+      return SearchEngine.getOutcomeScore(outcome, board.activeColor, ply);
+    }
+
+    this.nodes++;
+    const color = board.activeColor;
+    const inCheck = board.isKingInCheck(color);
+
+    // En échec, toutes les parades sont examinées ; sinon on peut s'abstenir de capturer
+    let standPat = -INFINITY;
+    if (!inCheck) {
+      standPat = Evaluator.evaluate(board);
+      if (standPat >= beta) {
+        return standPat;
+      }
+      alpha = Math.max(alpha, standPat);
+    }
+
+    const candidates = MoveGenerator.generatePseudoLegalMoves(board, color)
+      .filter(move => inCheck || move.isCapture || move.promotion);
+    const moves = this.orderMoves(board, candidates, null, ply);
+    let legalMoves = 0;
+
+    for (const move of moves) {
+      if (!inCheck && !move.promotion) {
+        const victim = move.isEnPassant ? 'P' : board.squares[move.toRank][move.toFile].type;
+        if (standPat + ORDERING_VALUES[victim] * 100 + DELTA_MARGIN < alpha) {
+          continue;
+        }
+      }
+
+      board.makeMove(move);
+      if (!board.rules.isLegalPosition(board, color)) {
+        board.unmakeMove();
+        continue;
+      }
+
+      legalMoves++;
+      const score = -this.quiescence(board, -beta, -alpha, ply + 1);
+      board.unmakeMove();
+
+      if (score >= beta) {
+        return score;
+      }
+      alpha = Math.max(alpha, score);
+    }
+
+    if (inCheck && legalMoves === 0) {
+      return SearchEngine.getOutcomeScore(board.rules.getNoMovesOutcome(board), color, ply);
+    }
+
+    return alpha;
+  }
+
+  /**
+   * Trie les coups : coup de la table de transposition, captures par
+   * victime la plus précieuse / attaquant le moins précieux, promotions,
+   * coups killer, puis coups tranquilles
+   * @param {Board} board - L'échiquier
+   * @param {Array} moves - Coups à trier
+   * @param {Object|null} hashMove - Meilleur coup mémorisé pour cette position
+   * @param {number} ply - Distance à la racine
+   * @returns {Array} Coups triés
+   */
+  orderMoves(board, moves, hashMove, ply) {
+    const killer = this.killers[ply];
+
+    const scored = moves.map(move => {
+      let score = 0;
+      if (hashMove && SearchEngine.sameMove(move, hashMove)) {
+        score = 1000000;
+      } else if (move.isCapture) {
+        const victim = move.isEnPassant ? 'P' : board.squares[move.toRank][move.toFile].type;
+        const attacker = board.squares[move.fromRank][move.fromFile].type;
+        score = 10000 + ORDERING_VALUES[victim] * 10 - ORDERING_VALUES[attacker];
+      } else if (move.promotion) {
+        score = 9000 + ORDERING_VALUES[move.promotion];
+      } else if (killer && SearchEngine.sameMove(move, killer)) {
+        score = 8000;
+      }
+      return { move, score };
+    });
+
+    scored.sort((a, b) => b.score - a.score);
+    return scored.map(entry => entry.move);
+  }
+
+  /**
+   * Enregistre un résultat dans la table de transposition
+   * Les scores de mat y sont comptés depuis la position et non depuis la racine
+   */
+  store(board, depth, score, flag, move, ply) {
+    if (this.table.size >= MAX_TABLE_ENTRIES) {
+      this.table.clear();
+    }
+    this.table.set(board.hash, { depth, score: SearchEngine.scoreToTable(score, ply), flag, move });
+  }
+
+  /**
+   * Convertit un score de mat relatif à la racine en score relatif à la position
+   */
+  static scoreToTable(score, ply) {
+    if (score >= MATE_THRESHOLD) return score + ply;
+    if (score <= -MATE_THRESHOLD) return score - ply;
+    return score;
+  }
+
+  /**
+   * Convertit un score de mat de la table en score relatif à la racine
+   */
+  static scoreFromTable(score, ply) {
+    if (score >= MATE_THRESHOLD) return score - ply;
+    if (score <= -MATE_THRESHOLD) return score + ply;
+    return score;
+  }
+
+  /**
+   * Reconstitue la variante principale depuis la table de transposition
+   * @param {Board} board - L'échiquier
+   * @param {Object} firstMove - Meilleur coup de la racine
+   * @param {number} depth - Longueur maximale
+   * @returns {Array} Coups de la variante principale
+   */
+  extractPrincipalVariation(board, firstMove, depth) {
+    const pv = [];
+    let move = firstMove;
+
+    while (move && pv.length < depth) {
+      const legalMoves = MoveGenerator.generateLegalMoves(board, board.activeColor);
+      const legalMove = legalMoves.find(candidate => SearchEngine.sameMove(candidate, move));
+      if (!legalMove) break;
+
+      pv.push(legalMove);
+      board.makeMove(legalMove);
+      const entry = this.table.get(board.hash);
+      move = entry ? entry.move : null;
+    }
+
+    pv.forEach(() => board.unmakeMove());
+    return pv;
+  }
+
+  /**
+   * Vérifie si la recherche doit s'arrêter (temps écoulé ou arrêt demandé)
+   * @returns {boolean} True si la recherche doit s'arrêter
+   */
+  shouldStop() {
+    if (!this.stopped && this.nodes % TIME_CHECK_INTERVAL === 0 &&
+        (Date.now() - this.startTime >= this.timeLimit || this.isStopRequested())) {
+      this.stopped = true;
+    }
+    return this.stopped;
+  }
+
+  /**
+   * Vérifie si un autre thread a demandé l'arrêt de la recherche
+   * @returns {boolean} True si le drapeau partagé est levé
+   */
+  isStopRequested() {
+    return this.stopSignal !== null && Atomics.load(this.stopSignal, 0) === 1;
+  }
+
+  /**
+   * Compare deux coups
+   * @returns {boolean} True si les coups sont identiques
+   */
+  static sameMove(a, b) {
+    return a.fromRank === b.fromRank && a.fromFile === b.fromFile &&
+           a.toRank === b.toRank && a.toFile === b.toFile &&
+           (a.promotion || null) === (b.promotion || null) &&
+           (a.drop || null) === (b.drop || null);
+  }
+}
+
+module.exports = SearchEngine;
@@ -0,0 +1,224 @@
+const Board = require('../board/Board');
+const MoveParser = require('../moves/MoveParser');
+const SearchEngine = require('../ai/SearchEngine');
+const VariantRegistry = require('../variants/VariantRegistry');
+const { GAME_VARIANTS, MOVE_CLASSIFICATIONS } = require('../../../shared/constants/chess-notation');
+
+// Évaluation plafonnée (centipions) : au-delà, la partie est considérée comme
+// gagnée et les écarts ne comptent plus dans la perte
+const EVALUATION_CAP = 1000;
+
+// Pertes minimales (centipions) de chaque catégorie de coup
+const INACCURACY_THRESHOLD = 50;
+const MISTAKE_THRESHOLD = 100;
+const BLUNDER_THRESHOLD = 300;
+
+/**
+ * Analyse d'une partie complète
+ * Évalue chaque position avec le moteur fourni, puis déduit de l'écart entre
+ * le coup joué et le meilleur coup la perte en centipions, la catégorie de
+ * chaque coup et la précision de chaque joueur
+ */
+class GameAnalyzer {
+  /**
+   * @param {Function} analyzePosition - (fen, { variant, chess960 }) => Promise<{ score, mate, bestMove, lines }>,
+   *   scores du point de vue des blancs (voir EngineProvider.analyzePosition)
+   */
+  constructor(analyzePosition) {
+    this.analyzePosition = analyzePosition;
+  }
+
+  /**
+   * Analyse une partie
+   * @param {Object} game - { initialFen, moves, variant } (coups en notation SAN ou UCI)
+   * @param {Function} onProgress - (current, total) appelée après chaque position évaluée
+   * @returns {Promise<Object>} { moves, accuracy, averageCentipawnLoss, inaccuracies,
+   *   mistakes, blunders, bestMove, evaluation }
+   */
+  async analyze(game, onProgress = null) {
+    const positions = GameAnalyzer.replay(game.initialFen, game.moves, game.variant);
+    const evaluations = [];
+
+    for (let i = 0; i < positions.length; i++) {
+      evaluations.push(await this.evaluatePosition(positions[i].board));
+      if (onProgress) {
+        await onProgress(i + 1, positions.length);
+      }
+    }
+
+    const moves = [];
+    for (let ply = 1; ply < positions.length; ply++) {
+      moves.push(GameAnalyzer.analyzeMove(positions[ply], evaluations[ply - 1], evaluations[ply], ply));
+    }
+
+    const final = evaluations[evaluations.length - 1];
+    return {
+      moves,
+      ...GameAnalyzer.summarize(moves),
+      bestMove: final.bestMove,
+      evaluation: final.score
+    };
+  }
+
+  /**
+   * Évalue une position ; les positions terminales (mat, pat, fins propres
+   * à la variante) ne sont pas confiées au moteur
+   * @param {Board} board - La position
+   * @returns {Promise<Object>} { score, mate, bestMove, bestLine }
+   */
+  async evaluatePosition(board) {
+    const outcome = board.rules.getOutcome(board);
+
+    if (outcome) {
+      if (!outcome.winner) {
+        return { score: 0, mate: null, bestMove: null, bestLine: [] };
+      }
+      const score = SearchEngine.getMateScore(0) * (outcome.winner === 'white' ? -1 : 1);
+      return { score, mate: 0, bestMove: null, bestLine: [] };
+    }
+
+    const analysis = await this.analyzePosition(board.toFEN(), {
+      variant: board.rules.name,
+      chess960: board.chess960
+    });
+    return {
+      score: analysis.score,
+      mate: analysis.mate,
+      bestMove: analysis.bestMove,
+      bestLine: analysis.lines && analysis.lines[0] ? analysis.lines[0].pv : []
+    };
+  }
+
+  /**
+   * Rejoue les coups de la partie
+   * @param {string|null} initialFen - Position de départ (null = standard)
+   * @param {Array} moves - Coups en notation SAN ou UCI
+   * @param {string} variant - Variante (GAME_VARIANTS), standard par défaut
+   * @returns {Array} Positions [{ board, notation, uci, color }], la première sans coup
+   */
+  static replay(initialFen, moves, variant = GAME_VARIANTS.STANDARD) {
+    const board = Board.fromFEN(initialFen || VariantRegistry.get(variant).getStartFEN(), { variant });
+    const parser = new MoveParser(board);
+    const positions = [{ board: board.clone(), notation: null, uci: null, color: null }];
+
+    for (const notation of moves) {
+      const color = board.activeColor;
+      const result = parser.parse(notation, color);
+      if (!result.isValid) {
+        throw new Error(`Coup illisible au demi-coup ${positions.length}: ${notation}`);
+      }
+
+      board.makeMove(result.move);
+      positions.push({ board: board.clone(), notation, uci: MoveParser.toUCI(result.move), color });
+    }
+
+    return positions;
+  }
+
+  /**
+   * Analyse un coup à partir des évaluations avant et après
+   * @param {Object} position - Position obtenue par le coup
+   * @param {Object} before - Évaluation de la position précédente
+   * @param {Object} after - Évaluation de la position obtenue
+   * @param {number} ply - Numéro du demi-coup (1 pour le premier coup)
+   * @returns {Object} Coup annoté
+   */
+  static analyzeMove(position, before, after, ply) {
+    const sign = position.color === 'white' ? 1 : -1;
+    const isBest = before.bestMove === position.uci;
+
+    // Perte vue du joueur qui a joué le coup
+    const centipawnLoss = isBest ? 0 : Math.max(0,
+      sign * (GameAnalyzer.cap(before.score) - GameAnalyzer.cap(after.score)));
+
+    return {
+      ply,
+      color: position.color,
+      notation: position.notation,
+      move: position.uci,
+      evaluation: after.score,
+      mate: after.mate,
+      bestMove: before.bestMove,
+      bestLine: before.bestLine,
+      centipawnLoss,
+      accuracy: GameAnalyzer.moveAccuracy(sign * before.score, sign * after.score),
+      classification: GameAnalyzer.classify(centipawnLoss, isBest)
+    };
+  }
+
+  /**
+   * Bilan par joueur : précision moyenne, perte moyenne et nombre d'erreurs
+   * @param {Array} moves - Coups annotés
+   * @returns {Object} { accuracy, averageCentipawnLoss, inaccuracies, mistakes, blunders }
+   */
+  static summarize(moves) {
+    const summary = {
+      accuracy: {},
+      averageCentipawnLoss: {},
+      inaccuracies: {},
+      mistakes: {},
+      blunders: {}
+    };
+
+    for (const color of ['white', 'black']) {
+      const playerMoves = moves.filter(move => move.color === color);
+      const count = (classification) => playerMoves.filter(move => move.classification === classification).length;
+      const average = (key) => playerMoves.length === 0 ? null :
+        Math.round(playerMoves.reduce((sum, move) => sum + move[key], 0) / playerMoves.length * 10) / 10;
+
+      summary.accuracy[color] = average('accuracy');
+      summary.averageCentipawnLoss[color] = average('centipawnLoss');
+      summary.inaccuracies[color] = count(MOVE_CLASSIFICATIONS.INACCURACY);
+      summary.mistakes[color] = count(MOVE_CLASSIFICATIONS.MISTAKE);
+      summary.blunders[color] = count(MOVE_CLASSIFICATIONS.BLUNDER);
+    }
+
+    return summary;
+  }
+
+  /**
+   * Catégorie d'un coup selon sa perte en centipions
+   * @param {number} centipawnLoss - Perte en centipions
+   * @param {boolean} isBest - Le coup joué est celui du moteur
+   * @returns {string} best, good, inaccuracy, mistake ou blunder
+   */
+  static classify(centipawnLoss, isBest) {
+    if (isBest) return MOVE_CLASSIFICATIONS.BEST;
+    if (centipawnLoss >= BLUNDER_THRESHOLD) return MOVE_CLASSIFICATIONS.BLUNDER;
+    if (centipawnLoss >= MISTAKE_THRESHOLD) return MOVE_CLASSIFICATIONS.MISTAKE;
+    if (centipawnLoss >= INACCURACY_THRESHOLD) return MOVE_CLASSIFICATIONS.INACCURACY;
+    return MOVE_CLASSIFICATIONS.GOOD;
+  }
+
+  /**
+   * Précision d'un coup (0 à 100) d'après la baisse des chances de gain
+   * @param {number} before - Score avant le coup, du point de vue du joueur
+   * @param {number} after - Score après le coup, du point de vue du joueur
+   * @returns {number} Précision du coup
+   */
+  static moveAccuracy(before, after) {
+    const drop = Math.max(0, GameAnalyzer.winPercent(before) - GameAnalyzer.winPercent(after));
+    const accuracy = 103.1668 * Math.exp(-0.04354 * drop) - 3.1669;
+    return Math.round(Math.min(100, Math.max(0, accuracy)) * 10) / 10;
+  }
+
+  /**
+   * Chances de gain (0 à 100) associées à un score
+   * @param {number} score - Score en centipions
+   * @returns {number} Pourcentage de gain
+   */
+  static winPercent(score) {
+    return 50 + 50 * (2 / (1 + Math.exp(-0.00368208 * GameAnalyzer.cap(score))) - 1);
+  }
+
+  /**
+   * Plafonne un score (les mats deviennent ±EVALUATION_CAP)
+   * @param {number} score - Score en centipions
+   * @returns {number} Score plafonné
+   */
+  static cap(score) {
+    return Math.max(-EVALUATION_CAP, Math.min(EVALUATION_CAP, score));
+  }
+}
+
+module.exports = GameAnalyzer;
@@ -0,0 +1,179 @@
+// Les cases sont indexées de 0 à 63 : index = rang * 8 + colonne (a1 = 0, h8 = 63)
+
+// Directions des pièces glissantes [rang, colonne] : 4 lignes droites puis 4 diagonales
+const DIRECTIONS = [
+  [1, 0], [-1, 0], [0, 1], [0, -1],
+  [1, 1], [1, -1], [-1, 1], [-1, -1]
+];
+const ORTHOGONAL_DIRECTIONS = [0, 1, 2, 3];
+const DIAGONAL_DIRECTIONS = [4, 5, 6, 7];
+
+const KNIGHT_OFFSETS = [
+  [2, 1], [2, -1], [-2, 1], [-2, -1],
+  [1, 2], [1, -2], [-1, 2], [-1, -2]
+];
+const KING_OFFSETS = DIRECTIONS;
+
+/**
+ * Construit pour chaque case la liste des cases atteintes par des décalages
+ * @param {Array} offsets - Décalages [rang, colonne]
+ * @returns {Array} Table [case] -> liste de cases
+ */
+const buildStepTable = (offsets) => Array.from({ length: 64 }, (_, square) => {
+  const rank = square >> 3;
+  const file = square & 7;
+  const targets = [];
+
+  for (const [rankOffset, fileOffset] of offsets) {
+    const toRank = rank + rankOffset;
+    const toFile = file + fileOffset;
+    if (toRank >= 0 && toRank < 8 && toFile >= 0 && toFile < 8) {
+      targets.push(toRank * 8 + toFile);
+    }
+  }
+
+  return targets;
+});
+
+// Cases attaquées par un cavalier, un roi ou un pion depuis chaque case
+const KNIGHT_ATTACKS = buildStepTable(KNIGHT_OFFSETS);
+const KING_ATTACKS = buildStepTable(KING_OFFSETS);
+const PAWN_ATTACKS = {
+  white: buildStepTable([[1, -1], [1, 1]]),
+  black: buildStepTable([[-1, -1], [-1, 1]])
+};
+
+// Rayons [direction][case] : cases traversées, de la plus proche à la plus lointaine
+const RAYS = DIRECTIONS.map(([rankStep, fileStep]) => Array.from({ length: 64 }, (_, square) => {
+  const ray = [];
+  let rank = (square >> 3) + rankStep;
+  let file = (square & 7) + fileStep;
+
+  while (rank >= 0 && rank < 8 && file >= 0 && file < 8) {
+    ray.push(rank * 8 + file);
+    rank += rankStep;
+    file += fileStep;
+  }
+
+  return ray;
+}));
+
+/**
+ * Tables d'attaque précalculées et détection des cases attaquées
+ * Les déplacements des cavaliers, rois et pions sont lus dans des tables ;
+ * les pièces glissantes suivent des rayons précalculés jusqu'au premier obstacle
+ * (attaques glissantes classiques)
+ * Les tables lisent directement la grille 8x8 de l'échiquier (board.squares),
+ * sans bitboards ni 0x88 : au perft, la génération et la détection des
+ * attaques pèsent peu face à makeMove/unmakeMove (mesure : npm run perft)
+ */
+class Attacks {
+  /**
+   * Index d'une case (0-63)
+   * @param {number} rank - Rang (0-7)
+   * @param {number} file - Colonne (0-7)
+   * @returns {number} Index de la case
+   */
+  static square(rank, file) {
+    return rank * 8 + file;
+  }
+
+  /**
+   * Cases attaquées par un cavalier
+   * @param {number} square - Index de la case
+   * @returns {Array} Index des cases attaquées
+   */
+  static knight(square) {
+    return KNIGHT_ATTACKS[square];
+  }
+
+  /**
+   * Cases attaquées par un roi (hors roque)
+   * @param {number} square - Index de la case
+   * @returns {Array} Index des cases attaquées
+   */
+  static king(square) {
+    return KING_ATTACKS[square];
+  }
+
+  /**
+   * Cases attaquées en diagonale par un pion
+   * @param {string} color - Couleur du pion
+   * @param {number} square - Index de la case
+   * @returns {Array} Index des cases attaquées
+   */
+  static pawn(color, square) {
+    return PAWN_ATTACKS[color][square];
+  }
+
+  /**
+   * Rayon partant d'une case dans une direction
+   * @param {number} direction - Index de direction (0-3 lignes droites, 4-7 diagonales)
+   * @param {number} square - Index de la case
+   * @returns {Array} Index des cases, de la plus proche à la plus lointaine
+   */
+  static ray(direction, square) {
+    return RAYS[direction][square];
+  }
+
+  /**
+   * Directions d'une pièce glissante
+   * @param {string} type - Type de pièce (B, R ou Q)
+   * @returns {Array} Index de directions
+   */
+  static slidingDirections(type) {
+    if (type === 'B') return DIAGONAL_DIRECTIONS;
+    if (type === 'R') return ORTHOGONAL_DIRECTIONS;
+    return ORTHOGONAL_DIRECTIONS.concat(DIAGONAL_DIRECTIONS);
+  }
+
+  /**
+   * Vérifie si une case est attaquée par une couleur
+   * On part de la case visée : un attaquant se trouve nécessairement sur une
+   * case d'où une pièce de même type atteindrait la case visée
+   * @param {Board} board - L'échiquier
+   * @param {number} rank - Rang de la case
+   * @param {number} file - Colonne de la case
+   * @param {string} attackingColor - Couleur qui attaque
+   * @returns {boolean} True si la case est attaquée
+   */
+  static isSquareAttacked(board, rank, file, attackingColor) {
+    const squares = board.squares;
+    const target = rank * 8 + file;
+    const isAttacker = (square, types) => {
+      const piece = squares[square >> 3][square & 7];
+      return piece !== null && piece.color === attackingColor && types.includes(piece.type);
+    };
+
+    // Un pion blanc attaque la case depuis les cases qu'attaquerait un pion noir placé sur elle
+    const defendingColor = attackingColor === 'white' ? 'black' : 'white';
+    if (PAWN_ATTACKS[defendingColor][target].some(square => isAttacker(square, 'P'))) {
+      return true;
+    }
+
+    if (KNIGHT_ATTACKS[target].some(square => isAttacker(square, 'N'))) {
+      return true;
+    }
+
+    if (KING_ATTACKS[target].some(square => isAttacker(square, 'K'))) {
+      return true;
+    }
+
+    for (let direction = 0; direction < 8; direction++) {
+      const sliders = direction < 4 ? 'RQ' : 'BQ';
+      for (const square of RAYS[direction][target]) {
+        const piece = squares[square >> 3][square & 7];
+        if (piece) {
+          if (piece.color === attackingColor && sliders.includes(piece.type)) {
+            return true;
+          }
+          break;
+        }
+      }
+    }
+
+    return false;
+  }
+}
+
+module.exports = Attacks;
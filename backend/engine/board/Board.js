@@ -1,11 +1,18 @@
-const { FILES, RANKS, positionToAlgebraic, algebraicToPosition } = require('../../../shared/constants/chess-notation');
+const { FILES, RANKS, CASTLING_SQUARES, GAME_VARIANTS, positionToAlgebraic, algebraicToPosition } = require('../../../shared/constants/chess-notation');
 const Piece = require('./Piece');
+const FenParser = require('./FenParser');
+const Zobrist = require('./Zobrist');
+const Attacks = require('./Attacks');
 const King = require('./pieces/King');
 const Queen = require('./pieces/Queen');
 const Rook = require('./pieces/Rook');
 const Bishop = require('./pieces/Bishop');
 const Knight = require('./pieces/Knight');
 const Pawn = require('./pieces/Pawn');
+const VariantRegistry = require('../variants/VariantRegistry');
+
+// Pièces pouvant entrer dans une réserve (crazyhouse), dans l'ordre de la FEN
+const POCKET_PIECES = ['Q', 'R', 'B', 'N', 'P'];
 
 /**
  * Classe représentant l'échiquier d'échecs
@@ -17,20 +24,53 @@ class Board {
     // Rang 0 = rang 1 (blanc), Rang 7 = rang 8 (noir)
     this.squares = Array(8).fill(null).map(() => Array(8).fill(null));
     
-    // Historique des positions pour détecter les répétitions
+    // Historique des hachages de Zobrist pour détecter les répétitions
     this.positionHistory = [];
+
+    // Pile des coups joués (informations nécessaires à unmakeMove)
+    this.moveHistory = [];
     
     // États spéciaux
     this.castlingRights = {
       white: { kingside: true, queenside: true },
       black: { kingside: true, queenside: true }
     };
+
+    // Colonnes d'origine des tours de roque (a et h sauf en échecs 960)
+    this.castlingRookFiles = {
+      white: { kingside: 7, queenside: 0 },
+      black: { kingside: 7, queenside: 0 }
+    };
+
+    // Règles de la variante jouée (Variant)
+    this.rules = VariantRegistry.get(GAME_VARIANTS.STANDARD);
+
+    // Échecs 960 : le roque se joue roi sur sa tour et la FEN suit X-FEN
+    this.chess960 = false;
     
+    this.activeColor = 'white'; // Camp au trait
     this.enPassantTarget = null; // Case cible pour en passant
     this.halfMoveClock = 0; // Compteur pour la règle des 50 coups
     this.fullMoveNumber = 1; // Numéro du coup complet
+
+    // Réserves du crazyhouse : pièces capturées, parachutables par leur nouveau camp
+    this.pockets = { white: Board.createPocket(), black: Board.createPocket() };
+
+    // Échecs donnés par chaque camp (trois échecs)
+    this.checkCounts = { white: 0, black: 0 };
+
+    // Effets durables des pouvoirs joués (voir PowerManager.createEffect)
+    this.powerEffects = [];
     
     this.initializeBoard();
+
+    // Position des rois, tenue à jour par setPiece
+    this.kingSquares = { white: null, black: null };
+    this.locateKings();
+
+    // Hachage de Zobrist de la position courante
+    this.hash = Zobrist.computeHash(this);
+    this.positionHistory.push(this.hash);
   }
 
   /**
@@ -101,16 +141,30 @@ class Board {
   setPiece(piece, rank, file) {
     if (typeof rank === 'string') {
       const pos = algebraicToPosition(rank);
-      this.squares[pos.rank][pos.file] = piece;
-      if (piece) {
-        piece.rank = pos.rank;
-        piece.file = pos.file;
+      rank = pos.rank;
+      file = pos.file;
+    }
+
+    // Tenir le hachage à jour : retirer l'ancienne pièce, ajouter la nouvelle
+    const previousPiece = this.squares[rank][file];
+    if (previousPiece) {
+      this.hash ^= Zobrist.pieceKey(previousPiece, rank, file);
+    }
+
+    this.squares[rank][file] = piece;
+    if (previousPiece && previousPiece.type === 'K' && previousPiece !== piece) {
+      const kingSquare = this.kingSquares[previousPiece.color];
+      if (kingSquare && kingSquare.rank === rank && kingSquare.file === file) {
+        this.kingSquares[previousPiece.color] = null;
       }
-    } else {
-      this.squares[rank][file] = piece;
-      if (piece) {
-        piece.rank = rank;
-        piece.file = file;
+    }
+
+    if (piece) {
+      piece.rank = rank;
+      piece.file = file;
+      this.hash ^= Zobrist.pieceKey(piece, rank, file);
+      if (piece.type === 'K') {
+        this.kingSquares[piece.color] = { rank, file };
       }
     }
   }
@@ -165,27 +219,33 @@ class Board {
    * @returns {Object|null} Position du roi {rank, file} ou null
    */
   findKing(color) {
+    const kingSquare = this.kingSquares[color];
+    return kingSquare ? { rank: kingSquare.rank, file: kingSquare.file } : null;
+  }
+
+  /**
+   * Recherche la position des rois après un remplissage direct des cases
+   * (position initiale, FEN, clonage)
+   */
+  locateKings() {
+    this.kingSquares = { white: null, black: null };
     for (let rank = 0; rank < 8; rank++) {
       for (let file = 0; file < 8; file++) {
         const piece = this.squares[rank][file];
-        if (piece && piece.type === 'K' && piece.color === color) {
-          return { rank, file };
+        if (piece && piece.type === 'K') {
+          this.kingSquares[piece.color] = { rank, file };
         }
       }
     }
-    return null;
   }
 
   /**
-   * Vérifie si un roi est en échec
+   * Vérifie si un roi est en échec, selon les règles de la variante
    * @param {string} color - Couleur du roi
    * @returns {boolean} True si le roi est en échec
    */
   isKingInCheck(color) {
-    const kingPos = this.findKing(color);
-    if (!kingPos) return false;
-
-    return this.isSquareAttacked(kingPos.rank, kingPos.file, color === 'white' ? 'black' : 'white');
+    return this.rules.isKingInCheck(this, color);
   }
 
   /**
@@ -196,85 +256,240 @@ class Board {
    * @returns {boolean} True si la case est attaquée
    */
   isSquareAttacked(rank, file, attackingColor) {
-    for (let r = 0; r < 8; r++) {
-      for (let f = 0; f < 8; f++) {
-        const piece = this.squares[r][f];
-        if (piece && piece.color === attackingColor) {
-          const moves = piece.getPossibleMoves(this);
-          if (moves.some(move => move.toRank === rank && move.toFile === file)) {
-            return true;
-          }
-        }
-      }
-    }
-    return false;
+    return Attacks.isSquareAttacked(this, rank, file, attackingColor);
   }
 
   /**
    * Exécute un mouvement sur l'échiquier
-   * @param {Object} move - Objet décrivant le mouvement
+   * @param {Object} move - Objet décrivant le mouvement, le parachutage
+   *   { drop, toRank, toFile } d'une pièce de la réserve du camp au trait, ou
+   *   l'utilisation d'un pouvoir { power, fromRank, fromFile, toRank, toFile }
+   *   validée par le PowerManager
    * @returns {Object} Informations sur le mouvement exécuté
    */
   makeMove(move) {
     const { fromRank, fromFile, toRank, toFile, promotion } = move;
     
-    const piece = this.getPiece(fromRank, fromFile);
-    const capturedPiece = this.getPiece(toRank, toFile);
-    
+    const piece = move.drop ?
+      this.createPiece(move.drop, this.activeColor, toRank, toFile) :
+      this.getPiece(fromRank, fromFile);
     if (!piece) {
       throw new Error('Aucune pièce à la position de départ');
     }
 
+    // Camp qui joue : celui de la pièce, sauf pour un pouvoir ciblant une pièce adverse
+    const color = move.power ? move.color : piece.color;
+
+    // En échecs 960, la case d'arrivée du roque porte la tour du joueur ;
+    // un pouvoir ne capture jamais
+    const castlingSide = move.drop || move.power ? null : this.getCastlingSide(move);
+    const capturedPiece = castlingSide || move.power ? null : this.getPiece(toRank, toFile);
+
     // Sauvegarder l'état pour pouvoir annuler
     const moveInfo = {
       piece,
       capturedPiece,
+      color,
       fromRank,
       fromFile,
       toRank,
       toFile,
-      castlingRights: { ...this.castlingRights },
+      castlingRights: {
+        white: { ...this.castlingRights.white },
+        black: { ...this.castlingRights.black }
+      },
       enPassantTarget: this.enPassantTarget,
-      halfMoveClock: this.halfMoveClock
+      halfMoveClock: this.halfMoveClock,
+      fullMoveNumber: this.fullMoveNumber,
+      pieceHadMoved: piece.hasMoved,
+      hash: this.hash
     };
 
-    // Déplacer la pièce
-    this.removePiece(fromRank, fromFile);
-    this.setPiece(piece, toRank, toFile);
+    // Retirer du hachage les états qui vont changer
+    this.hash ^= Zobrist.castlingKey(this.castlingRights) ^ Zobrist.enPassantKey(this);
+
+    // Déplacer la pièce (le roi et la tour pour un roque), la parachuter ou
+    // appliquer le pouvoir
+    if (move.drop) {
+      this.removeFromPocket(piece.color, piece.type);
+      this.setPiece(piece, toRank, toFile);
+      this.enPassantTarget = null;
+      moveInfo.isDrop = true;
+    } else if (move.power) {
+      // Le pouvoir est appliqué par la variante (PowerRegistry)
+      moveInfo.power = move.power.name;
+      this.enPassantTarget = null;
+    } else if (castlingSide) {
+      this.castle(piece, castlingSide, moveInfo);
+    } else {
+      this.removePiece(fromRank, fromFile);
+      this.setPiece(piece, toRank, toFile);
+    }
 
-    // Gestion des règles spéciales
-    this.handleSpecialMoves(move, moveInfo);
+    // Gestion des règles spéciales, puis de celles de la variante
+    if (!move.drop && !move.power) {
+      this.handleSpecialMoves(move, moveInfo);
+    }
+    this.rules.applyMove(this, move, moveInfo);
 
     // Mettre à jour les compteurs
-    this.updateCounters(piece, capturedPiece);
+    this.updateCounters(piece, capturedPiece, color);
+
+    // Marquer la pièce comme ayant bougé (un pouvoir marque les pièces qu'il déplace)
+    if (!move.power) {
+      piece.hasMoved = true;
+    }
+
+    // Passer le trait à l'adversaire
+    this.activeColor = color === 'white' ? 'black' : 'white';
+
+    // Ajouter les nouveaux états au hachage et l'enregistrer dans l'historique
+    this.hash ^= Zobrist.castlingKey(this.castlingRights) ^ Zobrist.enPassantKey(this);
+    this.hash ^= Zobrist.sideToMoveKey();
+    this.positionHistory.push(this.hash);
+    this.moveHistory.push(moveInfo);
+
+    return moveInfo;
+  }
+
+  /**
+   * Annule le dernier coup joué avec makeMove
+   * Restaure la pièce (le pion en cas de promotion), la pièce capturée (y compris
+   * en passant), la tour du roque ou les pièces déplacées par un pouvoir, les
+   * droits de roque, la case en passant, les compteurs et le hachage
+   * @returns {Object} Informations du coup annulé
+   * @throws {Error} Si aucun coup n'est à annuler
+   */
+  unmakeMove() {
+    const moveInfo = this.moveHistory.pop();
+    if (!moveInfo) {
+      throw new Error('Aucun coup à annuler');
+    }
+
+    const { piece, capturedPiece, fromRank, fromFile, toRank, toFile } = moveInfo;
+
+    // Effets propres à la variante
+    this.rules.undoMove(this, moveInfo);
+
+    // Vider la case d'arrivée (qui contient la pièce promue le cas échéant),
+    // ou remettre la tour du roque à sa place ; une pièce parachutée retourne
+    // dans la réserve
+    if (moveInfo.isDrop) {
+      this.setPiece(null, toRank, toFile);
+      this.addToPocket(piece.color, piece.type);
+    } else if (moveInfo.power) {
+      piece.hasMoved = moveInfo.pieceHadMoved;
+    } else {
+      if (moveInfo.isCastling) {
+        this.setPiece(null, fromRank, moveInfo.kingToFile);
+        const rook = this.removePiece(fromRank, moveInfo.rookMove.toFile);
+        this.setPiece(rook, fromRank, moveInfo.rookMove.fromFile);
+        rook.hasMoved = moveInfo.rookHadMoved;
+      } else {
+        this.setPiece(null, toRank, toFile);
+      }
+
+      this.setPiece(piece, fromRank, fromFile);
+      piece.hasMoved = moveInfo.pieceHadMoved;
+    }
+
+    // Replacer la pièce capturée (le pion pris en passant est à côté de la case d'arrivée)
+    if (capturedPiece) {
+      if (moveInfo.isEnPassant) {
+        this.setPiece(capturedPiece, fromRank, toFile);
+      } else {
+        this.setPiece(capturedPiece, toRank, toFile);
+      }
+    }
 
-    // Marquer la pièce comme ayant bougé
-    piece.hasMoved = true;
+    // Restaurer les états
+    this.castlingRights = moveInfo.castlingRights;
+    this.enPassantTarget = moveInfo.enPassantTarget;
+    this.halfMoveClock = moveInfo.halfMoveClock;
+    this.fullMoveNumber = moveInfo.fullMoveNumber;
+    this.activeColor = moveInfo.color;
+    this.hash = moveInfo.hash;
+    this.positionHistory.pop();
 
     return moveInfo;
   }
 
   /**
-   * Gère les mouvements spéciaux (roque, en passant, promotion)
+   * Identifie un roque
+   * En échecs classiques, le roi se déplace de deux cases ; en échecs 960, il
+   * est joué sur la case de sa tour de roque
+   * @param {Object} move - Le mouvement { fromRank, fromFile, toRank, toFile }
+   * @returns {string|null} 'kingside', 'queenside' ou null si ce n'est pas un roque
+   */
+  getCastlingSide(move) {
+    const { fromRank, fromFile, toRank, toFile } = move;
+    const piece = this.squares[fromRank][fromFile];
+    if (!piece || piece.type !== 'K' || toRank !== fromRank || toFile === fromFile) {
+      return null;
+    }
+
+    const side = toFile > fromFile ? 'kingside' : 'queenside';
+    if (!this.chess960) {
+      return Math.abs(toFile - fromFile) === 2 ? side : null;
+    }
+
+    const target = this.squares[toRank][toFile];
+    const isCastlingRook = target && target.type === 'R' && target.color === piece.color &&
+      this.castlingRookFiles[piece.color][side] === toFile;
+    return isCastlingRook ? side : null;
+  }
+
+  /**
+   * Coordonnées du roque d'une couleur, sans vérification de légalité
+   * @param {string} color - Couleur du joueur
+   * @param {string} side - 'kingside' ou 'queenside'
+   * @returns {Object|null} { fromRank, fromFile, toRank, toFile } ou null sans roi
+   */
+  getCastlingMove(color, side) {
+    const king = this.findKing(color);
+    if (!king) {
+      return null;
+    }
+
+    const toFile = this.chess960 ?
+      this.castlingRookFiles[color][side] :
+      king.file + (side === 'kingside' ? 2 : -2);
+    return { fromRank: king.rank, fromFile: king.file, toRank: king.rank, toFile };
+  }
+
+  /**
+   * Joue le roque : le roi et la tour quittent leurs cases avant d'être
+   * replacés, leurs trajets pouvant se croiser en échecs 960
+   * @param {King} king - Le roi
+   * @param {string} side - 'kingside' ou 'queenside'
+   * @param {Object} moveInfo - Informations sur le mouvement
+   */
+  castle(king, side, moveInfo) {
+    const rank = moveInfo.fromRank;
+    const rookFromFile = this.castlingRookFiles[king.color][side];
+    const { king: kingToFile, rook: rookToFile } = CASTLING_SQUARES[side];
+
+    this.removePiece(rank, moveInfo.fromFile);
+    const rook = this.removePiece(rank, rookFromFile);
+    this.setPiece(king, rank, kingToFile);
+    this.setPiece(rook, rank, rookToFile);
+
+    moveInfo.rookHadMoved = rook.hasMoved;
+    rook.hasMoved = true;
+
+    moveInfo.isCastling = true;
+    moveInfo.kingToFile = kingToFile;
+    moveInfo.rookMove = { fromFile: rookFromFile, toFile: rookToFile };
+  }
+
+  /**
+   * Gère les mouvements spéciaux (en passant, promotion) et les droits qui en découlent
    * @param {Object} move - Le mouvement
    * @param {Object} moveInfo - Informations sur le mouvement
    */
   handleSpecialMoves(move, moveInfo) {
     const { piece, fromRank, fromFile, toRank, toFile } = moveInfo;
 
-    // Roque
-    if (piece.type === 'K' && Math.abs(toFile - fromFile) === 2) {
-      const isKingside = toFile > fromFile;
-      const rookFromFile = isKingside ? 7 : 0;
-      const rookToFile = isKingside ? 5 : 3;
-      
-      const rook = this.removePiece(fromRank, rookFromFile);
-      this.setPiece(rook, fromRank, rookToFile);
-      
-      moveInfo.isCastling = true;
-      moveInfo.rookMove = { fromFile: rookFromFile, toFile: rookToFile };
-    }
-
     // En passant
     if (piece.type === 'P' && toFile !== fromFile && !moveInfo.capturedPiece) {
       const capturedPawn = this.removePiece(fromRank, toFile);
@@ -286,6 +501,7 @@ class Board {
     if (piece.type === 'P' && (toRank === 0 || toRank === 7)) {
       const promotionType = move.promotion || 'Q';
       const promotedPiece = this.createPiece(promotionType, piece.color, toRank, toFile);
+      promotedPiece.promoted = true;
       this.setPiece(promotedPiece, toRank, toFile);
       moveInfo.isPromotion = true;
       moveInfo.promotionPiece = promotedPiece;
@@ -308,21 +524,22 @@ class Board {
       this.castlingRights[piece.color].queenside = false;
     }
 
-    // Si une tour bouge
-    if (piece.type === 'R') {
-      if (fromFile === 0) {
+    // Si une tour de roque bouge
+    const rookFiles = this.castlingRookFiles[piece.color];
+    if (piece.type === 'R' && fromRank === (piece.color === 'white' ? 0 : 7)) {
+      if (fromFile === rookFiles.queenside) {
         this.castlingRights[piece.color].queenside = false;
-      } else if (fromFile === 7) {
+      } else if (fromFile === rookFiles.kingside) {
         this.castlingRights[piece.color].kingside = false;
       }
     }
 
-    // Si une tour est capturée
+    // Si une tour de roque est capturée
     if (toRank === 0 || toRank === 7) {
       const color = toRank === 0 ? 'white' : 'black';
-      if (toFile === 0) {
+      if (toFile === this.castlingRookFiles[color].queenside) {
         this.castlingRights[color].queenside = false;
-      } else if (toFile === 7) {
+      } else if (toFile === this.castlingRookFiles[color].kingside) {
         this.castlingRights[color].kingside = false;
       }
     }
@@ -342,15 +559,18 @@ class Board {
 
   /**
    * Met à jour les compteurs de coups
+   * @param {Piece} piece - Pièce jouée
+   * @param {Piece} capturedPiece - Pièce capturée
+   * @param {string} color - Camp qui a joué
    */
-  updateCounters(piece, capturedPiece) {
+  updateCounters(piece, capturedPiece, color) {
     if (piece.type === 'P' || capturedPiece) {
       this.halfMoveClock = 0;
     } else {
       this.halfMoveClock++;
     }
 
-    if (piece.color === 'black') {
+    if (color === 'black') {
       this.fullMoveNumber++;
     }
   }
@@ -375,11 +595,91 @@ class Board {
     }
   }
 
+  /**
+   * Crée une réserve vide
+   * @returns {Object} Nombre de pièces par type { Q, R, B, N, P }
+   */
+  static createPocket() {
+    return Object.fromEntries(POCKET_PIECES.map(type => [type, 0]));
+  }
+
+  /**
+   * Ajoute une pièce à la réserve d'une couleur
+   * @param {string} color - Couleur de la réserve
+   * @param {string} type - Type de pièce (Q, R, B, N, P)
+   */
+  addToPocket(color, type) {
+    const count = this.pockets[color][type];
+    this.hash ^= Zobrist.pocketKey(color, type, count) ^ Zobrist.pocketKey(color, type, count + 1);
+    this.pockets[color][type] = count + 1;
+  }
+
+  /**
+   * Retire une pièce de la réserve d'une couleur
+   * @param {string} color - Couleur de la réserve
+   * @param {string} type - Type de pièce (Q, R, B, N, P)
+   * @throws {Error} Si la réserve ne contient pas cette pièce
+   */
+  removeFromPocket(color, type) {
+    const count = this.pockets[color][type];
+    if (!count) {
+      throw new Error(`Aucune pièce ${type} dans la réserve`);
+    }
+    this.hash ^= Zobrist.pocketKey(color, type, count) ^ Zobrist.pocketKey(color, type, count - 1);
+    this.pockets[color][type] = count - 1;
+  }
+
+  /**
+   * Modifie le nombre d'échecs donnés par un camp (trois échecs)
+   * @param {string} color - Couleur du camp
+   * @param {number} count - Nouveau nombre d'échecs donnés
+   */
+  setCheckCount(color, count) {
+    this.hash ^= Zobrist.checkKey(color, this.checkCounts[color]) ^ Zobrist.checkKey(color, count);
+    this.checkCounts[color] = count;
+  }
+
+  /**
+   * Retourne la clé de la position courante (hachage de Zobrist en hexadécimal)
+   * @returns {string} Clé de position
+   */
+  getPositionKey() {
+    return Zobrist.toHex(this.hash);
+  }
+
+  /**
+   * Compte les occurrences de la position courante dans l'historique
+   * Seules les positions depuis le dernier coup irréversible (capture, coup de
+   * pion) peuvent se répéter : on ne remonte que halfMoveClock demi-coups
+   * @returns {number} Nombre d'occurrences (1 si la position est nouvelle)
+   */
+  getRepetitionCount() {
+    const history = this.positionHistory;
+    const lastIndex = history.length - 1;
+    const firstIndex = Math.max(0, lastIndex - this.halfMoveClock);
+    let count = 0;
+
+    // Même camp au trait : un demi-coup sur deux
+    for (let i = lastIndex; i >= firstIndex; i -= 2) {
+      if (history[i] === this.hash) {
+        count++;
+      }
+    }
+
+    return count;
+  }
+
   /**
    * Génère la notation FEN de la position actuelle
+   * En échecs 960, les droits de roque suivent X-FEN, ou Shredder-FEN sur demande
+   * En crazyhouse, les pièces promues sont suivies de ~ et les réserves
+   * ajoutées entre crochets après le placement (ex: .../RNBQKBNR[Nq]) ; en
+   * trois échecs, les échecs donnés par chaque camp suivent les compteurs (+2+1)
+   * @param {Object} options - Options
+   * @param {boolean} options.shredder - Droits de roque en colonnes de tours (HAha)
    * @returns {string} Notation FEN
    */
-  toFEN() {
+  toFEN(options = {}) {
     let fen = '';
     
     // Position des pièces
@@ -393,6 +693,9 @@ class Board {
             emptyCount = 0;
           }
           fen += piece.color === 'white' ? piece.type : piece.type.toLowerCase();
+          if (piece.promoted && this.rules.hasPockets) {
+            fen += '~';
+          }
         } else {
           emptyCount++;
         }
@@ -405,34 +708,271 @@ class Board {
       }
     }
 
-    // TODO: Ajouter les autres parties de la notation FEN
-    // (tour actuel, droits de roque, en passant, compteurs)
-    
+    if (this.rules.hasPockets) {
+      fen += `[${this.getPocketFEN()}]`;
+    }
+
+    // Trait, droits de roque, en passant et compteurs
+    fen += ` ${this.activeColor === 'white' ? 'w' : 'b'}`;
+    fen += ` ${this.getCastlingFEN(options)}`;
+    fen += ` ${this.enPassantTarget || '-'}`;
+    fen += ` ${this.halfMoveClock} ${this.fullMoveNumber}`;
+
+    if (this.rules.countsChecks) {
+      fen += ` +${this.checkCounts.white}+${this.checkCounts.black}`;
+    }
+
     return fen;
   }
 
   /**
-   * Clone l'échiquier pour les simulations
+   * Retourne le contenu des réserves en FEN, blancs puis noirs (ex: 'QNPqp')
+   * @returns {string} Pièces des réserves, chaîne vide si elles sont vides
+   */
+  getPocketFEN() {
+    let pocket = '';
+    for (const color of ['white', 'black']) {
+      for (const type of POCKET_PIECES) {
+        const letter = color === 'white' ? type : type.toLowerCase();
+        pocket += letter.repeat(this.pockets[color][type]);
+      }
+    }
+    return pocket;
+  }
+
+  /**
+   * Retourne le champ FEN des droits de roque (ex: 'KQkq', 'HAha' ou '-')
+   * En X-FEN, K et Q désignent la tour la plus extérieure de chaque côté ;
+   * une autre tour de roque est désignée par sa colonne
+   * @param {Object} options - Options
+   * @param {boolean} options.shredder - Toujours désigner les tours par leur colonne
+   * @returns {string} Droits de roque
+   */
+  getCastlingFEN(options = {}) {
+    let castling = '';
+
+    for (const color of ['white', 'black']) {
+      for (const side of ['kingside', 'queenside']) {
+        if (!this.castlingRights[color][side]) continue;
+
+        const rookFile = this.castlingRookFiles[color][side];
+        const letter = options.shredder || !this.isOutermostRook(color, side) ?
+          FILES[rookFile] :
+          (side === 'kingside' ? 'k' : 'q');
+        castling += color === 'white' ? letter.toUpperCase() : letter;
+      }
+    }
+
+    return castling || '-';
+  }
+
+  /**
+   * Vérifie qu'aucune autre tour ne se trouve entre la tour de roque et le bord
+   * @param {string} color - Couleur du joueur
+   * @param {string} side - 'kingside' ou 'queenside'
+   * @returns {boolean} True si la tour de roque est la plus extérieure de son côté
+   */
+  isOutermostRook(color, side) {
+    const rank = color === 'white' ? 0 : 7;
+    const rookFile = this.castlingRookFiles[color][side];
+    const step = side === 'kingside' ? 1 : -1;
+
+    for (let file = rookFile + step; file >= 0 && file < 8; file += step) {
+      const piece = this.squares[rank][file];
+      if (piece && piece.type === 'R' && piece.color === color) {
+        return false;
+      }
+    }
+    return true;
+  }
+
+  /**
+   * Charge une position depuis une chaîne FEN (classique, X-FEN ou Shredder-FEN,
+   * avec réserves en crazyhouse et échecs donnés en trois échecs)
+   * @param {string} fen - Chaîne FEN (6 champs, ou 4 sans les compteurs)
+   * @param {Object} options - Options
+   * @param {string} options.variant - Variante (GAME_VARIANTS), règles conservées sinon
+   * @param {boolean} options.chess960 - Règles de roque des échecs 960, déduites
+   *   des droits de roque si le roi ou les tours ne sont pas sur leurs cases classiques
+   * @throws {Error} Si la FEN est invalide ou décrit une position illégale
+   */
+  loadFEN(fen, options = {}) {
+    if (options.variant) {
+      this.rules = VariantRegistry.get(options.variant);
+    }
+
+    const parsed = FenParser.parse(fen, this.rules);
+    if (!parsed.isValid) {
+      throw new Error(parsed.message);
+    }
+
+    const { position } = parsed;
+
+    for (let rank = 0; rank < 8; rank++) {
+      for (let file = 0; file < 8; file++) {
+        const description = position.squares[rank][file];
+        this.squares[rank][file] = description ?
+          this.createPiece(description.type, description.color, rank, file) :
+          null;
+        if (description && description.promoted) {
+          this.squares[rank][file].promoted = true;
+        }
+      }
+    }
+
+    this.pockets = {
+      white: { ...Board.createPocket(), ...position.pockets.white },
+      black: { ...Board.createPocket(), ...position.pockets.black }
+    };
+    this.checkCounts = position.checkCounts;
+    this.powerEffects = [];
+
+    this.activeColor = position.activeColor;
+    this.castlingRights = position.castlingRights;
+    this.castlingRookFiles = position.castlingRookFiles;
+    this.chess960 = this.rules.chess960 || !!options.chess960 || position.chess960;
+    this.enPassantTarget = position.enPassantTarget;
+    this.halfMoveClock = position.halfMoveClock;
+    this.fullMoveNumber = position.fullMoveNumber;
+
+    this.restoreHasMovedFlags();
+    this.locateKings();
+
+    this.hash = Zobrist.computeHash(this);
+    this.positionHistory = [this.hash];
+
+    // Le camp qui n'a pas le trait ne peut pas être en échec
+    const opponentColor = this.activeColor === 'white' ? 'black' : 'white';
+    if (!this.rules.isLegalPosition(this, opponentColor)) {
+      throw new Error('FEN invalide: le camp qui n\'a pas le trait est en échec');
+    }
+  }
+
+  /**
+   * Déduit l'indicateur hasMoved des pièces d'une position chargée
+   * Les pions hors de leur rangée de départ ont bougé ; le roi et les tours
+   * n'ont pas bougé tant qu'un droit de roque les concerne
+   */
+  restoreHasMovedFlags() {
+    for (let rank = 0; rank < 8; rank++) {
+      for (let file = 0; file < 8; file++) {
+        const piece = this.squares[rank][file];
+        if (!piece) continue;
+
+        const rights = this.castlingRights[piece.color];
+        if (piece.type === 'P') {
+          piece.hasMoved = !this.rules.getPawnStartRanks(piece.color).includes(rank);
+        } else if (piece.type === 'K') {
+          piece.hasMoved = !rights.kingside && !rights.queenside;
+        } else if (piece.type === 'R') {
+          const rookFiles = this.castlingRookFiles[piece.color];
+          piece.hasMoved = !((file === rookFiles.kingside && rights.kingside) ||
+            (file === rookFiles.queenside && rights.queenside));
+        }
+      }
+    }
+  }
+
+  /**
+   * Crée un échiquier à partir d'une chaîne FEN
+   * @param {string} fen - Chaîne FEN
+   * @param {Object} options - Options de loadFEN ({ variant, chess960 })
+   * @returns {Board} Nouvel échiquier
+   * @throws {Error} Si la FEN est invalide
+   */
+  static fromFEN(fen, options = {}) {
+    const board = new Board();
+    board.loadFEN(fen, options);
+    return board;
+  }
+
+  /**
+   * Valide une chaîne FEN sans lever d'exception
+   * @param {string} fen - Chaîne FEN
+   * @param {Object} options - Options de loadFEN ({ variant, chess960 })
+   * @returns {Object} Résultat de validation { isValid, reason, message }
+   */
+  static validateFEN(fen, options = {}) {
+    try {
+      Board.fromFEN(fen, options);
+      return { isValid: true };
+    } catch (error) {
+      return {
+        isValid: false,
+        reason: 'INVALID_FEN',
+        message: error.message
+      };
+    }
+  }
+
+  /**
+   * Clone l'échiquier pour les simulations, avec l'historique des coups (qui
+   * restent annulables sur la copie) et les effets des pouvoirs
    * @returns {Board} Copie de l'échiquier
    */
   clone() {
     const cloned = new Board();
     
-    // Copier l'échiquier
+    // Copier l'échiquier, cases vides comprises (new Board() part de la position initiale)
     for (let rank = 0; rank < 8; rank++) {
       for (let file = 0; file < 8; file++) {
         const piece = this.squares[rank][file];
-        if (piece) {
-          cloned.squares[rank][file] = piece.clone();
-        }
+        cloned.squares[rank][file] = piece ? piece.clone() : null;
       }
     }
 
     // Copier les états
     cloned.castlingRights = JSON.parse(JSON.stringify(this.castlingRights));
+    cloned.castlingRookFiles = JSON.parse(JSON.stringify(this.castlingRookFiles));
+    cloned.rules = this.rules;
+    cloned.chess960 = this.chess960;
+    cloned.activeColor = this.activeColor;
     cloned.enPassantTarget = this.enPassantTarget;
     cloned.halfMoveClock = this.halfMoveClock;
     cloned.fullMoveNumber = this.fullMoveNumber;
+    cloned.pockets = JSON.parse(JSON.stringify(this.pockets));
+    cloned.checkCounts = { ...this.checkCounts };
+    cloned.hash = this.hash;
+    cloned.positionHistory = [...this.positionHistory];
+    cloned.locateKings();
+
+    // L'historique et les effets désignent les pièces de la copie : une pièce
+    // encore sur l'échiquier par sa copie, une pièce retirée (prise, promue)
+    // par une copie propre à l'échiquier cloné
+    const copies = new Map();
+    for (let rank = 0; rank < 8; rank++) {
+      for (let file = 0; file < 8; file++) {
+        if (this.squares[rank][file]) {
+          copies.set(this.squares[rank][file], cloned.squares[rank][file]);
+        }
+      }
+    }
+    const copyPiece = (piece) => {
+      if (piece && !copies.has(piece)) {
+        copies.set(piece, piece.clone());
+      }
+      return piece ? copies.get(piece) : piece;
+    };
+
+    cloned.moveHistory = this.moveHistory.map(moveInfo => ({
+      ...moveInfo,
+      piece: copyPiece(moveInfo.piece),
+      capturedPiece: copyPiece(moveInfo.capturedPiece),
+      castlingRights: JSON.parse(JSON.stringify(moveInfo.castlingRights)),
+      ...(moveInfo.promotionPiece && { promotionPiece: copyPiece(moveInfo.promotionPiece) }),
+      ...(moveInfo.exchangedPiece && { exchangedPiece: copyPiece(moveInfo.exchangedPiece) }),
+      ...(moveInfo.explosion && {
+        explosion: {
+          ...moveInfo.explosion,
+          pieces: moveInfo.explosion.pieces.map(entry => ({ ...entry, piece: copyPiece(entry.piece) }))
+        }
+      })
+    }));
+    cloned.powerEffects = this.powerEffects.map(effect => ({
+      ...effect,
+      piece: copyPiece(effect.piece),
+      plies: [...effect.plies]
+    }));
 
     return cloned;
   }
@@ -0,0 +1,374 @@
+const { FILES, algebraicToPosition, isValidAlgebraic } = require('../../../shared/constants/chess-notation');
+
+// Lettres FEN autorisées pour les pièces (majuscules = blancs)
+const FEN_PIECES = ['K', 'Q', 'R', 'B', 'N', 'P'];
+
+// Pièces pouvant figurer dans une réserve (crazyhouse)
+const POCKET_PIECES = ['Q', 'R', 'B', 'N', 'P'];
+
+/**
+ * Analyseur de la notation FEN (Forsyth-Edwards Notation)
+ * Transforme une chaîne FEN en description de position et vérifie sa cohérence
+ * (rois, pions, droits de roque, case en passant, compteurs)
+ */
+class FenParser {
+  /**
+   * Analyse et valide une chaîne FEN
+   * Les deux compteurs sont optionnels et valent "0 1" par défaut
+   * Pour les variantes à réserves (crazyhouse), le placement peut être suivi
+   * des réserves entre crochets ou en neuvième rangée, et une pièce promue
+   * marquée d'un ~ (ex: rnbQ~kbnr/.../RNBQKBNR[Pp]) ; pour celles qui comptent
+   * les échecs (trois échecs), un dernier champ optionnel donne les échecs
+   * donnés par les blancs et les noirs (ex: ... 0 1 +2+1)
+   * @param {string} fen - Chaîne FEN
+   * @param {Variant} rules - Règles de la variante (rois attendus, rangées de départ des pions)
+   * @returns {Object} { isValid, position } ou { isValid, reason, message }
+   */
+  static parse(fen, rules) {
+    if (typeof fen !== 'string' || fen.trim().length === 0) {
+      return FenParser.invalid('FEN vide ou non textuelle');
+    }
+
+    const fields = fen.trim().split(/\s+/);
+    const checkField = rules.countsChecks && fields[fields.length - 1].startsWith('+') ? fields.pop() : null;
+    const checks = FenParser.parseCheckCounts(checkField);
+    if (!checks.isValid) {
+      return checks;
+    }
+
+    if (fields.length !== 4 && fields.length !== 6) {
+      return FenParser.invalid(`Nombre de champs incorrect (${fields.length}, 6 attendus)`);
+    }
+
+    const [placementField, activeField, castlingField, enPassantField, halfMoveField = '0', fullMoveField = '1'] = fields;
+
+    const placement = FenParser.parsePlacement(placementField, rules);
+    if (!placement.isValid) {
+      return placement;
+    }
+
+    if (activeField !== 'w' && activeField !== 'b') {
+      return FenParser.invalid(`Trait invalide: "${activeField}" (w ou b attendu)`);
+    }
+    const activeColor = activeField === 'w' ? 'white' : 'black';
+
+    // Un roi détruit termine la partie : seul le camp au trait, qui vient de
+    // perdre le sien, peut en être privé
+    if (rules.kingCanBeDestroyed) {
+      const missing = ['white', 'black'].filter(color => placement.kings[color] === 0);
+      if (missing.length > 1 || (missing.length === 1 && missing[0] !== activeColor)) {
+        return FenParser.invalid(`Roi ${missing[missing.length - 1] === 'white' ? 'blanc' : 'noir'} manquant`);
+      }
+    }
+
+    if (!rules.royalKing && castlingField !== '-') {
+      return FenParser.invalid(`Roque interdit dans cette variante: "${castlingField}"`);
+    }
+    const castling = FenParser.parseCastling(castlingField, placement.squares);
+    if (!castling.isValid) {
+      return castling;
+    }
+
+    const enPassant = FenParser.parseEnPassant(enPassantField, placement.squares, activeColor, rules);
+    if (!enPassant.isValid) {
+      return enPassant;
+    }
+
+    if (!/^\d+$/.test(halfMoveField)) {
+      return FenParser.invalid(`Compteur de demi-coups invalide: "${halfMoveField}"`);
+    }
+    if (!/^\d+$/.test(fullMoveField) || parseInt(fullMoveField, 10) < 1) {
+      return FenParser.invalid(`Numéro de coup invalide: "${fullMoveField}"`);
+    }
+
+    return {
+      isValid: true,
+      position: {
+        squares: placement.squares,
+        pockets: placement.pockets,
+        checkCounts: checks.checkCounts,
+        activeColor,
+        castlingRights: castling.castlingRights,
+        castlingRookFiles: castling.castlingRookFiles,
+        chess960: castling.chess960,
+        enPassantTarget: enPassant.enPassantTarget,
+        halfMoveClock: parseInt(halfMoveField, 10),
+        fullMoveNumber: parseInt(fullMoveField, 10)
+      }
+    };
+  }
+
+  /**
+   * Analyse le placement des pièces
+   * @param {string} field - Premier champ FEN
+   * @param {Variant} rules - Règles de la variante
+   * @returns {Object} { isValid, squares, pockets, kings } avec squares[rang][colonne] =
+   *   { type, color, promoted } ou null, et kings[couleur] = nombre de rois
+   */
+  static parsePlacement(field, rules) {
+    let board = field;
+    let pocketField = '';
+    if (rules.hasPockets) {
+      const bracketed = /^(.*)\[([^\]]*)\]$/.exec(field);
+      const fieldRows = field.split('/');
+      if (bracketed) {
+        [, board, pocketField] = bracketed;
+      } else if (fieldRows.length === 9) {
+        board = fieldRows.slice(0, 8).join('/');
+        pocketField = fieldRows[8];
+      }
+    }
+
+    const pockets = FenParser.parsePockets(pocketField);
+    if (!pockets.isValid) {
+      return pockets;
+    }
+
+    const rows = board.split('/');
+    if (rows.length !== 8) {
+      return FenParser.invalid(`Le placement doit contenir 8 rangées (${rows.length} trouvées)`);
+    }
+
+    const squares = Array(8).fill(null).map(() => Array(8).fill(null));
+    const kings = { white: 0, black: 0 };
+
+    for (let i = 0; i < 8; i++) {
+      // La première rangée FEN correspond au rang 8
+      const rank = 7 - i;
+      let file = 0;
+
+      for (const char of rows[i]) {
+        if (/[1-8]/.test(char)) {
+          file += parseInt(char, 10);
+          continue;
+        }
+
+        // Pièce promue (crazyhouse) : le ~ suit la lettre de la pièce
+        const previous = file > 0 ? squares[rank][file - 1] : null;
+        if (char === '~' && rules.hasPockets && previous && !previous.promoted &&
+            !['K', 'P'].includes(previous.type)) {
+          previous.promoted = true;
+          continue;
+        }
+
+        const type = char.toUpperCase();
+        if (!FEN_PIECES.includes(type)) {
+          return FenParser.invalid(`Caractère de pièce inconnu: "${char}"`);
+        }
+        if (file > 7) {
+          return FenParser.invalid(`La rangée ${rank + 1} contient plus de 8 cases`);
+        }
+
+        const color = char === type ? 'white' : 'black';
+        if (type === 'P' && (rank === 0 || rank === 7) && !rules.getPawnStartRanks(color).includes(rank)) {
+          return FenParser.invalid(`Pion sur la rangée ${rank + 1} (${FILES[file]}${rank + 1})`);
+        }
+        if (type === 'K') {
+          kings[color]++;
+        }
+
+        squares[rank][file] = { type, color };
+        file++;
+      }
+
+      if (file !== 8) {
+        return FenParser.invalid(`La rangée ${rank + 1} contient ${file} cases au lieu de 8`);
+      }
+    }
+
+    // Sans roi royal (antichess), le roi est une pièce comme une autre : aucun
+    // nombre imposé
+    for (const color of rules.royalKing ? ['white', 'black'] : []) {
+      const label = color === 'white' ? 'blanc' : 'noir';
+      if (!rules.hasKing(color)) {
+        if (kings[color] > 0) {
+          return FenParser.invalid(`Roi ${label} interdit dans cette variante`);
+        }
+        continue;
+      }
+
+      // Roi détruit : vérifié avec le trait (voir parse)
+      if (kings[color] === 0 && rules.kingCanBeDestroyed) {
+        continue;
+      }
+
+      if (kings[color] !== 1) {
+        return FenParser.invalid(kings[color] === 0 ?
+          `Roi ${label} manquant` :
+          `Plusieurs rois ${label}s (${kings[color]})`);
+      }
+    }
+
+    return { isValid: true, squares, pockets: pockets.pockets, kings };
+  }
+
+  /**
+   * Analyse les réserves du crazyhouse (ex: 'QNPqp', majuscules = blancs)
+   * @param {string} field - Pièces des réserves
+   * @returns {Object} { isValid, pockets } avec pockets[couleur][type] = nombre
+   */
+  static parsePockets(field) {
+    const pockets = { white: {}, black: {} };
+
+    for (const char of field) {
+      const type = char.toUpperCase();
+      if (!POCKET_PIECES.includes(type)) {
+        return FenParser.invalid(`Pièce de réserve invalide: "${char}"`);
+      }
+
+      const color = char === type ? 'white' : 'black';
+      pockets[color][type] = (pockets[color][type] || 0) + 1;
+    }
+
+    return { isValid: true, pockets };
+  }
+
+  /**
+   * Analyse les échecs donnés en trois échecs (ex: '+2+1', blancs puis noirs)
+   * @param {string|null} field - Champ des échecs donnés, null s'il est absent
+   * @returns {Object} { isValid, checkCounts } avec checkCounts[couleur] = nombre
+   */
+  static parseCheckCounts(field) {
+    if (field === null) {
+      return { isValid: true, checkCounts: { white: 0, black: 0 } };
+    }
+
+    const match = /^\+([0-3])\+([0-3])$/.exec(field);
+    if (!match) {
+      return FenParser.invalid(`Échecs donnés invalides: "${field}" (+blancs+noirs, de 0 à 3)`);
+    }
+
+    return {
+      isValid: true,
+      checkCounts: { white: parseInt(match[1], 10), black: parseInt(match[2], 10) }
+    };
+  }
+
+  /**
+   * Analyse les droits de roque et vérifie qu'ils correspondent au placement
+   * Accepte la notation classique (KQkq), X-FEN (K et Q désignent la tour la
+   * plus extérieure de chaque côté du roi) et Shredder-FEN (colonne de la
+   * tour : HAha) ; un roi hors de la colonne e ou une tour hors des colonnes
+   * a et h signale une position d'échecs 960
+   * @param {string} field - Troisième champ FEN
+   * @param {Array} squares - Placement analysé
+   * @returns {Object} { isValid, castlingRights, castlingRookFiles, chess960 }
+   */
+  static parseCastling(field, squares) {
+    const castlingRights = {
+      white: { kingside: false, queenside: false },
+      black: { kingside: false, queenside: false }
+    };
+    const castlingRookFiles = {
+      white: { kingside: 7, queenside: 0 },
+      black: { kingside: 7, queenside: 0 }
+    };
+    let chess960 = false;
+
+    if (field === '-') {
+      return { isValid: true, castlingRights, castlingRookFiles, chess960 };
+    }
+
+    if (!/^[KQkqA-Ha-h]{1,4}$/.test(field) || new Set(field).size !== field.length) {
+      return FenParser.invalid(`Droits de roque invalides: "${field}"`);
+    }
+
+    for (const char of field) {
+      const color = char === char.toUpperCase() ? 'white' : 'black';
+      const backRank = color === 'white' ? 0 : 7;
+      const isRook = (file) => {
+        const piece = squares[backRank][file];
+        return piece && piece.type === 'R' && piece.color === color;
+      };
+
+      const kingFile = squares[backRank].findIndex(piece => piece && piece.type === 'K' && piece.color === color);
+      if (kingFile === -1) {
+        return FenParser.invalid(`Droit de roque "${char}" impossible: le roi n'est pas sur sa rangée d'origine`);
+      }
+
+      let side;
+      let rookFile;
+      if (char.toUpperCase() === 'K' || char.toUpperCase() === 'Q') {
+        // Tour la plus extérieure du côté indiqué
+        side = char.toUpperCase() === 'K' ? 'kingside' : 'queenside';
+        const files = side === 'kingside' ? [7, 6, 5, 4, 3, 2, 1] : [0, 1, 2, 3, 4, 5, 6];
+        rookFile = files.find(file => (side === 'kingside' ? file > kingFile : file < kingFile) && isRook(file));
+        if (rookFile === undefined) {
+          return FenParser.invalid(`Droit de roque "${char}" impossible: aucune tour ${side === 'kingside' ? 'côté roi' : 'côté dame'}`);
+        }
+      } else {
+        rookFile = FILES.indexOf(char.toLowerCase());
+        side = rookFile > kingFile ? 'kingside' : 'queenside';
+        if (rookFile === kingFile || !isRook(rookFile)) {
+          return FenParser.invalid(`Droit de roque "${char}" impossible: aucune tour en ${FILES[rookFile]}${backRank + 1}`);
+        }
+      }
+
+      if (castlingRights[color][side]) {
+        return FenParser.invalid(`Droits de roque invalides: "${field}" (deux droits du même côté)`);
+      }
+
+      castlingRights[color][side] = true;
+      castlingRookFiles[color][side] = rookFile;
+      if (kingFile !== 4 || rookFile !== (side === 'kingside' ? 7 : 0)) {
+        chess960 = true;
+      }
+    }
+
+    return { isValid: true, castlingRights, castlingRookFiles, chess960 };
+  }
+
+  /**
+   * Analyse la case en passant et vérifie qu'un pion vient bien d'avancer de deux cases
+   * @param {string} field - Quatrième champ FEN
+   * @param {Array} squares - Placement analysé
+   * @param {string} activeColor - Camp au trait
+   * @param {Variant} rules - Règles de la variante (rangées de départ des pions)
+   * @returns {Object} { isValid, enPassantTarget }
+   */
+  static parseEnPassant(field, squares, activeColor, rules) {
+    if (field === '-') {
+      return { isValid: true, enPassantTarget: null };
+    }
+
+    if (!isValidAlgebraic(field)) {
+      return FenParser.invalid(`Case en passant invalide: "${field}"`);
+    }
+
+    const { rank, file } = algebraicToPosition(field);
+    // Le pion adverse vient d'avancer depuis une rangée de départ : la case
+    // cible est derrière lui
+    const movedColor = activeColor === 'white' ? 'black' : 'white';
+    const direction = movedColor === 'white' ? 1 : -1;
+    const originRank = rules.getPawnStartRanks(movedColor)
+      .find(startRank => startRank + direction === rank);
+    const pawnRank = rank + direction;
+
+    if (originRank === undefined) {
+      return FenParser.invalid(`Case en passant ${field} incompatible avec le trait`);
+    }
+
+    const pawn = squares[pawnRank][file];
+    if (!pawn || pawn.type !== 'P' || pawn.color !== movedColor ||
+        squares[rank][file] || squares[originRank][file]) {
+      return FenParser.invalid(`Case en passant ${field} sans double pas de pion correspondant`);
+    }
+
+    return { isValid: true, enPassantTarget: field };
+  }
+
+  /**
+   * Construit un résultat d'erreur
+   * @param {string} message - Description de l'erreur
+   * @returns {Object} Résultat invalide
+   */
+  static invalid(message) {
+    return {
+      isValid: false,
+      reason: 'INVALID_FEN',
+      message: `FEN invalide: ${message}`
+    };
+  }
+}
+
+module.exports = FenParser;
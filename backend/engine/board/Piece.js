@@ -1,4 +1,5 @@
 const { positionToAlgebraic } = require('../../../shared/constants/chess-notation');
+const MoveGenerator = require('../moves/MoveGenerator');
 
 /**
  * Classe abstraite de base pour toutes les pièces d'échecs
@@ -21,6 +22,7 @@ class Piece {
     this.rank = rank;
     this.file = file;
     this.hasMoved = false;
+    this.promoted = false; // Issue d'une promotion : redevient un pion une fois capturée (crazyhouse)
     this.value = this.getPieceValue();
   }
 
@@ -83,28 +85,37 @@ class Piece {
 
   /**
    * Retourne tous les mouvements possibles pour cette pièce
+   * Façade du MoveGenerator : les coups pseudo-légaux sont lus dans les tables
+   * d'attaque puis complétés des pièces concernées
    * @param {Board} board - État de l'échiquier
    * @returns {Array} Liste des mouvements possibles
    */
   getPossibleMoves(board) {
-    const moves = [];
-    
-    for (let rank = 0; rank < 8; rank++) {
-      for (let file = 0; file < 8; file++) {
-        if (this.canMoveTo(rank, file, board)) {
-          moves.push({
-            fromRank: this.rank,
-            fromFile: this.file,
-            toRank: rank,
-            toFile: file,
-            piece: this,
-            capturedPiece: board.getPiece(rank, file)
-          });
-        }
+    return MoveGenerator.generatePieceMoves(board, this).map(move => {
+      const possibleMove = {
+        fromRank: move.fromRank,
+        fromFile: move.fromFile,
+        toRank: move.toRank,
+        toFile: move.toFile,
+        piece: this,
+        capturedPiece: move.isEnPassant ?
+          board.getPiece(move.fromRank, move.toFile) :
+          board.getPiece(move.toRank, move.toFile)
+      };
+
+      if (move.promotion) {
+        possibleMove.isPromotion = true;
+        possibleMove.promotionPiece = move.promotion;
+      }
+      if (move.isDoubleStep) possibleMove.isDoubleStep = true;
+      if (move.isEnPassant) possibleMove.isEnPassant = true;
+      if (move.isCastling) {
+        possibleMove.isCastling = true;
+        possibleMove.isKingside = move.isKingside;
       }
-    }
 
-    return moves;
+      return possibleMove;
+    });
   }
 
   /**
@@ -184,6 +195,7 @@ class Piece {
     const ClonedClass = this.constructor;
     const cloned = new ClonedClass(this.color, this.rank, this.file);
     cloned.hasMoved = this.hasMoved;
+    cloned.promoted = this.promoted;
     return cloned;
   }
 
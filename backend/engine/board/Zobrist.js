@@ -0,0 +1,191 @@
+const { algebraicToPosition } = require('../../../shared/constants/chess-notation');
+
+// Ordre des pièces dans la table des clés
+const PIECE_INDEX = { P: 0, N: 1, B: 2, R: 3, Q: 4, K: 5 };
+const MASK_64 = (1n << 64n) - 1n;
+
+/**
+ * Générateur pseudo-aléatoire 64 bits (xorshift64*) à graine fixe
+ * Les clés doivent être identiques d'un démarrage à l'autre pour que les
+ * hachages persistés en base restent comparables
+ * @param {bigint} seed - Graine non nulle
+ * @returns {Function} Fonction retournant un entier 64 bits
+ */
+const createRandom64 = (seed) => {
+  let state = seed;
+  return () => {
+    state ^= state >> 12n;
+    state ^= (state << 25n) & MASK_64;
+    state ^= state >> 27n;
+    return (state * 0x2545F4914F6CDD1Dn) & MASK_64;
+  };
+};
+
+const random64 = createRandom64(0x41584368657373n); // "AXChess"
+
+// Clés [couleur][type][case 0-63]
+const PIECE_KEYS = {
+  white: Array.from({ length: 6 }, () => Array.from({ length: 64 }, random64)),
+  black: Array.from({ length: 6 }, () => Array.from({ length: 64 }, random64))
+};
+
+const CASTLING_KEYS = {
+  white: { kingside: random64(), queenside: random64() },
+  black: { kingside: random64(), queenside: random64() }
+};
+
+const EN_PASSANT_KEYS = Array.from({ length: 8 }, random64);
+const SIDE_TO_MOVE_KEY = random64();
+
+// Clés des réserves du crazyhouse [couleur][type][nombre 1-16], tirées après
+// les autres pour ne pas modifier les hachages déjà persistés
+const MAX_POCKET_COUNT = 16;
+const POCKET_KEYS = {
+  white: Array.from({ length: 5 }, () => Array.from({ length: MAX_POCKET_COUNT + 1 }, random64)),
+  black: Array.from({ length: 5 }, () => Array.from({ length: MAX_POCKET_COUNT + 1 }, random64))
+};
+
+// Clés des échecs donnés en trois échecs [couleur][nombre 1-3]
+const MAX_CHECK_COUNT = 3;
+const CHECK_KEYS = {
+  white: Array.from({ length: MAX_CHECK_COUNT + 1 }, random64),
+  black: Array.from({ length: MAX_CHECK_COUNT + 1 }, random64)
+};
+
+/**
+ * Hachage de Zobrist des positions
+ * Chaque élément de la position (pièce sur une case, droits de roque, colonne
+ * en passant, trait, réserves du crazyhouse, échecs donnés en trois échecs)
+ * possède une clé 64 bits ; le hachage est le XOR des clés présentes et se
+ * met à jour de manière incrémentale à chaque coup
+ */
+class Zobrist {
+  /**
+   * Clé d'une pièce sur une case
+   * @param {Piece} piece - La pièce
+   * @param {number} rank - Rang (0-7)
+   * @param {number} file - Colonne (0-7)
+   * @returns {bigint} Clé Zobrist
+   */
+  static pieceKey(piece, rank, file) {
+    return PIECE_KEYS[piece.color][PIECE_INDEX[piece.type]][rank * 8 + file];
+  }
+
+  /**
+   * Clé combinée des droits de roque
+   * @param {Object} castlingRights - Droits de roque de l'échiquier
+   * @returns {bigint} Clé Zobrist
+   */
+  static castlingKey(castlingRights) {
+    let key = 0n;
+    for (const color of ['white', 'black']) {
+      if (castlingRights[color].kingside) key ^= CASTLING_KEYS[color].kingside;
+      if (castlingRights[color].queenside) key ^= CASTLING_KEYS[color].queenside;
+    }
+    return key;
+  }
+
+  /**
+   * Clé de la case en passant
+   * Elle n'est prise en compte que si un pion adverse peut réellement capturer,
+   * sinon deux positions identiques pour les règles de répétition auraient
+   * des hachages différents
+   * @param {Board} board - L'échiquier
+   * @returns {bigint} Clé Zobrist (0n si aucune prise en passant possible)
+   */
+  static enPassantKey(board) {
+    if (!board.enPassantTarget) {
+      return 0n;
+    }
+
+    const { rank, file } = algebraicToPosition(board.enPassantTarget);
+    // Les capteurs sont au trait, sur la rangée du pion qui vient d'avancer
+    // (pas nécessairement la 4e ou la 5e : pions de première rangée de la horde)
+    const capturingColor = board.activeColor;
+    const pawnRank = capturingColor === 'white' ? rank - 1 : rank + 1;
+
+    for (const captureFile of [file - 1, file + 1]) {
+      if (captureFile < 0 || captureFile > 7) continue;
+      const piece = board.squares[pawnRank][captureFile];
+      if (piece && piece.type === 'P' && piece.color === capturingColor) {
+        return EN_PASSANT_KEYS[file];
+      }
+    }
+
+    return 0n;
+  }
+
+  /**
+   * Clé du nombre de pièces d'un type dans une réserve (crazyhouse)
+   * @param {string} color - Couleur de la réserve
+   * @param {string} type - Type de pièce (P, N, B, R, Q)
+   * @param {number} count - Nombre de pièces
+   * @returns {bigint} Clé Zobrist (0n pour une réserve vide)
+   */
+  static pocketKey(color, type, count) {
+    return count > 0 ? POCKET_KEYS[color][PIECE_INDEX[type]][Math.min(count, MAX_POCKET_COUNT)] : 0n;
+  }
+
+  /**
+   * Clé du nombre d'échecs donnés par un camp (trois échecs)
+   * @param {string} color - Couleur du camp
+   * @param {number} count - Nombre d'échecs donnés
+   * @returns {bigint} Clé Zobrist (0n sans échec donné)
+   */
+  static checkKey(color, count) {
+    return count > 0 ? CHECK_KEYS[color][Math.min(count, MAX_CHECK_COUNT)] : 0n;
+  }
+
+  /**
+   * Clé du trait aux noirs
+   * @returns {bigint} Clé Zobrist
+   */
+  static sideToMoveKey() {
+    return SIDE_TO_MOVE_KEY;
+  }
+
+  /**
+   * Calcule le hachage complet d'une position
+   * @param {Board} board - L'échiquier
+   * @returns {bigint} Hachage de la position
+   */
+  static computeHash(board) {
+    let hash = 0n;
+
+    for (let rank = 0; rank < 8; rank++) {
+      for (let file = 0; file < 8; file++) {
+        const piece = board.squares[rank][file];
+        if (piece) {
+          hash ^= Zobrist.pieceKey(piece, rank, file);
+        }
+      }
+    }
+
+    hash ^= Zobrist.castlingKey(board.castlingRights);
+    hash ^= Zobrist.enPassantKey(board);
+
+    for (const color of ['white', 'black']) {
+      for (const [type, count] of Object.entries(board.pockets[color])) {
+        hash ^= Zobrist.pocketKey(color, type, count);
+      }
+      hash ^= Zobrist.checkKey(color, board.checkCounts[color]);
+    }
+
+    if (board.activeColor === 'black') {
+      hash ^= SIDE_TO_MOVE_KEY;
+    }
+
+    return hash;
+  }
+
+  /**
+   * Représentation hexadécimale d'un hachage (16 caractères)
+   * @param {bigint} hash - Hachage
+   * @returns {string} Clé textuelle, utilisable en base ou comme clé de cache
+   */
+  static toHex(hash) {
+    return hash.toString(16).padStart(16, '0');
+  }
+}
+
+module.exports = Zobrist;
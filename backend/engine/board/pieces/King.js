@@ -1,4 +1,5 @@
 const Piece = require('../Piece');
+const MoveGenerator = require('../../moves/MoveGenerator');
 
 /**
  * Classe représentant le Roi (King)
@@ -18,141 +19,56 @@ class King extends Piece {
    * @returns {boolean} True si le mouvement est valide
    */
   isValidMove(toRank, toFile, board) {
-    const distance = this.getDistance(toRank, toFile);
-    
-    // Mouvement normal du roi (1 case dans toutes les directions)
-    if (distance.total === 1) {
-      return true;
-    }
-    
-    // Roque (mouvement de 2 cases horizontalement)
-    if (distance.rank === 0 && distance.file === 2) {
-      return this.canCastle(toFile > this.file, board);
+    // Roque (deux cases en échecs classiques, roi sur sa tour en échecs 960)
+    const castlingSide = board.getCastlingSide({ fromRank: this.rank, fromFile: this.file, toRank, toFile });
+    if (castlingSide) {
+      return this.canCastle(castlingSide === 'kingside', board);
     }
-    
-    return false;
+
+    // Mouvement normal du roi (1 case dans toutes les directions)
+    return this.getDistance(toRank, toFile).total === 1;
   }
 
   /**
-   * Vérifie si le roque est possible
-   * @param {boolean} isKingside - True pour petit roque, false pour grand roque
+   * Vérifie si le roi peut se déplacer vers une position
+   * En échecs 960, le roque se joue sur la case occupée par la tour
+   * @param {number} toRank - Rang de destination
+   * @param {number} toFile - Colonne de destination
    * @param {Board} board - État de l'échiquier
-   * @returns {boolean} True si le roque est possible
+   * @returns {boolean} True si le mouvement est possible
    */
-  canCastle(isKingside, board) {
-    // Le roi ne doit pas avoir bougé
-    if (this.hasMoved) {
-      return false;
-    }
-
-    // Le roi ne doit pas être en échec
-    if (board.isKingInCheck(this.color)) {
-      return false;
-    }
-
-    // Vérifier les droits de roque
-    const castlingRights = board.castlingRights[this.color];
-    if (isKingside && !castlingRights.kingside) {
-      return false;
-    }
-    if (!isKingside && !castlingRights.queenside) {
-      return false;
-    }
-
-    // Position de la tour
-    const rookFile = isKingside ? 7 : 0;
-    const rook = board.getPiece(this.rank, rookFile);
-    
-    // La tour doit exister et ne pas avoir bougé
-    if (!rook || rook.type !== 'R' || rook.color !== this.color || rook.hasMoved) {
-      return false;
-    }
-
-    // Vérifier que le chemin est libre
-    const startFile = Math.min(this.file, rookFile) + 1;
-    const endFile = Math.max(this.file, rookFile) - 1;
-    
-    for (let file = startFile; file <= endFile; file++) {
-      if (!board.isEmpty(this.rank, file)) {
-        return false;
-      }
+  canMoveTo(toRank, toFile, board) {
+    if (board.isValidPosition(toRank, toFile) &&
+        board.getCastlingSide({ fromRank: this.rank, fromFile: this.file, toRank, toFile })) {
+      return this.isValidMove(toRank, toFile, board);
     }
 
-    // Vérifier que le roi ne passe pas par une case attaquée
-    const direction = isKingside ? 1 : -1;
-    for (let i = 1; i <= 2; i++) {
-      const checkFile = this.file + (i * direction);
-      if (board.isSquareAttacked(this.rank, checkFile, this.color === 'white' ? 'black' : 'white')) {
-        return false;
-      }
-    }
+    return super.canMoveTo(toRank, toFile, board);
+  }
 
-    return true;
+  /**
+   * Vérifie si le roi attaque une case donnée
+   * Le roque n'étant jamais une attaque, seules les cases adjacentes comptent
+   * @param {number} rank - Rang de la case
+   * @param {number} file - Colonne de la case
+   * @returns {boolean} True si le roi attaque cette case
+   */
+  attacks(rank, file) {
+    return this.getDistance(rank, file).total === 1;
   }
 
   /**
-   * Retourne tous les mouvements possibles du roi
+   * Vérifie si le roque est possible
+   * @param {boolean} isKingside - True pour petit roque, false pour grand roque
    * @param {Board} board - État de l'échiquier
-   * @returns {Array} Liste des mouvements possibles
+   * @returns {boolean} True si le roque est possible
    */
-  getPossibleMoves(board) {
-    const moves = [];
-
-    // Mouvements normaux (8 directions)
-    const directions = [
-      [-1, -1], [-1, 0], [-1, 1],
-      [0, -1],           [0, 1],
-      [1, -1],  [1, 0],  [1, 1]
-    ];
-
-    for (const [rankOffset, fileOffset] of directions) {
-      const toRank = this.rank + rankOffset;
-      const toFile = this.file + fileOffset;
-
-      if (this.canMoveTo(toRank, toFile, board)) {
-        moves.push({
-          fromRank: this.rank,
-          fromFile: this.file,
-          toRank,
-          toFile,
-          piece: this,
-          capturedPiece: board.getPiece(toRank, toFile)
-        });
-      }
-    }
-
-    // Roques
-    if (!this.hasMoved && !board.isKingInCheck(this.color)) {
-      // Petit roque
-      if (this.canCastle(true, board)) {
-        moves.push({
-          fromRank: this.rank,
-          fromFile: this.file,
-          toRank: this.rank,
-          toFile: this.file + 2,
-          piece: this,
-          capturedPiece: null,
-          isCastling: true,
-          isKingside: true
-        });
-      }
-
-      // Grand roque
-      if (this.canCastle(false, board)) {
-        moves.push({
-          fromRank: this.rank,
-          fromFile: this.file,
-          toRank: this.rank,
-          toFile: this.file - 2,
-          piece: this,
-          capturedPiece: null,
-          isCastling: true,
-          isKingside: false
-        });
-      }
+  canCastle(isKingside, board) {
+    if (this.hasMoved) {
+      return false;
     }
 
-    return moves;
+    return MoveGenerator.canCastle(board, this.color, isKingside ? 'kingside' : 'queenside');
   }
 
   /**
@@ -211,20 +127,8 @@ class King extends Piece {
       return false;
     }
 
-    // Vérifier s'il existe au moins un mouvement légal pour toutes les pièces
-    for (let rank = 0; rank < 8; rank++) {
-      for (let file = 0; file < 8; file++) {
-        const piece = board.getPiece(rank, file);
-        if (piece && piece.color === this.color) {
-          const legalMoves = piece.getLegalMoves ? piece.getLegalMoves(board) : piece.getPossibleMoves(board);
-          if (legalMoves.length > 0) {
-            return false;
-          }
-        }
-      }
-    }
-
-    return true;
+    // Aucune pièce ne doit disposer d'un coup légal
+    return !MoveGenerator.hasLegalMove(board, this.color);
   }
 
   /**
@@ -239,19 +143,7 @@ class King extends Piece {
     }
 
     // Aucun mouvement légal ne doit être disponible
-    for (let rank = 0; rank < 8; rank++) {
-      for (let file = 0; file < 8; file++) {
-        const piece = board.getPiece(rank, file);
-        if (piece && piece.color === this.color) {
-          const legalMoves = piece.getLegalMoves ? piece.getLegalMoves(board) : piece.getPossibleMoves(board);
-          if (legalMoves.length > 0) {
-            return false;
-          }
-        }
-      }
-    }
-
-    return true;
+    return !MoveGenerator.hasLegalMove(board, this.color);
   }
 }
 
@@ -25,47 +25,6 @@ class Knight extends Piece {
     return (rankDiff === 2 && fileDiff === 1) || (rankDiff === 1 && fileDiff === 2);
   }
 
-  /**
-   * Retourne tous les mouvements possibles du cavalier
-   * @param {Board} board - État de l'échiquier
-   * @returns {Array} Liste des mouvements possibles
-   */
-  getPossibleMoves(board) {
-    const moves = [];
-
-    // Tous les mouvements possibles en L (8 directions)
-    const knightMoves = [
-      [-2, -1], [-2, 1], // 2 rangs vers le haut
-      [-1, -2], [-1, 2], // 1 rang vers le haut
-      [1, -2],  [1, 2],  // 1 rang vers le bas
-      [2, -1],  [2, 1]   // 2 rangs vers le bas
-    ];
-
-    for (const [rankOffset, fileOffset] of knightMoves) {
-      const toRank = this.rank + rankOffset;
-      const toFile = this.file + fileOffset;
-
-      // Vérifier si la position est valide
-      if (board.isValidPosition(toRank, toFile)) {
-        const targetPiece = board.getPiece(toRank, toFile);
-
-        // Case vide ou pièce adverse : mouvement possible
-        if (!targetPiece || targetPiece.color !== this.color) {
-          moves.push({
-            fromRank: this.rank,
-            fromFile: this.file,
-            toRank,
-            toFile,
-            piece: this,
-            capturedPiece: targetPiece
-          });
-        }
-      }
-    }
-
-    return moves;
-  }
-
   /**
    * Vérifie si le cavalier attaque une case donnée
    * @param {number} rank - Rang de la case
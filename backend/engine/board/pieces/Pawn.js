@@ -34,8 +34,9 @@ class Pawn extends Piece {
       return board.isEmpty(toRank, toFile);
     }
 
-    // Mouvement de deux cases depuis la position de départ
-    if (rankDiff === 2 * this.direction && fileDiff === 0 && !this.hasMoved) {
+    // Mouvement de deux cases depuis une rangée de départ (la première aussi en horde)
+    if (rankDiff === 2 * this.direction && fileDiff === 0 &&
+        board.rules.getPawnStartRanks(this.color).includes(this.rank)) {
       return board.isEmpty(this.rank + this.direction, this.file) && 
              board.isEmpty(toRank, toFile);
     }
@@ -91,113 +92,6 @@ class Pawn extends Piece {
     return toRank === this.promotionRank;
   }
 
-  /**
-   * Retourne tous les mouvements possibles du pion
-   * @param {Board} board - État de l'échiquier
-   * @returns {Array} Liste des mouvements possibles
-   */
-  getPossibleMoves(board) {
-    const moves = [];
-
-    // Mouvement d'une case vers l'avant
-    const oneStepRank = this.rank + this.direction;
-    if (board.isValidPosition(oneStepRank, this.file) && board.isEmpty(oneStepRank, this.file)) {
-      if (this.canPromote(oneStepRank)) {
-        // Ajouter toutes les options de promotion
-        for (const promotionPiece of ['Q', 'R', 'B', 'N']) {
-          moves.push({
-            fromRank: this.rank,
-            fromFile: this.file,
-            toRank: oneStepRank,
-            toFile: this.file,
-            piece: this,
-            capturedPiece: null,
-            isPromotion: true,
-            promotionPiece
-          });
-        }
-      } else {
-        moves.push({
-          fromRank: this.rank,
-          fromFile: this.file,
-          toRank: oneStepRank,
-          toFile: this.file,
-          piece: this,
-          capturedPiece: null
-        });
-      }
-
-      // Mouvement de deux cases depuis la position de départ
-      const twoStepRank = this.rank + 2 * this.direction;
-      if (!this.hasMoved && 
-          board.isValidPosition(twoStepRank, this.file) && 
-          board.isEmpty(twoStepRank, this.file)) {
-        moves.push({
-          fromRank: this.rank,
-          fromFile: this.file,
-          toRank: twoStepRank,
-          toFile: this.file,
-          piece: this,
-          capturedPiece: null,
-          isDoubleStep: true
-        });
-      }
-    }
-
-    // Captures en diagonale
-    for (const fileOffset of [-1, 1]) {
-      const captureFile = this.file + fileOffset;
-      const captureRank = this.rank + this.direction;
-
-      if (board.isValidPosition(captureRank, captureFile)) {
-        const targetPiece = board.getPiece(captureRank, captureFile);
-        
-        // Capture normale
-        if (targetPiece && targetPiece.color !== this.color) {
-          if (this.canPromote(captureRank)) {
-            // Promotion avec capture
-            for (const promotionPiece of ['Q', 'R', 'B', 'N']) {
-              moves.push({
-                fromRank: this.rank,
-                fromFile: this.file,
-                toRank: captureRank,
-                toFile: captureFile,
-                piece: this,
-                capturedPiece: targetPiece,
-                isPromotion: true,
-                promotionPiece
-              });
-            }
-          } else {
-            moves.push({
-              fromRank: this.rank,
-              fromFile: this.file,
-              toRank: captureRank,
-              toFile: captureFile,
-              piece: this,
-              capturedPiece: targetPiece
-            });
-          }
-        }
-        // Capture en passant
-        else if (this.canCaptureEnPassant(captureRank, captureFile, board)) {
-          const capturedPawn = board.getPiece(this.rank, captureFile);
-          moves.push({
-            fromRank: this.rank,
-            fromFile: this.file,
-            toRank: captureRank,
-            toFile: captureFile,
-            piece: this,
-            capturedPiece: capturedPawn,
-            isEnPassant: true
-          });
-        }
-      }
-    }
-
-    return moves;
-  }
-
   /**
    * Vérifie si le pion attaque une case donnée
    * Utilisé pour déterminer si le roi adverse est en échec
@@ -268,7 +162,7 @@ class Pawn extends Piece {
   isPassedPawn(board) {
     const opponentColor = this.color === 'white' ? 'black' : 'white';
     const checkRanks = this.color === 'white' ? 
-      Array.from({length: 8 - this.rank}, (_, i) => this.rank + i + 1) :
+      Array.from({length: 7 - this.rank}, (_, i) => this.rank + i + 1) :
       Array.from({length: this.rank}, (_, i) => this.rank - i - 1);
     
     // Vérifier les colonnes adjacentes et la colonne actuelle
@@ -29,67 +29,6 @@ class Queen extends Piece {
     return this.isPathClear(toRank, toFile, board);
   }
 
-  /**
-   * Retourne tous les mouvements possibles de la dame
-   * @param {Board} board - État de l'échiquier
-   * @returns {Array} Liste des mouvements possibles
-   */
-  getPossibleMoves(board) {
-    const moves = [];
-
-    // Directions : horizontale, verticale et diagonales (8 directions)
-    const directions = [
-      [-1, -1], [-1, 0], [-1, 1],  // Nord-Ouest, Nord, Nord-Est
-      [0, -1],           [0, 1],   // Ouest, Est
-      [1, -1],  [1, 0],  [1, 1]    // Sud-Ouest, Sud, Sud-Est
-    ];
-
-    for (const [rankDirection, fileDirection] of directions) {
-      // Explorer dans chaque direction jusqu'à rencontrer un obstacle
-      for (let distance = 1; distance < 8; distance++) {
-        const toRank = this.rank + (rankDirection * distance);
-        const toFile = this.file + (fileDirection * distance);
-
-        // Vérifier si la position est valide
-        if (!board.isValidPosition(toRank, toFile)) {
-          break;
-        }
-
-        const targetPiece = board.getPiece(toRank, toFile);
-
-        // Case vide : mouvement possible, continuer dans cette direction
-        if (!targetPiece) {
-          moves.push({
-            fromRank: this.rank,
-            fromFile: this.file,
-            toRank,
-            toFile,
-            piece: this,
-            capturedPiece: null
-          });
-        }
-        // Pièce adverse : capture possible, arrêter dans cette direction
-        else if (targetPiece.color !== this.color) {
-          moves.push({
-            fromRank: this.rank,
-            fromFile: this.file,
-            toRank,
-            toFile,
-            piece: this,
-            capturedPiece: targetPiece
-          });
-          break;
-        }
-        // Pièce alliée : arrêter dans cette direction
-        else {
-          break;
-        }
-      }
-    }
-
-    return moves;
-  }
-
   /**
    * Vérifie si la dame attaque une case donnée
    * @param {number} rank - Rang de la case
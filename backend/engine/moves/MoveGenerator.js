@@ -0,0 +1,309 @@
+const { CASTLING_SQUARES, algebraicToPosition } = require('../../../shared/constants/chess-notation');
+const Attacks = require('../board/Attacks');
+
+/**
+ * Générateur de coups rapide basé sur les tables d'attaque précalculées
+ * Produit des coups légers { fromRank, fromFile, toRank, toFile, promotion, ... }
+ * sans notation ni drapeaux d'échec : c'est la base de la recherche, du perft
+ * et des vérifications de mat et de pat. Le MoveValidator enrichit ces coups
+ * lorsqu'ils doivent être présentés aux joueurs
+ */
+class MoveGenerator {
+  /**
+   * Génère les coups pseudo-légaux d'une couleur (le roi peut rester en échec)
+   * selon les règles de la variante de l'échiquier
+   * @param {Board} board - L'échiquier
+   * @param {string} color - Couleur du joueur
+   * @returns {Array} Liste des coups
+   */
+  static generatePseudoLegalMoves(board, color) {
+    return board.rules.generateMoves(board, color);
+  }
+
+  /**
+   * Génère les coups légaux d'une couleur
+   * Chaque coup pseudo-légal est joué puis annulé pour vérifier que le roi
+   * n'est pas laissé en échec
+   * @param {Board} board - L'échiquier
+   * @param {string} color - Couleur du joueur
+   * @returns {Array} Liste des coups légaux
+   */
+  static generateLegalMoves(board, color) {
+    return MoveGenerator.generatePseudoLegalMoves(board, color)
+      .filter(move => MoveGenerator.isLegal(board, move, color));
+  }
+
+  /**
+   * Génère les coups pseudo-légaux d'une pièce depuis sa position (rank, file)
+   * selon les règles de la variante de l'échiquier
+   * @param {Board} board - L'échiquier
+   * @param {Piece} piece - La pièce
+   * @returns {Array} Liste des coups
+   */
+  static generatePieceMoves(board, piece) {
+    const moves = [];
+    board.rules.addPieceMoves(board, piece, moves);
+    return moves;
+  }
+
+  /**
+   * Vérifie si une couleur dispose d'au moins un coup légal
+   * S'arrête au premier coup trouvé (détection rapide du mat et du pat)
+   * @param {Board} board - L'échiquier
+   * @param {string} color - Couleur du joueur
+   * @returns {boolean} True si un coup légal existe
+   */
+  static hasLegalMove(board, color) {
+    return MoveGenerator.generatePseudoLegalMoves(board, color)
+      .some(move => MoveGenerator.isLegal(board, move, color));
+  }
+
+  /**
+   * Vérifie qu'un coup pseudo-légal respecte les règles de la variante
+   * (par défaut : ne laisse pas le roi en échec)
+   * @param {Board} board - L'échiquier
+   * @param {Object} move - Le coup
+   * @param {string} color - Couleur du joueur
+   * @returns {boolean} True si le coup est légal
+   */
+  static isLegal(board, move, color) {
+    board.makeMove(move);
+    const isLegal = board.rules.isLegalPosition(board, color);
+    board.unmakeMove();
+    return isLegal;
+  }
+
+  /**
+   * Ajoute les coups pseudo-légaux d'une pièce
+   * @param {Board} board - L'échiquier
+   * @param {Piece} piece - La pièce
+   * @param {number} rank - Rang de la pièce
+   * @param {number} file - Colonne de la pièce
+   * @param {Array} moves - Liste à compléter
+   */
+  static addPieceMoves(board, piece, rank, file, moves) {
+    const from = Attacks.square(rank, file);
+
+    switch (piece.type) {
+      case 'P':
+        MoveGenerator.addPawnMoves(board, piece.color, rank, file, moves);
+        break;
+      case 'N':
+        MoveGenerator.addStepMoves(board, piece.color, rank, file, Attacks.knight(from), moves);
+        break;
+      case 'K':
+        MoveGenerator.addStepMoves(board, piece.color, rank, file, Attacks.king(from), moves);
+        MoveGenerator.addCastlingMoves(board, piece.color, rank, file, moves);
+        break;
+      default:
+        MoveGenerator.addSlidingMoves(board, piece, rank, file, moves);
+        break;
+    }
+  }
+
+  /**
+   * Ajoute les coups d'une pièce à déplacement fixe (cavalier, roi)
+   */
+  static addStepMoves(board, color, rank, file, targets, moves) {
+    for (const target of targets) {
+      const toRank = target >> 3;
+      const toFile = target & 7;
+      const targetPiece = board.squares[toRank][toFile];
+
+      if (!targetPiece || targetPiece.color !== color) {
+        moves.push(MoveGenerator.createMove(rank, file, toRank, toFile, !!targetPiece));
+      }
+    }
+  }
+
+  /**
+   * Ajoute les coups d'une pièce glissante (fou, tour, dame)
+   * Chaque rayon est suivi jusqu'à la première pièce rencontrée
+   */
+  static addSlidingMoves(board, piece, rank, file, moves) {
+    const from = Attacks.square(rank, file);
+
+    for (const direction of Attacks.slidingDirections(piece.type)) {
+      for (const target of Attacks.ray(direction, from)) {
+        const toRank = target >> 3;
+        const toFile = target & 7;
+        const targetPiece = board.squares[toRank][toFile];
+
+        if (!targetPiece) {
+          moves.push(MoveGenerator.createMove(rank, file, toRank, toFile, false));
+          continue;
+        }
+
+        if (targetPiece.color !== piece.color) {
+          moves.push(MoveGenerator.createMove(rank, file, toRank, toFile, true));
+        }
+        break;
+      }
+    }
+  }
+
+  /**
+   * Ajoute les coups d'un pion : avances, captures, en passant et promotions
+   */
+  static addPawnMoves(board, color, rank, file, moves) {
+    const direction = color === 'white' ? 1 : -1;
+    const promotionRank = color === 'white' ? 7 : 0;
+    const oneStepRank = rank + direction;
+
+    if (oneStepRank < 0 || oneStepRank > 7) {
+      return;
+    }
+
+    // Avance d'une case, puis de deux depuis une rangée de départ de la variante
+    if (!board.squares[oneStepRank][file]) {
+      MoveGenerator.addPawnMove(rank, file, oneStepRank, file, false,
+        oneStepRank === promotionRank ? board.rules.getPromotionPieces() : null, moves);
+
+      const twoStepRank = rank + 2 * direction;
+      if (board.rules.getPawnStartRanks(color).includes(rank) && !board.squares[twoStepRank][file]) {
+        const move = MoveGenerator.createMove(rank, file, twoStepRank, file, false);
+        move.isDoubleStep = true;
+        moves.push(move);
+      }
+    }
+
+    // Captures diagonales et prise en passant
+    const enPassant = board.enPassantTarget ? algebraicToPosition(board.enPassantTarget) : null;
+    for (const target of Attacks.pawn(color, Attacks.square(rank, file))) {
+      const toRank = target >> 3;
+      const toFile = target & 7;
+      const targetPiece = board.squares[toRank][toFile];
+
+      if (targetPiece && targetPiece.color !== color) {
+        MoveGenerator.addPawnMove(rank, file, toRank, toFile, true,
+          toRank === promotionRank ? board.rules.getPromotionPieces() : null, moves);
+      } else if (!targetPiece && enPassant && enPassant.rank === toRank && enPassant.file === toFile) {
+        const capturedPawn = board.squares[rank][toFile];
+        if (capturedPawn && capturedPawn.type === 'P' && capturedPawn.color !== color) {
+          const move = MoveGenerator.createMove(rank, file, toRank, toFile, true);
+          move.isEnPassant = true;
+          moves.push(move);
+        }
+      }
+    }
+  }
+
+  /**
+   * Ajoute un coup de pion, décliné en une promotion par pièce autorisée
+   * (promotions : pièces de la variante sur la dernière rangée, null ailleurs)
+   */
+  static addPawnMove(rank, file, toRank, toFile, isCapture, promotions, moves) {
+    if (!promotions) {
+      moves.push(MoveGenerator.createMove(rank, file, toRank, toFile, isCapture));
+      return;
+    }
+
+    for (const promotion of promotions) {
+      const move = MoveGenerator.createMove(rank, file, toRank, toFile, isCapture);
+      move.promotion = promotion;
+      moves.push(move);
+    }
+  }
+
+  /**
+   * Ajoute les roques autorisés
+   * En échecs 960, le coup est noté roi sur sa tour de roque
+   */
+  static addCastlingMoves(board, color, rank, file, moves) {
+    const rights = board.castlingRights[color];
+    if (!rights.kingside && !rights.queenside) {
+      return;
+    }
+
+    for (const side of ['kingside', 'queenside']) {
+      if (!MoveGenerator.canCastle(board, color, side)) continue;
+
+      const castling = board.getCastlingMove(color, side);
+      const move = MoveGenerator.createMove(rank, file, rank, castling.toFile, false);
+      move.isCastling = true;
+      move.isKingside = side === 'kingside';
+      moves.push(move);
+    }
+  }
+
+  /**
+   * Ajoute les parachutages des pièces de la réserve sur les cases vides
+   * (crazyhouse) ; un pion ne peut être parachuté ni sur la première ni sur la
+   * dernière rangée
+   * @param {Board} board - L'échiquier
+   * @param {string} color - Couleur du joueur
+   * @param {Array} moves - Liste à compléter
+   */
+  static addDropMoves(board, color, moves) {
+    const types = Object.keys(board.pockets[color]).filter(type => board.pockets[color][type] > 0);
+    if (types.length === 0) {
+      return;
+    }
+
+    for (let rank = 0; rank < 8; rank++) {
+      for (let file = 0; file < 8; file++) {
+        if (board.squares[rank][file]) continue;
+
+        for (const type of types) {
+          if (type === 'P' && (rank === 0 || rank === 7)) continue;
+          moves.push({ drop: type, toRank: rank, toFile: file, isCapture: false });
+        }
+      }
+    }
+  }
+
+  /**
+   * Vérifie les conditions du roque, communes aux échecs classiques et 960
+   * Le droit de roque doit être conservé, le roi et la tour sur la rangée de
+   * départ, les cases parcourues par l'un et l'autre vides (hormis ces deux
+   * pièces), et le roi ne doit être ni en échec ni traverser une case attaquée
+   * (la case d'arrivée est vérifiée en jouant le coup)
+   * @param {Board} board - L'échiquier
+   * @param {string} color - Couleur du joueur
+   * @param {string} side - 'kingside' ou 'queenside'
+   * @returns {boolean} True si le roque est possible
+   */
+  static canCastle(board, color, side) {
+    if (!board.castlingRights[color][side]) {
+      return false;
+    }
+
+    const rank = color === 'white' ? 0 : 7;
+    const king = board.findKing(color);
+    const rookFile = board.castlingRookFiles[color][side];
+    const rook = board.squares[rank][rookFile];
+    if (!king || king.rank !== rank || !rook || rook.type !== 'R' || rook.color !== color) {
+      return false;
+    }
+
+    const { king: kingToFile, rook: rookToFile } = CASTLING_SQUARES[side];
+    const firstFile = Math.min(king.file, kingToFile, rookFile, rookToFile);
+    const lastFile = Math.max(king.file, kingToFile, rookFile, rookToFile);
+    for (let file = firstFile; file <= lastFile; file++) {
+      if (file !== king.file && file !== rookFile && board.squares[rank][file]) {
+        return false;
+      }
+    }
+
+    const opponentColor = color === 'white' ? 'black' : 'white';
+    const step = kingToFile > king.file ? 1 : -1;
+    for (let file = king.file; file !== kingToFile; file += step) {
+      if (Attacks.isSquareAttacked(board, rank, file, opponentColor)) {
+        return false;
+      }
+    }
+
+    // Roi déjà sur sa case d'arrivée : il ne doit pas être en échec
+    return king.file !== kingToFile || !Attacks.isSquareAttacked(board, rank, king.file, opponentColor);
+  }
+
+  /**
+   * Crée un coup léger
+   * @returns {Object} Coup
+   */
+  static createMove(fromRank, fromFile, toRank, toFile, isCapture) {
+    return { fromRank, fromFile, toRank, toFile, isCapture };
+  }
+}
+
+module.exports = MoveGenerator;
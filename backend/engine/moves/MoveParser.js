@@ -0,0 +1,301 @@
+const { algebraicToPosition, positionToAlgebraic } = require('../../../shared/constants/chess-notation');
+const MoveValidator = require('./MoveValidator');
+const PowerManager = require('../powers/PowerManager');
+
+// Notation UCI (algébrique longue) : e2e4, e7e8q
+const UCI_PATTERN = /^([a-h][1-8])([a-h][1-8])([qrbnk])?$/;
+
+// Notation SAN : Nbd7, exd6, R1a3, e8=Q, Qh4xe1
+const SAN_PATTERN = /^([KQRBN])?([a-h])?([1-8])?(x)?([a-h][1-8])(?:=?([KQRBNkqrbn]))?$/;
+
+// Roques (la lettre O et le chiffre 0 sont tous deux utilisés en pratique)
+const CASTLING_PATTERN = /^([O0])-\1(-\1)?$/;
+
+// Parachutage (crazyhouse), identique en SAN et en UCI : N@f3, P@e4 ou @e4
+const DROP_PATTERN = /^([QRBNP])?@([a-h][1-8])$/;
+
+/**
+ * Analyseur de coups en notation textuelle
+ * Convertit la notation SAN ("Nbd7", "exd6 e.p.", "O-O-O", "e8=Q+", "N@f3") et
+ * UCI ("e7e8q", "N@f3") en coups du moteur validés par le MoveValidator ;
+ * les pouvoirs ("T:Nb1-e5") sont validés par le PowerManager
+ */
+class MoveParser {
+  /**
+   * @param {Board} board - L'échiquier sur lequel les coups sont interprétés
+   */
+  constructor(board) {
+    this.board = board;
+    this.validator = new MoveValidator(board);
+  }
+
+  /**
+   * Analyse un coup en notation SAN ou UCI
+   * @param {string} notation - Le coup
+   * @param {string} color - Couleur du joueur
+   * @returns {Object} { isValid, move } ou { isValid, reason, message }
+   */
+  parse(notation, color) {
+    if (typeof notation !== 'string' || notation.trim().length === 0) {
+      return this.invalid('INVALID_NOTATION', 'Notation de coup vide');
+    }
+
+    const trimmed = notation.trim();
+    if (PowerManager.isPowerNotation(trimmed)) {
+      return PowerManager.parseNotation(this.board, trimmed, color);
+    }
+
+    if (UCI_PATTERN.test(trimmed)) {
+      return this.parseUCI(trimmed, color);
+    }
+
+    return this.parseSAN(trimmed, color);
+  }
+
+  /**
+   * Analyse un coup en notation UCI (case de départ, case d'arrivée, promotion)
+   * @param {string} uci - Le coup (ex: 'e2e4', 'e7e8q')
+   * @param {string} color - Couleur du joueur
+   * @returns {Object} Résultat de l'analyse
+   */
+  parseUCI(uci, color) {
+    const match = UCI_PATTERN.exec(uci.trim());
+    if (!match) {
+      return this.invalid('INVALID_NOTATION', `Notation UCI invalide: "${uci}"`);
+    }
+
+    const [, from, to, promotion] = match;
+    const fromPos = algebraicToPosition(from);
+    const toPos = algebraicToPosition(to);
+
+    const piece = this.board.getPiece(fromPos.rank, fromPos.file);
+    const promotionCheck = this.checkPromotion(piece, toPos.rank, promotion, uci);
+    if (!promotionCheck.isValid) {
+      return promotionCheck;
+    }
+
+    const validation = this.validator.isMoveLegal({
+      fromRank: fromPos.rank,
+      fromFile: fromPos.file,
+      toRank: toPos.rank,
+      toFile: toPos.file,
+      color,
+      promotion: promotion ? promotion.toUpperCase() : undefined
+    });
+
+    if (!validation.isValid) {
+      return this.invalid('ILLEGAL_MOVE', `Coup illégal: ${uci} (${validation.message})`);
+    }
+
+    return validation;
+  }
+
+  /**
+   * Analyse un coup en notation algébrique standard (SAN)
+   * Les suffixes d'échec, de mat, d'annotation (!, ?) et "e.p." sont ignorés
+   * @param {string} san - Le coup (ex: 'Nbd7', 'O-O', 'e8=Q+')
+   * @param {string} color - Couleur du joueur
+   * @returns {Object} Résultat de l'analyse
+   */
+  parseSAN(san, color) {
+    const cleaned = san.trim()
+      .replace(/\s*e\.?p\.?$/i, '')
+      .replace(/[+#!?]+$/, '');
+
+    if (CASTLING_PATTERN.test(cleaned)) {
+      return this.parseCastling(cleaned, color, san);
+    }
+
+    if (DROP_PATTERN.test(cleaned)) {
+      return this.parseDrop(cleaned, color, san);
+    }
+
+    const match = SAN_PATTERN.exec(cleaned);
+    if (!match) {
+      return this.invalid('INVALID_NOTATION', `Notation SAN invalide: "${san}"`);
+    }
+
+    const [, pieceLetter, fromFileLetter, fromRankDigit, captureMark, to, promotion] = match;
+    const type = pieceLetter || 'P';
+    const toPos = algebraicToPosition(to);
+
+    // Un coup de pion avec une colonne de départ doit être une capture (exd6)
+    if (type === 'P' && fromFileLetter && !captureMark) {
+      return this.invalid('INVALID_NOTATION', `Notation SAN invalide: "${san}"`);
+    }
+
+    // Chercher toutes les pièces pouvant jouer ce coup légalement
+    const candidates = [];
+    for (let rank = 0; rank < 8; rank++) {
+      for (let file = 0; file < 8; file++) {
+        const piece = this.board.getPiece(rank, file);
+        if (!piece || piece.type !== type || piece.color !== color) continue;
+        if (fromFileLetter && file !== fromFileLetter.charCodeAt(0) - 97) continue;
+        if (fromRankDigit && rank !== parseInt(fromRankDigit, 10) - 1) continue;
+        // Le roque s'écrit O-O : un déplacement de roque du roi n'est pas un coup de roi
+        if (type === 'K' && this.board.getCastlingSide({ fromRank: rank, fromFile: file, toRank: toPos.rank, toFile: toPos.file })) continue;
+        if (!piece.canMoveTo(toPos.rank, toPos.file, this.board)) continue;
+
+        const promotionCheck = this.checkPromotion(piece, toPos.rank, promotion, san);
+        if (!promotionCheck.isValid) {
+          return promotionCheck;
+        }
+
+        const validation = this.validator.isMoveLegal({
+          fromRank: rank,
+          fromFile: file,
+          toRank: toPos.rank,
+          toFile: toPos.file,
+          color,
+          promotion: promotion ? promotion.toUpperCase() : undefined
+        });
+
+        if (validation.isValid) {
+          candidates.push(validation);
+        }
+      }
+    }
+
+    if (candidates.length === 0) {
+      return this.invalid('ILLEGAL_MOVE', `Coup illégal ou impossible: ${san}`);
+    }
+
+    if (candidates.length > 1) {
+      const options = candidates.map(candidate => candidate.move.notation).join(', ');
+      return this.invalid('AMBIGUOUS_MOVE', `Coup ambigu: ${san} (${options})`);
+    }
+
+    const [result] = candidates;
+    if (captureMark && !result.move.isCapture && !result.move.isEnPassant) {
+      return this.invalid('ILLEGAL_MOVE', `Aucune pièce à capturer en ${to}: ${san}`);
+    }
+
+    return result;
+  }
+
+  /**
+   * Analyse un roque (O-O ou O-O-O)
+   * @param {string} cleaned - Notation nettoyée
+   * @param {string} color - Couleur du joueur
+   * @param {string} original - Notation d'origine (pour les messages)
+   * @returns {Object} Résultat de l'analyse
+   */
+  parseCastling(cleaned, color, original) {
+    const side = cleaned.length === 3 ? 'kingside' : 'queenside';
+    const castling = this.board.getCastlingMove(color, side);
+
+    if (!castling) {
+      return this.invalid('ILLEGAL_MOVE', `Roque impossible: aucun roi ${color}`);
+    }
+
+    const validation = this.validator.isMoveLegal({ ...castling, color });
+
+    if (!validation.isValid || !validation.move.isCastling) {
+      return this.invalid('ILLEGAL_MOVE', `Roque illégal: ${original}`);
+    }
+
+    return validation;
+  }
+
+  /**
+   * Analyse un parachutage (N@f3, @e4 pour un pion)
+   * @param {string} cleaned - Notation nettoyée
+   * @param {string} color - Couleur du joueur
+   * @param {string} original - Notation d'origine (pour les messages)
+   * @returns {Object} Résultat de l'analyse
+   */
+  parseDrop(cleaned, color, original) {
+    const [, pieceLetter, to] = DROP_PATTERN.exec(cleaned);
+    const toPos = algebraicToPosition(to);
+
+    const validation = this.validator.isMoveLegal({
+      drop: pieceLetter || 'P',
+      toRank: toPos.rank,
+      toFile: toPos.file,
+      color
+    });
+
+    if (!validation.isValid) {
+      return this.invalid('ILLEGAL_MOVE', `Parachutage illégal: ${original} (${validation.message})`);
+    }
+
+    return validation;
+  }
+
+  /**
+   * Vérifie la cohérence entre le coup et la pièce de promotion indiquée
+   * @param {Piece|null} piece - La pièce qui bouge
+   * @param {number} toRank - Rang d'arrivée
+   * @param {string|undefined} promotion - Pièce de promotion indiquée
+   * @param {string} notation - Notation d'origine (pour les messages)
+   * @returns {Object} Résultat de la vérification
+   */
+  checkPromotion(piece, toRank, promotion, notation) {
+    const isPromotion = piece && piece.type === 'P' && (toRank === 0 || toRank === 7);
+
+    if (isPromotion && !promotion) {
+      return this.invalid('INVALID_PROMOTION', `Pièce de promotion manquante: ${notation}`);
+    }
+    if (!isPromotion && promotion) {
+      return this.invalid('INVALID_PROMOTION', `Promotion impossible pour ce coup: ${notation}`);
+    }
+
+    return { isValid: true };
+  }
+
+  /**
+   * Construit un résultat d'erreur
+   * @param {string} reason - Code d'erreur
+   * @param {string} message - Description
+   * @returns {Object} Résultat invalide
+   */
+  invalid(reason, message) {
+    return { isValid: false, reason, message };
+  }
+
+  /**
+   * Coordonnées d'un coup en notation UCI, sans vérification de légalité
+   * @param {string} uci - Le coup (ex: 'e7e8q', 'N@f3')
+   * @returns {Object|null} { fromRank, fromFile, toRank, toFile, promotion },
+   *   { drop, toRank, toFile } pour un parachutage, ou null
+   */
+  static fromUCI(uci) {
+    const drop = DROP_PATTERN.exec(uci);
+    if (drop) {
+      const to = algebraicToPosition(drop[2]);
+      return { drop: drop[1] || 'P', toRank: to.rank, toFile: to.file };
+    }
+
+    const match = UCI_PATTERN.exec(uci);
+    if (!match) {
+      return null;
+    }
+
+    const from = algebraicToPosition(match[1]);
+    const to = algebraicToPosition(match[2]);
+    return {
+      fromRank: from.rank,
+      fromFile: from.file,
+      toRank: to.rank,
+      toFile: to.file,
+      promotion: match[3] ? match[3].toUpperCase() : undefined
+    };
+  }
+
+  /**
+   * Notation UCI d'un coup (ex: 'e7e8q', 'N@f3' pour un parachutage)
+   * @param {Object} move - Le coup
+   * @returns {string} Coup en notation UCI
+   */
+  static toUCI(move) {
+    const to = positionToAlgebraic(move.toFile, move.toRank);
+    if (move.drop) {
+      return `${move.drop}@${to}`;
+    }
+
+    const from = positionToAlgebraic(move.fromFile, move.fromRank);
+    return `${from}${to}${move.promotion ? move.promotion.toLowerCase() : ''}`;
+  }
+}
+
+module.exports = MoveParser;
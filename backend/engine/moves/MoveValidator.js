@@ -1,4 +1,8 @@
 const { positionToAlgebraic, algebraicToPosition } = require('../../../shared/constants/chess-notation');
+const MoveGenerator = require('./MoveGenerator');
+
+// Pièces pouvant être parachutées depuis une réserve (crazyhouse)
+const DROP_PIECES = ['Q', 'R', 'B', 'N', 'P'];
 
 /**
  * Classe responsable de la validation des mouvements d'échecs
@@ -15,38 +19,17 @@ class MoveValidator {
    * @returns {Object} Résultat de la validation
    */
   isMoveLegal(move) {
-    const { fromRank, fromFile, toRank, toFile, color, promotion } = move;
-
     try {
-      // Vérifications de base
-      const basicValidation = this.validateBasicMove(move);
-      if (!basicValidation.isValid) {
-        return basicValidation;
-      }
-
-      const piece = this.board.getPiece(fromRank, fromFile);
-
-      // Vérifier que la pièce peut effectuer ce mouvement
-      const pieceValidation = this.validatePieceMove(piece, toRank, toFile);
-      if (!pieceValidation.isValid) {
-        return pieceValidation;
-      }
-
-      // Vérifier que le mouvement ne met pas son propre roi en échec
-      const kingSafetyValidation = this.validateKingSafety(move, color);
-      if (!kingSafetyValidation.isValid) {
-        return kingSafetyValidation;
-      }
-
-      // Vérifications spéciales selon le type de pièce
-      const specialValidation = this.validateSpecialMoves(move, piece);
-      if (!specialValidation.isValid) {
-        return specialValidation;
+      const validation = this.validateRules(move);
+      if (!validation.isValid) {
+        return validation;
       }
 
       return {
         isValid: true,
-        move: this.enrichMoveData(move, piece)
+        move: move.drop ?
+          this.enrichDropData(move) :
+          this.enrichMoveData(move, this.board.getPiece(move.fromRank, move.fromFile))
       };
 
     } catch (error) {
@@ -58,6 +41,59 @@ class MoveValidator {
     }
   }
 
+  /**
+   * Applique toutes les règles de légalité sans enrichir le mouvement
+   * @param {Object} move - Le mouvement à valider
+   * @returns {Object} Résultat de la validation
+   */
+  validateRules(move) {
+    const { fromRank, fromFile, toRank, toFile, color } = move;
+
+    // Parachutage d'une pièce de la réserve (crazyhouse) : il peut parer un échec
+    if (move.drop) {
+      const dropValidation = this.validateDrop(move);
+      if (!dropValidation.isValid) {
+        return dropValidation;
+      }
+
+      const kingSafetyValidation = this.validateKingSafety(move, color);
+      if (!kingSafetyValidation.isValid) {
+        return kingSafetyValidation;
+      }
+
+      return this.board.rules.validateMove(this.board, move);
+    }
+
+    // Vérifications de base
+    const basicValidation = this.validateBasicMove(move);
+    if (!basicValidation.isValid) {
+      return basicValidation;
+    }
+
+    const piece = this.board.getPiece(fromRank, fromFile);
+
+    // Vérifier que la pièce peut effectuer ce mouvement
+    const pieceValidation = this.validatePieceMove(piece, toRank, toFile);
+    if (!pieceValidation.isValid) {
+      return pieceValidation;
+    }
+
+    // Vérifier que le mouvement ne met pas son propre roi en échec
+    const kingSafetyValidation = this.validateKingSafety(move, color);
+    if (!kingSafetyValidation.isValid) {
+      return kingSafetyValidation;
+    }
+
+    // Vérifications spéciales selon le type de pièce
+    const specialValidation = this.validateSpecialMoves(move, piece);
+    if (!specialValidation.isValid) {
+      return specialValidation;
+    }
+
+    // Règles propres à la variante
+    return this.board.rules.validateMove(this.board, move);
+  }
+
   /**
    * Validations de base du mouvement
    * @param {Object} move - Le mouvement
@@ -104,9 +140,9 @@ class MoveValidator {
       };
     }
 
-    // Vérifier qu'on ne capture pas ses propres pièces
+    // Vérifier qu'on ne capture pas ses propres pièces (sauf la tour du roque en échecs 960)
     const targetPiece = this.board.getPiece(toRank, toFile);
-    if (targetPiece && targetPiece.color === color) {
+    if (targetPiece && targetPiece.color === color && !this.board.getCastlingSide(move)) {
       return {
         isValid: false,
         reason: 'FRIENDLY_FIRE',
@@ -118,14 +154,71 @@ class MoveValidator {
   }
 
   /**
-   * Valide le mouvement spécifique à la pièce
+   * Valide un parachutage : variante à réserves, pièce présente dans la
+   * réserve du joueur, case vide, et pas de pion sur la première ou la
+   * dernière rangée
+   * @param {Object} move - Le parachutage { drop, toRank, toFile, color }
+   * @returns {Object} Résultat de validation
+   */
+  validateDrop(move) {
+    const { drop, toRank, toFile, color } = move;
+
+    if (!this.board.rules.hasPockets) {
+      return {
+        isValid: false,
+        reason: 'DROP_NOT_ALLOWED',
+        message: 'Les parachutages ne sont pas autorisés dans cette variante'
+      };
+    }
+
+    if (!this.board.isValidPosition(toRank, toFile)) {
+      return {
+        isValid: false,
+        reason: 'INVALID_POSITION',
+        message: 'Position invalide'
+      };
+    }
+
+    if (!DROP_PIECES.includes(drop) || !this.board.pockets[color][drop]) {
+      return {
+        isValid: false,
+        reason: 'NOT_IN_POCKET',
+        message: 'Cette pièce n\'est pas dans votre réserve'
+      };
+    }
+
+    if (!this.board.isEmpty(toRank, toFile)) {
+      return {
+        isValid: false,
+        reason: 'SQUARE_OCCUPIED',
+        message: 'Une pièce ne peut être parachutée que sur une case vide'
+      };
+    }
+
+    if (drop === 'P' && (toRank === 0 || toRank === 7)) {
+      return {
+        isValid: false,
+        reason: 'INVALID_PAWN_DROP',
+        message: 'Un pion ne peut pas être parachuté sur la première ou la dernière rangée'
+      };
+    }
+
+    return { isValid: true };
+  }
+
+  /**
+   * Valide le mouvement spécifique à la pièce : la destination doit figurer
+   * parmi les coups générés pour elle selon les règles de la variante
    * @param {Piece} piece - La pièce qui bouge
    * @param {number} toRank - Rang de destination
    * @param {number} toFile - Colonne de destination
    * @returns {Object} Résultat de validation
    */
   validatePieceMove(piece, toRank, toFile) {
-    if (!piece.canMoveTo(toRank, toFile, this.board)) {
+    const canMove = MoveGenerator.generatePieceMoves(this.board, piece)
+      .some(move => move.toRank === toRank && move.toFile === toFile);
+
+    if (!canMove) {
       return {
         isValid: false,
         reason: 'INVALID_PIECE_MOVE',
@@ -137,30 +230,30 @@ class MoveValidator {
   }
 
   /**
-   * Vérifie que le mouvement ne met pas son roi en échec
+   * Vérifie que le mouvement ne met pas son roi en échec (ou, plus
+   * généralement, mène à une position légale selon la variante)
    * @param {Object} move - Le mouvement
    * @param {string} color - Couleur du joueur
    * @returns {Object} Résultat de validation
    */
   validateKingSafety(move, color) {
-    const { fromRank, fromFile, toRank, toFile } = move;
-
-    // Simuler le mouvement
-    const piece = this.board.getPiece(fromRank, fromFile);
-    const capturedPiece = this.board.getPiece(toRank, toFile);
-
-    // Effectuer le mouvement temporairement
-    this.board.setPiece(null, fromRank, fromFile);
-    this.board.setPiece(piece, toRank, toFile);
-
-    // Vérifier si le roi est en échec
-    const isKingInCheck = this.board.isKingInCheck(color);
-
-    // Annuler le mouvement
-    this.board.setPiece(piece, fromRank, fromFile);
-    this.board.setPiece(capturedPiece, toRank, toFile);
+    // Jouer le coup puis l'annuler : roque, en passant, promotion et effets
+    // de la variante sont ainsi simulés exactement comme ils seront joués
+    this.board.makeMove(move);
+    const isLegal = this.board.rules.isLegalPosition(this.board, color);
+    const kingDestroyed = !this.board.findKing(color);
+    this.board.unmakeMove();
+
+    // Échecs atomiques : la capture ferait exploser son propre roi
+    if (!isLegal && kingDestroyed) {
+      return {
+        isValid: false,
+        reason: 'KING_EXPLODED',
+        message: 'Ce mouvement ferait exploser votre roi'
+      };
+    }
 
-    if (isKingInCheck) {
+    if (!isLegal) {
       return {
         isValid: false,
         reason: 'KING_IN_CHECK',
@@ -181,8 +274,9 @@ class MoveValidator {
     const { fromRank, fromFile, toRank, toFile } = move;
 
     // Validation du roque
-    if (piece.type === 'K' && Math.abs(toFile - fromFile) === 2) {
-      return this.validateCastling(move, piece);
+    const castlingSide = this.board.getCastlingSide(move);
+    if (castlingSide) {
+      return this.validateCastling(castlingSide, piece);
     }
 
     // Validation de l'en passant
@@ -200,16 +294,13 @@ class MoveValidator {
 
   /**
    * Valide le roque
-   * @param {Object} move - Le mouvement
+   * @param {string} side - 'kingside' ou 'queenside'
    * @param {Piece} king - Le roi
    * @returns {Object} Résultat de validation
    */
-  validateCastling(move, king) {
-    const { toFile } = move;
-    const isKingside = toFile > king.file;
-
+  validateCastling(side, king) {
     // Vérifier les conditions de base du roque
-    if (!king.canCastle(isKingside, this.board)) {
+    if (!king.canCastle(side === 'kingside', this.board)) {
       return {
         isValid: false,
         reason: 'INVALID_CASTLING',
@@ -257,8 +348,8 @@ class MoveValidator {
       };
     }
 
-    // Vérifier que la pièce de promotion est valide
-    if (promotion && !['Q', 'R', 'B', 'N'].includes(promotion)) {
+    // Vérifier que la pièce de promotion est autorisée par la variante
+    if (promotion && !this.board.rules.getPromotionPieces().includes(promotion)) {
       return {
         isValid: false,
         reason: 'INVALID_PROMOTION_PIECE',
@@ -277,7 +368,8 @@ class MoveValidator {
    */
   enrichMoveData(move, piece) {
     const { fromRank, fromFile, toRank, toFile } = move;
-    const capturedPiece = this.board.getPiece(toRank, toFile);
+    // En échecs 960, la case d'arrivée du roque porte la tour du joueur
+    const capturedPiece = this.board.getCastlingSide(move) ? null : this.board.getPiece(toRank, toFile);
 
     const enrichedMove = {
       ...move,
@@ -303,6 +395,34 @@ class MoveValidator {
     return enrichedMove;
   }
 
+  /**
+   * Enrichit un parachutage (crazyhouse) : pièce, case d'arrivée, échec et notation
+   * @param {Object} move - Le parachutage { drop, toRank, toFile, color }
+   * @returns {Object} Mouvement enrichi (from vaut null)
+   */
+  enrichDropData(move) {
+    const enrichedMove = {
+      ...move,
+      piece: move.drop,
+      from: null,
+      to: positionToAlgebraic(move.toFile, move.toRank),
+      capturedPiece: null,
+      isCapture: false,
+      isDrop: true,
+      isCheck: false,
+      isCheckmate: false,
+      isStalemate: false,
+      isCastling: false,
+      isEnPassant: false,
+      isPromotion: false
+    };
+
+    this.setCheckFlags(enrichedMove, move.color);
+    enrichedMove.notation = this.generateAlgebraicNotation(enrichedMove);
+
+    return enrichedMove;
+  }
+
   /**
    * Définit les flags spéciaux du mouvement
    * @param {Object} move - Le mouvement
@@ -312,14 +432,17 @@ class MoveValidator {
     const { fromFile, toFile, toRank } = move;
 
     // Roque
-    if (piece.type === 'K' && Math.abs(toFile - fromFile) === 2) {
+    const castlingSide = this.board.getCastlingSide(move);
+    if (castlingSide) {
       move.isCastling = true;
-      move.isKingside = toFile > fromFile;
+      move.isKingside = castlingSide === 'kingside';
     }
 
     // En passant
     if (piece.type === 'P' && toFile !== fromFile && !move.capturedPiece) {
       move.isEnPassant = true;
+      move.isCapture = true;
+      move.capturedPiece = 'P';
     }
 
     // Promotion
@@ -328,24 +451,37 @@ class MoveValidator {
       move.promotionPiece = move.promotion || 'Q';
     }
 
-    // Simuler le mouvement pour vérifier échec/mat
-    const boardClone = this.board.clone();
-    boardClone.makeMove(move);
+    this.setCheckFlags(move, piece.color);
+  }
 
-    const opponentColor = piece.color === 'white' ? 'black' : 'white';
-    if (boardClone.isKingInCheck(opponentColor)) {
+  /**
+   * Définit les flags d'échec, de mat et de pat en jouant le mouvement puis
+   * en l'annulant
+   * @param {Object} move - Le mouvement
+   * @param {string} color - Couleur du joueur
+   */
+  setCheckFlags(move, color) {
+    this.board.makeMove(move);
+
+    const opponentColor = color === 'white' ? 'black' : 'white';
+    // Une partie terminée par une règle de la variante (roi détruit, troisième
+    // échec...) n'est ni mat ni pat
+    const variantOutcome = this.board.rules.getSpecialOutcome(this.board);
+    if (this.board.isKingInCheck(opponentColor)) {
       move.isCheck = true;
 
       // Vérifier si c'est mat
-      if (this.isCheckmate(boardClone, opponentColor)) {
+      if (!variantOutcome && this.isCheckmate(this.board, opponentColor)) {
         move.isCheckmate = true;
       }
-    } else {
+    } else if (!variantOutcome) {
       // Vérifier si c'est pat
-      if (this.isStalemate(boardClone, opponentColor)) {
+      if (this.isStalemate(this.board, opponentColor)) {
         move.isStalemate = true;
       }
     }
+
+    this.board.unmakeMove();
   }
 
   /**
@@ -363,29 +499,34 @@ class MoveValidator {
 
     let notation = '';
 
-    // Ajouter la lettre de la pièce (sauf pour les pions)
-    if (piece !== 'P') {
-      notation += piece;
-    }
+    // Parachutage (crazyhouse) : lettre de la pièce, pion compris, puis @ (N@f3, P@e4)
+    if (move.isDrop) {
+      notation = `${piece}@${to}`;
+    } else {
+      // Ajouter la lettre de la pièce (sauf pour les pions)
+      if (piece !== 'P') {
+        notation += piece;
+      }
 
-    // Ajouter la position de départ si nécessaire (pour lever l'ambiguïté)
-    notation += this.getDisambiguation(move);
+      // Ajouter la position de départ si nécessaire (pour lever l'ambiguïté)
+      notation += this.getDisambiguation(move);
 
-    // Ajouter 'x' pour les captures
-    if (isCapture) {
-      // Pour les pions, ajouter la colonne de départ
-      if (piece === 'P') {
-        notation += move.from[0];
+      // Ajouter 'x' pour les captures
+      if (isCapture) {
+        // Pour les pions, ajouter la colonne de départ
+        if (piece === 'P') {
+          notation += move.from[0];
+        }
+        notation += 'x';
       }
-      notation += 'x';
-    }
 
-    // Ajouter la position d'arrivée
-    notation += to;
+      // Ajouter la position d'arrivée
+      notation += to;
 
-    // Ajouter la promotion
-    if (isPromotion) {
-      notation += '=' + promotionPiece;
+      // Ajouter la promotion
+      if (isPromotion) {
+        notation += '=' + promotionPiece;
+      }
     }
 
     // Ajouter les symboles d'échec/mat
@@ -415,7 +556,7 @@ class MoveValidator {
         const p = this.board.getPiece(rank, file);
         if (p && p.type === piece && p.color === color && 
             (rank !== fromRank || file !== fromFile) &&
-            p.canMoveTo(toRank, toFile, this.board)) {
+            this.validatePieceMove(p, toRank, toFile).isValid) {
           
           // Vérifier que ce mouvement ne met pas le roi en échec
           const testMove = { fromRank: rank, fromFile: file, toRank, toFile, color };
@@ -478,62 +619,47 @@ class MoveValidator {
    * @returns {boolean} True si aucun mouvement légal
    */
   hasNoLegalMoves(board, color) {
-    for (let rank = 0; rank < 8; rank++) {
-      for (let file = 0; file < 8; file++) {
-        const piece = board.getPiece(rank, file);
-        if (piece && piece.color === color) {
-          const possibleMoves = piece.getPossibleMoves(board);
-          
-          for (const move of possibleMoves) {
-            const testMove = {
-              fromRank: rank,
-              fromFile: file,
-              toRank: move.toRank,
-              toFile: move.toFile,
-              color
-            };
-            
-            if (this.validateKingSafety(testMove, color).isValid) {
-              return false; // Au moins un mouvement légal trouvé
-            }
-          }
-        }
-      }
-    }
-
-    return true; // Aucun mouvement légal
+    return !MoveGenerator.hasLegalMove(board, color);
   }
 
   /**
    * Retourne tous les mouvements légaux pour une couleur
+   * Les candidats du MoveGenerator passent par les mêmes règles que les coups
+   * des joueurs (pièces, roque, en passant, sécurité du roi)
    * @param {string} color - Couleur du joueur
+   * @param {Object} options - Options
+   * @param {boolean} options.enrich - Ajouter notation et drapeaux d'échec (true par défaut) ;
+   *                                   false retourne des coups légers pour le perft et la recherche
    * @returns {Array} Liste des mouvements légaux
    */
-  getAllLegalMoves(color) {
+  getAllLegalMoves(color, { enrich = true } = {}) {
     const legalMoves = [];
 
-    for (let rank = 0; rank < 8; rank++) {
-      for (let file = 0; file < 8; file++) {
-        const piece = this.board.getPiece(rank, file);
-        if (piece && piece.color === color) {
-          const possibleMoves = piece.getPossibleMoves(this.board);
-          
-          for (const move of possibleMoves) {
-            const moveData = {
-              fromRank: rank,
-              fromFile: file,
-              toRank: move.toRank,
-              toFile: move.toFile,
-              color,
-              promotion: move.promotionPiece
-            };
-            
-            const validation = this.isMoveLegal(moveData);
-            if (validation.isValid) {
-              legalMoves.push(validation.move);
-            }
-          }
-        }
+    for (const candidate of MoveGenerator.generatePseudoLegalMoves(this.board, color)) {
+      const move = candidate.drop ? {
+        drop: candidate.drop,
+        toRank: candidate.toRank,
+        toFile: candidate.toFile,
+        color
+      } : {
+        fromRank: candidate.fromRank,
+        fromFile: candidate.fromFile,
+        toRank: candidate.toRank,
+        toFile: candidate.toFile,
+        color,
+        promotion: candidate.promotion
+      };
+
+      if (!this.validateRules(move).isValid) {
+        continue;
+      }
+
+      if (!enrich) {
+        legalMoves.push(move);
+      } else {
+        legalMoves.push(move.drop ?
+          this.enrichDropData(move) :
+          this.enrichMoveData(move, this.board.getPiece(move.fromRank, move.fromFile)));
       }
     }
 
@@ -0,0 +1,86 @@
+const Board = require('../board/Board');
+const MoveValidator = require('./MoveValidator');
+const MoveParser = require('./MoveParser');
+
+/**
+ * Outil de vérification de la génération de coups (perft)
+ * Compte les positions atteignables à une profondeur donnée en passant par
+ * MoveValidator.getAllLegalMoves() et Board.makeMove()/unmakeMove() ; les totaux
+ * se comparent aux valeurs de référence publiées pour des positions connues
+ */
+class Perft {
+  /**
+   * @param {Board} board - L'échiquier à explorer (restauré après chaque calcul)
+   */
+  constructor(board) {
+    this.board = board;
+    this.validator = new MoveValidator(board);
+  }
+
+  /**
+   * Crée un perft à partir d'une position FEN
+   * @param {string} fen - Position de départ
+   * @returns {Perft} Instance prête à l'emploi
+   */
+  static fromFEN(fen) {
+    return new Perft(Board.fromFEN(fen));
+  }
+
+  /**
+   * Compte les feuilles de l'arbre des coups légaux
+   * @param {number} depth - Profondeur en demi-coups
+   * @returns {number} Nombre de positions
+   */
+  run(depth) {
+    if (depth === 0) {
+      return 1;
+    }
+
+    const moves = this.validator.getAllLegalMoves(this.board.activeColor, { enrich: false });
+    if (depth === 1) {
+      return moves.length;
+    }
+
+    let nodes = 0;
+    for (const move of moves) {
+      this.board.makeMove(move);
+      nodes += this.run(depth - 1);
+      this.board.unmakeMove();
+    }
+
+    return nodes;
+  }
+
+  /**
+   * Détaille le perft par coup racine, pour localiser une divergence avec un
+   * moteur de référence
+   * @param {number} depth - Profondeur en demi-coups (1 minimum)
+   * @returns {Object} { moves: { e2e4: 20, ... }, nodes }
+   */
+  divide(depth) {
+    const moves = {};
+    let nodes = 0;
+
+    for (const move of this.validator.getAllLegalMoves(this.board.activeColor, { enrich: false })) {
+      this.board.makeMove(move);
+      const count = this.run(depth - 1);
+      this.board.unmakeMove();
+
+      moves[Perft.toUCI(move)] = count;
+      nodes += count;
+    }
+
+    return { moves, nodes };
+  }
+
+  /**
+   * Notation UCI d'un coup (ex: 'e7e8q')
+   * @param {Object} move - Le coup
+   * @returns {string} Coup en notation UCI
+   */
+  static toUCI(move) {
+    return MoveParser.toUCI(move);
+  }
+}
+
+module.exports = Perft;
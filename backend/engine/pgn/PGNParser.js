@@ -0,0 +1,378 @@
+const Board = require('../board/Board');
+const MoveParser = require('../moves/MoveParser');
+const { STARTING_FEN, GAME_VARIANTS } = require('../../../shared/constants/chess-notation');
+
+// Jetons PGN : tag, commentaire {}, commentaire ;, NAG, variations, résultat,
+// numéro de coup, coup SAN, puis tout caractère inattendu
+const TOKEN_PATTERN = /\[\s*([A-Za-z0-9_]+)\s+"((?:[^"\\]|\\.)*)"\s*\]|\{([^}]*)\}|;([^\n]*)|\$(\d+)|(\()|(\))|(1-0|0-1|1\/2-1\/2|\*)|(\d+)\.+|([^\s{}()[\];$]+)|(\S)/g;
+
+// Annotations de suffixe converties en NAG ($1 à $6)
+const SUFFIX_NAGS = { '!': 1, '?': 2, '!!': 3, '??': 4, '!?': 5, '?!': 6 };
+
+// Valeurs reconnues du tag Variant
+const VARIANT_PATTERNS = [
+  [GAME_VARIANTS.POWERS, /^powers$/i],
+  [GAME_VARIANTS.CHESS960, /^(chess\s*960|fischer\s*random|fischerandom)$/i],
+  [GAME_VARIANTS.ATOMIC, /^atomic$/i],
+  [GAME_VARIANTS.HORDE, /^horde$/i],
+  [GAME_VARIANTS.CRAZYHOUSE, /^crazyhouse$/i],
+  [GAME_VARIANTS.KING_OF_THE_HILL, /^king\s*of\s*the\s*hill$/i],
+  [GAME_VARIANTS.THREE_CHECK, /^(three|3)[\s-]*check$/i],
+  [GAME_VARIANTS.ANTICHESS, /^(antichess|losing\s*chess)$/i]
+];
+
+// Commandes intégrées aux commentaires : [%clk 0:14:55], [%axpower teleportation e2 e5]
+// ([%axpower] accompagne un pouvoir joué à la place du coup, noté T:e2-e5)
+const COMMAND_PATTERN = /\[%(\w+)\s+([^\]]*)\]/g;
+
+/**
+ * Lecteur de fichiers PGN (Portable Game Notation)
+ * Gère la section des tags, les numéros de coups, les commentaires {} et ;,
+ * les NAG, les variantes imbriquées et les fichiers contenant plusieurs parties,
+ * puis rejoue chaque coup à travers le MoveValidator
+ */
+class PGNParser {
+  /**
+   * Analyse un texte PGN contenant une ou plusieurs parties
+   * @param {string} text - Contenu PGN
+   * @returns {Array} Liste de parties { headers, moves, result, comment }
+   * @throws {Error} Si la syntaxe est invalide
+   */
+  static parse(text) {
+    const tokens = PGNParser.tokenize(text);
+    const games = [];
+
+    let game = PGNParser.createEmptyGame();
+    // Pile des lignes en cours : la ligne principale puis les variantes ouvertes
+    let lines = [game.moves];
+    let pendingComments = [];
+
+    const finishGame = () => {
+      if (lines.length > 1) {
+        throw new Error('Variante non fermée avant la fin de la partie');
+      }
+      if (Object.keys(game.headers).length > 0 || game.moves.length > 0) {
+        games.push(game);
+      }
+      game = PGNParser.createEmptyGame();
+      lines = [game.moves];
+      pendingComments = [];
+    };
+
+    for (const token of tokens) {
+      const line = lines[lines.length - 1];
+      const lastMove = line[line.length - 1];
+
+      switch (token.type) {
+        case 'tag':
+          // Un tag après la section des coups ouvre une nouvelle partie
+          if (game.moves.length > 0 || pendingComments.length > 0) {
+            finishGame();
+          }
+          game.headers[token.name] = token.value;
+          break;
+
+        case 'comment':
+          // Un commentaire suit le coup qu'il annote ; avant le premier coup
+          // d'une ligne, il est rattaché au coup suivant (ou à la partie)
+          if (lastMove) {
+            lastMove.comments.push(token.text);
+          } else {
+            pendingComments.push(token.text);
+          }
+          break;
+
+        case 'nag':
+          if (!lastMove) {
+            throw new Error(`NAG $${token.value} sans coup à annoter`);
+          }
+          lastMove.nags.push(token.value);
+          break;
+
+        case 'open': {
+          if (!lastMove) {
+            throw new Error('Variante sans coup de référence');
+          }
+          const variation = [];
+          lastMove.variations.push(variation);
+          lines.push(variation);
+          break;
+        }
+
+        case 'close':
+          if (lines.length === 1) {
+            throw new Error('Parenthèse fermante sans variante ouverte');
+          }
+          lines.pop();
+          break;
+
+        case 'result':
+          if (lines.length > 1) {
+            throw new Error('Résultat à l\'intérieur d\'une variante');
+          }
+          game.result = token.value;
+          finishGame();
+          break;
+
+        case 'move': {
+          const move = {
+            san: token.san,
+            nags: token.nags,
+            comments: [],
+            variations: []
+          };
+          if (pendingComments.length > 0) {
+            if (lines.length === 1 && game.moves.length === 0) {
+              game.comment = pendingComments.join(' ');
+            } else {
+              move.comments.push(...pendingComments);
+            }
+            pendingComments = [];
+          }
+          line.push(move);
+          break;
+        }
+
+        default:
+          break;
+      }
+    }
+
+    finishGame();
+
+    return games;
+  }
+
+  /**
+   * Découpe un texte PGN en jetons
+   * @param {string} text - Contenu PGN
+   * @returns {Array} Liste de jetons
+   * @throws {Error} Si un caractère inattendu est rencontré
+   */
+  static tokenize(text) {
+    if (typeof text !== 'string') {
+      throw new Error('Le PGN doit être une chaîne de caractères');
+    }
+
+    // Les lignes commençant par % sont des échappements ignorés
+    const source = text.replace(/^%.*$/gm, '');
+    const tokens = [];
+    const pattern = new RegExp(TOKEN_PATTERN.source, 'g');
+    let match;
+
+    while ((match = pattern.exec(source)) !== null) {
+      const [, tagName, tagValue, braceComment, lineComment, nag, open, close, result, moveNumber, san, unexpected] = match;
+
+      if (tagName !== undefined) {
+        tokens.push({ type: 'tag', name: tagName, value: tagValue.replace(/\\(["\\])/g, '$1') });
+      } else if (braceComment !== undefined) {
+        tokens.push({ type: 'comment', text: braceComment.trim() });
+      } else if (lineComment !== undefined) {
+        tokens.push({ type: 'comment', text: lineComment.trim() });
+      } else if (nag !== undefined) {
+        tokens.push({ type: 'nag', value: parseInt(nag, 10) });
+      } else if (open !== undefined) {
+        tokens.push({ type: 'open' });
+      } else if (close !== undefined) {
+        tokens.push({ type: 'close' });
+      } else if (result !== undefined) {
+        tokens.push({ type: 'result', value: result });
+      } else if (moveNumber !== undefined) {
+        continue;
+      } else if (san !== undefined) {
+        tokens.push(PGNParser.createMoveToken(san));
+      } else {
+        const line = source.slice(0, match.index).split('\n').length;
+        throw new Error(`Caractère inattendu "${unexpected}" à la ligne ${line}`);
+      }
+    }
+
+    return tokens;
+  }
+
+  /**
+   * Crée un jeton de coup en séparant les annotations de suffixe (!, ?, !?)
+   * @param {string} text - Coup brut
+   * @returns {Object} Jeton { type, san, nags }
+   */
+  static createMoveToken(text) {
+    const suffix = /[!?]+$/.exec(text);
+    const nags = [];
+    let san = text;
+
+    if (suffix) {
+      san = text.slice(0, suffix.index);
+      if (SUFFIX_NAGS[suffix[0]]) {
+        nags.push(SUFFIX_NAGS[suffix[0]]);
+      }
+    }
+
+    return { type: 'move', san, nags };
+  }
+
+  /**
+   * Crée une partie vide
+   * @returns {Object} Partie
+   */
+  static createEmptyGame() {
+    return {
+      headers: {},
+      moves: [],
+      result: '*',
+      comment: null
+    };
+  }
+
+  /**
+   * Rejoue une partie analysée, variantes comprises, à travers le MoveValidator
+   * @param {Object} game - Partie retournée par parse()
+   * @returns {Object} { isValid, moves, board } ou { isValid, ply, move, message }
+   */
+  static replay(game) {
+    const variant = PGNParser.parseVariant(game.headers.Variant);
+
+    let board;
+    try {
+      board = Board.fromFEN(game.headers.FEN || STARTING_FEN, { variant });
+    } catch (error) {
+      return { isValid: false, ply: 0, move: null, message: error.message };
+    }
+
+    const parser = new MoveParser(board);
+    const result = PGNParser.replayLine(board, parser, game.moves, 0);
+
+    if (!result.isValid) {
+      return result;
+    }
+
+    return { isValid: true, moves: result.moves, board };
+  }
+
+  /**
+   * Rejoue une ligne de coups ; chaque variante est jouée depuis la position
+   * précédant le coup qu'elle remplace, puis annulée
+   * @param {Board} board - L'échiquier
+   * @param {MoveParser} parser - Analyseur lié à l'échiquier
+   * @param {Array} line - Coups de la ligne
+   * @param {number} depth - Profondeur de variante (0 = ligne principale)
+   * @returns {Object} { isValid, moves } ou description de l'erreur
+   */
+  static replayLine(board, parser, line, depth) {
+    const played = [];
+
+    for (const node of line) {
+      for (const variation of node.variations) {
+        const variationResult = PGNParser.replayLine(board, parser, variation, depth + 1);
+        if (!variationResult.isValid) {
+          return variationResult;
+        }
+        variationResult.moves.forEach(() => board.unmakeMove());
+      }
+
+      const color = board.activeColor;
+      const label = `${board.fullMoveNumber}${color === 'white' ? '.' : '...'} ${node.san}`;
+      const ply = board.moveHistory.length + 1;
+      const parsed = parser.parse(node.san, color);
+
+      if (!parsed.isValid) {
+        return {
+          isValid: false,
+          ply,
+          move: label,
+          inVariation: depth > 0,
+          message: `Coup illégal au demi-coup ${ply} (${label}${depth > 0 ? ', dans une variante' : ''}): ${parsed.message}`
+        };
+      }
+
+      board.makeMove(parsed.move);
+      const { text, clock, power } = PGNParser.extractCommands(node.comments.join(' '));
+      played.push({
+        ...parsed.move,
+        comment: text || null,
+        nags: node.nags,
+        clock,
+        power: parsed.move.power || power
+      });
+    }
+
+    return { isValid: true, moves: played };
+  }
+
+  /**
+   * Sépare un commentaire de ses commandes [%clk] et [%axpower]
+   * @param {string} comment - Commentaire brut
+   * @returns {Object} { text, clock (secondes restantes), power ({ name, squares }) }
+   */
+  static extractCommands(comment) {
+    let clock = null;
+    let power = null;
+
+    const text = comment.replace(COMMAND_PATTERN, (command, name, args) => {
+      if (name === 'clk') {
+        clock = PGNParser.parseClock(args);
+      } else if (name === 'axpower') {
+        const [powerName, ...squares] = args.trim().split(/\s+/);
+        power = { name: powerName, squares };
+      } else {
+        return command;
+      }
+      return '';
+    }).replace(/\s+/g, ' ').trim();
+
+    return { text, clock, power };
+  }
+
+  /**
+   * Convertit une horloge H:MM:SS en secondes
+   * @param {string} value - Horloge (ex: '0:14:55' ou '1:02:03.5')
+   * @returns {number|null} Secondes, ou null si le format est invalide
+   */
+  static parseClock(value) {
+    const match = /^(\d+):(\d{1,2}):(\d{1,2}(?:\.\d+)?)$/.exec(value.trim());
+    if (!match) {
+      return null;
+    }
+    return parseInt(match[1], 10) * 3600 + parseInt(match[2], 10) * 60 + Math.round(parseFloat(match[3]));
+  }
+
+  /**
+   * Lit le tag TimeControl sous la forme "initial+incrément" (en secondes)
+   * @param {string} value - Valeur du tag (ex: '900+10', '600')
+   * @returns {Object|null} { initial, increment } ou null si absent ou non géré
+   */
+  static parseTimeControl(value) {
+    const match = /^(\d+)(?:\+(\d+))?$/.exec((value || '').trim());
+    if (!match) {
+      return null;
+    }
+    return { initial: parseInt(match[1], 10), increment: parseInt(match[2] || '0', 10) };
+  }
+
+  /**
+   * Lit le tag Variant
+   * @param {string} value - Valeur du tag (ex: 'Chess960', 'Fischerandom', 'Atomic')
+   * @returns {string} Variante (GAME_VARIANTS), standard si absente ou non gérée
+   */
+  static parseVariant(value) {
+    const name = (value || '').trim();
+    const match = VARIANT_PATTERNS.find(([, pattern]) => pattern.test(name));
+    return match ? match[0] : GAME_VARIANTS.STANDARD;
+  }
+
+  /**
+   * Lit un tag AXPowersWhite / AXPowersBlack
+   * @param {string} value - Liste séparée par des virgules, '*' marquant un pouvoir utilisé
+   * @returns {Array} Pouvoirs { name, used }
+   */
+  static parsePowers(value) {
+    if (!value || value === '-') {
+      return [];
+    }
+    return value.split(',').map(entry => ({
+      name: entry.replace(/\*$/, ''),
+      used: entry.endsWith('*')
+    }));
+  }
+}
+
+module.exports = PGNParser;
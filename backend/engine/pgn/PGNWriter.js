@@ -0,0 +1,264 @@
+const { STARTING_FEN, GAME_RESULTS, GAME_VARIANTS } = require('../../../shared/constants/chess-notation');
+
+// Seven Tag Roster : tags obligatoires, dans l'ordre imposé par la norme PGN
+const SEVEN_TAG_ROSTER = ['Event', 'Site', 'Date', 'Round', 'White', 'Black', 'Result'];
+
+// Tags optionnels écrits après le Seven Tag Roster, dans cet ordre
+const OPTIONAL_TAGS = ['WhiteElo', 'BlackElo', 'ECO', 'TimeControl', 'Termination', 'Variant', 'SetUp', 'FEN'];
+
+// Valeurs du tag Variant des variantes autres que les échecs classiques
+const VARIANT_TAGS = {
+  [GAME_VARIANTS.POWERS]: 'Powers',
+  [GAME_VARIANTS.CHESS960]: 'Chess960',
+  [GAME_VARIANTS.ATOMIC]: 'Atomic',
+  [GAME_VARIANTS.HORDE]: 'Horde',
+  [GAME_VARIANTS.CRAZYHOUSE]: 'Crazyhouse',
+  [GAME_VARIANTS.KING_OF_THE_HILL]: 'King of the Hill',
+  [GAME_VARIANTS.THREE_CHECK]: 'Three-check',
+  [GAME_VARIANTS.ANTICHESS]: 'Antichess'
+};
+
+// Valeurs du tag Termination selon la raison de fin de partie
+const TERMINATIONS = {
+  timeout: 'time forfeit',
+  abandonment: 'abandoned'
+};
+
+// Longueur maximale d'une ligne de coups (norme d'export PGN)
+const MAX_LINE_LENGTH = 80;
+
+/**
+ * Écrivain PGN partagé par Game.toPGN() et l'export depuis la base
+ * Produit le Seven Tag Roster, les tags Elo/TimeControl/Termination/FEN,
+ * les commentaires [%clk] et les tags et commandes propres à AX Chess
+ * (pouvoirs spéciaux) relus par le PGNParser
+ */
+class PGNWriter {
+  /**
+   * Génère le PGN d'une partie
+   * @param {Object} data - Données de la partie
+   * @param {Object} data.headers - Tags connus (Event, White, WhiteElo, ECO...)
+   * @param {Array} data.moves - Coups { notation, color, timeSpent, comment, nags, power }
+   * @param {string} data.result - Résultat PGN
+   * @param {string} [data.resultReason] - Raison de fin de partie
+   * @param {string} [data.initialFen] - Position de départ si non standard
+   * @param {string} [data.variant] - Variante (GAME_VARIANTS)
+   * @param {Object} [data.timeControl] - { initial, increment } en secondes
+   * @param {Object} [data.powers] - Pouvoirs attribués { white: [], black: [] }
+   * @returns {string} PGN
+   */
+  static write(data) {
+    const headers = PGNWriter.buildHeaders(data);
+    const tagSection = Object.entries(headers)
+      .map(([name, value]) => `[${name} "${PGNWriter.escape(value)}"]`)
+      .join('\n');
+
+    return `${tagSection}\n\n${PGNWriter.writeMovetext(data)}\n`;
+  }
+
+  /**
+   * Construit les tags dans l'ordre de la norme, suivis des tags AX
+   * @param {Object} data - Données de la partie
+   * @returns {Object} Tags ordonnés
+   */
+  static buildHeaders(data) {
+    const { moves = [], result = GAME_RESULTS.ONGOING, resultReason, initialFen, variant, timeControl, powers } = data;
+    const source = data.headers || {};
+    const computed = {
+      Event: 'AX Chess Game',
+      Site: 'AX Chess Platform',
+      Date: '????.??.??',
+      Round: '-',
+      White: '?',
+      Black: '?',
+      ...source,
+      Result: result
+    };
+
+    if (source.Date instanceof Date) {
+      computed.Date = PGNWriter.formatDate(source.Date);
+    }
+
+    if (timeControl && timeControl.initial > 0) {
+      computed.TimeControl = `${timeControl.initial}+${timeControl.increment || 0}`;
+    }
+
+    if (result === GAME_RESULTS.ONGOING) {
+      computed.Termination = 'unterminated';
+    } else if (resultReason) {
+      computed.Termination = TERMINATIONS[resultReason] || 'normal';
+    }
+
+    if (VARIANT_TAGS[variant]) {
+      computed.Variant = VARIANT_TAGS[variant];
+    }
+
+    // En échecs 960, la position de départ est toujours précisée (X-FEN)
+    if (initialFen && (initialFen !== STARTING_FEN || variant === GAME_VARIANTS.CHESS960)) {
+      computed.SetUp = '1';
+      computed.FEN = initialFen;
+    }
+
+    const headers = {};
+    for (const name of [...SEVEN_TAG_ROSTER, ...OPTIONAL_TAGS]) {
+      if (computed[name] !== undefined && computed[name] !== null) {
+        headers[name] = String(computed[name]);
+      }
+    }
+
+    // Tags supplémentaires fournis (parties importées), puis tags AX
+    for (const [name, value] of Object.entries(source)) {
+      if (!(name in headers) && value !== undefined && value !== null && !name.startsWith('AX')) {
+        headers[name] = String(value);
+      }
+    }
+
+    if (resultReason) {
+      headers.AXResultReason = resultReason;
+    }
+    if (powers && (powers.white || []).length + (powers.black || []).length > 0) {
+      headers.AXPowersWhite = PGNWriter.formatPowers(powers.white);
+      headers.AXPowersBlack = PGNWriter.formatPowers(powers.black);
+    }
+    const powerUses = moves.filter(move => move.power && move.power.name).length;
+    if (powerUses > 0) {
+      headers.AXPowerUses = String(powerUses);
+    }
+
+    return headers;
+  }
+
+  /**
+   * Écrit la section des coups, avec les horloges et les commandes AX
+   * @param {Object} data - Données de la partie
+   * @returns {string} Section des coups, lignes limitées à 80 caractères
+   */
+  static writeMovetext(data) {
+    const { moves = [], result = GAME_RESULTS.ONGOING, initialFen, timeControl } = data;
+    const tokens = [];
+
+    // Numérotation à partir de la position de départ (FEN éventuelle)
+    const fenFields = (initialFen || STARTING_FEN).split(/\s+/);
+    let moveNumber = parseInt(fenFields[5], 10) || 1;
+    let color = fenFields[1] === 'b' ? 'black' : 'white';
+
+    const clocks = timeControl && timeControl.initial > 0 ?
+      { white: timeControl.initial, black: timeControl.initial } :
+      null;
+
+    let needsNumber = true;
+    for (const move of moves) {
+      if (color === 'white') {
+        tokens.push(`${moveNumber}.`);
+      } else if (needsNumber) {
+        tokens.push(`${moveNumber}...`);
+      }
+
+      tokens.push(move.notation);
+      (move.nags || []).forEach(nag => tokens.push(`$${nag}`));
+
+      const commands = [];
+      if (clocks && typeof move.timeSpent === 'number') {
+        clocks[color] = Math.max(0, clocks[color] - move.timeSpent + (timeControl.increment || 0));
+        commands.push(`[%clk ${PGNWriter.formatClock(clocks[color])}]`);
+      }
+      if (move.power && move.power.name) {
+        commands.push(`[%axpower ${PGNWriter.formatPowerUse(move.power)}]`);
+      }
+
+      const comment = [...commands, move.comment].filter(Boolean).join(' ');
+      if (comment) {
+        tokens.push(`{${comment.replace(/}/g, ')')}}`);
+      }
+
+      // Après un commentaire, le coup noir suivant doit être renuméroté
+      needsNumber = !!comment || (move.nags || []).length > 0;
+
+      if (color === 'black') {
+        moveNumber++;
+      }
+      color = color === 'white' ? 'black' : 'white';
+    }
+
+    tokens.push(result);
+    return PGNWriter.wrap(tokens);
+  }
+
+  /**
+   * Regroupe les jetons en lignes de 80 caractères maximum
+   * @param {Array} tokens - Jetons de la section des coups
+   * @returns {string} Texte coupé
+   */
+  static wrap(tokens) {
+    const lines = [];
+    let line = '';
+
+    for (const token of tokens) {
+      if (line && line.length + 1 + token.length > MAX_LINE_LENGTH) {
+        lines.push(line);
+        line = token;
+      } else {
+        line = line ? `${line} ${token}` : token;
+      }
+    }
+
+    if (line) {
+      lines.push(line);
+    }
+    return lines.join('\n');
+  }
+
+  /**
+   * Formate une durée en secondes pour [%clk] (H:MM:SS)
+   * @param {number} seconds - Temps restant
+   * @returns {string} Horloge
+   */
+  static formatClock(seconds) {
+    const total = Math.round(seconds);
+    const hours = Math.floor(total / 3600);
+    const minutes = Math.floor((total % 3600) / 60);
+    const secs = total % 60;
+    return `${hours}:${String(minutes).padStart(2, '0')}:${String(secs).padStart(2, '0')}`;
+  }
+
+  /**
+   * Formate une date au format PGN (AAAA.MM.JJ)
+   * @param {Date} date - Date
+   * @returns {string} Date PGN
+   */
+  static formatDate(date) {
+    const month = String(date.getUTCMonth() + 1).padStart(2, '0');
+    const day = String(date.getUTCDate()).padStart(2, '0');
+    return `${date.getUTCFullYear()}.${month}.${day}`;
+  }
+
+  /**
+   * Formate la liste des pouvoirs d'un joueur pour les tags AX
+   * @param {Array} powers - Pouvoirs { name, used }
+   * @returns {string} Liste séparée par des virgules (ex: 'teleportation,exchange*')
+   *                   L'astérisque marque un pouvoir utilisé
+   */
+  static formatPowers(powers = []) {
+    return powers.map(power => `${power.name}${power.used ? '*' : ''}`).join(',') || '-';
+  }
+
+  /**
+   * Formate une utilisation de pouvoir pour la commande [%axpower]
+   * @param {Object} power - { name, squares }
+   * @returns {string} Ex: 'teleportation e2 e5'
+   */
+  static formatPowerUse(power) {
+    return [power.name, ...(power.squares || [])].join(' ');
+  }
+
+  /**
+   * Échappe une valeur de tag
+   * @param {string} value - Valeur
+   * @returns {string} Valeur échappée
+   */
+  static escape(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"');
+  }
+}
+
+module.exports = PGNWriter;
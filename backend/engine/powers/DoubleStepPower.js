@@ -0,0 +1,61 @@
+const Power = require('./Power');
+const { SPECIAL_POWERS } = require('../../../shared/constants/chess-notation');
+
+/**
+ * Double pas : un pion du joueur avance de deux cases libres depuis
+ * n'importe quelle rangée, sans atteindre la dernière ni ouvrir de prise en
+ * passant. Deux charges, espacées de quatre demi-coups
+ * Notation : D:e3-e5
+ */
+class DoubleStepPower extends Power {
+  constructor() {
+    super(SPECIAL_POWERS.DOUBLE_STEP, 'D');
+    this.description = 'Fait avancer un de vos pions de deux cases, depuis n\'importe quelle rangée';
+    this.targets = 2;
+    this.pieceTypes = ['P'];
+    this.charges = 2;
+    this.cooldown = 4;
+  }
+
+  /**
+   * La destination est à deux cases devant le pion, cases franchies vides
+   * @param {Board} board - L'échiquier
+   * @param {Piece} piece - Le pion
+   * @param {Object} to - Destination
+   * @returns {Object} Résultat de validation
+   */
+  validateTarget(board, piece, to) {
+    const direction = piece.color === 'white' ? 1 : -1;
+    if (to.file !== piece.file || to.rank !== piece.rank + 2 * direction) {
+      return Power.invalid('INVALID_POWER_TARGET', 'Le pion doit avancer de deux cases');
+    }
+    if (board.getPiece(piece.rank + direction, to.file) || board.getPiece(to.rank, to.file)) {
+      return Power.invalid('SQUARE_OCCUPIED', 'Les cases devant le pion doivent être vides');
+    }
+    return Power.validatePawnSquare(piece, to.rank);
+  }
+
+  /**
+   * Avance le pion
+   * @param {Board} board - L'échiquier
+   * @param {Piece} piece - Le pion
+   * @param {Object} moveInfo - Informations d'annulation du coup
+   */
+  apply(board, piece, moveInfo) {
+    board.removePiece(moveInfo.fromRank, moveInfo.fromFile);
+    board.setPiece(piece, moveInfo.toRank, moveInfo.toFile);
+    piece.hasMoved = true;
+  }
+
+  /**
+   * Ramène le pion sur sa case
+   * @param {Board} board - L'échiquier
+   * @param {Object} moveInfo - Informations d'annulation du coup
+   */
+  undo(board, moveInfo) {
+    board.setPiece(null, moveInfo.toRank, moveInfo.toFile);
+    board.setPiece(moveInfo.piece, moveInfo.fromRank, moveInfo.fromFile);
+  }
+}
+
+module.exports = DoubleStepPower;
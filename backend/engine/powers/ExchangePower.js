@@ -0,0 +1,67 @@
+const Power = require('./Power');
+const { SPECIAL_POWERS } = require('../../../shared/constants/chess-notation');
+
+/**
+ * Échange : deux pièces différentes du joueur échangent leurs cases
+ * Notation : X:Nb1-Qd1
+ */
+class ExchangePower extends Power {
+  constructor() {
+    super(SPECIAL_POWERS.EXCHANGE, 'X');
+    this.description = 'Échange les cases de deux de vos pièces de types différents';
+    this.targets = 2;
+  }
+
+  /**
+   * La seconde case doit porter une autre pièce du joueur, de type différent
+   * @param {Board} board - L'échiquier
+   * @param {Piece} piece - Première pièce
+   * @param {Object} to - Case de la seconde pièce
+   * @returns {Object} Résultat de validation
+   */
+  validateTarget(board, piece, to) {
+    const target = board.getPiece(to.rank, to.file);
+    if (!target || target.color !== piece.color) {
+      return Power.invalid('INVALID_POWER_TARGET', 'L\'échange doit viser une autre de vos pièces');
+    }
+    if (target.type === piece.type) {
+      return Power.invalid('INVALID_POWER_TARGET', 'Échanger deux pièces identiques est sans effet');
+    }
+
+    const pawnValidation = Power.validatePawnSquare(piece, to.rank);
+    return pawnValidation.isValid ? Power.validatePawnSquare(target, piece.rank) : pawnValidation;
+  }
+
+  /**
+   * Intervertit les deux pièces
+   * @param {Board} board - L'échiquier
+   * @param {Piece} piece - Première pièce
+   * @param {Object} moveInfo - Informations d'annulation du coup
+   */
+  apply(board, piece, moveInfo) {
+    const { fromRank, fromFile, toRank, toFile } = moveInfo;
+    const exchangedPiece = board.getPiece(toRank, toFile);
+    moveInfo.exchangedPiece = exchangedPiece;
+    moveInfo.exchangedHadMoved = exchangedPiece.hasMoved;
+
+    board.setPiece(piece, toRank, toFile);
+    board.setPiece(exchangedPiece, fromRank, fromFile);
+    piece.hasMoved = true;
+    exchangedPiece.hasMoved = true;
+    board.updateCastlingRights(piece, fromRank, fromFile, toRank, toFile);
+    board.updateCastlingRights(exchangedPiece, toRank, toFile, fromRank, fromFile);
+  }
+
+  /**
+   * Remet les deux pièces sur leurs cases
+   * @param {Board} board - L'échiquier
+   * @param {Object} moveInfo - Informations d'annulation du coup
+   */
+  undo(board, moveInfo) {
+    board.setPiece(moveInfo.exchangedPiece, moveInfo.toRank, moveInfo.toFile);
+    board.setPiece(moveInfo.piece, moveInfo.fromRank, moveInfo.fromFile);
+    moveInfo.exchangedPiece.hasMoved = moveInfo.exchangedHadMoved;
+  }
+}
+
+module.exports = ExchangePower;
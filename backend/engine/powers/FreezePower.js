@@ -0,0 +1,47 @@
+const Power = require('./Power');
+const { SPECIAL_POWERS } = require('../../../shared/constants/chess-notation');
+
+/**
+ * Gel : une pièce adverse (hors roi) ne peut plus bouger, ni par un coup ni
+ * par un pouvoir, pendant quatre demi-coups (deux coups adverses). Elle
+ * continue d'attaquer les cases qu'elle contrôle
+ * Notation : F:Nb8
+ */
+class FreezePower extends Power {
+  constructor() {
+    super(SPECIAL_POWERS.FREEZE, 'F');
+    this.description = 'Immobilise une pièce adverse pendant deux coups adverses';
+    this.targetsOpponent = true;
+    this.pieceTypes = ['Q', 'R', 'B', 'N', 'P'];
+    this.duration = 4;
+  }
+
+  /**
+   * Refuse les coups qui déplacent la pièce gelée : coup de la pièce, roque
+   * avec la tour gelée, échange avec la pièce gelée
+   * @param {Board} board - L'échiquier avant le coup
+   * @param {Object} effect - Effet actif
+   * @param {Object} move - Le coup envisagé
+   * @returns {Object} Résultat de validation
+   */
+  validateMove(board, effect, move) {
+    if (move.drop) {
+      return { isValid: true };
+    }
+
+    const moved = [board.getPiece(move.fromRank, move.fromFile)];
+    const castlingSide = move.power ? null : board.getCastlingSide(move);
+    if (castlingSide) {
+      moved.push(board.getPiece(move.fromRank, board.castlingRookFiles[moved[0].color][castlingSide]));
+    } else if (move.power) {
+      moved.push(board.getPiece(move.toRank, move.toFile));
+    }
+
+    if (moved.includes(effect.piece)) {
+      return Power.invalid('PIECE_FROZEN', 'Cette pièce est gelée');
+    }
+    return { isValid: true };
+  }
+}
+
+module.exports = FreezePower;
@@ -0,0 +1,185 @@
+const PowerManager = require('./PowerManager');
+const PowerRegistry = require('./PowerRegistry');
+const { algebraicToPosition } = require('../../../shared/constants/chess-notation');
+
+// Point de vue de ceux qui ne jouent pas la partie
+const SPECTATOR = 'spectator';
+
+/**
+ * Vue d'une partie pour un joueur ou un spectateur
+ * getGameState() décrit la partie complète ; la vue en retire ce que le
+ * destinataire ne doit pas connaître : pièces invisibles de l'adversaire (et
+ * les coups qui les ont déplacées tant qu'elles le sont), pouvoirs adverses
+ * encore inutilisés et graine du tirage des pouvoirs. Un spectateur ne voit que ce que les deux joueurs voient
+ */
+class GameView {
+  /**
+   * Point de vue d'un utilisateur sur une partie
+   * @param {Game} game - La partie
+   * @param {string} userId - ID de l'utilisateur
+   * @returns {string} 'white', 'black' ou 'spectator'
+   */
+  static getViewer(game, userId) {
+    return game.getPlayerColor(userId) || SPECTATOR;
+  }
+
+  /**
+   * État de la partie vu par un joueur ou un spectateur
+   * @param {Game} game - La partie
+   * @param {string} viewer - 'white', 'black' ou 'spectator'
+   * @returns {Object} État de la partie (format de getGameState)
+   */
+  static project(game, viewer) {
+    const state = game.getGameState();
+    if (!game.rules.hasPowers) {
+      return state;
+    }
+
+    const hiddenEffects = GameView.getHiddenEffects(game, viewer);
+    const maskedPlies = GameView.getMaskedPlies(hiddenEffects);
+
+    return {
+      ...state,
+      board: hiddenEffects.length > 0 ? GameView.getVisibleFEN(game.board, hiddenEffects) : state.board,
+      // Le hachage permettrait de retrouver la case d'une pièce invisible
+      positionHash: hiddenEffects.length > 0 ? null : state.positionHash,
+      moves: state.moves.map((move, index) => maskedPlies.has(index + 1) ? GameView.maskMove(move) : move),
+      powers: {
+        white: GameView.projectPowers(state.powers.white, viewer === 'white'),
+        black: GameView.projectPowers(state.powers.black, viewer === 'black')
+      },
+      powerDraft: game.powerDraft.getState(viewer),
+      powerEffects: state.powerEffects.map(effect => {
+        if (effect.color === viewer || !PowerRegistry.get(effect.name).hidesPiece) {
+          return effect;
+        }
+        const { square, ...visible } = effect;
+        return visible;
+      })
+    };
+  }
+
+  /**
+   * Document de la base vu par un joueur ou un spectateur : coups, pouvoirs
+   * et choix des pouvoirs (sans la graine) sont ceux de la vue de la partie ;
+   * l'historique des positions est retiré comme le hachage de la position
+   * @param {Object} record - Document de la partie (toObject)
+   * @param {Game} game - La partie en mémoire, ou reprise de la base
+   * @param {string} viewer - 'white', 'black' ou 'spectator'
+   * @returns {Object} Document à envoyer
+   */
+  static projectRecord(record, game, viewer) {
+    const view = GameView.project(game, viewer);
+    const { powerDraft, positionHistory, ...visible } = record;
+
+    const players = { ...record.players };
+    if (view.powers) {
+      for (const color of ['white', 'black']) {
+        players[color] = { ...record.players[color], powers: view.powers[color] };
+      }
+    }
+
+    return {
+      ...visible,
+      players,
+      moves: view.moves,
+      board: view.board,
+      ...(view.powerDraft && { powerDraft: view.powerDraft }),
+      ...(view.powerEffects && { powerEffects: view.powerEffects })
+    };
+  }
+
+  /**
+   * Coup de l'historique vu par un joueur ou un spectateur
+   * @param {Game} game - La partie
+   * @param {Object} move - Coup de game.moves
+   * @param {string} viewer - 'white', 'black' ou 'spectator'
+   * @returns {Object} Le coup, masqué s'il révèle une pièce invisible
+   */
+  static projectMove(game, move, viewer) {
+    if (!move || !game.rules.hasPowers) {
+      return move;
+    }
+
+    const maskedPlies = GameView.getMaskedPlies(GameView.getHiddenEffects(game, viewer));
+    return maskedPlies.has(game.moves.indexOf(move) + 1) ? GameView.maskMove(move) : move;
+  }
+
+  /**
+   * Effets actifs cachés au destinataire : pièces adverses rendues
+   * invisibles (toutes pour un spectateur)
+   * @param {Game} game - La partie
+   * @param {string} viewer - 'white', 'black' ou 'spectator'
+   * @returns {Array} Effets de board.powerEffects
+   */
+  static getHiddenEffects(game, viewer) {
+    return PowerManager.getActiveEffects(game.board).filter(effect =>
+      effect.color !== viewer && PowerRegistry.get(effect.name).hidesPiece);
+  }
+
+  /**
+   * Demi-coups joués par des pièces invisibles
+   * @param {Array} effects - Effets cachés
+   * @returns {Set} Numéros de demi-coup (à partir de 1)
+   */
+  static getMaskedPlies(effects) {
+    return new Set(effects.flatMap(effect => effect.plies));
+  }
+
+  /**
+   * FEN de la position sans les pièces invisibles ; la case en passant est
+   * retirée si elle trahit un pion invisible qui vient d'avancer de deux cases
+   * @param {Board} board - L'échiquier
+   * @param {Array} effects - Effets cachés
+   * @returns {string} FEN visible
+   */
+  static getVisibleFEN(board, effects) {
+    const visible = board.clone();
+    for (const { piece } of effects) {
+      visible.removePiece(piece.rank, piece.file);
+
+      if (piece.type === 'P' && visible.enPassantTarget) {
+        const target = algebraicToPosition(visible.enPassantTarget);
+        if (target.file === piece.file && Math.abs(target.rank - piece.rank) === 1) {
+          visible.enPassantTarget = null;
+        }
+      }
+    }
+    return visible.toFEN();
+  }
+
+  /**
+   * Coup masqué : seuls le camp, le numéro, le temps et la prise restent
+   * connus (la pièce prise disparaît de l'échiquier visible)
+   * @param {Object} move - Coup de l'historique
+   * @returns {Object} Coup masqué
+   */
+  static maskMove(move) {
+    return {
+      hidden: true,
+      notation: null,
+      color: move.color,
+      player: move.player,
+      moveNumber: move.moveNumber,
+      isCapture: move.isCapture,
+      capturedPiece: move.capturedPiece,
+      timestamp: move.timestamp,
+      timeSpent: move.timeSpent
+    };
+  }
+
+  /**
+   * Pouvoirs d'un camp : l'adversaire ne connaît que ceux déjà utilisés
+   * @param {Array} powers - Pouvoirs { name, charges, cooldownUntilPly, used, usedAt }
+   * @param {boolean} isOwner - True si le destinataire joue ce camp
+   * @returns {Array} Pouvoirs visibles
+   */
+  static projectPowers(powers, isOwner) {
+    if (isOwner) {
+      return powers;
+    }
+    return powers.map(power => power.used ? power : { name: null, used: false, usedAt: null });
+  }
+}
+
+module.exports = GameView;
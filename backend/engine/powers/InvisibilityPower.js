@@ -0,0 +1,19 @@
+const Power = require('./Power');
+const { SPECIAL_POWERS } = require('../../../shared/constants/chess-notation');
+
+/**
+ * Invisibilité : une pièce du joueur (hors roi) disparaît de la vue de
+ * l'adversaire, ainsi que ses coups, pendant quatre demi-coups
+ * Notation : I:Ng1
+ */
+class InvisibilityPower extends Power {
+  constructor() {
+    super(SPECIAL_POWERS.INVISIBILITY, 'I');
+    this.description = 'Rend une de vos pièces invisible pour l\'adversaire pendant deux coups';
+    this.pieceTypes = ['Q', 'R', 'B', 'N', 'P'];
+    this.duration = 4;
+    this.hidesPiece = true;
+  }
+}
+
+module.exports = InvisibilityPower;
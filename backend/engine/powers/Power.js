@@ -0,0 +1,145 @@
+// Pièces pouvant être ciblées par défaut
+const ALL_PIECES = ['K', 'Q', 'R', 'B', 'N', 'P'];
+
+/**
+ * Pouvoir spécial, joué à la place d'un coup
+ * Chaque pouvoir déclare son ciblage (nombre de cases, camp et types de la
+ * pièce ciblée), ses charges, son temps de recharge et la durée de son effet
+ * en demi-coups. Le PowerManager applique les règles communes (cases valides,
+ * échecs) ; un nouveau pouvoir hérite de Power et s'ajoute au PowerRegistry
+ */
+class Power {
+  /**
+   * @param {string} name - Nom du pouvoir (SPECIAL_POWERS)
+   * @param {string} letter - Lettre du pouvoir dans la notation des coups
+   */
+  constructor(name, letter) {
+    this.name = name;
+    this.letter = letter;
+    this.description = '';
+
+    // Ciblage : pièce ciblée, puis éventuellement une seconde case
+    this.targets = 1;
+    this.targetsOpponent = false;
+    this.pieceTypes = ALL_PIECES;
+
+    // Utilisations par partie et demi-coups à attendre entre deux utilisations
+    this.charges = 1;
+    this.cooldown = 0;
+
+    // Durée de l'effet sur la pièce ciblée (0 : pas d'effet durable)
+    this.duration = 0;
+
+    // L'effet cache la pièce et ses coups à l'adversaire
+    this.hidesPiece = false;
+  }
+
+  /**
+   * Règles propres au pouvoir sur ses cibles
+   * @param {Board} board - L'échiquier
+   * @param {Piece} piece - Pièce ciblée
+   * @param {Object} to - Seconde case ciblée (la case de la pièce s'il n'y en a qu'une)
+   * @returns {Object} Résultat de validation { isValid, reason, message }
+   */
+  validateTarget(board, piece, to) {
+    return { isValid: true };
+  }
+
+  /**
+   * Modifie l'échiquier ; appelé par la variante pendant Board.makeMove
+   * Les pièces déplacées sont marquées hasMoved et notées dans moveInfo pour undo
+   * @param {Board} board - L'échiquier
+   * @param {Piece} piece - Pièce ciblée
+   * @param {Object} moveInfo - Informations d'annulation du coup
+   */
+  apply(board, piece, moveInfo) {}
+
+  /**
+   * Annule apply, avant que Board.unmakeMove ne restaure la pièce ciblée
+   * @param {Board} board - L'échiquier
+   * @param {Object} moveInfo - Informations d'annulation du coup
+   */
+  undo(board, moveInfo) {}
+
+  /**
+   * Restriction imposée aux coups tant que l'effet du pouvoir est actif
+   * @param {Board} board - L'échiquier avant le coup
+   * @param {Object} effect - Effet actif { name, color, piece, ply, expiresAtPly, plies }
+   * @param {Object} move - Le coup (ou pouvoir) envisagé
+   * @returns {Object} Résultat de validation { isValid, reason, message }
+   */
+  validateMove(board, effect, move) {
+    return { isValid: true };
+  }
+
+  /**
+   * Vérifie qu'un joueur peut utiliser le pouvoir : charge restante et
+   * temps de recharge écoulé
+   * @param {Object} state - État du pouvoir du joueur (createState)
+   * @param {number} ply - Demi-coups joués dans la partie
+   * @returns {boolean} True si le pouvoir est utilisable
+   */
+  canUse(state, ply) {
+    return state.charges > 0 && ply >= state.cooldownUntilPly;
+  }
+
+  /**
+   * État du pouvoir d'un joueur, au format de Game.powers
+   * @param {Object} [saved] - État enregistré (reprise d'une partie) ; une
+   *   partie enregistrée sans charges a épuisé les siennes si le pouvoir a servi
+   * @returns {Object} { name, charges, cooldownUntilPly, used, usedAt }
+   */
+  createState(saved = {}) {
+    return {
+      name: this.name,
+      charges: Number.isInteger(saved.charges) ? saved.charges : (saved.used ? 0 : this.charges),
+      cooldownUntilPly: saved.cooldownUntilPly || 0,
+      used: !!saved.used,
+      usedAt: saved.usedAt || null
+    };
+  }
+
+  /**
+   * Description du pouvoir pour les clients
+   * @returns {Object} { name, letter, description, targets, targetsOpponent, pieceTypes, charges, cooldown, duration, hidesPiece }
+   */
+  describe() {
+    return {
+      name: this.name,
+      letter: this.letter,
+      description: this.description,
+      targets: this.targets,
+      targetsOpponent: this.targetsOpponent,
+      pieceTypes: [...this.pieceTypes],
+      charges: this.charges,
+      cooldown: this.cooldown,
+      duration: this.duration,
+      hidesPiece: this.hidesPiece
+    };
+  }
+
+  /**
+   * Un pion ne peut pas être placé sur la première ou la dernière rangée
+   * @param {Piece} piece - La pièce déplacée
+   * @param {number} rank - Rangée d'arrivée
+   * @returns {Object} Résultat de validation
+   */
+  static validatePawnSquare(piece, rank) {
+    if (piece.type === 'P' && (rank === 0 || rank === 7)) {
+      return Power.invalid('INVALID_PAWN_SQUARE', 'Un pion ne peut pas être placé sur la première ou la dernière rangée');
+    }
+    return { isValid: true };
+  }
+
+  /**
+   * Résultat de validation négatif
+   * @param {string} reason - Code d'erreur
+   * @param {string} message - Message
+   * @returns {Object} { isValid: false, reason, message }
+   */
+  static invalid(reason, message) {
+    return { isValid: false, reason, message };
+  }
+}
+
+module.exports = Power;
@@ -0,0 +1,264 @@
+const PowerRegistry = require('./PowerRegistry');
+const { SPECIAL_POWERS, POWER_SELECTION_MODES } = require('../../../shared/constants/chess-notation');
+
+// Pouvoirs proposés aux joueurs : tous ceux du registre
+const POWER_POOL = PowerRegistry.getNames();
+
+// Nombre de pouvoirs de chaque joueur
+const LOADOUT_SIZE = 2;
+
+// Pouvoirs attribués, dans cet ordre, au joueur qui n'a pas choisi à temps
+const DEFAULT_LOADOUT = [SPECIAL_POWERS.TELEPORTATION, SPECIAL_POWERS.EXCHANGE];
+
+// Temps laissé pour choisir les pouvoirs, en secondes
+const DEFAULT_TIME_LIMIT = 60;
+
+// Ordre des choix du draft alterné, en serpent : chaque camp a la main deux fois
+const DRAFT_ORDER = ['white', 'black', 'black', 'white'];
+
+/**
+ * Choix des pouvoirs avant la partie
+ * - random : tirage au sort, rejouable à partir de la graine
+ * - pick : chaque joueur choisit ses pouvoirs sans voir ceux de l'adversaire
+ * - draft : les joueurs choisissent un pouvoir à tour de rôle, choix visibles
+ *   (la réserve étant réduite, un pouvoir pris par l'adversaire reste disponible)
+ * Passé le délai, les choix manquants sont complétés avec DEFAULT_LOADOUT
+ */
+class PowerDraft {
+  /**
+   * @param {Object} options - { mode, seed, timeLimit (secondes), startTime, loadouts }
+   *   (loadouts : noms des pouvoirs déjà attribués, à la reprise d'une partie)
+   * @throws {Error} Si le mode est inconnu
+   */
+  constructor(options = {}) {
+    this.mode = options.mode || POWER_SELECTION_MODES.RANDOM;
+    if (!Object.values(POWER_SELECTION_MODES).includes(this.mode)) {
+      throw new Error(`Mode de choix des pouvoirs invalide: ${this.mode}`);
+    }
+
+    this.seed = Number.isInteger(options.seed) ? options.seed >>> 0 : PowerDraft.createSeed();
+    this.timeLimit = options.timeLimit || DEFAULT_TIME_LIMIT;
+    this.timedOut = false;
+
+    const { loadouts } = options;
+    if (loadouts && loadouts.white.length + loadouts.black.length > 0) {
+      this.loadouts = { white: [...loadouts.white], black: [...loadouts.black] };
+    } else if (this.mode === POWER_SELECTION_MODES.RANDOM) {
+      this.loadouts = PowerDraft.drawLoadouts(this.seed);
+    } else {
+      this.loadouts = { white: [], black: [] };
+    }
+
+    this.deadline = this.isComplete() ? null :
+      new Date((options.startTime || new Date()).getTime() + this.timeLimit * 1000);
+  }
+
+  /**
+   * Tire une graine au hasard
+   * @returns {number} Entier 32 bits non signé
+   */
+  static createSeed() {
+    return Math.floor(Math.random() * 4294967296);
+  }
+
+  /**
+   * Générateur pseudo-aléatoire déterministe (mulberry32), partagé par les
+   * tirages rejouables à partir d'une graine
+   * @param {number} seed - Graine (entier 32 bits)
+   * @returns {Function} Tirage dans [0, 1)
+   */
+  static createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+      state = (state + 0x6D2B79F5) >>> 0;
+      let t = Math.imul(state ^ (state >>> 15), state | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+
+  /**
+   * Nombre de pouvoirs de chaque joueur
+   * @returns {number} Taille d'un jeu de pouvoirs
+   */
+  static getLoadoutSize() {
+    return LOADOUT_SIZE;
+  }
+
+  /**
+   * Tirage au sort des pouvoirs des deux joueurs (blancs puis noirs)
+   * @param {number} seed - Graine du tirage
+   * @returns {Object} { white, black } noms des pouvoirs
+   */
+  static drawLoadouts(seed) {
+    const random = PowerDraft.createRandom(seed);
+    const draw = () => {
+      const available = [...POWER_POOL];
+      return Array.from({ length: LOADOUT_SIZE }, () =>
+        available.splice(Math.floor(random() * available.length), 1)[0]);
+    };
+
+    const white = draw();
+    return { white, black: draw() };
+  }
+
+  /**
+   * Vérifie que les deux joueurs ont tous leurs pouvoirs
+   * @returns {boolean} True si le choix est terminé
+   */
+  isComplete() {
+    return this.loadouts.white.length === LOADOUT_SIZE && this.loadouts.black.length === LOADOUT_SIZE;
+  }
+
+  /**
+   * Camp qui doit choisir (draft alterné uniquement)
+   * @returns {string|null} Couleur, ou null hors draft ou choix terminé
+   */
+  getTurn() {
+    if (this.mode !== POWER_SELECTION_MODES.DRAFT || this.isComplete()) {
+      return null;
+    }
+    return DRAFT_ORDER[this.loadouts.white.length + this.loadouts.black.length];
+  }
+
+  /**
+   * Vérifie qu'un camp peut choisir maintenant
+   * @param {string} color - Couleur du joueur
+   * @returns {boolean} True si un choix est attendu de ce camp
+   */
+  canChoose(color) {
+    if (this.mode === POWER_SELECTION_MODES.DRAFT) {
+      return this.getTurn() === color;
+    }
+    return this.mode === POWER_SELECTION_MODES.PICK && this.loadouts[color].length === 0;
+  }
+
+  /**
+   * Enregistre le choix d'un joueur : tous ses pouvoirs en mode pick, un
+   * seul pouvoir par tour en draft
+   * @param {string} color - Couleur du joueur
+   * @param {string|Array} powers - Pouvoir(s) choisi(s)
+   * @returns {Object} { success } ou { success, error, message }
+   */
+  choose(color, powers) {
+    if (this.isComplete()) {
+      return PowerDraft.failure('POWER_DRAFT_CLOSED', 'Les pouvoirs ont déjà été choisis');
+    }
+    if (!this.canChoose(color)) {
+      return PowerDraft.failure('NOT_YOUR_PICK', 'Ce n\'est pas à vous de choisir');
+    }
+
+    const names = Array.isArray(powers) ? powers : [powers];
+    const expected = this.mode === POWER_SELECTION_MODES.PICK ? LOADOUT_SIZE : 1;
+    if (names.length !== expected) {
+      return PowerDraft.failure('INVALID_LOADOUT', `Choisissez ${expected} pouvoir(s)`);
+    }
+
+    const unknown = names.find(name => !POWER_POOL.includes(name));
+    if (unknown !== undefined) {
+      return PowerDraft.failure('UNKNOWN_POWER', `Pouvoir inconnu: ${unknown}`);
+    }
+
+    const loadout = [...this.loadouts[color], ...names];
+    if (new Set(loadout).size !== loadout.length) {
+      return PowerDraft.failure('DUPLICATE_POWER', 'Un même pouvoir ne peut pas être choisi deux fois');
+    }
+
+    this.loadouts[color] = loadout;
+    if (this.isComplete()) {
+      this.deadline = null;
+    }
+
+    return { success: true };
+  }
+
+  /**
+   * Choix par défaut d'un camp (ordinateur) tant qu'un choix est attendu de lui
+   * @param {string} color - Couleur du joueur
+   */
+  chooseDefault(color) {
+    while (this.canChoose(color)) {
+      const count = this.mode === POWER_SELECTION_MODES.PICK ? LOADOUT_SIZE : 1;
+      this.choose(color, PowerDraft.getFallback(this.loadouts[color], count));
+    }
+  }
+
+  /**
+   * Complète les choix manquants une fois le délai écoulé
+   * @param {Date} now - Heure courante
+   * @returns {boolean} True si le choix vient d'être terminé par le délai
+   */
+  expire(now = new Date()) {
+    if (this.isComplete() || now < this.deadline) {
+      return false;
+    }
+
+    for (const color of ['white', 'black']) {
+      const loadout = this.loadouts[color];
+      this.loadouts[color] = [...loadout, ...PowerDraft.getFallback(loadout, LOADOUT_SIZE - loadout.length)];
+    }
+    this.deadline = null;
+    this.timedOut = true;
+    return true;
+  }
+
+  /**
+   * Pouvoirs par défaut qui manquent à un joueur
+   * @param {Array} loadout - Pouvoirs déjà choisis
+   * @param {number} count - Nombre de pouvoirs à ajouter
+   * @returns {Array} Noms des pouvoirs
+   */
+  static getFallback(loadout, count) {
+    return [...DEFAULT_LOADOUT, ...POWER_POOL]
+      .filter((name, index, names) => !loadout.includes(name) && names.indexOf(name) === index)
+      .slice(0, count);
+  }
+
+  /**
+   * Pouvoirs attribués, au format de Game.powers
+   * @returns {Object} { white, black } de { name, charges, cooldownUntilPly, used, usedAt }
+   */
+  getPowers() {
+    const toPowers = (names) => names.map(name => PowerRegistry.get(name).createState());
+    return { white: toPowers(this.loadouts.white), black: toPowers(this.loadouts.black) };
+  }
+
+  /**
+   * État du choix des pouvoirs
+   * Sans destinataire, l'état est complet (graine comprise) ; pour un joueur
+   * ou un spectateur, la graine et les choix adverses encore secrets (tirage
+   * et mode pick) sont retirés
+   * @param {string} [viewer] - 'white', 'black' ou 'spectator'
+   * @returns {Object} { mode, complete, turn, deadline, timeLimit, timedOut, pool, loadouts }
+   */
+  getState(viewer) {
+    const isPublic = this.mode === POWER_SELECTION_MODES.DRAFT;
+    const visible = (color) => !viewer || isPublic || viewer === color ?
+      [...this.loadouts[color]] :
+      this.loadouts[color].map(() => null);
+
+    return {
+      mode: this.mode,
+      ...(viewer ? {} : { seed: this.seed }),
+      complete: this.isComplete(),
+      turn: this.getTurn(),
+      deadline: this.deadline,
+      timeLimit: this.timeLimit,
+      timedOut: this.timedOut,
+      pool: [...POWER_POOL],
+      loadouts: { white: visible('white'), black: visible('black') }
+    };
+  }
+
+  /**
+   * Résultat d'échec
+   * @param {string} error - Code d'erreur
+   * @param {string} message - Message
+   * @returns {Object} { success: false, error, message }
+   */
+  static failure(error, message) {
+    return { success: false, error, message };
+  }
+}
+
+module.exports = PowerDraft;
@@ -0,0 +1,288 @@
+const PowerRegistry = require('./PowerRegistry');
+const { positionToAlgebraic, algebraicToPosition, isValidAlgebraic } = require('../../../shared/constants/chess-notation');
+
+// Notation d'un pouvoir : lettre du pouvoir, pièce ciblée, seconde case éventuelle
+const POWER_NOTATION_PATTERN = new RegExp(
+  `^([${PowerRegistry.getNames().map(name => PowerRegistry.get(name).letter).join('')}]):` +
+  '[KQRBN]?([a-h][1-8])(?:-[KQRBN]?([a-h][1-8]))?$'
+);
+
+/**
+ * Gestionnaire des pouvoirs spéciaux
+ * Un pouvoir s'utilise à la place d'un coup : il est validé ici, puis joué
+ * par Board.makeMove comme un coup { power, fromRank, fromFile, toRank, toFile }
+ * (la variante l'applique au moyen du PowerRegistry) et enregistré dans
+ * l'historique avec sa notation. Ses effets durables sont tenus par
+ * l'échiquier (board.powerEffects) et restreignent les coups tant qu'ils durent.
+ * Règles communes : un pouvoir ne capture pas, ne peut pas laisser (ni mettre)
+ * son propre roi en échec, ne peut pas donner échec, et ne place jamais un
+ * pion sur la première ou la dernière rangée
+ */
+class PowerManager {
+  /**
+   * Valide l'utilisation d'un pouvoir par le camp au trait
+   * La disponibilité du pouvoir (charges, recharge) est vérifiée par Game
+   * @param {Board} board - L'échiquier
+   * @param {string} color - Couleur du joueur
+   * @param {Object} power - { name, squares }, cases en notation algébrique ou { rank, file }
+   * @returns {Object} { isValid, move } ou { isValid, reason, message }
+   */
+  static validate(board, color, power) {
+    if (!board.rules.hasPowers) {
+      return PowerManager.invalid('POWERS_NOT_ALLOWED', 'Les pouvoirs ne sont pas disponibles dans cette variante');
+    }
+
+    const name = power && power.name;
+    if (!PowerRegistry.has(name)) {
+      return PowerManager.invalid('UNKNOWN_POWER', `Pouvoir inconnu: ${name}`);
+    }
+
+    const definition = PowerRegistry.get(name);
+    const squares = Array.isArray(power.squares) ? power.squares.map(PowerManager.toPosition) : [];
+    if (squares.length !== definition.targets || squares.some(square => !square)) {
+      return PowerManager.invalid('INVALID_POWER_TARGET',
+        `Le pouvoir ${name} attend ${definition.targets} case(s) valide(s)`);
+    }
+
+    const [from, to = from] = squares;
+    const piece = board.getPiece(from.rank, from.file);
+    if (!piece || (piece.color === color) === definition.targetsOpponent) {
+      return PowerManager.invalid('INVALID_POWER_TARGET', definition.targetsOpponent ?
+        'Le pouvoir doit cibler une pièce adverse' :
+        'Le pouvoir doit cibler une de vos pièces');
+    }
+    if (!definition.pieceTypes.includes(piece.type)) {
+      return PowerManager.invalid('INVALID_POWER_TARGET', `Le pouvoir ${name} ne peut pas cibler cette pièce`);
+    }
+
+    const targetValidation = definition.validateTarget(board, piece, to);
+    if (!targetValidation.isValid) {
+      return targetValidation;
+    }
+
+    const move = {
+      power: {
+        name,
+        squares: squares.map(square => positionToAlgebraic(square.file, square.rank))
+      },
+      fromRank: from.rank,
+      fromFile: from.file,
+      toRank: to.rank,
+      toFile: to.file,
+      from: positionToAlgebraic(from.file, from.rank),
+      to: positionToAlgebraic(to.file, to.rank),
+      piece: piece.type,
+      color,
+      isCapture: false,
+      isCheck: false,
+      isCheckmate: false,
+      notation: PowerManager.getNotation(board, definition, from, to)
+    };
+
+    const effectValidation = PowerManager.validateMove(board, move);
+    if (!effectValidation.isValid) {
+      return effectValidation;
+    }
+
+    const checkValidation = PowerManager.validateCheckRules(board, move, color);
+    if (!checkValidation.isValid) {
+      return checkValidation;
+    }
+
+    return { isValid: true, move };
+  }
+
+  /**
+   * Restrictions des effets actifs (gel, bouclier...) sur un coup ou un pouvoir
+   * @param {Board} board - L'échiquier avant le coup
+   * @param {Object} move - Le coup
+   * @returns {Object} Résultat de validation { isValid, reason, message }
+   */
+  static validateMove(board, move) {
+    for (const effect of PowerManager.getActiveEffects(board)) {
+      const validation = PowerRegistry.get(effect.name).validateMove(board, effect, move);
+      if (!validation.isValid) {
+        return validation;
+      }
+    }
+    return { isValid: true };
+  }
+
+  /**
+   * Règles d'échec : le pouvoir est joué puis annulé pour vérifier que le
+   * roi du joueur n'est pas en échec (il peut servir à parer un échec) et que
+   * le roi adverse ne l'est pas devenu
+   * @param {Board} board - L'échiquier
+   * @param {Object} move - Le coup du pouvoir
+   * @param {string} color - Couleur du joueur
+   * @returns {Object} Résultat de validation
+   */
+  static validateCheckRules(board, move, color) {
+    board.makeMove(move);
+    const isLegal = board.rules.isLegalPosition(board, color);
+    const givesCheck = board.isKingInCheck(color === 'white' ? 'black' : 'white');
+    board.unmakeMove();
+
+    if (!isLegal) {
+      return PowerManager.invalid('KING_IN_CHECK', 'Ce pouvoir laisse votre roi en échec');
+    }
+    if (givesCheck) {
+      return PowerManager.invalid('POWER_GIVES_CHECK', 'Un pouvoir ne peut pas donner échec');
+    }
+
+    return { isValid: true };
+  }
+
+  /**
+   * Notation d'un pouvoir : lettre du pouvoir, pièce et case ciblées, puis
+   * destination ou seconde pièce (ex: T:Nb1-e5, X:Nb1-Qd1, I:Nb1)
+   * @param {Board} board - L'échiquier avant le pouvoir
+   * @param {Power} power - Le pouvoir
+   * @param {Object} from - Case de la pièce ciblée
+   * @param {Object} to - Seconde case
+   * @returns {string} Notation
+   */
+  static getNotation(board, power, from, to) {
+    const describe = ({ rank, file }) => {
+      const piece = board.getPiece(rank, file);
+      const letter = piece && piece.type !== 'P' ? piece.type : '';
+      return `${letter}${positionToAlgebraic(file, rank)}`;
+    };
+
+    const target = power.targets > 1 ? `-${describe(to)}` : '';
+    return `${power.letter}:${describe(from)}${target}`;
+  }
+
+  /**
+   * Vérifie si une notation désigne un pouvoir
+   * @param {string} notation - Notation du coup
+   * @returns {boolean} True pour une notation de pouvoir
+   */
+  static isPowerNotation(notation) {
+    return POWER_NOTATION_PATTERN.test(notation);
+  }
+
+  /**
+   * Analyse et valide la notation d'un pouvoir (rejeu des parties)
+   * @param {Board} board - L'échiquier
+   * @param {string} notation - Notation (ex: T:Nb1-e5)
+   * @param {string} color - Couleur du joueur
+   * @returns {Object} { isValid, move } ou { isValid, reason, message }
+   */
+  static parseNotation(board, notation, color) {
+    const match = POWER_NOTATION_PATTERN.exec(notation);
+    if (!match) {
+      return PowerManager.invalid('INVALID_NOTATION', `Notation de pouvoir invalide: ${notation}`);
+    }
+
+    const [, letter, from, to] = match;
+    const { name } = PowerRegistry.findByLetter(letter);
+    return PowerManager.validate(board, color, { name, squares: to ? [from, to] : [from] });
+  }
+
+  /**
+   * Effet durable d'un pouvoir joué (invisibilité, bouclier, gel...), porté
+   * par la pièce ciblée
+   * @param {Board} board - L'échiquier après le pouvoir
+   * @param {Object} move - Le coup du pouvoir
+   * @param {number} ply - Demi-coup du pouvoir (à partir de 1)
+   * @returns {Object|null} { name, color, piece, ply, expiresAtPly, plies } ou null,
+   *   plies recevant les demi-coups joués ensuite par la pièce sous l'effet
+   */
+  static createEffect(board, move, ply) {
+    const power = PowerRegistry.get(move.power.name);
+    if (power.duration === 0) {
+      return null;
+    }
+
+    return {
+      name: power.name,
+      color: move.color,
+      piece: board.getPiece(move.toRank, move.toFile),
+      ply,
+      expiresAtPly: ply + power.duration,
+      plies: []
+    };
+  }
+
+  /**
+   * Vérifie qu'un effet est encore actif : durée non écoulée et pièce
+   * toujours sur l'échiquier
+   * @param {Board} board - L'échiquier
+   * @param {Object} effect - Effet créé par createEffect
+   * @returns {boolean} True si l'effet s'applique
+   */
+  static isEffectActive(board, effect) {
+    const { piece } = effect;
+    return board.moveHistory.length < effect.expiresAtPly && board.getPiece(piece.rank, piece.file) === piece;
+  }
+
+  /**
+   * Effets actifs de l'échiquier
+   * @param {Board} board - L'échiquier
+   * @returns {Array} Effets de board.powerEffects
+   */
+  static getActiveEffects(board) {
+    return board.powerEffects.filter(effect => PowerManager.isEffectActive(board, effect));
+  }
+
+  /**
+   * Décrit les effets actifs, sous une forme transmissible (moteurs de
+   * recherche, clients)
+   * @param {Board} board - L'échiquier
+   * @returns {Array} Effets { name, color, square, remainingPlies }
+   */
+  static describeEffects(board) {
+    return PowerManager.getActiveEffects(board).map(effect => ({
+      name: effect.name,
+      color: effect.color,
+      square: positionToAlgebraic(effect.piece.file, effect.piece.rank),
+      remainingPlies: effect.expiresAtPly - board.moveHistory.length
+    }));
+  }
+
+  /**
+   * Replace sur un échiquier chargé depuis une FEN les effets décrits par describeEffects
+   * @param {Board} board - L'échiquier
+   * @param {Array} effects - Effets { name, color, square, remainingPlies }
+   */
+  static restoreEffects(board, effects) {
+    const ply = board.moveHistory.length;
+    board.powerEffects = effects.map(({ name, color, square, remainingPlies }) => ({
+      name,
+      color,
+      piece: board.getPiece(square),
+      ply,
+      expiresAtPly: ply + remainingPlies,
+      plies: []
+    })).filter(effect => effect.piece);
+  }
+
+  /**
+   * Convertit une case en position
+   * @param {string|Object} square - Notation algébrique ou { rank, file }
+   * @returns {Object|null} { rank, file } ou null si la case est invalide
+   */
+  static toPosition(square) {
+    if (typeof square === 'string') {
+      return isValidAlgebraic(square) ? algebraicToPosition(square) : null;
+    }
+
+    const isIndex = (value) => Number.isInteger(value) && value >= 0 && value <= 7;
+    return square && isIndex(square.rank) && isIndex(square.file) ?
+      { rank: square.rank, file: square.file } :
+      null;
+  }
+
+  /**
+   * Résultat de validation négatif
+   * @param {string} reason - Code d'erreur
+   * @param {string} message - Message
+   * @returns {Object} { isValid: false, reason, message }
+   */
+  static invalid(reason, message) {
+    return { isValid: false, reason, message };
+  }
+}
+
+module.exports = PowerManager;
@@ -0,0 +1,73 @@
+const TeleportationPower = require('./TeleportationPower');
+const InvisibilityPower = require('./InvisibilityPower');
+const ExchangePower = require('./ExchangePower');
+const ShieldPower = require('./ShieldPower');
+const FreezePower = require('./FreezePower');
+const DoubleStepPower = require('./DoubleStepPower');
+
+// Pouvoirs disponibles, indexés par nom (SPECIAL_POWERS)
+const POWERS = new Map([
+  new TeleportationPower(),
+  new InvisibilityPower(),
+  new ExchangePower(),
+  new ShieldPower(),
+  new FreezePower(),
+  new DoubleStepPower()
+].map(power => [power.name, power]));
+
+/**
+ * Registre des pouvoirs spéciaux
+ * Un nouveau pouvoir hérite de Power et s'ajoute à POWERS : choix des
+ * pouvoirs, validation, notation et enregistrement en découlent
+ */
+class PowerRegistry {
+  /**
+   * Retourne un pouvoir
+   * @param {string} name - Nom du pouvoir
+   * @returns {Power} Le pouvoir
+   * @throws {Error} Si le pouvoir est inconnu
+   */
+  static get(name) {
+    const power = POWERS.get(name);
+    if (!power) {
+      throw new Error(`Pouvoir inconnu: ${name}`);
+    }
+    return power;
+  }
+
+  /**
+   * Vérifie qu'un pouvoir existe
+   * @param {string} name - Nom du pouvoir
+   * @returns {boolean} True si le pouvoir est enregistré
+   */
+  static has(name) {
+    return POWERS.has(name);
+  }
+
+  /**
+   * Noms des pouvoirs disponibles
+   * @returns {Array} Noms des pouvoirs
+   */
+  static getNames() {
+    return Array.from(POWERS.keys());
+  }
+
+  /**
+   * Retrouve un pouvoir par sa lettre de notation
+   * @param {string} letter - Lettre (T, I, X...)
+   * @returns {Power|null} Le pouvoir ou null
+   */
+  static findByLetter(letter) {
+    return Array.from(POWERS.values()).find(power => power.letter === letter) || null;
+  }
+
+  /**
+   * Description de tous les pouvoirs, pour les clients
+   * @returns {Array} Descriptions (Power.describe)
+   */
+  static describeAll() {
+    return Array.from(POWERS.values()).map(power => power.describe());
+  }
+}
+
+module.exports = PowerRegistry;
@@ -0,0 +1,386 @@
+const Game = require('../Game');
+const SearchEngine = require('../ai/SearchEngine');
+const MoveGenerator = require('../moves/MoveGenerator');
+const PowerManager = require('./PowerManager');
+const PowerRegistry = require('./PowerRegistry');
+const PowerDraft = require('./PowerDraft');
+const { GAME_VARIANTS, GAME_RESULTS } = require('../../../shared/constants/chess-notation');
+
+// Pendule des parties simulées (secondes) : le temps de calcul ne doit pas
+// décider de l'issue
+const SIMULATION_TIME_CONTROL = 86400;
+
+// Temps de réflexion plafond (ms) : les recherches sont limitées par la profondeur
+const SEARCH_TIME_LIMIT = 60000;
+
+// Pouvoirs candidats, les mieux placés en quiescence, vérifiés par une recherche
+const VERIFIED_CANDIDATES = 3;
+
+// Nombre de positions de départ des échecs 960
+const CHESS960_POSITIONS = 960;
+
+// Colonnes de l'export CSV
+const CSV_COLUMNS = [
+  'power', 'color', 'games', 'wins', 'draws', 'losses', 'winRate', 'drawRate', 'lossRate',
+  'averagePlies', 'uses', 'averageUsePly', 'unusedRate'
+];
+
+const DEFAULT_OPTIONS = {
+  variant: GAME_VARIANTS.POWERS,
+  depth: 2,
+  games: 100,
+  openingPlies: 4,
+  maxPlies: 200,
+  powerMargin: 50,
+  loadouts: null
+};
+
+/**
+ * Arrondit une proportion pour le rapport
+ * @param {number} count - Effectif
+ * @param {number} total - Total
+ * @returns {number|null} Proportion à trois décimales, null sans total
+ */
+const ratio = (count, total) => total > 0 ? Math.round(count / total * 1000) / 1000 : null;
+
+/**
+ * Simulateur d'équilibrage des pouvoirs par parties moteur contre moteur
+ * Chaque partie est une vraie partie (Game) : les premiers demi-coups sont
+ * tirés au sort pour varier les ouvertures, puis chaque camp joue le coup du
+ * moteur de recherche, ou un pouvoir quand le meilleur pouvoir disponible
+ * dépasse ce coup d'au moins powerMargin centipions. La recherche ne prévoit
+ * pas les pouvoirs adverses et l'évaluation ignore l'information cachée :
+ * l'invisibilité n'est jamais jouée pour elle-même.
+ * Une partie est rejouable à partir de la graine (seed + index de la partie)
+ */
+class PowerSimulator {
+  /**
+   * @param {Object} options - Réglages de la simulation
+   * @param {string} options.variant - Variante (GAME_VARIANTS), pouvoirs par défaut
+   * @param {number} options.depth - Profondeur de recherche des moteurs
+   * @param {number} options.games - Nombre de parties
+   * @param {number} options.seed - Graine des tirages (ouvertures, pouvoirs)
+   * @param {number} options.openingPlies - Demi-coups joués au hasard en début de partie
+   * @param {number} options.maxPlies - Au-delà, la partie est comptée nulle
+   * @param {number} options.powerMargin - Gain minimal d'un pouvoir sur le meilleur coup (centipions)
+   * @param {Object} options.loadouts - { white, black } noms des pouvoirs imposés ; ceux d'un
+   *   camp absent (ou des deux) sont tirés au sort à chaque partie
+   * @throws {Error} Si un jeu de pouvoirs imposé n'a pas la taille de ceux d'une partie
+   *   ou contient un pouvoir inconnu
+   */
+  constructor(options = {}) {
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    this.options.seed = Number.isInteger(options.seed) ? options.seed >>> 0 : PowerDraft.createSeed();
+
+    const size = PowerDraft.getLoadoutSize();
+    for (const color of ['white', 'black']) {
+      const loadout = this.options.loadouts && this.options.loadouts[color];
+      if (!loadout) {
+        continue;
+      }
+      if (loadout.length !== size) {
+        throw new Error(`Les ${color === 'white' ? 'blancs' : 'noirs'} doivent recevoir ${size} pouvoirs`);
+      }
+      const unknown = loadout.find(name => !PowerRegistry.has(name));
+      if (unknown) {
+        throw new Error(`Pouvoir inconnu: ${unknown}`);
+      }
+    }
+  }
+
+  /**
+   * Joue toutes les parties et en fait le bilan
+   * @param {Function} [onGame] - Appelée après chaque partie avec son bilan
+   * @returns {Object} Rapport (voir summarize)
+   */
+  run(onGame) {
+    return PowerSimulator.summarize(this.playGames(0, this.options.games, onGame), this.options);
+  }
+
+  /**
+   * Joue une série de parties
+   * @param {number} from - Index de la première partie
+   * @param {number} to - Index de fin (exclu)
+   * @param {Function} [onGame] - Appelée après chaque partie avec son bilan
+   * @returns {Array} Bilans des parties (voir playGame)
+   */
+  playGames(from, to, onGame) {
+    const records = [];
+    for (let index = from; index < to; index++) {
+      const record = this.playGame(index);
+      records.push(record);
+      if (onGame) {
+        onGame(record);
+      }
+    }
+    return records;
+  }
+
+  /**
+   * Joue une partie jusqu'à son terme (ou maxPlies)
+   * @param {number} index - Index de la partie
+   * @returns {Object} { index, seed, loadouts, winner, reason, plies, powerUses }
+   *   (winner null pour une nulle, powerUses : { color, name, ply })
+   */
+  playGame(index) {
+    const { variant, depth, openingPlies, maxPlies, loadouts } = this.options;
+    const seed = (this.options.seed + index) >>> 0;
+    const random = PowerDraft.createRandom(seed);
+
+    // Un camp sans pouvoirs imposés reçoit ceux du tirage de la partie
+    const drawn = PowerDraft.drawLoadouts(seed);
+    const game = new Game('white', 'black', {
+      variant,
+      timeControl: SIMULATION_TIME_CONTROL,
+      isRanked: false,
+      startPosition: Math.floor(random() * CHESS960_POSITIONS),
+      powerDraft: {
+        seed,
+        loadouts: {
+          white: (loadouts && loadouts.white) || drawn.white,
+          black: (loadouts && loadouts.black) || drawn.black
+        }
+      }
+    });
+
+    // Un moteur pour les coups, un second (un demi-coup de moins) pour
+    // vérifier les pouvoirs à profondeur comparable
+    const engines = {
+      move: new SearchEngine({ maxDepth: depth, timeLimit: SEARCH_TIME_LIMIT }),
+      power: new SearchEngine({ maxDepth: Math.max(1, depth - 1), timeLimit: SEARCH_TIME_LIMIT })
+    };
+    const powerUses = [];
+
+    while (game.status === 'active' && game.moves.length < maxPlies) {
+      const color = game.currentTurn;
+      const move = game.moves.length < openingPlies ?
+        PowerSimulator.pickRandomMove(game, random) :
+        this.chooseMove(game, engines);
+
+      const result = move.power ?
+        game.usePower(color, move.power) :
+        game.makeMove(color, move.drop ?
+          { drop: move.drop, toRank: move.toRank, toFile: move.toFile } :
+          { fromRank: move.fromRank, fromFile: move.fromFile, toRank: move.toRank, toFile: move.toFile, promotion: move.promotion });
+      if (!result.success) {
+        throw new Error(`Partie ${index}: coup refusé (${result.error})`);
+      }
+
+      if (move.power) {
+        powerUses.push({ color, name: move.power.name, ply: game.moves.length });
+      }
+    }
+
+    const winners = { [GAME_RESULTS.WHITE_WINS]: 'white', [GAME_RESULTS.BLACK_WINS]: 'black' };
+    return {
+      index,
+      seed,
+      loadouts: {
+        white: game.powers.white.map(power => power.name),
+        black: game.powers.black.map(power => power.name)
+      },
+      winner: winners[game.result] || null,
+      reason: game.status === 'active' ? 'max_plies' : game.resultReason,
+      plies: game.moves.length,
+      powerUses
+    };
+  }
+
+  /**
+   * Coup tiré au sort parmi les coups légaux (ouverture)
+   * @param {Game} game - La partie
+   * @param {Function} random - Tirage dans [0, 1)
+   * @returns {Object} Le coup
+   */
+  static pickRandomMove(game, random) {
+    const moves = MoveGenerator.generateLegalMoves(game.board, game.currentTurn);
+    return moves[Math.floor(random() * moves.length)];
+  }
+
+  /**
+   * Choisit entre le meilleur coup du moteur et le meilleur pouvoir disponible
+   * @param {Game} game - La partie
+   * @param {Object} engines - { move, power } moteurs de recherche
+   * @returns {Object} Coup du moteur ou coup d'un pouvoir (PowerManager.validate)
+   */
+  chooseMove(game, engines) {
+    const search = engines.move.search(game.board);
+    if (!game.rules.hasPowers) {
+      return search.move;
+    }
+
+    const power = this.findBestPower(game, engines);
+    return power && power.score > search.score + this.options.powerMargin ? power.move : search.move;
+  }
+
+  /**
+   * Meilleur pouvoir utilisable : toutes les cibles valides sont classées
+   * par une recherche de quiescence, les meilleures vérifiées par une recherche
+   * @param {Game} game - La partie
+   * @param {Object} engines - { move, power } moteurs de recherche
+   * @returns {Object|null} { move, score } (score du point de vue du joueur) ou null
+   */
+  findBestPower(game, engines) {
+    const board = game.board;
+    const candidates = game.powers[game.currentTurn]
+      .filter(state => PowerRegistry.get(state.name).canUse(state, game.moves.length))
+      .flatMap(state => PowerSimulator.getPowerMoves(board, game.currentTurn, PowerRegistry.get(state.name)))
+      .map(move => {
+        board.makeMove(move);
+        const score = -engines.move.quiescence(board, -Infinity, Infinity, 1);
+        board.unmakeMove();
+        return { move, score };
+      })
+      .sort((a, b) => b.score - a.score)
+      .slice(0, VERIFIED_CANDIDATES);
+
+    let best = null;
+    for (const candidate of candidates) {
+      // Sans réponse légale, la partie est finie : le score est celui de l'issue
+      board.makeMove(candidate.move);
+      const reply = engines.power.search(board);
+      const score = reply.move ? -reply.score :
+        -SearchEngine.getOutcomeScore(board.rules.getOutcome(board), board.activeColor, 1);
+      board.unmakeMove();
+
+      if (!best || score > best.score) {
+        best = { move: candidate.move, score };
+      }
+    }
+    return best;
+  }
+
+  /**
+   * Utilisations valides d'un pouvoir dans la position
+   * @param {Board} board - L'échiquier
+   * @param {string} color - Couleur du joueur
+   * @param {Power} power - Le pouvoir
+   * @returns {Array} Coups du pouvoir (PowerManager.validate)
+   */
+  static getPowerMoves(board, color, power) {
+    const targetColor = power.targetsOpponent ? (color === 'white' ? 'black' : 'white') : color;
+    const squares = [];
+    for (let rank = 0; rank < 8; rank++) {
+      for (let file = 0; file < 8; file++) {
+        squares.push({ rank, file });
+      }
+    }
+
+    const pieces = squares.filter(({ rank, file }) => {
+      const piece = board.getPiece(rank, file);
+      return piece && piece.color === targetColor && power.pieceTypes.includes(piece.type);
+    });
+    const targets = power.targets === 1 ?
+      pieces.map(square => [square]) :
+      pieces.flatMap(from => squares.map(to => [from, to]));
+
+    return targets
+      .map(target => PowerManager.validate(board, color, { name: power.name, squares: target }))
+      .filter(validation => validation.isValid)
+      .map(validation => validation.move);
+  }
+
+  /**
+   * Bilan des parties : résultats par camp, durée, raisons de fin, et pour
+   * chaque pouvoir et chaque camp (power '*' : toutes les parties) les taux
+   * de victoire, nulle et défaite, le nombre d'utilisations et leur moment
+   * @param {Array} records - Bilans des parties (playGame)
+   * @param {Object} options - Réglages de la simulation
+   * @returns {Object} { config, games, results, averagePlies, endReasons, powers }
+   */
+  static summarize(records, options) {
+    const groups = new Map();
+    const addToGroup = (power, color, record, uses) => {
+      const key = `${power}:${color}`;
+      if (!groups.has(key)) {
+        groups.set(key, { power, color, games: 0, wins: 0, draws: 0, losses: 0, plies: 0, usePlies: [], unused: 0 });
+      }
+
+      const group = groups.get(key);
+      group.games++;
+      group.plies += record.plies;
+      if (record.winner === null) {
+        group.draws++;
+      } else if (record.winner === color) {
+        group.wins++;
+      } else {
+        group.losses++;
+      }
+      group.usePlies.push(...uses.map(use => use.ply));
+      if (power !== '*' && uses.length === 0) {
+        group.unused++;
+      }
+    };
+
+    const endReasons = {};
+    for (const record of records) {
+      endReasons[record.reason] = (endReasons[record.reason] || 0) + 1;
+
+      for (const color of ['white', 'black']) {
+        const uses = record.powerUses.filter(use => use.color === color);
+        addToGroup('*', color, record, uses);
+        for (const name of record.loadouts[color]) {
+          addToGroup(name, color, record, uses.filter(use => use.name === name));
+        }
+      }
+    }
+
+    // Lignes dans l'ordre du registre, le bilan global ('*') en tête, blancs avant noirs
+    const names = ['*', ...PowerRegistry.getNames()];
+    const rows = Array.from(groups.values()).sort((a, b) =>
+      names.indexOf(a.power) - names.indexOf(b.power) || (a.color === 'white' ? -1 : 1));
+
+    const count = (winner) => records.filter(record => record.winner === winner).length;
+    const games = records.length;
+
+    return {
+      config: {
+        variant: options.variant,
+        depth: options.depth,
+        seed: options.seed,
+        openingPlies: options.openingPlies,
+        maxPlies: options.maxPlies,
+        powerMargin: options.powerMargin,
+        loadouts: options.loadouts
+      },
+      games,
+      results: {
+        whiteWins: count('white'),
+        blackWins: count('black'),
+        draws: count(null),
+        whiteWinRate: ratio(count('white'), games),
+        blackWinRate: ratio(count('black'), games),
+        drawRate: ratio(count(null), games)
+      },
+      averagePlies: ratio(records.reduce((sum, record) => sum + record.plies, 0), games),
+      endReasons,
+      powers: rows.map(group => ({
+        power: group.power,
+        color: group.color,
+        games: group.games,
+        wins: group.wins,
+        draws: group.draws,
+        losses: group.losses,
+        winRate: ratio(group.wins, group.games),
+        drawRate: ratio(group.draws, group.games),
+        lossRate: ratio(group.losses, group.games),
+        averagePlies: ratio(group.plies, group.games),
+        uses: group.usePlies.length,
+        averageUsePly: ratio(group.usePlies.reduce((sum, ply) => sum + ply, 0), group.usePlies.length),
+        unusedRate: group.power === '*' ? null : ratio(group.unused, group.games)
+      }))
+    };
+  }
+
+  /**
+   * Export CSV du bilan par pouvoir et par camp
+   * @param {Object} report - Rapport (summarize)
+   * @returns {string} Lignes CSV, en-tête compris
+   */
+  static toCSV(report) {
+    const lines = report.powers.map(row => CSV_COLUMNS.map(column => row[column] === null ? '' : row[column]).join(','));
+    return [CSV_COLUMNS.join(','), ...lines].join('\n') + '\n';
+  }
+}
+
+module.exports = PowerSimulator;
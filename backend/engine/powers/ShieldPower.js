@@ -0,0 +1,43 @@
+const Power = require('./Power');
+const { SPECIAL_POWERS } = require('../../../shared/constants/chess-notation');
+
+/**
+ * Bouclier : une pièce du joueur (hors roi) ne peut pas être prise pendant
+ * quatre demi-coups (deux coups adverses)
+ * Notation : S:Nc3
+ */
+class ShieldPower extends Power {
+  constructor() {
+    super(SPECIAL_POWERS.SHIELD, 'S');
+    this.description = 'Protège une de vos pièces de toute prise pendant deux coups adverses';
+    this.pieceTypes = ['Q', 'R', 'B', 'N', 'P'];
+    this.duration = 4;
+  }
+
+  /**
+   * Refuse les prises de la pièce protégée, en passant comprise
+   * @param {Board} board - L'échiquier avant le coup
+   * @param {Object} effect - Effet actif
+   * @param {Object} move - Le coup envisagé
+   * @returns {Object} Résultat de validation
+   */
+  validateMove(board, effect, move) {
+    if (move.drop || move.power) {
+      return { isValid: true };
+    }
+
+    const mover = board.getPiece(move.fromRank, move.fromFile);
+    const isEnPassant = mover && mover.type === 'P' && move.fromFile !== move.toFile &&
+      !board.getPiece(move.toRank, move.toFile);
+    const captured = isEnPassant ?
+      board.getPiece(move.fromRank, move.toFile) :
+      board.getPiece(move.toRank, move.toFile);
+
+    if (captured === effect.piece && mover && mover.color !== effect.piece.color) {
+      return Power.invalid('PIECE_SHIELDED', 'Cette pièce est protégée par un bouclier');
+    }
+    return { isValid: true };
+  }
+}
+
+module.exports = ShieldPower;
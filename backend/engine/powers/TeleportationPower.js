@@ -0,0 +1,54 @@
+const Power = require('./Power');
+const { SPECIAL_POWERS } = require('../../../shared/constants/chess-notation');
+
+/**
+ * Téléportation : une pièce du joueur est déplacée sur une case vide
+ * Notation : T:Nb1-e5
+ */
+class TeleportationPower extends Power {
+  constructor() {
+    super(SPECIAL_POWERS.TELEPORTATION, 'T');
+    this.description = 'Déplace une de vos pièces sur n\'importe quelle case vide';
+    this.targets = 2;
+  }
+
+  /**
+   * La destination doit être vide (pas de capture)
+   * @param {Board} board - L'échiquier
+   * @param {Piece} piece - Pièce téléportée
+   * @param {Object} to - Destination
+   * @returns {Object} Résultat de validation
+   */
+  validateTarget(board, piece, to) {
+    if (board.getPiece(to.rank, to.file)) {
+      return Power.invalid('SQUARE_OCCUPIED', 'La téléportation doit viser une case vide');
+    }
+    return Power.validatePawnSquare(piece, to.rank);
+  }
+
+  /**
+   * Déplace la pièce
+   * @param {Board} board - L'échiquier
+   * @param {Piece} piece - Pièce téléportée
+   * @param {Object} moveInfo - Informations d'annulation du coup
+   */
+  apply(board, piece, moveInfo) {
+    const { fromRank, fromFile, toRank, toFile } = moveInfo;
+    board.removePiece(fromRank, fromFile);
+    board.setPiece(piece, toRank, toFile);
+    board.updateCastlingRights(piece, fromRank, fromFile, toRank, toFile);
+    piece.hasMoved = true;
+  }
+
+  /**
+   * Ramène la pièce sur sa case
+   * @param {Board} board - L'échiquier
+   * @param {Object} moveInfo - Informations d'annulation du coup
+   */
+  undo(board, moveInfo) {
+    board.setPiece(null, moveInfo.toRank, moveInfo.toFile);
+    board.setPiece(moveInfo.piece, moveInfo.fromRank, moveInfo.fromFile);
+  }
+}
+
+module.exports = TeleportationPower;
@@ -0,0 +1,521 @@
+const { spawn } = require('child_process');
+const readline = require('readline');
+const MoveParser = require('../moves/MoveParser');
+const SearchEngine = require('../ai/SearchEngine');
+
+// Délai maximal de la poignée de main uci/uciok et isready/readyok (ms)
+const HANDSHAKE_TIMEOUT = 10000;
+
+// Marge accordée au moteur au-delà du temps de réflexion demandé (ms)
+const SEARCH_TIMEOUT_MARGIN = 10000;
+
+// Nombre de redémarrages consécutifs après plantage avant abandon
+const MAX_RESTARTS = 3;
+
+// Délai avant le redémarrage d'un moteur planté (ms)
+const RESTART_DELAY = 1000;
+
+// Valeurs de info suivies d'un entier
+const INFO_INTEGER_FIELDS = ['depth', 'seldepth', 'multipv', 'nodes', 'nps', 'time', 'hashfull', 'tbhits', 'currmovenumber'];
+
+/**
+ * Crée une erreur du moteur avec un code exploitable par les appelants
+ * @param {string} code - Code de l'erreur (ENGINE_CRASHED, SEARCH_CANCELLED...)
+ * @param {string} message - Message d'erreur
+ * @returns {Error} Erreur
+ */
+const createEngineError = (code, message) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+/**
+ * Adaptateur d'un moteur UCI externe (Stockfish ou tout autre binaire)
+ * Lance le processus, mène la poignée de main et le réglage des options
+ * (Threads, Hash, MultiPV), traduit les lignes info en évaluations et
+ * variantes principales, et relance le moteur s'il s'arrête inopinément.
+ * Expose la même interface promesse que EnginePool (search, cancel, stop,
+ * shutdown) pour servir indifféremment à l'analyse et aux bots
+ */
+class UCIAdapter {
+  /**
+   * @param {Object} config - Configuration (voir config/engine.js)
+   * @param {string} config.path - Chemin de l'exécutable
+   * @param {Array} config.args - Arguments de la ligne de commande
+   * @param {Object} config.options - Options UCI envoyées au démarrage ({ Threads: 2, Hash: 128 })
+   */
+  constructor(config) {
+    this.path = config.path;
+    this.args = config.args || [];
+    this.options = { ...config.options };
+    this.handshakeTimeout = config.handshakeTimeout || HANDSHAKE_TIMEOUT;
+    this.maxRestarts = config.maxRestarts !== undefined ? config.maxRestarts : MAX_RESTARTS;
+    this.restartDelay = config.restartDelay !== undefined ? config.restartDelay : RESTART_DELAY;
+
+    this.process = null;
+    this.starting = null;
+    this.waiters = new Set();
+    this.queue = [];
+    this.current = null;
+    this.restarts = 0;
+    this.restartTimer = null;
+    this.quitting = false;
+
+    // Renseignés par la poignée de main
+    this.name = null;
+    this.availableOptions = [];
+    this.multiPV = null;
+    this.chess960 = false;
+  }
+
+  /**
+   * Lance le moteur s'il ne tourne pas encore
+   * @returns {Promise} Résolue une fois le moteur prêt (readyok)
+   */
+  start() {
+    if (this.process) {
+      return this.starting || Promise.resolve();
+    }
+
+    this.quitting = false;
+    clearTimeout(this.restartTimer);
+    this.restartTimer = null;
+
+    const child = spawn(this.path, this.args, { stdio: ['pipe', 'pipe', 'ignore'] });
+    this.process = child;
+
+    readline.createInterface({ input: child.stdout }).on('line', line => this.handleLine(line));
+    child.stdin.on('error', () => {});
+    child.on('error', error => this.handleExit(child, error.message));
+    child.on('exit', code => this.handleExit(child, `Le moteur s'est arrêté (code ${code})`));
+
+    this.starting = this.handshake().then(() => {
+      this.starting = null;
+    }, error => {
+      this.starting = null;
+      this.kill();
+      throw error;
+    });
+
+    return this.starting;
+  }
+
+  /**
+   * Poignée de main UCI : identification, options puis synchronisation
+   * @returns {Promise} Résolue sur readyok
+   */
+  async handshake() {
+    this.name = null;
+    this.availableOptions = [];
+
+    this.send('uci');
+    await this.waitFor(line => {
+      if (line.startsWith('id name ')) {
+        this.name = line.slice('id name '.length).trim();
+      } else if (line.startsWith('option name ')) {
+        const match = /^option name (.+?) type /.exec(line);
+        if (match) this.availableOptions.push(match[1]);
+      }
+      return line === 'uciok';
+    }, this.handshakeTimeout);
+
+    for (const [name, value] of Object.entries(this.options)) {
+      this.send(`setoption name ${name} value ${value}`);
+    }
+    this.multiPV = this.options.MultiPV !== undefined ? parseInt(this.options.MultiPV, 10) : 1;
+    this.chess960 = false;
+
+    await this.synchronize();
+  }
+
+  /**
+   * Attend que le moteur ait traité les commandes envoyées
+   * @returns {Promise} Résolue sur readyok
+   */
+  synchronize() {
+    this.send('isready');
+    return this.waitFor(line => line === 'readyok', this.handshakeTimeout);
+  }
+
+  /**
+   * Lance une recherche (même interface que EnginePool.search)
+   * @param {Object} request - Position et limites
+   * @param {string} request.fen - Position à analyser (X-FEN en échecs 960)
+   * @param {boolean} request.chess960 - Active UCI_Chess960 si le moteur le propose
+   * @param {string} request.difficulty - Niveau : profondeur et temps par défaut
+   * @param {number} request.maxDepth - Profondeur maximale
+   * @param {number} request.timeLimit - Temps de réflexion en ms
+   * @param {number} request.multiPV - Nombre de variantes à calculer
+   * @param {Object} options - Options de la recherche
+   * @param {string} options.tag - Étiquette (ID de partie) utilisée par cancel()
+   * @param {Function} options.onInfo - Appelée à chaque ligne info complète
+   * @returns {Promise<Object>} { move, score, depth, nodes, time, pv, lines, bestMove, ponder }
+   */
+  search(request, options = {}) {
+    return new Promise((resolve, reject) => {
+      this.queue.push({
+        tag: options.tag || null,
+        onInfo: options.onInfo || null,
+        request,
+        resolve,
+        reject
+      });
+      this.dispatch();
+    });
+  }
+
+  /**
+   * Annule les recherches d'une étiquette ; leurs promesses sont rejetées
+   * avec le code SEARCH_CANCELLED
+   * @param {string} tag - Étiquette des recherches
+   * @returns {number} Nombre de recherches annulées
+   */
+  cancel(tag) {
+    let cancelled = 0;
+
+    this.queue = this.queue.filter(job => {
+      if (job.tag !== tag) return true;
+      job.reject(createEngineError('SEARCH_CANCELLED', 'Recherche annulée'));
+      cancelled++;
+      return false;
+    });
+
+    if (this.current && this.current.tag === tag && !this.current.cancelled) {
+      this.current.cancelled = true;
+      this.send('stop');
+      cancelled++;
+    }
+
+    return cancelled;
+  }
+
+  /**
+   * Interrompt la recherche en cours d'une étiquette : sa promesse est résolue
+   * avec le meilleur coup trouvé jusque-là
+   * @param {string} tag - Étiquette des recherches
+   * @returns {number} Nombre de recherches interrompues
+   */
+  stop(tag) {
+    if (this.current && this.current.tag === tag) {
+      this.current.stopped = true;
+      this.send('stop');
+      return 1;
+    }
+    return 0;
+  }
+
+  /**
+   * Arrête le moteur et rejette les recherches en cours et en attente
+   * @returns {Promise} Résolue une fois le processus terminé
+   */
+  async shutdown() {
+    this.quitting = true;
+    clearTimeout(this.restartTimer);
+
+    const error = createEngineError('ENGINE_SHUTDOWN', 'Moteur arrêté');
+    for (const job of this.queue) {
+      job.reject(error);
+    }
+    this.queue = [];
+
+    const child = this.process;
+    if (!child) {
+      return;
+    }
+
+    await new Promise(resolve => {
+      const timer = setTimeout(() => {
+        child.kill();
+        resolve();
+      }, 1000);
+      child.once('exit', () => {
+        clearTimeout(timer);
+        resolve();
+      });
+      this.send('quit');
+    });
+  }
+
+  /**
+   * Retourne l'état de l'adaptateur
+   * @returns {Object} { name, running, busy, queued, restarts }
+   */
+  getStats() {
+    return {
+      name: this.name,
+      running: !!this.process,
+      busy: !!this.current,
+      queued: this.queue.length,
+      restarts: this.restarts
+    };
+  }
+
+  /**
+   * Confie la recherche suivante au moteur
+   */
+  dispatch() {
+    if (this.current || this.queue.length === 0) {
+      return;
+    }
+
+    const job = this.queue.shift();
+    this.current = job;
+
+    this.runSearch(job).then(result => {
+      this.restarts = 0;
+      if (job.cancelled) {
+        job.reject(createEngineError('SEARCH_CANCELLED', 'Recherche annulée'));
+      } else {
+        job.resolve(result);
+      }
+    }, error => {
+      job.reject(job.cancelled ? createEngineError('SEARCH_CANCELLED', 'Recherche annulée') : error);
+    }).then(() => {
+      this.current = null;
+      this.dispatch();
+    });
+  }
+
+  /**
+   * Mène une recherche : position, go, puis lecture des info jusqu'à bestmove
+   * @param {Object} job - La recherche
+   * @returns {Promise<Object>} Résultat de la recherche
+   */
+  async runSearch(job) {
+    await this.start();
+
+    const { request } = job;
+    const settings = SearchEngine.getDifficultySettings(request.difficulty);
+    const depth = request.maxDepth || (request.difficulty ? settings.maxDepth : null);
+    const movetime = request.timeLimit || settings.timeLimit;
+    const multiPV = request.multiPV || (this.options.MultiPV !== undefined ? parseInt(this.options.MultiPV, 10) : 1);
+
+    const chess960 = !!request.chess960 && this.availableOptions.includes('UCI_Chess960');
+
+    if (multiPV !== this.multiPV || chess960 !== this.chess960) {
+      if (multiPV !== this.multiPV) {
+        this.send(`setoption name MultiPV value ${multiPV}`);
+        this.multiPV = multiPV;
+      }
+      // En mode 960, le moteur note le roque roi sur sa tour, comme l'échiquier
+      if (chess960 !== this.chess960) {
+        this.send(`setoption name UCI_Chess960 value ${chess960}`);
+        this.chess960 = chess960;
+      }
+      await this.synchronize();
+    }
+
+    this.send(`position fen ${request.fen}`);
+    this.send(depth ? `go depth ${depth} movetime ${movetime}` : `go movetime ${movetime}`);
+
+    // stop reçu pendant le démarrage du moteur, avant go
+    if (job.stopped || job.cancelled) {
+      this.send('stop');
+    }
+
+    const lines = new Map();
+    const bestMoveLine = await this.waitFor(line => {
+      if (line.startsWith('bestmove')) {
+        return true;
+      }
+
+      const info = UCIAdapter.parseInfo(line);
+      if (info && info.pv && info.score) {
+        const multipv = info.multipv || 1;
+        lines.set(multipv, info);
+        if (job.onInfo && multipv === 1) {
+          job.onInfo(UCIAdapter.toSearchInfo(info));
+        }
+      }
+      return false;
+    }, movetime + SEARCH_TIMEOUT_MARGIN, 'ENGINE_TIMEOUT');
+
+    return UCIAdapter.buildResult(bestMoveLine, [...lines.values()].sort((a, b) => (a.multipv || 1) - (b.multipv || 1)));
+  }
+
+  /**
+   * Attend une ligne du moteur satisfaisant un prédicat
+   * Les lignes précédentes sont également soumises au prédicat (collecte des info)
+   * @param {Function} predicate - Reçoit chaque ligne, retourne true pour terminer
+   * @param {number} timeout - Délai maximal (ms) ; le moteur est arrêté s'il est dépassé
+   * @param {string} timeoutCode - Code de l'erreur de dépassement
+   * @returns {Promise<string>} Ligne ayant satisfait le prédicat
+   */
+  waitFor(predicate, timeout, timeoutCode = 'ENGINE_UNRESPONSIVE') {
+    return new Promise((resolve, reject) => {
+      const waiter = {
+        predicate,
+        resolve: line => {
+          clearTimeout(waiter.timer);
+          this.waiters.delete(waiter);
+          resolve(line);
+        },
+        reject: error => {
+          clearTimeout(waiter.timer);
+          this.waiters.delete(waiter);
+          reject(error);
+        }
+      };
+
+      waiter.timer = setTimeout(() => {
+        waiter.reject(createEngineError(timeoutCode, 'Le moteur ne répond plus'));
+        // Un moteur muet est relancé
+        this.kill();
+      }, timeout);
+
+      this.waiters.add(waiter);
+    });
+  }
+
+  /**
+   * Transmet une ligne du moteur aux attentes en cours
+   * @param {string} line - Ligne reçue
+   */
+  handleLine(line) {
+    const trimmed = line.trim();
+    for (const waiter of [...this.waiters]) {
+      if (waiter.predicate(trimmed)) {
+        waiter.resolve(trimmed);
+      }
+    }
+  }
+
+  /**
+   * Arrêt du processus : les attentes sont rejetées et, sauf arrêt demandé,
+   * le moteur est relancé après un délai
+   * @param {ChildProcess} child - Le processus arrêté
+   * @param {string} message - Cause de l'arrêt
+   */
+  handleExit(child, message) {
+    if (this.process !== child) {
+      return;
+    }
+    this.process = null;
+
+    const error = createEngineError('ENGINE_CRASHED', message);
+    for (const waiter of [...this.waiters]) {
+      waiter.reject(error);
+    }
+
+    if (this.quitting || this.restarts >= this.maxRestarts) {
+      return;
+    }
+
+    this.restarts++;
+    this.restartTimer = setTimeout(() => {
+      this.restartTimer = null;
+      if (!this.process && !this.quitting) {
+        this.start().catch(() => {});
+      }
+    }, this.restartDelay);
+    this.restartTimer.unref();
+  }
+
+  /**
+   * Termine le processus du moteur
+   */
+  kill() {
+    if (this.process) {
+      this.process.kill();
+    }
+  }
+
+  /**
+   * Envoie une commande au moteur
+   * @param {string} command - Commande UCI
+   */
+  send(command) {
+    if (this.process && this.process.stdin.writable) {
+      this.process.stdin.write(`${command}\n`);
+    }
+  }
+
+  /**
+   * Analyse une ligne info
+   * @param {string} line - Ligne du moteur (ex: 'info depth 12 multipv 1 score cp 31 pv e2e4 e7e5')
+   * @returns {Object|null} { depth, multipv, score: { type, value, bound }, nodes, pv, ... } ou null
+   */
+  static parseInfo(line) {
+    const tokens = line.trim().split(/\s+/);
+    if (tokens[0] !== 'info') {
+      return null;
+    }
+
+    const info = {};
+    for (let i = 1; i < tokens.length; i++) {
+      const token = tokens[i];
+
+      if (INFO_INTEGER_FIELDS.includes(token)) {
+        info[token] = parseInt(tokens[++i], 10);
+      } else if (token === 'score') {
+        info.score = { type: tokens[i + 1], value: parseInt(tokens[i + 2], 10) };
+        i += 2;
+        if (tokens[i + 1] === 'lowerbound' || tokens[i + 1] === 'upperbound') {
+          info.score.bound = tokens[++i];
+        }
+      } else if (token === 'currmove') {
+        info.currmove = tokens[++i];
+      } else if (token === 'pv') {
+        info.pv = tokens.slice(i + 1);
+        break;
+      } else if (token === 'string') {
+        info.string = tokens.slice(i + 1).join(' ');
+        break;
+      }
+    }
+
+    return info;
+  }
+
+  /**
+   * Convertit un score UCI (cp ou mate) en centipions du camp au trait
+   * @param {Object} score - { type, value }
+   * @returns {number} Score en centipions
+   */
+  static toCentipawns(score) {
+    return score.type === 'mate' ? SearchEngine.getMateScore(score.value) : score.value;
+  }
+
+  /**
+   * Convertit une ligne info au format des itérations du moteur intégré
+   * @param {Object} info - Ligne info analysée
+   * @returns {Object} { depth, score, nodes, time, pv }
+   */
+  static toSearchInfo(info) {
+    return {
+      depth: info.depth || 0,
+      score: UCIAdapter.toCentipawns(info.score),
+      nodes: info.nodes || 0,
+      time: info.time || 0,
+      pv: info.pv.map(uci => MoveParser.fromUCI(uci)).filter(Boolean)
+    };
+  }
+
+  /**
+   * Construit le résultat d'une recherche
+   * @param {string} bestMoveLine - Ligne bestmove
+   * @param {Array} lines - Dernières lignes info par variante, triées par multipv
+   * @returns {Object} { move, score, depth, nodes, time, pv, lines, bestMove, ponder }
+   */
+  static buildResult(bestMoveLine, lines) {
+    const [, bestMove = null, , ponder = null] = bestMoveLine.split(/\s+/);
+    const move = bestMove ? MoveParser.fromUCI(bestMove) : null;
+    const principal = lines[0] ? UCIAdapter.toSearchInfo(lines[0]) : { depth: 0, score: 0, nodes: 0, time: 0, pv: [] };
+
+    return {
+      ...principal,
+      move,
+      bestMove: move ? bestMove : null,
+      ponder: move ? ponder : null,
+      lines: lines.map(info => ({
+        multipv: info.multipv || 1,
+        depth: info.depth || 0,
+        score: UCIAdapter.toCentipawns(info.score),
+        pv: info.pv
+      }))
+    };
+  }
+}
+
+module.exports = UCIAdapter;
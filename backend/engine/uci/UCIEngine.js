@@ -0,0 +1,327 @@
+const Board = require('../board/Board');
+const MoveParser = require('../moves/MoveParser');
+const EnginePool = require('../ai/EnginePool');
+const SearchEngine = require('../ai/SearchEngine');
+const { STARTING_FEN, AI_DIFFICULTY_LEVELS } = require('../../../shared/constants/chess-notation');
+
+const ENGINE_NAME = 'AX Chess';
+const ENGINE_AUTHOR = 'AX Chess Team';
+
+// Étiquette des recherches dans le pool
+const SEARCH_TAG = 'uci';
+
+// Nombre de coups restants supposé quand la GUI n'envoie pas movestogo
+const DEFAULT_MOVES_TO_GO = 30;
+
+// Temps réservé à la communication avec la GUI à chaque coup (ms)
+const MOVE_OVERHEAD = 100;
+
+// Temps de réflexion minimal (ms)
+const MIN_MOVE_TIME = 10;
+
+// Paramètres numériques de la commande go
+const GO_PARAMETERS = ['depth', 'movetime', 'wtime', 'btime', 'winc', 'binc', 'movestogo', 'nodes', 'mate'];
+
+/**
+ * Interface UCI (Universal Chess Interface) du moteur AX
+ * Interprète les commandes d'une GUI (cutechess-cli, fastchess, Arena...)
+ * ligne par ligne et répond par la fonction output ; la position est tenue
+ * par Board et les coups reçus sont validés par MoveParser/MoveValidator,
+ * la recherche tourne dans un EnginePool pour que stop et isready restent
+ * traités pendant la réflexion
+ */
+class UCIEngine {
+  /**
+   * @param {Function} output - Reçoit chaque ligne à envoyer à la GUI
+   * @param {Object} options - Options
+   * @param {EnginePool} options.pool - Pool de moteurs (un thread sans limite de temps par défaut)
+   */
+  constructor(output, options = {}) {
+    this.output = output;
+    this.pool = options.pool || new EnginePool({ size: 1, maxTimeLimit: Infinity });
+    this.board = new Board();
+
+    // Option UCI_Chess960 : positions X-FEN et roque noté roi sur sa tour
+    this.chess960 = false;
+
+    this.searching = false;
+    this.infinite = false;
+    this.pendingBestMove = null;
+  }
+
+  /**
+   * Traite une commande de la GUI
+   * @param {string} line - Ligne reçue
+   * @returns {Promise<boolean>} False après la commande quit
+   */
+  async handleCommand(line) {
+    const tokens = line.trim().split(/\s+/).filter(Boolean);
+    const [command, ...args] = tokens;
+
+    switch (command) {
+      case undefined:
+        break;
+      case 'uci':
+        this.send(`id name ${ENGINE_NAME}`);
+        this.send(`id author ${ENGINE_AUTHOR}`);
+        this.send('option name UCI_Chess960 type check default false');
+        this.send('uciok');
+        break;
+      case 'isready':
+        this.send('readyok');
+        break;
+      case 'ucinewgame':
+        this.board = this.createStartBoard();
+        break;
+      case 'position':
+        this.setPosition(args);
+        break;
+      case 'go':
+        this.go(args);
+        break;
+      case 'stop':
+        this.stop();
+        break;
+      case 'quit':
+        await this.pool.shutdown();
+        return false;
+      case 'setoption':
+        this.setOption(args);
+        break;
+      case 'debug':
+      case 'ponderhit':
+      case 'register':
+        // Pas de réflexion sur le temps adverse
+        break;
+      default:
+        this.send(`info string Commande inconnue: ${command}`);
+    }
+
+    return true;
+  }
+
+  /**
+   * Commande position : startpos ou fen, suivie éventuellement de coups UCI
+   * @param {Array} args - Arguments de la commande
+   */
+  setPosition(args) {
+    const movesIndex = args.indexOf('moves');
+    const setup = movesIndex === -1 ? args : args.slice(0, movesIndex);
+    const moves = movesIndex === -1 ? [] : args.slice(movesIndex + 1);
+
+    let board;
+    if (setup[0] === 'startpos') {
+      board = this.createStartBoard();
+    } else if (setup[0] === 'fen') {
+      const fen = setup.slice(1).join(' ');
+      const validation = Board.validateFEN(fen);
+      if (!validation.isValid) {
+        this.send(`info string FEN invalide: ${validation.message}`);
+        return;
+      }
+      board = Board.fromFEN(fen, { chess960: this.chess960 });
+    } else {
+      this.send('info string Position attendue: startpos ou fen');
+      return;
+    }
+
+    const parser = new MoveParser(board);
+    for (const notation of moves) {
+      const result = parser.parseUCI(notation, board.activeColor);
+      if (!result.isValid) {
+        this.send(`info string ${result.message}`);
+        break;
+      }
+      board.makeMove(result.move);
+    }
+
+    this.board = board;
+  }
+
+  /**
+   * Commande setoption : seule UCI_Chess960 est reconnue
+   * @param {Array} args - Arguments (ex: ['name', 'UCI_Chess960', 'value', 'true'])
+   */
+  setOption(args) {
+    const valueIndex = args.indexOf('value');
+    const name = args.slice(1, valueIndex === -1 ? args.length : valueIndex).join(' ');
+    const value = valueIndex === -1 ? '' : args.slice(valueIndex + 1).join(' ');
+
+    if (name === 'UCI_Chess960') {
+      this.chess960 = value === 'true';
+    } else {
+      this.send(`info string Option inconnue: ${name}`);
+    }
+  }
+
+  /**
+   * Position initiale, avec les règles de roque du mode choisi
+   * @returns {Board} Nouvel échiquier
+   */
+  createStartBoard() {
+    return this.chess960 ? Board.fromFEN(STARTING_FEN, { chess960: true }) : new Board();
+  }
+
+  /**
+   * Commande go : lance la recherche sur la position courante
+   * @param {Array} args - Arguments de la commande
+   */
+  go(args) {
+    if (this.searching) {
+      this.send('info string Recherche déjà en cours');
+      return;
+    }
+
+    const params = UCIEngine.parseGoParameters(args);
+    this.searching = true;
+    this.infinite = params.infinite;
+    this.pendingBestMove = null;
+
+    this.pool.search({
+      fen: this.board.toFEN(),
+      chess960: this.board.chess960,
+      positionHistory: this.board.positionHistory,
+      // Pleine force : seules la profondeur et le temps demandés limitent la recherche
+      difficulty: AI_DIFFICULTY_LEVELS.EXPERT,
+      maxDepth: params.depth,
+      timeLimit: UCIEngine.computeTimeLimit(params, this.board.activeColor)
+    }, {
+      tag: SEARCH_TAG,
+      onInfo: info => this.send(UCIEngine.formatInfo(info))
+    }).then(result => {
+      const bestMove = UCIEngine.formatBestMove(result);
+
+      // En analyse infinie, bestmove n'est envoyé qu'après stop
+      if (this.infinite) {
+        this.pendingBestMove = bestMove;
+      } else {
+        this.finishSearch(bestMove);
+      }
+    }).catch(error => {
+      if (error.code === 'ENGINE_SHUTDOWN') {
+        return;
+      }
+      this.send(`info string ${error.message}`);
+      this.finishSearch('bestmove 0000');
+    });
+  }
+
+  /**
+   * Commande stop : interrompt la recherche, qui renvoie son meilleur coup
+   */
+  stop() {
+    if (!this.searching) {
+      return;
+    }
+
+    this.infinite = false;
+    if (this.pendingBestMove) {
+      this.finishSearch(this.pendingBestMove);
+    } else {
+      this.pool.stop(SEARCH_TAG);
+    }
+  }
+
+  /**
+   * Termine la recherche en envoyant le meilleur coup
+   * @param {string} bestMove - Ligne bestmove
+   */
+  finishSearch(bestMove) {
+    this.searching = false;
+    this.pendingBestMove = null;
+    this.send(bestMove);
+  }
+
+  /**
+   * Envoie une ligne à la GUI
+   * @param {string} line - Ligne à envoyer
+   */
+  send(line) {
+    this.output(line);
+  }
+
+  /**
+   * Lit les paramètres de la commande go
+   * @param {Array} args - Arguments (ex: ['wtime', '60000', 'btime', '60000'])
+   * @returns {Object} { depth, movetime, wtime, btime, winc, binc, movestogo, infinite }
+   */
+  static parseGoParameters(args) {
+    const params = { infinite: false };
+
+    for (let i = 0; i < args.length; i++) {
+      if (args[i] === 'infinite') {
+        params.infinite = true;
+      } else if (GO_PARAMETERS.includes(args[i])) {
+        const value = parseInt(args[i + 1], 10);
+        if (!Number.isNaN(value)) {
+          params[args[i]] = value;
+        }
+        i++;
+      }
+    }
+
+    return params;
+  }
+
+  /**
+   * Calcule le temps de réflexion d'un coup
+   * movetime est respecté, moins la marge de communication ; avec une pendule, une part du temps
+   * restant plus les trois quarts de l'incrément ; sans limite de temps
+   * (depth, infinite), la recherche ne s'arrête que sur la profondeur ou stop
+   * @param {Object} params - Paramètres de go
+   * @param {string} color - Camp au trait
+   * @returns {number} Temps de réflexion en ms
+   */
+  static computeTimeLimit(params, color) {
+    if (params.infinite) {
+      return Infinity;
+    }
+
+    if (params.movetime) {
+      return Math.max(params.movetime - MOVE_OVERHEAD, MIN_MOVE_TIME);
+    }
+
+    const remaining = color === 'white' ? params.wtime : params.btime;
+    if (remaining === undefined) {
+      return Infinity;
+    }
+
+    const increment = (color === 'white' ? params.winc : params.binc) || 0;
+    const movesToGo = params.movestogo || DEFAULT_MOVES_TO_GO;
+    const budget = remaining / movesToGo + increment * 0.75;
+
+    return Math.max(Math.min(budget, remaining - MOVE_OVERHEAD), MIN_MOVE_TIME);
+  }
+
+  /**
+   * Formate une ligne info à partir d'une itération de la recherche
+   * @param {Object} info - { depth, score, nodes, time, pv }
+   * @returns {string} Ligne info
+   */
+  static formatInfo(info) {
+    const mate = SearchEngine.getMateDistance(info.score);
+    const score = mate !== null ? `mate ${mate}` : `cp ${info.score}`;
+    const nps = info.time > 0 ? Math.round(info.nodes * 1000 / info.time) : info.nodes;
+    const pv = info.pv.map(move => MoveParser.toUCI(move)).join(' ');
+
+    return `info depth ${info.depth} score ${score} nodes ${info.nodes} nps ${nps} time ${info.time} pv ${pv}`.trim();
+  }
+
+  /**
+   * Formate la ligne bestmove, avec le coup attendu en réponse s'il est connu
+   * @param {Object} result - Résultat de la recherche
+   * @returns {string} Ligne bestmove ('bestmove 0000' sans coup légal)
+   */
+  static formatBestMove(result) {
+    if (!result.move) {
+      return 'bestmove 0000';
+    }
+
+    const bestMove = `bestmove ${MoveParser.toUCI(result.move)}`;
+    return result.pv && result.pv.length > 1 ?
+      `${bestMove} ponder ${MoveParser.toUCI(result.pv[1])}` :
+      bestMove;
+  }
+}
+
+module.exports = UCIEngine;
@@ -0,0 +1,129 @@
+const Variant = require('./Variant');
+const { GAME_VARIANTS, GAME_END_REASONS } = require('../../../shared/constants/chess-notation');
+
+// Position classique, sans droits de roque
+const ANTICHESS_START_FEN = 'rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w - - 0 1';
+
+// Le roi étant une pièce ordinaire, un pion peut aussi devenir roi
+const PROMOTION_PIECES = ['Q', 'R', 'B', 'N', 'K'];
+
+/**
+ * Antichess (qui perd gagne) : la prise est obligatoire et le roi est une
+ * pièce ordinaire (ni échec, ni mat, ni roque). Un joueur gagne en perdant
+ * toutes ses pièces ou en se retrouvant pat
+ */
+class AntichessVariant extends Variant {
+  constructor() {
+    super(GAME_VARIANTS.ANTICHESS);
+    this.royalKing = false;
+    this.losing = true;
+    this.externalEngine = false;
+  }
+
+  /**
+   * Position de départ, sans roque
+   * @returns {string} Position en notation FEN
+   */
+  getStartFEN() {
+    return ANTICHESS_START_FEN;
+  }
+
+  /**
+   * Pièces de promotion, roi compris
+   * @returns {Array} Types de pièces
+   */
+  getPromotionPieces() {
+    return PROMOTION_PIECES;
+  }
+
+  /**
+   * Coups des pièces, réduits aux prises s'il en existe une
+   * @param {Board} board - L'échiquier
+   * @param {string} color - Couleur du joueur
+   * @returns {Array} Liste des coups
+   */
+  generateMoves(board, color) {
+    const moves = super.generateMoves(board, color);
+    const captures = moves.filter(move => move.isCapture);
+    return captures.length > 0 ? captures : moves;
+  }
+
+  /**
+   * Le roi n'est jamais en échec
+   * @param {Board} board - L'échiquier
+   * @param {string} color - Couleur du roi
+   * @returns {boolean} Toujours false
+   */
+  isKingInCheck(board, color) {
+    return false;
+  }
+
+  /**
+   * Toute position est légale : le roi peut être laissé en prise
+   * @param {Board} board - L'échiquier après le coup
+   * @param {string} color - Couleur du joueur qui vient de jouer
+   * @returns {boolean} Toujours true
+   */
+  isLegalPosition(board, color) {
+    return true;
+  }
+
+  /**
+   * Refuse un coup sans prise quand une prise est possible
+   * @param {Board} board - L'échiquier avant le coup
+   * @param {Object} move - Le mouvement
+   * @returns {Object} Résultat de validation { isValid, reason, message }
+   */
+  validateMove(board, move) {
+    const allowed = this.generateMoves(board, move.color);
+    const isAllowed = allowed.some(candidate =>
+      candidate.fromRank === move.fromRank && candidate.fromFile === move.fromFile &&
+      candidate.toRank === move.toRank && candidate.toFile === move.toFile);
+
+    if (!isAllowed) {
+      return {
+        isValid: false,
+        reason: 'CAPTURE_REQUIRED',
+        message: 'La prise est obligatoire'
+      };
+    }
+
+    return { isValid: true };
+  }
+
+  /**
+   * Le camp qui n'a plus aucune pièce gagne la partie
+   * @param {Board} board - L'échiquier
+   * @returns {Object|null} { winner, reason } ou null
+   */
+  getSpecialOutcome(board) {
+    for (const color of ['white', 'black']) {
+      const hasPieces = board.squares.some(row => row.some(piece => piece && piece.color === color));
+      if (!hasPieces) {
+        return { winner: color, reason: GAME_END_REASONS.ALL_PIECES_CAPTURED };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Le camp pat gagne la partie
+   * @param {Board} board - L'échiquier
+   * @returns {Object} { winner, reason }
+   */
+  getNoMovesOutcome(board) {
+    return { winner: board.activeColor, reason: GAME_END_REASONS.STALEMATE };
+  }
+
+  /**
+   * Pas de nulle par matériel insuffisant : toute pièce peut encore être
+   * offerte à l'adversaire
+   * @param {Board} board - L'échiquier
+   * @returns {boolean} Toujours false
+   */
+  hasInsufficientMaterial(board) {
+    return false;
+  }
+}
+
+module.exports = AntichessVariant;
@@ -0,0 +1,167 @@
+const Variant = require('./Variant');
+const { GAME_VARIANTS } = require('../../../shared/constants/chess-notation');
+
+// Décalages des huit cases voisines d'une explosion
+const NEIGHBOURS = [
+  [-1, -1], [-1, 0], [-1, 1],
+  [0, -1], [0, 1],
+  [1, -1], [1, 0], [1, 1]
+];
+
+/**
+ * Échecs atomiques
+ * Toute capture provoque une explosion qui détruit la pièce qui capture et
+ * les pièces voisines de la case d'arrivée, pions exceptés. Faire exploser le
+ * roi adverse gagne la partie ; le roi ne peut donc pas capturer, et deux rois
+ * voisins ne se mettent pas en échec
+ */
+class AtomicVariant extends Variant {
+  constructor() {
+    super(GAME_VARIANTS.ATOMIC);
+    this.kingCanBeDestroyed = true;
+    this.externalEngine = false;
+  }
+
+  /**
+   * Coups d'une pièce : ceux des règles classiques, sans les captures du roi
+   * @param {Board} board - L'échiquier
+   * @param {Piece} piece - La pièce
+   * @param {Array} moves - Liste à compléter
+   */
+  addPieceMoves(board, piece, moves) {
+    if (piece.type !== 'K') {
+      super.addPieceMoves(board, piece, moves);
+      return;
+    }
+
+    const kingMoves = [];
+    super.addPieceMoves(board, piece, kingMoves);
+    moves.push(...kingMoves.filter(move => !move.isCapture));
+  }
+
+  /**
+   * Fait exploser la case d'arrivée d'une capture
+   * La pièce qui capture et les pièces voisines (hors pions) sont retirées et
+   * notées dans moveInfo.explosion ; la pièce capturée reste dans moveInfo.capturedPiece
+   * @param {Board} board - L'échiquier
+   * @param {Object} move - Le mouvement
+   * @param {Object} moveInfo - Informations d'annulation du coup
+   */
+  applyMove(board, move, moveInfo) {
+    if (!moveInfo.capturedPiece) {
+      return;
+    }
+
+    const { toRank, toFile } = moveInfo;
+    const pieces = [{ piece: board.removePiece(toRank, toFile), rank: toRank, file: toFile }];
+
+    for (const [rankOffset, fileOffset] of NEIGHBOURS) {
+      const rank = toRank + rankOffset;
+      const file = toFile + fileOffset;
+      if (!board.isValidPosition(rank, file)) continue;
+
+      const piece = board.getPiece(rank, file);
+      if (piece && piece.type !== 'P') {
+        board.removePiece(rank, file);
+        pieces.push({ piece, rank, file });
+
+        // Un roi ou une tour de roque détruits perdent leurs droits de roque
+        board.updateCastlingRights(piece, rank, file, rank, file);
+      }
+    }
+
+    moveInfo.explosion = { rank: toRank, file: toFile, pieces };
+  }
+
+  /**
+   * Replace les pièces détruites par l'explosion
+   * @param {Board} board - L'échiquier
+   * @param {Object} moveInfo - Informations d'annulation du coup
+   */
+  undoMove(board, moveInfo) {
+    if (!moveInfo.explosion) {
+      return;
+    }
+
+    for (const { piece, rank, file } of moveInfo.explosion.pieces) {
+      board.setPiece(piece, rank, file);
+    }
+  }
+
+  /**
+   * Un roi voisin du roi adverse n'est jamais en échec : aucune capture ne
+   * peut le détruire sans faire exploser aussi le roi de l'attaquant
+   * @param {Board} board - L'échiquier
+   * @param {string} color - Couleur du roi
+   * @returns {boolean} True si le roi est en échec
+   */
+  isKingInCheck(board, color) {
+    const opponentColor = color === 'white' ? 'black' : 'white';
+    const king = board.findKing(color);
+    const opponentKing = board.findKing(opponentColor);
+
+    if (!king) {
+      return false;
+    }
+    if (opponentKing && Math.abs(king.rank - opponentKing.rank) <= 1 &&
+        Math.abs(king.file - opponentKing.file) <= 1) {
+      return false;
+    }
+
+    return board.isSquareAttacked(king.rank, king.file, opponentColor);
+  }
+
+  /**
+   * Un coup ne doit pas détruire son propre roi ; faire exploser le roi
+   * adverse est toujours permis, même en laissant son roi en échec
+   * @param {Board} board - L'échiquier après le coup
+   * @param {string} color - Couleur du joueur qui vient de jouer
+   * @returns {boolean} True si la position est légale
+   */
+  isLegalPosition(board, color) {
+    if (!board.findKing(color)) {
+      return false;
+    }
+    if (!board.findKing(color === 'white' ? 'black' : 'white')) {
+      return true;
+    }
+
+    return !this.isKingInCheck(board, color);
+  }
+
+  /**
+   * Le camp dont le roi a explosé perd la partie
+   * @param {Board} board - L'échiquier
+   * @returns {Object|null} { winner, reason } ou null
+   */
+  getSpecialOutcome(board) {
+    for (const color of ['white', 'black']) {
+      if (!board.findKing(color)) {
+        return { winner: color === 'white' ? 'black' : 'white', reason: 'explosion' };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Sans autre pièce qu'un cavalier ou un fou, aucune capture n'est possible :
+   * ni explosion ni mat
+   * @param {Board} board - L'échiquier
+   * @returns {boolean} True si la partie ne peut plus être gagnée
+   */
+  hasInsufficientMaterial(board) {
+    const pieces = [];
+    for (let rank = 0; rank < 8; rank++) {
+      for (let file = 0; file < 8; file++) {
+        const piece = board.getPiece(rank, file);
+        if (piece && piece.type !== 'K') {
+          pieces.push(piece.type);
+        }
+      }
+    }
+
+    return pieces.length === 0 || (pieces.length === 1 && ['B', 'N'].includes(pieces[0]));
+  }
+}
+
+module.exports = AtomicVariant;
@@ -0,0 +1,88 @@
+// Nombre de positions de départ des échecs 960
+const POSITION_COUNT = 960;
+
+// Placement des cavaliers sur les cinq cases restant libres après les fous et la dame
+const KNIGHT_PLACEMENTS = [
+  [0, 1], [0, 2], [0, 3], [0, 4], [1, 2],
+  [1, 3], [1, 4], [2, 3], [2, 4], [3, 4]
+];
+
+/**
+ * Positions de départ des échecs 960 (Fischer Random)
+ * Les pièces de la première rangée sont mélangées, fous sur des cases de
+ * couleurs opposées et roi entre les deux tours ; les noirs sont placés en
+ * miroir. Les positions sont numérotées de 0 à 959 selon le schéma de
+ * Scharnagl (518 = position standard)
+ */
+class Chess960 {
+  /**
+   * Première rangée d'une position de départ
+   * @param {number} number - Numéro de la position (0-959)
+   * @returns {Array} Types des pièces de la colonne a à la colonne h (ex: ['R', 'N', 'B', ...])
+   * @throws {Error} Si le numéro est hors limites
+   */
+  static getBackRank(number) {
+    if (!Chess960.isValidPosition(number)) {
+      throw new Error(`Position 960 invalide: ${number} (0 à ${POSITION_COUNT - 1} attendu)`);
+    }
+
+    const backRank = Array(8).fill(null);
+    const freeFiles = () => backRank.map((piece, file) => piece ? null : file).filter(file => file !== null);
+    let rest = number;
+
+    // Fou de cases blanches (colonnes b, d, f, h), puis fou de cases noires (a, c, e, g)
+    backRank[(rest % 4) * 2 + 1] = 'B';
+    rest = Math.floor(rest / 4);
+    backRank[(rest % 4) * 2] = 'B';
+    rest = Math.floor(rest / 4);
+
+    // Dame sur l'une des six cases libres
+    backRank[freeFiles()[rest % 6]] = 'Q';
+    rest = Math.floor(rest / 6);
+
+    // Cavaliers sur deux des cinq cases libres
+    const knightFiles = freeFiles();
+    for (const index of KNIGHT_PLACEMENTS[rest]) {
+      backRank[knightFiles[index]] = 'N';
+    }
+
+    // Tour, roi, tour sur les trois dernières cases
+    const [queensideRook, king, kingsideRook] = freeFiles();
+    backRank[queensideRook] = 'R';
+    backRank[king] = 'K';
+    backRank[kingsideRook] = 'R';
+
+    return backRank;
+  }
+
+  /**
+   * FEN d'une position de départ
+   * Les droits de roque sont écrits KQkq (X-FEN) : chaque tour est la plus
+   * extérieure de son côté
+   * @param {number} number - Numéro de la position (0-959)
+   * @returns {string} Position en notation FEN
+   */
+  static getStartFEN(number) {
+    const whitePieces = Chess960.getBackRank(number).join('');
+    return `${whitePieces.toLowerCase()}/pppppppp/8/8/8/8/PPPPPPPP/${whitePieces} w KQkq - 0 1`;
+  }
+
+  /**
+   * Tire une position de départ au hasard
+   * @returns {number} Numéro de la position (0-959)
+   */
+  static randomPosition() {
+    return Math.floor(Math.random() * POSITION_COUNT);
+  }
+
+  /**
+   * Vérifie un numéro de position
+   * @param {number} number - Numéro à vérifier
+   * @returns {boolean} True si le numéro désigne une position de départ
+   */
+  static isValidPosition(number) {
+    return Number.isInteger(number) && number >= 0 && number < POSITION_COUNT;
+  }
+}
+
+module.exports = Chess960;
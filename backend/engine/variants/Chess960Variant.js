@@ -0,0 +1,28 @@
+const Variant = require('./Variant');
+const Chess960 = require('./Chess960');
+const { GAME_VARIANTS } = require('../../../shared/constants/chess-notation');
+
+/**
+ * Échecs 960 : position de départ tirée parmi les 960 positions de Fischer,
+ * roque joué roi sur sa tour
+ */
+class Chess960Variant extends Variant {
+  constructor() {
+    super(GAME_VARIANTS.CHESS960);
+    this.chess960 = true;
+  }
+
+  /**
+   * Position de départ choisie, ou tirée au sort
+   * @param {Object} options - Options de création de la partie
+   * @param {number} options.startPosition - Numéro de la position (0-959)
+   * @returns {string} Position en notation FEN
+   */
+  getStartFEN(options = {}) {
+    return Chess960.getStartFEN(options.startPosition !== undefined ?
+      options.startPosition :
+      Chess960.randomPosition());
+  }
+}
+
+module.exports = Chess960Variant;
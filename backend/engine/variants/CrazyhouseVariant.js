@@ -0,0 +1,71 @@
+const Variant = require('./Variant');
+const MoveGenerator = require('../moves/MoveGenerator');
+const { GAME_VARIANTS } = require('../../../shared/constants/chess-notation');
+
+/**
+ * Crazyhouse : les pièces capturées changent de camp et rejoignent la réserve
+ * de celui qui capture ; au lieu de déplacer une pièce, un joueur peut en
+ * parachuter une de sa réserve sur une case vide. Une pièce promue redevient
+ * un pion une fois capturée
+ */
+class CrazyhouseVariant extends Variant {
+  constructor() {
+    super(GAME_VARIANTS.CRAZYHOUSE);
+    this.hasPockets = true;
+    this.externalEngine = false;
+  }
+
+  /**
+   * Coups des pièces complétés des parachutages
+   * @param {Board} board - L'échiquier
+   * @param {string} color - Couleur du joueur
+   * @returns {Array} Liste des coups
+   */
+  generateMoves(board, color) {
+    const moves = super.generateMoves(board, color);
+    MoveGenerator.addDropMoves(board, color, moves);
+    return moves;
+  }
+
+  /**
+   * Place la pièce capturée dans la réserve du camp qui capture
+   * @param {Board} board - L'échiquier
+   * @param {Object} move - Le mouvement
+   * @param {Object} moveInfo - Informations d'annulation du coup
+   */
+  applyMove(board, move, moveInfo) {
+    const { capturedPiece, piece } = moveInfo;
+    if (!capturedPiece) {
+      return;
+    }
+
+    moveInfo.pocketPiece = capturedPiece.promoted ? 'P' : capturedPiece.type;
+    board.addToPocket(piece.color, moveInfo.pocketPiece);
+  }
+
+  /**
+   * Retire de la réserve la pièce capturée par le coup annulé
+   * @param {Board} board - L'échiquier
+   * @param {Object} moveInfo - Informations d'annulation du coup
+   */
+  undoMove(board, moveInfo) {
+    if (moveInfo.pocketPiece) {
+      board.removeFromPocket(moveInfo.piece.color, moveInfo.pocketPiece);
+    }
+  }
+
+  /**
+   * Une pièce en réserve peut toujours être parachutée : seuls deux rois
+   * seuls, réserves vides, font une nulle
+   * @param {Board} board - L'échiquier
+   * @returns {boolean} True si aucun camp ne peut mater
+   */
+  hasInsufficientMaterial(board) {
+    const hasPocketPieces = ['white', 'black']
+      .some(color => Object.values(board.pockets[color]).some(count => count > 0));
+
+    return !hasPocketPieces && board.squares.every(row => row.every(piece => !piece || piece.type === 'K'));
+  }
+}
+
+module.exports = CrazyhouseVariant;
@@ -0,0 +1,68 @@
+const Variant = require('./Variant');
+const { GAME_VARIANTS, GAME_END_REASONS } = require('../../../shared/constants/chess-notation');
+
+// 36 pions blancs, dont ceux de la première rangée, contre l'armée noire classique
+const HORDE_START_FEN = 'rnbqkbnr/pppppppp/8/1PP2PP1/PPPPPPPP/PPPPPPPP/PPPPPPPP/PPPPPPPP w kq - 0 1';
+
+// Les pions blancs de la première rangée peuvent aussi avancer de deux cases
+const PAWN_START_RANKS = { white: [0, 1], black: [6] };
+
+/**
+ * Horde : les blancs jouent sans roi avec une horde de pions
+ * Les blancs gagnent en matant le roi noir, les noirs en capturant toutes
+ * les pièces blanches
+ */
+class HordeVariant extends Variant {
+  constructor() {
+    super(GAME_VARIANTS.HORDE);
+    this.externalEngine = false;
+  }
+
+  /**
+   * Position de départ de la horde
+   * @returns {string} Position en notation FEN
+   */
+  getStartFEN() {
+    return HORDE_START_FEN;
+  }
+
+  /**
+   * Seuls les noirs ont un roi
+   * @param {string} color - Couleur du joueur
+   * @returns {boolean} True pour les noirs
+   */
+  hasKing(color) {
+    return color === 'black';
+  }
+
+  /**
+   * Rangées de double pas : première et deuxième rangées pour la horde
+   * @param {string} color - Couleur du pion
+   * @returns {Array} Rangées (0-7)
+   */
+  getPawnStartRanks(color) {
+    return PAWN_START_RANKS[color];
+  }
+
+  /**
+   * Les noirs gagnent dès que la horde n'a plus aucune pièce
+   * @param {Board} board - L'échiquier
+   * @returns {Object|null} { winner, reason } ou null
+   */
+  getSpecialOutcome(board) {
+    const hasPieces = board.squares.some(row => row.some(piece => piece && piece.color === 'white'));
+    return hasPieces ? null : { winner: 'black', reason: GAME_END_REASONS.ALL_PIECES_CAPTURED };
+  }
+
+  /**
+   * Le décompte classique ne s'applique pas : les noirs peuvent toujours
+   * gagner en capturant les dernières pièces blanches
+   * @param {Board} board - L'échiquier
+   * @returns {boolean} Toujours false
+   */
+  hasInsufficientMaterial(board) {
+    return false;
+  }
+}
+
+module.exports = HordeVariant;
@@ -0,0 +1,43 @@
+const Variant = require('./Variant');
+const { GAME_VARIANTS, GAME_END_REASONS } = require('../../../shared/constants/chess-notation');
+
+// Cases de la colline : d4, e4, d5, e5 ([rang, colonne])
+const HILL_SQUARES = [[3, 3], [3, 4], [4, 3], [4, 4]];
+
+/**
+ * Roi de la colline : règles classiques, mais un joueur gagne aussi en amenant
+ * son roi sur l'une des quatre cases centrales (sans le laisser en échec)
+ */
+class KingOfTheHillVariant extends Variant {
+  constructor() {
+    super(GAME_VARIANTS.KING_OF_THE_HILL);
+    this.externalEngine = false;
+  }
+
+  /**
+   * Le camp dont le roi atteint le centre gagne la partie
+   * @param {Board} board - L'échiquier
+   * @returns {Object|null} { winner, reason } ou null
+   */
+  getSpecialOutcome(board) {
+    for (const color of ['white', 'black']) {
+      const king = board.findKing(color);
+      if (king && HILL_SQUARES.some(([rank, file]) => king.rank === rank && king.file === file)) {
+        return { winner: color, reason: GAME_END_REASONS.HILL_REACHED };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Pas de nulle par matériel insuffisant : un roi seul peut encore gagner
+   * en atteignant le centre
+   * @param {Board} board - L'échiquier
+   * @returns {boolean} Toujours false
+   */
+  hasInsufficientMaterial(board) {
+    return false;
+  }
+}
+
+module.exports = KingOfTheHillVariant;
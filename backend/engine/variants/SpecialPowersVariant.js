@@ -0,0 +1,93 @@
+const Variant = require('./Variant');
+const PowerManager = require('../powers/PowerManager');
+const PowerRegistry = require('../powers/PowerRegistry');
+const { GAME_VARIANTS } = require('../../../shared/constants/chess-notation');
+
+/**
+ * Échecs à pouvoirs spéciaux : règles classiques, chaque joueur recevant
+ * des pouvoirs en début de partie (voir PowerRegistry)
+ * Les pouvoirs sont appliqués ici et leurs effets durables, tenus dans
+ * board.powerEffects, restreignent les coups tant qu'ils sont actifs
+ */
+class SpecialPowersVariant extends Variant {
+  constructor() {
+    super(GAME_VARIANTS.POWERS);
+    this.hasPowers = true;
+    // Le moteur externe ignore les effets des pouvoirs (pièces gelées ou protégées)
+    this.externalEngine = false;
+  }
+
+  /**
+   * Coups des pièces, sans ceux qu'interdit un effet actif (pièce gelée,
+   * prise d'une pièce protégée)
+   * @param {Board} board - L'échiquier
+   * @param {string} color - Couleur du joueur
+   * @returns {Array} Liste des coups
+   */
+  generateMoves(board, color) {
+    const moves = super.generateMoves(board, color);
+    if (board.powerEffects.length === 0) {
+      return moves;
+    }
+    return moves.filter(move => PowerManager.validateMove(board, move).isValid);
+  }
+
+  /**
+   * Refuse un coup interdit par un effet actif
+   * @param {Board} board - L'échiquier avant le coup
+   * @param {Object} move - Le mouvement
+   * @returns {Object} Résultat de validation { isValid, reason, message }
+   */
+  validateMove(board, move) {
+    return PowerManager.validateMove(board, move);
+  }
+
+  /**
+   * Applique le pouvoir joué et crée son effet ; pour un coup ordinaire, note
+   * le demi-coup joué par une pièce sous effet
+   * @param {Board} board - L'échiquier
+   * @param {Object} move - Le mouvement
+   * @param {Object} moveInfo - Informations d'annulation du coup
+   */
+  applyMove(board, move, moveInfo) {
+    const ply = board.moveHistory.length + 1;
+
+    if (move.power) {
+      PowerRegistry.get(move.power.name).apply(board, moveInfo.piece, moveInfo);
+      const effect = PowerManager.createEffect(board, move, ply);
+      if (effect) {
+        board.powerEffects.push(effect);
+      }
+      return;
+    }
+
+    for (const effect of board.powerEffects) {
+      if (effect.piece === moveInfo.piece && ply < effect.expiresAtPly) {
+        effect.plies.push(ply);
+      }
+    }
+  }
+
+  /**
+   * Annule le pouvoir et retire l'effet créé par le coup annulé
+   * @param {Board} board - L'échiquier
+   * @param {Object} moveInfo - Informations d'annulation du coup
+   */
+  undoMove(board, moveInfo) {
+    const ply = board.moveHistory.length + 1;
+
+    if (moveInfo.power) {
+      PowerRegistry.get(moveInfo.power).undo(board, moveInfo);
+      board.powerEffects = board.powerEffects.filter(effect => effect.ply !== ply);
+      return;
+    }
+
+    for (const effect of board.powerEffects) {
+      if (effect.plies[effect.plies.length - 1] === ply) {
+        effect.plies.pop();
+      }
+    }
+  }
+}
+
+module.exports = SpecialPowersVariant;
@@ -0,0 +1,13 @@
+const Variant = require('./Variant');
+const { GAME_VARIANTS } = require('../../../shared/constants/chess-notation');
+
+/**
+ * Échecs classiques : les règles par défaut de Variant
+ */
+class StandardVariant extends Variant {
+  constructor() {
+    super(GAME_VARIANTS.STANDARD);
+  }
+}
+
+module.exports = StandardVariant;
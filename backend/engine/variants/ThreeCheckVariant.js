@@ -0,0 +1,71 @@
+const Variant = require('./Variant');
+const { GAME_VARIANTS, GAME_END_REASONS } = require('../../../shared/constants/chess-notation');
+
+// Nombre d'échecs à donner pour gagner
+const CHECKS_TO_WIN = 3;
+
+/**
+ * Trois échecs : règles classiques, mais un joueur gagne aussi en donnant
+ * échec pour la troisième fois. Les échecs donnés font partie de la position
+ * (Board.checkCounts, FEN terminée par +2+1)
+ */
+class ThreeCheckVariant extends Variant {
+  constructor() {
+    super(GAME_VARIANTS.THREE_CHECK);
+    this.countsChecks = true;
+    this.externalEngine = false;
+  }
+
+  /**
+   * Compte l'échec donné par le coup
+   * @param {Board} board - L'échiquier
+   * @param {Object} move - Le mouvement
+   * @param {Object} moveInfo - Informations d'annulation du coup
+   */
+  applyMove(board, move, moveInfo) {
+    const color = moveInfo.piece.color;
+    const opponentColor = color === 'white' ? 'black' : 'white';
+    if (this.isKingInCheck(board, opponentColor)) {
+      board.setCheckCount(color, board.checkCounts[color] + 1);
+      moveInfo.countedCheck = true;
+    }
+  }
+
+  /**
+   * Retire l'échec compté par applyMove
+   * @param {Board} board - L'échiquier
+   * @param {Object} moveInfo - Informations d'annulation du coup
+   */
+  undoMove(board, moveInfo) {
+    if (moveInfo.countedCheck) {
+      const color = moveInfo.piece.color;
+      board.setCheckCount(color, board.checkCounts[color] - 1);
+    }
+  }
+
+  /**
+   * Le camp qui a donné son troisième échec gagne la partie
+   * @param {Board} board - L'échiquier
+   * @returns {Object|null} { winner, reason } ou null
+   */
+  getSpecialOutcome(board) {
+    for (const color of ['white', 'black']) {
+      if (board.checkCounts[color] >= CHECKS_TO_WIN) {
+        return { winner: color, reason: GAME_END_REASONS.THREE_CHECKS };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Nulle seulement s'il ne reste que les rois : toute autre pièce peut
+   * encore donner échec
+   * @param {Board} board - L'échiquier
+   * @returns {boolean} True si aucun camp ne peut plus donner échec
+   */
+  hasInsufficientMaterial(board) {
+    return board.squares.every(row => row.every(piece => !piece || piece.type === 'K'));
+  }
+}
+
+module.exports = ThreeCheckVariant;
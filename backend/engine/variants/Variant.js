@@ -0,0 +1,255 @@
+const { STARTING_FEN } = require('../../../shared/constants/chess-notation');
+const MoveGenerator = require('../moves/MoveGenerator');
+
+// Rangées de départ des pions (double pas autorisé)
+const PAWN_START_RANKS = { white: [1], black: [6] };
+
+// Pièces de promotion d'un pion
+const PROMOTION_PIECES = ['Q', 'R', 'B', 'N'];
+
+/**
+ * Règles d'une variante de jeu
+ * Cette classe applique les règles classiques ; chaque variante en hérite et
+ * ne redéfinit que ce qui change : position de départ, génération des coups,
+ * légalité, captures spéciales et conditions de fin de partie.
+ * Les règles sont sans état : une seule instance par variante est partagée
+ * par tous les échiquiers (voir VariantRegistry)
+ */
+class Variant {
+  /**
+   * @param {string} name - Nom de la variante (GAME_VARIANTS)
+   */
+  constructor(name) {
+    this.name = name;
+
+    // Roque des échecs 960 (roi joué sur sa tour, FEN en X-FEN)
+    this.chess960 = false;
+
+    // Pouvoirs spéciaux attribués aux joueurs en début de partie
+    this.hasPowers = false;
+
+    // Réserves de pièces capturées, parachutables sur l'échiquier (crazyhouse)
+    this.hasPockets = false;
+
+    // Échecs donnés comptés dans la position et la FEN (trois échecs)
+    this.countsChecks = false;
+
+    // Roi royal : un seul par camp, soumis à l'échec et au mat, et seul à roquer
+    this.royalKing = true;
+
+    // Un roi peut disparaître de l'échiquier (explosion des échecs atomiques) :
+    // la position finale d'une partie gagnée ainsi n'a plus qu'un roi
+    this.kingCanBeDestroyed = false;
+
+    // Qui perd gagne : le matériel est un handicap pour l'évaluation (antichess)
+    this.losing = false;
+
+    // Le moteur UCI externe (règles classiques) peut jouer et analyser la variante
+    this.externalEngine = true;
+  }
+
+  /**
+   * Position de départ
+   * @param {Object} options - Options de création de la partie
+   * @returns {string} Position en notation FEN
+   */
+  getStartFEN(options = {}) {
+    return STARTING_FEN;
+  }
+
+  /**
+   * Indique si une couleur joue avec un roi (exactement un roi dans la FEN)
+   * @param {string} color - Couleur du joueur
+   * @returns {boolean} True si la couleur possède un roi
+   */
+  hasKing(color) {
+    return true;
+  }
+
+  /**
+   * Rangées depuis lesquelles un pion peut avancer de deux cases
+   * Un pion ne peut se trouver sur une rangée extrême que si elle en fait partie
+   * @param {string} color - Couleur du pion
+   * @returns {Array} Rangées (0-7)
+   */
+  getPawnStartRanks(color) {
+    return PAWN_START_RANKS[color];
+  }
+
+  /**
+   * Pièces qu'un pion peut devenir en atteignant la dernière rangée
+   * @returns {Array} Types de pièces
+   */
+  getPromotionPieces() {
+    return PROMOTION_PIECES;
+  }
+
+  /**
+   * Génère les coups pseudo-légaux d'une couleur : ceux de chaque pièce
+   * (addPieceMoves), complétés le cas échéant des coups propres à la variante
+   * @param {Board} board - L'échiquier
+   * @param {string} color - Couleur du joueur
+   * @returns {Array} Liste des coups
+   */
+  generateMoves(board, color) {
+    const moves = [];
+
+    for (let rank = 0; rank < 8; rank++) {
+      for (let file = 0; file < 8; file++) {
+        const piece = board.squares[rank][file];
+        if (piece && piece.color === color) {
+          this.addPieceMoves(board, piece, moves);
+        }
+      }
+    }
+
+    return moves;
+  }
+
+  /**
+   * Ajoute les coups pseudo-légaux d'une pièce
+   * C'est aussi la référence du MoveValidator pour les coups des joueurs
+   * @param {Board} board - L'échiquier
+   * @param {Piece} piece - La pièce
+   * @param {Array} moves - Liste à compléter
+   */
+  addPieceMoves(board, piece, moves) {
+    MoveGenerator.addPieceMoves(board, piece, piece.rank, piece.file, moves);
+  }
+
+  /**
+   * Vérifie si un roi est en échec (voir Board.isKingInCheck)
+   * @param {Board} board - L'échiquier
+   * @param {string} color - Couleur du roi
+   * @returns {boolean} True si le roi est attaqué
+   */
+  isKingInCheck(board, color) {
+    const kingPos = board.findKing(color);
+    if (!kingPos) return false;
+
+    return board.isSquareAttacked(kingPos.rank, kingPos.file, color === 'white' ? 'black' : 'white');
+  }
+
+  /**
+   * Vérifie la position obtenue après un coup de color
+   * Appelée coup joué, avant annulation : c'est le test de légalité de tous
+   * les coups (validation, génération, recherche)
+   * @param {Board} board - L'échiquier après le coup
+   * @param {string} color - Couleur du joueur qui vient de jouer
+   * @returns {boolean} True si la position est légale (roi non laissé en échec)
+   */
+  isLegalPosition(board, color) {
+    return !board.isKingInCheck(color);
+  }
+
+  /**
+   * Règles de légalité propres à la variante, appliquées par le
+   * MoveValidator après les règles classiques
+   * @param {Board} board - L'échiquier avant le coup
+   * @param {Object} move - Le mouvement
+   * @returns {Object} Résultat de validation { isValid, reason, message }
+   */
+  validateMove(board, move) {
+    return { isValid: true };
+  }
+
+  /**
+   * Effets du coup propres à la variante (captures spéciales...), appliqués
+   * par Board.makeMove une fois la pièce déplacée
+   * Les pièces retirées doivent être notées dans moveInfo pour undoMove
+   * @param {Board} board - L'échiquier
+   * @param {Object} move - Le mouvement
+   * @param {Object} moveInfo - Informations d'annulation du coup
+   */
+  applyMove(board, move, moveInfo) {}
+
+  /**
+   * Annule les effets de applyMove, avant que Board.unmakeMove ne replace
+   * la pièce jouée et la pièce capturée
+   * @param {Board} board - L'échiquier
+   * @param {Object} moveInfo - Informations d'annulation du coup
+   */
+  undoMove(board, moveInfo) {}
+
+  /**
+   * Fin de partie propre à la variante, vérifiée avant la recherche des coups
+   * légaux (roi au centre, roi détruit...)
+   * @param {Board} board - L'échiquier
+   * @returns {Object|null} { winner, reason } (winner null pour une nulle) ou null
+   */
+  getSpecialOutcome(board) {
+    return null;
+  }
+
+  /**
+   * Issue de la partie quand le camp au trait n'a aucun coup légal
+   * @param {Board} board - L'échiquier
+   * @returns {Object} { winner, reason } : mat ou pat
+   */
+  getNoMovesOutcome(board) {
+    const color = board.activeColor;
+    if (board.isKingInCheck(color)) {
+      return { winner: color === 'white' ? 'black' : 'white', reason: 'checkmate' };
+    }
+    return { winner: null, reason: 'stalemate' };
+  }
+
+  /**
+   * Issue de la partie dans la position courante
+   * @param {Board} board - L'échiquier
+   * @returns {Object|null} { winner, reason } ou null si la partie continue
+   */
+  getOutcome(board) {
+    const outcome = this.getSpecialOutcome(board);
+    if (outcome) {
+      return outcome;
+    }
+
+    return MoveGenerator.hasLegalMove(board, board.activeColor) ? null : this.getNoMovesOutcome(board);
+  }
+
+  /**
+   * Vérifie la nulle par matériel insuffisant
+   * @param {Board} board - L'échiquier
+   * @returns {boolean} True si aucun camp ne peut mater
+   */
+  hasInsufficientMaterial(board) {
+    const pieces = { white: [], black: [] };
+
+    // Recenser toutes les pièces, avec la couleur de leur case
+    for (let rank = 0; rank < 8; rank++) {
+      for (let file = 0; file < 8; file++) {
+        const piece = board.getPiece(rank, file);
+        if (piece && piece.type !== 'K') {
+          pieces[piece.color].push({ type: piece.type, squareColor: (rank + file) % 2 });
+        }
+      }
+    }
+
+    // Vérifier les cas de matériel insuffisant
+    const whitePieces = pieces.white;
+    const blackPieces = pieces.black;
+
+    // Roi contre roi
+    if (whitePieces.length === 0 && blackPieces.length === 0) {
+      return true;
+    }
+
+    // Roi + fou/cavalier contre roi
+    if ((whitePieces.length === 1 && ['B', 'N'].includes(whitePieces[0].type) && blackPieces.length === 0) ||
+        (blackPieces.length === 1 && ['B', 'N'].includes(blackPieces[0].type) && whitePieces.length === 0)) {
+      return true;
+    }
+
+    // Roi + fou contre roi + fou, les deux fous sur des cases de même couleur
+    // (de couleurs opposées, un mat reste possible)
+    if (whitePieces.length === 1 && blackPieces.length === 1 &&
+        whitePieces[0].type === 'B' && blackPieces[0].type === 'B') {
+      return whitePieces[0].squareColor === blackPieces[0].squareColor;
+    }
+
+    return false;
+  }
+}
+
+module.exports = Variant;
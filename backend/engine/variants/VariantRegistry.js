@@ -0,0 +1,61 @@
+const StandardVariant = require('./StandardVariant');
+const SpecialPowersVariant = require('./SpecialPowersVariant');
+const Chess960Variant = require('./Chess960Variant');
+const AtomicVariant = require('./AtomicVariant');
+const HordeVariant = require('./HordeVariant');
+const CrazyhouseVariant = require('./CrazyhouseVariant');
+const KingOfTheHillVariant = require('./KingOfTheHillVariant');
+const ThreeCheckVariant = require('./ThreeCheckVariant');
+const AntichessVariant = require('./AntichessVariant');
+
+// Règles de chaque variante, indexées par nom (GAME_VARIANTS)
+const VARIANTS = new Map([
+  new StandardVariant(),
+  new SpecialPowersVariant(),
+  new Chess960Variant(),
+  new AtomicVariant(),
+  new HordeVariant(),
+  new CrazyhouseVariant(),
+  new KingOfTheHillVariant(),
+  new ThreeCheckVariant(),
+  new AntichessVariant()
+].map(variant => [variant.name, variant]));
+
+/**
+ * Registre des variantes de jeu
+ * Une nouvelle variante hérite de Variant et s'ajoute à VARIANTS
+ */
+class VariantRegistry {
+  /**
+   * Retourne les règles d'une variante
+   * @param {string} name - Nom de la variante (GAME_VARIANTS)
+   * @returns {Variant} Règles de la variante
+   * @throws {Error} Si la variante est inconnue
+   */
+  static get(name) {
+    const variant = VARIANTS.get(name);
+    if (!variant) {
+      throw new Error(`Variante inconnue: ${name}`);
+    }
+    return variant;
+  }
+
+  /**
+   * Vérifie qu'une variante existe
+   * @param {string} name - Nom de la variante
+   * @returns {boolean} True si la variante est enregistrée
+   */
+  static has(name) {
+    return VARIANTS.has(name);
+  }
+
+  /**
+   * Noms des variantes disponibles
+   * @returns {Array} Noms des variantes
+   */
+  static getNames() {
+    return Array.from(VARIANTS.keys());
+  }
+}
+
+module.exports = VariantRegistry;
@@ -3,7 +3,8 @@ const mongoose = require('mongoose');
 const MoveSchema = new mongoose.Schema({
   from: {
     type: String,
-    required: true,
+    // Un parachutage (crazyhouse) n'a pas de case de départ
+    required: function() { return !this.drop; },
     match: /^[a-h][1-8]$/ // Format algébrique (ex: e2)
   },
   to: {
@@ -11,6 +12,10 @@ const MoveSchema = new mongoose.Schema({
     required: true,
     match: /^[a-h][1-8]$/
   },
+  drop: {
+    type: String, // Pièce parachutée depuis la réserve (notation N@f3)
+    enum: ['Q', 'R', 'B', 'N', 'P']
+  },
   piece: {
     type: String,
     required: true,
@@ -52,7 +57,7 @@ const MoveSchema = new mongoose.Schema({
   },
   promotionPiece: {
     type: String,
-    enum: ['Q', 'R', 'B', 'N'],
+    enum: ['Q', 'R', 'B', 'N', 'K'], // Promotion en roi possible en antichess
     default: null
   },
   timestamp: {
@@ -62,9 +67,55 @@ const MoveSchema = new mongoose.Schema({
   timeSpent: {
     type: Number, // en secondes
     default: 0
+  },
+  comment: {
+    type: String, // Commentaire PGN {...}
+    default: null
+  },
+  nags: [Number], // Annotations PGN ($1 = !, $2 = ?, ...)
+  explosion: {
+    // Échecs atomiques : case de l'explosion et pièces détruites (pièce qui capture comprise)
+    type: new mongoose.Schema({
+      square: String,
+      pieces: [new mongoose.Schema({
+        type: { type: String },
+        color: String,
+        square: String
+      }, { _id: false })]
+    }, { _id: false }),
+    default: undefined
+  },
+  power: {
+    // Pouvoir spécial utilisé avec ce coup et cases concernées
+    type: new mongoose.Schema({
+      name: String,
+      squares: [String]
+    }, { _id: false }),
+    default: undefined
   }
 });
 
+// Coup annoté par l'analyse post-partie
+const AnalyzedMoveSchema = new mongoose.Schema({
+  ply: Number,
+  color: {
+    type: String,
+    enum: ['white', 'black']
+  },
+  notation: String,
+  move: String, // Coup joué (UCI)
+  evaluation: Number, // Après le coup (centipions, point de vue des blancs)
+  mate: Number, // Coups jusqu'au mat après le coup (null hors mat)
+  bestMove: String, // Meilleur coup dans la position précédente (UCI)
+  bestLine: [String],
+  centipawnLoss: Number,
+  accuracy: Number,
+  classification: {
+    type: String,
+    enum: ['best', 'good', 'inaccuracy', 'mistake', 'blunder']
+  }
+}, { _id: false });
+
 const GameSchema = new mongoose.Schema({
   // Joueurs
   players: {
@@ -72,16 +123,23 @@ const GameSchema = new mongoose.Schema({
       user: {
         type: mongoose.Schema.Types.ObjectId,
         ref: 'User',
-        required: true
+        // Pas d'utilisateur pour le camp joué par l'ordinateur
+        required: function() {
+          return !this.computer || this.computer.color !== 'white';
+        }
       },
       timeRemaining: {
         type: Number, // en secondes
         default: 900 // 15 minutes par défaut
       },
       powers: [{
-        name: {
-          type: String,
-          enum: ['teleportation', 'invisibility', 'exchange']
+        // Pouvoir du registre des pouvoirs (engine/powers/PowerRegistry)
+        name: String,
+        // Charges restantes et demi-coup à partir duquel le pouvoir est rechargé
+        charges: Number,
+        cooldownUntilPly: {
+          type: Number,
+          default: 0
         },
         used: {
           type: Boolean,
@@ -97,16 +155,22 @@ const GameSchema = new mongoose.Schema({
       user: {
         type: mongoose.Schema.Types.ObjectId,
         ref: 'User',
-        required: true
+        required: function() {
+          return !this.computer || this.computer.color !== 'black';
+        }
       },
       timeRemaining: {
         type: Number,
         default: 900
       },
       powers: [{
-        name: {
-          type: String,
-          enum: ['teleportation', 'invisibility', 'exchange']
+        // Pouvoir du registre des pouvoirs (engine/powers/PowerRegistry)
+        name: String,
+        // Charges restantes et demi-coup à partir duquel le pouvoir est rechargé
+        charges: Number,
+        cooldownUntilPly: {
+          type: Number,
+          default: 0
         },
         used: {
           type: Boolean,
@@ -138,7 +202,8 @@ const GameSchema = new mongoose.Schema({
     enum: [
       'checkmate', 'resignation', 'timeout', 'draw_agreement', 
       'stalemate', 'insufficient_material', 'threefold_repetition', 
-      'fifty_move_rule', 'abandonment'
+      'fivefold_repetition', 'fifty_move_rule', 'abandonment', 'explosion',
+      'all_pieces_captured', 'hill_reached', 'three_checks'
     ],
     default: null
   },
@@ -149,6 +214,31 @@ const GameSchema = new mongoose.Schema({
     enum: ['classic', 'rapid', 'blitz', 'bullet', 'custom'],
     default: 'classic'
   },
+
+  // Variante de jeu (règles et position de départ)
+  variant: {
+    type: String,
+    enum: [
+      'standard', 'powers', 'chess960', 'atomic', 'horde', 'crazyhouse',
+      'king_of_the_hill', 'three_check', 'antichess'
+    ],
+    default: 'standard'
+  },
+  
+  // Choix des pouvoirs avant la partie (variante à pouvoirs) ; la graine
+  // permet de rejouer le tirage au sort
+  powerDraft: {
+    type: new mongoose.Schema({
+      mode: {
+        type: String,
+        enum: ['random', 'pick', 'draft'],
+        default: 'random'
+      },
+      seed: Number,
+      timeLimit: Number // en secondes
+    }, { _id: false }),
+    default: undefined
+  },
   
   timeControl: {
     initial: {
@@ -161,6 +251,23 @@ const GameSchema = new mongoose.Schema({
     }
   },
 
+  // Adversaire ordinateur (absent pour une partie entre deux humains)
+  computer: {
+    type: new mongoose.Schema({
+      color: {
+        type: String,
+        enum: ['white', 'black'],
+        required: true
+      },
+      difficulty: {
+        type: String,
+        enum: ['beginner', 'easy', 'medium', 'hard', 'expert'],
+        default: 'medium'
+      }
+    }, { _id: false }),
+    default: undefined
+  },
+
   // État de l'échiquier
   board: {
     type: [[String]], // Échiquier 8x8 avec notation des pièces
@@ -178,6 +285,26 @@ const GameSchema = new mongoose.Schema({
     }
   },
 
+  // Origine de la partie : jouée sur la plateforme ou importée depuis un PGN
+  source: {
+    type: String,
+    enum: ['live', 'import'],
+    default: 'live'
+  },
+
+  // Tags PGN d'origine (Event, Site, White, Black...) pour les parties importées
+  pgnTags: {
+    type: Map,
+    of: String,
+    default: undefined
+  },
+
+  // Position de départ personnalisée ou tirée au sort en échecs 960 (null = position standard)
+  initialFen: {
+    type: String,
+    default: null
+  },
+
   // Tour actuel
   currentTurn: {
     type: String,
@@ -195,7 +322,7 @@ const GameSchema = new mongoose.Schema({
   
   // Positions pour détecter les répétitions
   positionHistory: [{
-    fen: String, // Position FEN
+    hash: String, // Hachage de Zobrist (16 caractères hexadécimaux)
     count: {
       type: Number,
       default: 1
@@ -277,18 +404,46 @@ const GameSchema = new mongoose.Schema({
     }
   }],
 
-  // Analyse post-partie (pour futures fonctionnalités)
+  // Analyse post-partie, remplie par la file d'analyse à la fin de la partie
   analysis: {
+    status: {
+      type: String,
+      enum: ['pending', 'running', 'completed', 'failed']
+    },
+    progress: {
+      current: Number, // Positions évaluées
+      total: Number
+    },
+    engine: String,
+    error: String,
+    requestedAt: Date,
+    completedAt: Date,
     accuracy: {
       white: Number,
       black: Number
     },
+    averageCentipawnLoss: {
+      white: Number,
+      black: Number
+    },
+    inaccuracies: {
+      white: Number,
+      black: Number
+    },
+    mistakes: {
+      white: Number,
+      black: Number
+    },
     blunders: {
       white: Number,
       black: Number
     },
-    bestMove: String,
-    evaluation: Number
+    bestMove: String, // Meilleur coup de la position finale (UCI)
+    evaluation: Number, // Évaluation de la position finale (centipions, point de vue des blancs)
+    moves: {
+      type: [AnalyzedMoveSchema],
+      default: undefined
+    }
   }
 }, {
   timestamps: true,
@@ -309,19 +464,6 @@ GameSchema.virtual('duration').get(function() {
   return Math.floor((endTime - this.startedAt) / 1000); // en secondes
 });
 
-GameSchema.virtual('pgn').get(function() {
-  // Génération PGN basique
-  let pgn = '';
-  this.moves.forEach((move, index) => {
-    if (index % 2 === 0) {
-      pgn += `${Math.floor(index / 2) + 1}. `;
-    }
-    pgn += `${move.notation} `;
-  });
-  pgn += this.result;
-  return pgn.trim();
-});
-
 // Méthodes d'instance
 GameSchema.methods.addMove = function(moveData) {
   this.moves.push(moveData);
@@ -0,0 +1,79 @@
+/**
+ * Mesure du générateur de coups : nœuds, temps et vitesse du perft sur des
+ * positions de référence, ou détail par coup d'une position donnée
+ * Exécuter avec: node scripts/perft.js [--fen FEN] [--depth N] [--divide]
+ *
+ * Options :
+ *   --fen FEN    Position à explorer (positions de référence par défaut)
+ *   --depth N    Profondeur en demi-coups (celle de chaque position de référence par défaut)
+ *   --divide     Nombre de nœuds par coup racine (avec --fen)
+ */
+
+const Perft = require('../engine/moves/Perft');
+
+// Positions de référence (chessprogramming.org, "Perft Results") et profondeur par défaut
+const POSITIONS = [
+  { name: 'position initiale', fen: 'rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1', depth: 4 },
+  { name: 'Kiwipete', fen: 'r3k2r/p1ppqpb1/bn2pnp1/3PN3/1p2P3/2N2Q1p/PPPBBPPP/R3K2R w KQkq - 0 1', depth: 3 },
+  { name: 'position 3', fen: '8/2p5/3p4/KP5r/1R3p1k/8/4P1P1/8 w - - 0 1', depth: 5 }
+];
+
+/**
+ * Lit les options de la ligne de commande
+ * @param {Array} args - Arguments (sans node ni le script)
+ * @returns {Object} { fen, depth, divide }
+ * @throws {Error} Si une option est inconnue ou invalide
+ */
+const parseArgs = (args) => {
+  const options = { fen: null, depth: null, divide: false };
+
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--divide') {
+      options.divide = true;
+    } else if (args[i] === '--fen' && args[i + 1]) {
+      options.fen = args[++i];
+    } else if (args[i] === '--depth' && /^\d+$/.test(args[i + 1]) && Number(args[i + 1]) > 0) {
+      options.depth = Number(args[++i]);
+    } else {
+      throw new Error(`Option invalide: ${args[i]}`);
+    }
+  }
+
+  if (options.divide && !options.fen) {
+    throw new Error('--divide demande une position (--fen)');
+  }
+  return options;
+};
+
+/**
+ * Lance un perft chronométré
+ * @param {Object} position - { name, fen, depth }
+ * @param {boolean} divide - Détailler par coup racine
+ */
+const run = ({ name, fen, depth }, divide) => {
+  const perft = Perft.fromFEN(fen);
+  const start = process.hrtime.bigint();
+  const result = divide ? perft.divide(depth) : { nodes: perft.run(depth) };
+  const ms = Number(process.hrtime.bigint() - start) / 1e6;
+
+  if (divide) {
+    for (const [move, nodes] of Object.entries(result.moves)) {
+      console.log(`${move}: ${nodes}`);
+    }
+  }
+  console.log(`${name} (profondeur ${depth}) : ${result.nodes} nœuds en ${Math.round(ms)} ms, ` +
+    `${Math.round(result.nodes / ms * 1000)} nœuds/s`);
+};
+
+try {
+  const options = parseArgs(process.argv.slice(2));
+  const positions = options.fen ? [{ name: options.fen, fen: options.fen, depth: options.depth || 3 }] :
+    POSITIONS.map(position => ({ ...position, depth: options.depth || position.depth }));
+
+  for (const position of positions) {
+    run(position, options.divide);
+  }
+} catch (error) {
+  console.error(error.message);
+  process.exit(1);
+}
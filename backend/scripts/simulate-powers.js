@@ -0,0 +1,174 @@
+/**
+ * Simulation d'équilibrage des pouvoirs : parties moteur contre moteur,
+ * bilan JSON ou CSV des résultats par pouvoir et par camp
+ * Exécuter avec: node scripts/simulate-powers.js --games 1000 --depth 2 --workers 4
+ *
+ * Options :
+ *   --games N          Nombre de parties (100)
+ *   --variant NOM      Variante (powers)
+ *   --depth N          Profondeur de recherche (2)
+ *   --white a,b        Pouvoirs des blancs, --black a,b ceux des noirs ; un camp
+ *                      sans pouvoirs imposés les tire au sort à chaque partie
+ *   --seed N           Graine, pour rejouer une simulation
+ *   --opening-plies N  Demi-coups joués au hasard en début de partie (4)
+ *   --max-plies N      Au-delà, la partie est comptée nulle (200)
+ *   --margin N         Gain minimal d'un pouvoir sur le meilleur coup, en centipions (50)
+ *   --workers N        Threads de simulation (1)
+ *   --format json|csv  Format du bilan (json)
+ *   --output FICHIER   Fichier du bilan (sortie standard par défaut)
+ */
+
+const fs = require('fs');
+const { Worker, isMainThread, parentPort, workerData } = require('worker_threads');
+const PowerSimulator = require('../engine/powers/PowerSimulator');
+const PowerRegistry = require('../engine/powers/PowerRegistry');
+const PowerDraft = require('../engine/powers/PowerDraft');
+const VariantRegistry = require('../engine/variants/VariantRegistry');
+
+// Options numériques et leur nom dans les réglages du simulateur
+const NUMBER_OPTIONS = {
+  games: 'games',
+  depth: 'depth',
+  seed: 'seed',
+  'opening-plies': 'openingPlies',
+  'max-plies': 'maxPlies',
+  margin: 'powerMargin',
+  workers: 'workers'
+};
+
+/**
+ * Lit les options de la ligne de commande
+ * @param {Array} args - Arguments (sans node ni le script)
+ * @returns {Object} { options (réglages du simulateur), workers, format, output }
+ * @throws {Error} Si une option est inconnue ou invalide
+ */
+const parseArgs = (args) => {
+  const options = {};
+  const loadouts = {};
+  let format = 'json';
+  let output = null;
+
+  for (let i = 0; i < args.length; i += 2) {
+    const name = args[i].replace(/^--/, '');
+    const value = args[i + 1];
+    if (value === undefined) {
+      throw new Error(`Valeur manquante pour ${args[i]}`);
+    }
+
+    if (NUMBER_OPTIONS[name]) {
+      if (!/^\d+$/.test(value)) {
+        throw new Error(`Nombre entier attendu pour --${name}: ${value}`);
+      }
+      options[NUMBER_OPTIONS[name]] = Number(value);
+    } else if (name === 'white' || name === 'black') {
+      loadouts[name] = value.split(',').filter(Boolean);
+      if (loadouts[name].length !== PowerDraft.getLoadoutSize()) {
+        throw new Error(`--${name} attend ${PowerDraft.getLoadoutSize()} pouvoirs séparés par des virgules`);
+      }
+      const unknown = loadouts[name].find(power => !PowerRegistry.has(power));
+      if (unknown) {
+        throw new Error(`Pouvoir inconnu: ${unknown} (${PowerRegistry.getNames().join(', ')})`);
+      }
+    } else if (name === 'variant') {
+      if (!VariantRegistry.has(value)) {
+        throw new Error(`Variante inconnue: ${value}`);
+      }
+      options.variant = value;
+    } else if (name === 'format') {
+      if (!['json', 'csv'].includes(value)) {
+        throw new Error(`Format inconnu: ${value}`);
+      }
+      format = value;
+    } else if (name === 'output') {
+      output = value;
+    } else {
+      throw new Error(`Option inconnue: ${args[i]}`);
+    }
+  }
+
+  if (loadouts.white || loadouts.black) {
+    options.loadouts = { white: loadouts.white || null, black: loadouts.black || null };
+  }
+
+  const { workers = 1, ...simulatorOptions } = options;
+  return { options: simulatorOptions, workers: Math.max(1, workers), format, output };
+};
+
+/**
+ * Répartit les parties entre les threads, chacun jouant une plage d'index
+ * (les parties restent rejouables : leur graine ne dépend que de leur index)
+ * @param {PowerSimulator} simulator - Simulateur (réglages et graine fixés)
+ * @param {number} workers - Nombre de threads
+ * @param {Function} onGame - Appelée après chaque partie
+ * @returns {Promise<Array>} Bilans des parties, dans l'ordre des index
+ */
+const runWorkers = (simulator, workers, onGame) => {
+  const { games } = simulator.options;
+  const size = Math.ceil(games / workers);
+  const ranges = [];
+  for (let from = 0; from < games; from += size) {
+    ranges.push({ from, to: Math.min(games, from + size) });
+  }
+
+  return Promise.all(ranges.map(range => new Promise((resolve, reject) => {
+    const worker = new Worker(__filename, { workerData: { options: simulator.options, ...range } });
+    const records = [];
+    worker.on('message', (record) => {
+      records.push(record);
+      onGame(record);
+    });
+    worker.on('error', reject);
+    worker.on('exit', code => code === 0 ?
+      resolve(records) :
+      reject(new Error(`Thread de simulation arrêté (code ${code})`)));
+  }))).then(results => results.flat());
+};
+
+const main = () => {
+  let settings;
+  let simulator;
+  try {
+    settings = parseArgs(process.argv.slice(2));
+    simulator = new PowerSimulator(settings.options);
+  } catch (error) {
+    console.error(error.message);
+    process.exit(1);
+  }
+
+  const { games, seed } = simulator.options;
+  let played = 0;
+  const onGame = (record) => {
+    played++;
+    process.stderr.write(`Partie ${played}/${games} : ${record.winner || 'nulle'} (${record.reason}, ${record.plies} demi-coups)\n`);
+  };
+
+  process.stderr.write(`Simulation de ${games} parties, graine ${seed}\n`);
+  // Une partie interrompue (coup refusé) termine la simulation sur une erreur
+  const records = settings.workers > 1 ?
+    runWorkers(simulator, settings.workers, onGame) :
+    new Promise(resolve => resolve(simulator.playGames(0, games, onGame)));
+
+  records.then(results => {
+    const report = PowerSimulator.summarize(results, simulator.options);
+    const content = settings.format === 'csv' ?
+      PowerSimulator.toCSV(report) :
+      `${JSON.stringify(report, null, 2)}\n`;
+
+    if (settings.output) {
+      fs.writeFileSync(settings.output, content);
+    } else {
+      process.stdout.write(content);
+    }
+  }).catch(error => {
+    console.error(error.message);
+    process.exit(1);
+  });
+};
+
+if (isMainThread) {
+  main();
+} else {
+  // Thread de simulation : joue sa plage de parties, bilan par bilan
+  const { options, from, to } = workerData;
+  new PowerSimulator(options).playGames(from, to, record => parentPort.postMessage(record));
+}
@@ -0,0 +1,34 @@
+/**
+ * Point d'entrée UCI du moteur AX, pour les GUI et outils de test
+ * (cutechess-cli, fastchess, Arena...)
+ * Exécuter avec: node scripts/uci.js
+ */
+
+const readline = require('readline');
+const UCIEngine = require('../engine/uci/UCIEngine');
+
+const engine = new UCIEngine(line => process.stdout.write(`${line}\n`));
+const input = readline.createInterface({ input: process.stdin, terminal: false });
+
+// Les commandes sont traitées dans l'ordre de réception
+let pending = Promise.resolve(true);
+
+input.on('line', (line) => {
+  pending = pending.then(running => {
+    if (!running) {
+      return false;
+    }
+    return engine.handleCommand(line).then(stillRunning => {
+      if (!stillRunning) {
+        input.close();
+        process.exit(0);
+      }
+      return stillRunning;
+    });
+  });
+});
+
+// Fin de l'entrée standard : équivalent à quit
+input.on('close', () => {
+  pending.then(running => running && engine.handleCommand('quit')).then(() => process.exit(0));
+});
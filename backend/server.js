@@ -11,6 +11,7 @@ const authRoutes = require('./api/auth/auth.routes');
 const gameRoutes = require('./api/game/game.routes');
 const userRoutes = require('./api/users/user.routes');
 const socketHandler = require('./socket/socket.handler');
+const { resumePendingAnalyses } = require('./api/game/game.analysis');
 
 const app = express();
 const server = http.createServer(app);
@@ -21,8 +22,10 @@ const io = socketIo(server, {
   }
 });
 
-// Connexion à la base de données
-connectDB();
+// Connexion à la base de données, puis reprise des analyses interrompues
+connectDB()
+  .then(resumePendingAnalyses)
+  .catch(error => console.error('Erreur lors de la reprise des analyses:', error));
 
 // Middlewares de sécurité
 app.use(helmet());
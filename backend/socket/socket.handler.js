@@ -1,6 +1,16 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
 const GameModel = require('../models/Game');
+const {
+  activeGames,
+  computerEvents,
+  updateGameInDatabase,
+  getGameInstance,
+  playComputerMove,
+  getComputerFailure
+} = require('../api/game/game.controller');
+const GameView = require('../engine/powers/GameView');
+const { COMPUTER_PLAYER_ID } = require('../../shared/constants/chess-notation');
 
 // Stockage des connexions actives
 const connectedUsers = new Map(); // socketId -> userId
@@ -37,6 +47,16 @@ const socketHandler = (io) => {
     }
   });
 
+  // Coups et échecs de l'ordinateur joués hors requête (relance après un
+  // échec du moteur, reprise d'une partie, fin du choix des pouvoirs)
+  computerEvents.on('move', (gameId, game, result) => {
+    broadcastGameViews(io.sockets, gameId, game, 'game:move', buildComputerMove(game, result.move));
+  });
+  computerEvents.on('failure', (gameId, game, result) => {
+    const failure = getComputerFailure(result);
+    broadcastGameViews(io.sockets, gameId, game, 'game:computer-error', () => failure);
+  });
+
   io.on('connection', (socket) => {
     console.log(`✅ Utilisateur connecté: ${socket.user.username} (${socket.id})`);
     
@@ -55,6 +75,8 @@ const socketHandler = (io) => {
     socket.on('game:join', (data) => handleGameJoin(socket, data));
     socket.on('game:leave', (data) => handleGameLeave(socket, data));
     socket.on('game:move', (data) => handleGameMove(socket, data));
+    socket.on('power:use', (data) => handlePowerUse(socket, data));
+    socket.on('power:choose', (data) => handlePowerChoose(socket, data));
     socket.on('game:resign', (data) => handleGameResign(socket, data));
     socket.on('game:draw-offer', (data) => handleDrawOffer(socket, data));
     socket.on('game:draw-response', (data) => handleDrawResponse(socket, data));
@@ -141,9 +163,14 @@ const handleGameJoin = async (socket, data) => {
       username: socket.user.username
     });
 
-    // Envoyer l'état de la partie
+    // Envoyer l'état de la partie, vu par le joueur
+    const viewer = game.players.white.user?._id.toString() === socket.userId ? 'white' : 'black';
+    const gameView = getGameRecordView(game, viewer);
+    if (!gameView) {
+      return socket.emit('error', { message: 'Impossible de rejouer les coups de la partie' });
+    }
     socket.emit('game:state', {
-      game: game.toObject()
+      game: gameView
     });
 
     console.log(`🎮 ${socket.user.username} a rejoint la partie ${gameId}`);
@@ -198,32 +225,238 @@ const handleGameMove = async (socket, data) => {
       return socket.emit('error', { message: 'Données de mouvement invalides' });
     }
 
-    // TODO: Intégrer avec le moteur de jeu
-    // Pour l'instant, on simule la validation et l'exécution
-    
-    const roomId = `game:${gameId}`;
-    
-    // Émettre le mouvement à tous les joueurs de la partie
-    socket.to(roomId).emit('game:move', {
+    const game = activeGames.get(gameId);
+    if (!game) {
+      return socket.emit('error', { message: 'Partie non trouvée ou inactive' });
+    }
+
+    // Le coup peut être une notation SAN/UCI ("Nf3", "g1f3") ou des coordonnées
+    const moveData = typeof move === 'string' ? { notation: move } : move;
+    const moveResult = game.makeMove(socket.userId, moveData);
+
+    if (!moveResult.success) {
+      return socket.emit('game:move-rejected', {
+        move,
+        code: moveResult.error,
+        message: moveResult.message
+      });
+    }
+
+    await updateGameInDatabase(gameId, game);
+
+    // Émettre le mouvement à tous les joueurs de la partie, chacun avec sa vue
+    emitGameViews(socket, gameId, game, 'game:move', (viewer) => ({
       playerId: socket.userId,
-      move: move,
+      move: GameView.projectMove(game, moveResult.move, viewer),
+      gameState: GameView.project(game, viewer),
       timestamp: new Date()
-    });
+    }));
 
     // Confirmer au joueur qui a joué
+    const viewer = GameView.getViewer(game, socket.userId);
     socket.emit('game:move-confirmed', {
-      move: move,
+      move: moveResult.move,
+      gameState: GameView.project(game, viewer),
       timestamp: new Date()
     });
 
     console.log(`♟️ ${socket.user.username} a joué un coup dans la partie ${gameId}`);
 
+    await playComputerReply(socket, gameId, game);
+
   } catch (error) {
     console.error('Erreur lors du mouvement:', error);
     socket.emit('error', { message: 'Erreur lors du mouvement' });
   }
 };
 
+/**
+ * Utiliser un pouvoir spécial à la place d'un coup
+ * @param {Socket} socket - Socket de l'utilisateur
+ * @param {Object} data - { gameId, powerType, targetSquares } (cases { rank, file } ou algébriques)
+ */
+const handlePowerUse = async (socket, data) => {
+  try {
+    const { gameId, powerType, targetSquares } = data;
+
+    if (!gameId || !powerType || !Array.isArray(targetSquares)) {
+      return socket.emit('error', { message: 'Données de pouvoir invalides' });
+    }
+
+    const game = activeGames.get(gameId);
+    if (!game) {
+      return socket.emit('error', { message: 'Partie non trouvée ou inactive' });
+    }
+
+    const powerResult = game.usePower(socket.userId, { name: powerType, squares: targetSquares });
+
+    if (!powerResult.success) {
+      return socket.emit('power:rejected', {
+        powerType,
+        targetSquares,
+        code: powerResult.error,
+        message: powerResult.message
+      });
+    }
+
+    await updateGameInDatabase(gameId, game);
+
+    // Le pouvoir est envoyé à toute la partie, joueur compris, comme un coup
+    const buildPowerUse = (viewer) => ({
+      playerId: socket.userId,
+      power: powerResult.move.power,
+      move: GameView.projectMove(game, powerResult.move, viewer),
+      gameState: GameView.project(game, viewer),
+      timestamp: new Date()
+    });
+    emitGameViews(socket, gameId, game, 'power:used', buildPowerUse);
+    socket.emit('power:used', buildPowerUse(GameView.getViewer(game, socket.userId)));
+
+    console.log(`✨ ${socket.user.username} a utilisé le pouvoir ${powerType} dans la partie ${gameId}`);
+
+    await playComputerReply(socket, gameId, game);
+
+  } catch (error) {
+    console.error('Erreur lors de l\'utilisation du pouvoir:', error);
+    socket.emit('error', { message: 'Erreur lors de l\'utilisation du pouvoir' });
+  }
+};
+
+/**
+ * Choisir ses pouvoirs avant la partie
+ * @param {Socket} socket - Socket de l'utilisateur
+ * @param {Object} data - { gameId, powers } (tous les pouvoirs, ou un seul par tour en draft)
+ */
+const handlePowerChoose = async (socket, data) => {
+  try {
+    const { gameId, powers } = data;
+
+    if (!gameId || !powers) {
+      return socket.emit('error', { message: 'Choix de pouvoirs invalide' });
+    }
+
+    const game = activeGames.get(gameId);
+    if (!game) {
+      return socket.emit('error', { message: 'Partie non trouvée ou inactive' });
+    }
+
+    const result = game.choosePowers(socket.userId, powers);
+
+    if (!result.success) {
+      return socket.emit('power:choose-rejected', {
+        powers,
+        code: result.error,
+        message: result.message
+      });
+    }
+
+    await updateGameInDatabase(gameId, game);
+
+    // Chacun reçoit l'état du choix selon sa vue (les choix secrets restent cachés)
+    const buildDraft = (viewer) => ({
+      playerId: socket.userId,
+      gameState: GameView.project(game, viewer),
+      timestamp: new Date()
+    });
+    emitGameViews(socket, gameId, game, 'power:draft', buildDraft);
+    socket.emit('power:draft', buildDraft(GameView.getViewer(game, socket.userId)));
+
+    await playComputerReply(socket, gameId, game);
+
+  } catch (error) {
+    console.error('Erreur lors du choix des pouvoirs:', error);
+    socket.emit('error', { message: 'Erreur lors du choix des pouvoirs' });
+  }
+};
+
+/**
+ * Réponse de l'ordinateur, diffusée comme un coup adverse ; si sa recherche
+ * échoue, les joueurs sont prévenus (game:computer-error) de la relance prévue
+ * @param {Socket} socket - Socket du joueur qui vient de jouer
+ * @param {string} gameId - ID de la partie
+ * @param {Game} game - Instance de la partie
+ */
+const playComputerReply = async (socket, gameId, game) => {
+  const computerResult = await playComputerMove(gameId, game);
+  const failure = getComputerFailure(computerResult);
+
+  if (computerResult && computerResult.success) {
+    const buildPayload = buildComputerMove(game, computerResult.move);
+    socket.emit('game:move', buildPayload(GameView.getViewer(game, socket.userId)));
+    emitGameViews(socket, gameId, game, 'game:move', buildPayload);
+  } else if (failure) {
+    socket.emit('game:computer-error', failure);
+    emitGameViews(socket, gameId, game, 'game:computer-error', () => failure);
+  }
+};
+
+/**
+ * Coup de l'ordinateur, vu par chaque destinataire
+ * @param {Game} game - Instance de la partie
+ * @param {Object} move - Coup joué (game.moves)
+ * @returns {Function} Données à envoyer selon le point de vue
+ */
+const buildComputerMove = (game, move) => (viewer) => ({
+  playerId: COMPUTER_PLAYER_ID,
+  move: GameView.projectMove(game, move, viewer),
+  gameState: GameView.project(game, viewer),
+  timestamp: new Date()
+});
+
+/**
+ * Partie de la base vue par un joueur ou un spectateur, d'après l'instance en
+ * mémoire, recréée depuis la base si besoin (voir GameView.projectRecord)
+ * @param {Object} gameData - Document de la partie
+ * @param {string} viewer - 'white', 'black' ou 'spectator'
+ * @returns {Object|null} Partie à envoyer, null si ses coups ne peuvent pas être rejoués
+ */
+const getGameRecordView = (gameData, viewer) => {
+  const game = getGameInstance(gameData);
+  return game ? GameView.projectRecord(gameData.toObject(), game, viewer) : null;
+};
+
+/**
+ * Envoie un événement de partie à chaque socket avec sa propre vue (blancs,
+ * noirs ou spectateurs) au lieu d'un même message pour tout le salon : les
+ * pièces invisibles et les pouvoirs inutilisés ne transitent pas vers l'adversaire
+ * @param {Socket} socket - Socket à l'origine de l'événement (non destinataire)
+ * @param {string} gameId - ID de la partie
+ * @param {Game} game - Instance de la partie
+ * @param {string} event - Nom de l'événement
+ * @param {Function} buildPayload - Données à envoyer selon le point de vue
+ */
+const emitGameViews = (socket, gameId, game, event, buildPayload) => {
+  for (const socketId of gameRooms.get(gameId) || []) {
+    const target = socket.nsp.sockets.get(socketId);
+    if (target && target.id !== socket.id) {
+      target.emit(event, buildPayload(GameView.getViewer(game, target.userId)));
+    }
+  }
+
+  // Tous les spectateurs partagent la même vue
+  socket.to(`game:${gameId}:spectators`).emit(event, buildPayload('spectator'));
+};
+
+/**
+ * Envoie un événement de partie né hors de toute requête à chaque socket du
+ * salon et aux spectateurs, chacun avec sa vue (voir emitGameViews)
+ * @param {Namespace} nsp - Espace de noms Socket.IO
+ * @param {string} gameId - ID de la partie
+ * @param {Game} game - Instance de la partie
+ * @param {string} event - Nom de l'événement
+ * @param {Function} buildPayload - Données à envoyer selon le point de vue
+ */
+const broadcastGameViews = (nsp, gameId, game, event, buildPayload) => {
+  for (const socketId of gameRooms.get(gameId) || []) {
+    const target = nsp.sockets.get(socketId);
+    if (target) {
+      target.emit(event, buildPayload(GameView.getViewer(game, target.userId)));
+    }
+  }
+
+  nsp.to(`game:${gameId}:spectators`).emit(event, buildPayload('spectator'));
+};
+
 /**
  * Abandon de partie
  * @param {Socket} socket - Socket de l'utilisateur
@@ -364,12 +597,17 @@ const handleGameSpectate = async (socket, data) => {
       return socket.emit('error', { message: 'Partie non trouvée' });
     }
 
+    const gameView = getGameRecordView(game, 'spectator');
+    if (!gameView) {
+      return socket.emit('error', { message: 'Impossible de rejouer les coups de la partie' });
+    }
+
     const roomId = `game:${gameId}:spectators`;
     socket.join(roomId);
 
     // Envoyer l'état de la partie au spectateur
     socket.emit('game:spectate-state', {
-      game: game.toObject()
+      game: gameView
     });
 
     // Notifier les autres spectateurs
@@ -517,4 +755,5 @@ const socketUtils = {
 };
 
 module.exports = socketHandler;
-module.exports.socketUtils = socketUtils;
\ No newline at end of file
+module.exports.socketUtils = socketUtils;
+module.exports.getGameRecordView = getGameRecordView;
\ No newline at end of file
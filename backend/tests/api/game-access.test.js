@@ -0,0 +1,96 @@
+const mongoose = require('mongoose');
+const Game = require('../../engine/Game');
+const GameModel = require('../../models/Game');
+const { activeGames, getMoves, exportPGN } = require('../../api/game/game.controller');
+
+const LOADOUTS = { white: ['invisibility', 'double-step'], black: ['freeze', 'shield'] };
+const WHITE = new mongoose.Types.ObjectId();
+const BLACK = new mongoose.Types.ObjectId();
+
+// Partie à pouvoirs dont le cavalier blanc b1 est invisible, enregistrée
+// comme par updateGameInDatabase
+const createDocument = (status = 'active') => {
+  const game = new Game(WHITE.toString(), BLACK.toString(), { variant: 'powers', powerDraft: { seed: 7, loadouts: LOADOUTS } });
+  for (const notation of ['I:Nb1', 'e5', 'Nc3']) {
+    expect(game.makeMove(game.players[game.currentTurn].id, { notation }).success).toBe(true);
+  }
+
+  return new GameModel({
+    players: {
+      white: { user: WHITE, timeRemaining: 600, powers: game.powers.white },
+      black: { user: BLACK, timeRemaining: 600, powers: game.powers.black }
+    },
+    status,
+    result: status === 'active' ? null : '0-1',
+    resultReason: status === 'active' ? null : 'resignation',
+    variant: 'powers',
+    powerDraft: { mode: 'random', seed: 7 },
+    currentTurn: game.currentTurn,
+    moves: game.getGameState().moves,
+    roomId: 'room_access',
+    startedAt: new Date()
+  });
+};
+
+// Partie absente du cache, lue en base (avec ou sans populate)
+const mockFindById = (gameData) => {
+  const query = Promise.resolve(gameData);
+  query.populate = () => query;
+  jest.spyOn(GameModel, 'findById').mockReturnValue(query);
+};
+
+const request = async (handler, gameData, userId) => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  res.setHeader = jest.fn();
+  res.send = jest.fn(() => res);
+
+  await handler({ params: { gameId: gameData._id.toString() }, user: { _id: userId } }, res);
+  return res;
+};
+
+describe('Accès aux coups et au PGN d\'une partie absente du cache', () => {
+  afterEach(() => {
+    activeGames.clear();
+    jest.restoreAllMocks();
+  });
+
+  it('renvoie les coups vus par le joueur, et refuse les autres utilisateurs', async () => {
+    const gameData = createDocument();
+    mockFindById(gameData);
+
+    const black = await request(getMoves, gameData, BLACK);
+    const [{ moves }] = black.json.mock.calls[0];
+    expect(moves).toHaveLength(3);
+    expect(moves[2]).toMatchObject({ hidden: true, notation: null });
+
+    const white = await request(getMoves, gameData, WHITE);
+    expect(white.json.mock.calls[0][0].moves[2].notation).toBe('Nc3');
+
+    const stranger = await request(getMoves, gameData, new mongoose.Types.ObjectId());
+    expect(stranger.status).toHaveBeenCalledWith(403);
+    expect(stranger.json).toHaveBeenCalledWith(expect.objectContaining({ code: 'ACCESS_DENIED' }));
+  });
+
+  it('n\'exporte une partie à pouvoirs qu\'une fois terminée, et seulement à ses joueurs', async () => {
+    const active = createDocument();
+    mockFindById(active);
+
+    const inProgress = await request(exportPGN, active, WHITE);
+    expect(inProgress.status).toHaveBeenCalledWith(409);
+    expect(inProgress.send).not.toHaveBeenCalled();
+    expect(activeGames.size).toBe(0);
+
+    const finished = createDocument('finished');
+    mockFindById(finished);
+
+    const stranger = await request(exportPGN, finished, new mongoose.Types.ObjectId());
+    expect(stranger.status).toHaveBeenCalledWith(403);
+    expect(stranger.send).not.toHaveBeenCalled();
+
+    const player = await request(exportPGN, finished, BLACK);
+    expect(player.send.mock.calls[0][0]).toContain('1. I:Nb1');
+    expect(player.send.mock.calls[0][0]).toContain('[Variant "Powers"]');
+  });
+});
@@ -0,0 +1,113 @@
+const mongoose = require('mongoose');
+const Game = require('../../engine/Game');
+const GameModel = require('../../models/Game');
+const ComputerPlayer = require('../../engine/ai/ComputerPlayer');
+const EnginePool = require('../../engine/ai/EnginePool');
+const {
+  activeGames,
+  computerEvents,
+  getGameInstance,
+  makeMove
+} = require('../../api/game/game.controller');
+const { COMPUTER_PLAYER_ID } = require('../../../shared/constants/chess-notation');
+
+const USER = new mongoose.Types.ObjectId();
+const TIMEOUT = { success: false, error: 'ENGINE_TIMEOUT', message: 'Le moteur n\'a pas répondu à temps' };
+
+// Recherche simulée : l'ordinateur joue le coup donné
+const playNotation = (notation) => async (game) => game.makeMove(COMPUTER_PLAYER_ID, { notation });
+
+const nextEvent = (name) => new Promise(resolve => computerEvents.once(name, (...args) => resolve(args)));
+
+const createResponse = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+describe('Coups de l\'ordinateur', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.spyOn(GameModel, 'findByIdAndUpdate').mockResolvedValue(null);
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    activeGames.clear();
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  it('signale un échec du moteur et relance la réponse avec le moteur intégré', async () => {
+    const game = new Game(USER.toString(), COMPUTER_PLAYER_ID, { computer: { color: 'black', difficulty: 'easy' } });
+    const gameId = new mongoose.Types.ObjectId().toString();
+    activeGames.set(gameId, game);
+    const playMove = jest.spyOn(ComputerPlayer, 'playMove')
+      .mockResolvedValueOnce(TIMEOUT)
+      .mockResolvedValueOnce({ ...TIMEOUT, error: 'ENGINE_CRASHED' })
+      .mockImplementationOnce(playNotation('e5'));
+
+    const res = createResponse();
+    await makeMove({ params: { gameId }, body: { notation: 'e4' }, user: { _id: USER } }, res);
+    expect(res.json.mock.calls[0][0]).toMatchObject({
+      computerMove: null,
+      computerError: { code: 'ENGINE_TIMEOUT', retryIn: 1000 }
+    });
+    expect(game.currentTurn).toBe('black');
+
+    const failure = nextEvent('failure');
+    jest.advanceTimersByTime(1000);
+    expect((await failure)[2]).toMatchObject({ error: 'ENGINE_CRASHED', retryIn: 5000 });
+
+    const move = nextEvent('move');
+    jest.advanceTimersByTime(5000);
+    const [movedGameId, , result] = await move;
+    expect(movedGameId).toBe(gameId);
+    expect(result.move.notation).toBe('e5');
+    expect(playMove).toHaveBeenCalledTimes(3);
+    expect(playMove.mock.calls[1][1]).toBe(EnginePool.getDefault());
+    expect(GameModel.findByIdAndUpdate).toHaveBeenCalledTimes(2);
+  });
+
+  it('ne relance pas une recherche annulée par la fin de la partie', async () => {
+    const game = new Game(USER.toString(), COMPUTER_PLAYER_ID, { computer: { color: 'black', difficulty: 'easy' } });
+    const gameId = new mongoose.Types.ObjectId().toString();
+    activeGames.set(gameId, game);
+    const playMove = jest.spyOn(ComputerPlayer, 'playMove')
+      .mockResolvedValue({ success: false, error: 'SEARCH_CANCELLED', message: 'Recherche annulée' });
+
+    const res = createResponse();
+    await makeMove({ params: { gameId }, body: { notation: 'e4' }, user: { _id: USER } }, res);
+    expect(res.json.mock.calls[0][0].computerError).toBeNull();
+
+    jest.advanceTimersByTime(60000);
+    expect(playMove).toHaveBeenCalledTimes(1);
+  });
+
+  it('fait jouer l\'ordinateur d\'une partie reprise alors qu\'il a le trait', async () => {
+    const gameData = new GameModel({
+      players: {
+        white: { user: null, timeRemaining: 600 },
+        black: { user: USER, timeRemaining: 600 }
+      },
+      status: 'active',
+      computer: { color: 'white', difficulty: 'medium' },
+      currentTurn: 'white',
+      moves: [],
+      roomId: 'room_computer',
+      startedAt: new Date()
+    });
+    jest.spyOn(ComputerPlayer, 'playMove').mockImplementationOnce(playNotation('d4'));
+
+    const game = getGameInstance(gameData);
+    expect(game.moves).toHaveLength(0);
+
+    const move = nextEvent('move');
+    jest.advanceTimersByTime(0);
+    const [gameId, , result] = await move;
+    expect(gameId).toBe(gameData._id.toString());
+    expect(result.move.notation).toBe('d4');
+    expect(game.currentTurn).toBe('black');
+  });
+});
@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+const GameModel = require('../../models/Game');
+const { createGame, activeGames } = require('../../api/game/game.controller');
+
+// Réponse Express minimale : statut et corps de la réponse
+const createResponse = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+const create = async (body) => {
+  const saved = [];
+  jest.spyOn(GameModel, 'countDocuments').mockResolvedValue(0);
+  jest.spyOn(GameModel.prototype, 'save').mockImplementation(function() {
+    saved.push(this);
+    return Promise.resolve(this);
+  });
+
+  const res = createResponse();
+  await createGame({ body: { variant: 'powers', ...body }, user: { _id: new mongoose.Types.ObjectId() } }, res);
+  expect(res.status).toHaveBeenCalledWith(201);
+  return saved[0];
+};
+
+describe('Création d\'une partie à pouvoirs', () => {
+  afterEach(() => {
+    activeGames.clear();
+    jest.restoreAllMocks();
+  });
+
+  it('tire la graine côté serveur pour une partie classée', async () => {
+    const gameData = await create({ isRanked: true, powerSeed: 1234 });
+    expect(gameData.isRanked).toBe(true);
+    expect(gameData.powerDraft.seed).not.toBe(1234);
+  });
+
+  it('garde la graine demandée hors des parties classées', async () => {
+    expect((await create({ isRanked: false, powerSeed: 1234 })).powerDraft.seed).toBe(1234);
+
+    const computerGame = await create({ opponent: 'computer', powerSeed: 99 });
+    expect(computerGame.isRanked).toBe(false);
+    expect(computerGame.powerDraft.seed).toBe(99);
+  });
+});
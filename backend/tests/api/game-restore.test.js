@@ -0,0 +1,91 @@
+const mongoose = require('mongoose');
+const Game = require('../../engine/Game');
+const GameModel = require('../../models/Game');
+const { activeGames, getGameInstance } = require('../../api/game/game.controller');
+const { getGameRecordView } = require('../../socket/socket.handler');
+
+const LOADOUTS = { white: ['invisibility', 'double-step'], black: ['freeze', 'shield'] };
+
+const playGame = (notations) => {
+  const game = new Game('white', 'black', { variant: 'powers', powerDraft: { seed: 7, loadouts: LOADOUTS } });
+  for (const notation of notations) {
+    expect(game.makeMove(game.currentTurn, { notation }).success).toBe(true);
+  }
+  return game;
+};
+
+// Document tel qu'enregistré par updateGameInDatabase
+const toDocument = (game) => new GameModel({
+  players: {
+    white: { user: new mongoose.Types.ObjectId(), timeRemaining: 800, powers: game.powers.white },
+    black: { user: new mongoose.Types.ObjectId(), timeRemaining: 700, powers: game.powers.black }
+  },
+  status: game.status,
+  variant: game.variant,
+  powerDraft: { mode: 'random', seed: game.powerDraft.seed },
+  currentTurn: game.currentTurn,
+  moves: game.getGameState().moves,
+  roomId: 'room_restore',
+  startedAt: new Date()
+});
+
+describe('Reprise d\'une partie depuis la base', () => {
+  afterEach(() => {
+    activeGames.clear();
+    jest.restoreAllMocks();
+  });
+
+  it('rejoue les coups, les effets et les charges des pouvoirs', () => {
+    const game = playGame(['e3', 'a6', 'D:e3-e5', 'h6', 'I:Nb1', 'F:Ng1', 'Nc3']);
+    const gameData = toDocument(game);
+
+    const restored = getGameInstance(gameData);
+    expect(activeGames.get(gameData._id.toString())).toBe(restored);
+    expect(restored.board.toFEN()).toBe(game.board.toFEN());
+    expect(restored.currentTurn).toBe('black');
+    expect(restored.getActivePowerEffects()).toEqual(game.getActivePowerEffects());
+    expect(restored.getPositionHistory()).toEqual(game.getPositionHistory());
+    expect(restored.powers).toEqual(game.powers);
+    expect(restored.players.white.timeRemaining).toBe(800);
+    expect(restored.moves[6].timestamp).toEqual(gameData.moves[6].timestamp);
+
+    expect(restored.powers.white[1]).toMatchObject({ charges: 1, cooldownUntilPly: 7, used: true });
+    expect(restored.powers.white[1].usedAt).toEqual(gameData.moves[2].timestamp);
+
+    // Le cavalier g1 reste gelé après la reprise
+    expect(restored.makeMove(restored.players.black.id, { notation: 'g6' }).success).toBe(true);
+    expect(restored.makeMove(restored.players.white.id, { fromRank: 0, fromFile: 6, toRank: 2, toFile: 5 }).error)
+      .toBe('PIECE_FROZEN');
+  });
+
+  it('refuse une partie dont un coup ne peut pas être rejoué', () => {
+    const gameData = toDocument(playGame(['e4', 'e5']));
+    gameData.moves[1].notation = 'e4';
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    expect(getGameInstance(gameData)).toBeNull();
+    expect(activeGames.size).toBe(0);
+  });
+
+  it('envoie une partie absente du cache selon la vue de chacun', () => {
+    const game = playGame(['I:Nb1', 'e5', 'Nc3']);
+    const gameData = toDocument(game);
+
+    const black = getGameRecordView(gameData, 'black');
+    expect(activeGames.has(gameData._id.toString())).toBe(true);
+    expect(black.moves[2]).toMatchObject({ hidden: true, notation: null });
+    expect(black.board.split(' ')[0]).toBe('rnbqkbnr/pppp1ppp/8/4p3/8/8/PPPPPPPP/R1BQKBNR');
+    expect(black.players.white.powers).toEqual([
+      expect.objectContaining({ name: 'invisibility', used: true }),
+      { name: null, used: false, usedAt: null }
+    ]);
+    expect(black.powerDraft.seed).toBeUndefined();
+    expect(black.powerDraft.loadouts.white).toEqual([null, null]);
+    expect(black.positionHistory).toBeUndefined();
+    expect(black.pgn).toBeUndefined();
+
+    const white = getGameRecordView(gameData, 'white');
+    expect(white.moves[2].notation).toBe('Nc3');
+    expect(white.powerDraft.seed).toBeUndefined();
+  });
+});
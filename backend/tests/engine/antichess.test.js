@@ -0,0 +1,57 @@
+const Board = require('../../engine/board/Board');
+const Perft = require('../../engine/moves/Perft');
+const { createGame, play } = require('../helpers/game');
+
+describe('Antichess', () => {
+  it('impose la prise quand elle est possible', () => {
+    const game = createGame('antichess');
+    play(game, ['e3', 'b5']);
+
+    const refused = game.makeMove('white', { fromRank: 0, fromFile: 6, toRank: 2, toFile: 5 });
+    expect(refused.success).toBe(false);
+    expect(refused.error).toBe('CAPTURE_REQUIRED');
+    expect(game.validator.getAllLegalMoves('white').map(move => move.notation)).toEqual(['Bxb5']);
+  });
+
+  it('traite le roi comme une pièce ordinaire', () => {
+    const game = createGame('antichess', '4k3/8/8/8/8/8/8/3rK3 w - - 0 1');
+
+    // Le roi attaqué n'est pas en échec, mais doit prendre la tour
+    expect(game.board.isKingInCheck('white')).toBe(false);
+    expect(game.makeMove('white', { fromRank: 0, fromFile: 4, toRank: 1, toFile: 5 }).error).toBe('CAPTURE_REQUIRED');
+    expect(game.makeMove('white', { notation: 'Kxd1' }).success).toBe(true);
+
+    const promotion = createGame('antichess', '8/4P3/8/8/8/8/8/k7 w - - 0 1');
+    const result = promotion.makeMove('white', { notation: 'e8=K' });
+    expect(result.move.notation).toBe('e8=K');
+    expect(promotion.board.getPiece(7, 4)).toMatchObject({ type: 'K', color: 'white' });
+  });
+
+  it('donne la victoire au camp qui perd toutes ses pièces', () => {
+    const game = createGame('antichess', '8/8/8/8/8/8/1p6/R7 b - - 0 1');
+
+    game.makeMove('black', { notation: 'bxa1=Q' });
+    expect(game.status).toBe('finished');
+    expect(game.result).toBe('1-0');
+    expect(game.resultReason).toBe('all_pieces_captured');
+  });
+
+  it('donne la victoire au camp pat', () => {
+    const game = createGame('antichess', '8/8/8/p7/8/P7/8/8 w - - 0 1');
+
+    game.makeMove('white', { notation: 'a4' });
+    expect(game.result).toBe('0-1');
+    expect(game.resultReason).toBe('stalemate');
+  });
+
+  it('accepte plusieurs rois mais refuse les droits de roque', () => {
+    expect(Board.validateFEN('8/8/8/8/8/8/8/KK6 w - - 0 1', { variant: 'antichess' }).isValid).toBe(true);
+    expect(Board.validateFEN('rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1', { variant: 'antichess' }).isValid)
+      .toBe(false);
+  });
+
+  it('compte les positions de départ (perft)', () => {
+    const board = Board.fromFEN('rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w - - 0 1', { variant: 'antichess' });
+    expect(new Perft(board).run(3)).toBe(8067);
+  });
+});
@@ -0,0 +1,81 @@
+const Board = require('../../engine/board/Board');
+const Perft = require('../../engine/moves/Perft');
+const { STARTING_FEN } = require('../../../shared/constants/chess-notation');
+const { createGame } = require('../helpers/game');
+
+describe('Échecs atomiques', () => {
+  it('fait exploser les pièces autour de la capture, sauf les pions', () => {
+    const game = createGame('atomic', 'rnbqkbnr/ppp1pppp/8/3p4/4P3/2N5/PPPP1PPP/R1BQKBNR w KQkq - 0 2');
+
+    const result = game.makeMove('white', { notation: 'exd5' });
+    expect(result.success).toBe(true);
+    expect(result.move.capturedPiece).toBe('P');
+    expect(result.move.explosion).toEqual({
+      square: 'd5',
+      pieces: [{ type: 'P', color: 'white', square: 'd5' }]
+    });
+
+    // La dame prend le cavalier : les deux pièces sautent, le pion e5 voisin reste
+    game.makeMove('black', { notation: 'e5' });
+    game.makeMove('white', { notation: 'Nd5' });
+    const capture = game.makeMove('black', { notation: 'Qxd5' });
+    expect(capture.move.explosion.pieces).toEqual([{ type: 'Q', color: 'black', square: 'd5' }]);
+    expect(game.board.toFEN()).toBe('rnb1kbnr/ppp2ppp/8/4p3/8/8/PPPP1PPP/R1BQKBNR w KQkq - 0 4');
+  });
+
+  it('restaure la position et le hachage à l\'annulation', () => {
+    const board = Board.fromFEN('rnbqkbnr/ppp2ppp/3p4/4p3/3PP3/2N5/PPP2PPP/R1BQKBNR w KQkq - 0 4', { variant: 'atomic' });
+    const fen = board.toFEN();
+    const hash = board.hash;
+
+    board.makeMove({ fromRank: 3, fromFile: 3, toRank: 4, toFile: 4 });
+    expect(board.getPiece(4, 4)).toBeNull();
+    board.unmakeMove();
+
+    expect(board.toFEN()).toBe(fen);
+    expect(board.hash).toBe(hash);
+  });
+
+  it('interdit au roi de capturer et de faire exploser son propre roi', () => {
+    const kingCapture = createGame('atomic', '4k3/8/8/8/8/8/3p4/4K3 w - - 0 1');
+    expect(kingCapture.makeMove('white', { notation: 'Kxd2' }).success).toBe(false);
+
+    const selfExplosion = createGame('atomic', 'k7/8/8/8/8/8/3pQ3/4K3 w - - 0 1');
+    const result = selfExplosion.makeMove('white', { fromRank: 1, fromFile: 4, toRank: 1, toFile: 3 });
+    expect(result.success).toBe(false);
+    expect(result.error).toBe('KING_EXPLODED');
+  });
+
+  it('ne met pas en échec un roi collé au roi adverse', () => {
+    const board = Board.fromFEN('8/8/8/3kK3/8/8/8/7r w - - 0 1', { variant: 'atomic' });
+    expect(board.isKingInCheck('white')).toBe(false);
+  });
+
+  it('gagne la partie en faisant exploser le roi adverse', () => {
+    const game = createGame('atomic', 'rnbqk1nr/ppp2ppp/3b4/3pN3/8/8/PPPPPPPP/RNBQKB1R w KQkq - 2 4');
+
+    const result = game.makeMove('white', { notation: 'Nxf7' });
+    expect(result.move.isCheckmate).toBe(false);
+    expect(result.move.explosion.pieces).toContainEqual({ type: 'K', color: 'black', square: 'e8' });
+    expect(game.status).toBe('finished');
+    expect(game.result).toBe('1-0');
+    expect(game.resultReason).toBe('explosion');
+
+    // La position finale, sans roi noir, se recharge
+    const fen = game.board.toFEN();
+    const board = Board.fromFEN(fen, { variant: 'atomic' });
+    expect(board.toFEN()).toBe(fen);
+    expect(board.rules.getOutcome(board)).toEqual({ winner: 'white', reason: 'explosion' });
+
+    // Seul le camp au trait peut avoir perdu son roi, et un roi au plus
+    expect(Board.validateFEN(fen, { variant: 'atomic' }).isValid).toBe(true);
+    expect(Board.validateFEN(fen.replace(' b ', ' w '), { variant: 'atomic' }).message).toBe('FEN invalide: Roi noir manquant');
+    expect(Board.validateFEN('8/8/8/8/8/8/8/8 w - - 0 1', { variant: 'atomic' }).isValid).toBe(false);
+    expect(Board.validateFEN(fen, { variant: 'standard' }).isValid).toBe(false);
+  });
+
+  it('compte les positions de départ (perft)', () => {
+    const board = Board.fromFEN(STARTING_FEN, { variant: 'atomic' });
+    expect(new Perft(board).run(3)).toBe(8902);
+  });
+});
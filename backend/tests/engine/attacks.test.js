@@ -0,0 +1,101 @@
+const Attacks = require('../../engine/board/Attacks');
+const Board = require('../../engine/board/Board');
+const MoveGenerator = require('../../engine/moves/MoveGenerator');
+
+const POSITIONS = [
+  'r3k2r/p1ppqpb1/bn2pnp1/3PN3/1p2P3/2N2Q1p/PPPBBPPP/R3K2R w KQkq - 0 1',
+  '8/2p5/3p4/KP5r/1R3p1k/8/4P1P1/8 w - - 0 1',
+  'r3k2r/Pppp1ppp/1b3nbN/nP6/BBP1P3/q4N2/Pp1P2PP/R2Q1RK1 w kq - 0 1',
+  'rnbq1k1r/pp1Pbppp/2p5/8/2B5/8/PPP1NnPP/RNBQK2R w KQ - 1 8'
+];
+
+const square = (name) => Attacks.square(name.charCodeAt(1) - 49, name.charCodeAt(0) - 97);
+
+// Référence volontairement naïve : on parcourt chaque pièce et sa géométrie
+const isAttackedNaive = (board, rank, file, color) => {
+  for (let r = 0; r < 8; r++) {
+    for (let f = 0; f < 8; f++) {
+      const piece = board.getPiece(r, f);
+      if (!piece || piece.color !== color || (r === rank && f === file)) continue;
+      const dr = rank - r;
+      const df = file - f;
+
+      if (piece.type === 'P') {
+        if (dr === (color === 'white' ? 1 : -1) && Math.abs(df) === 1) return true;
+      } else if (piece.type === 'N') {
+        if (Math.abs(dr * df) === 2) return true;
+      } else if (piece.type === 'K') {
+        if (Math.max(Math.abs(dr), Math.abs(df)) === 1) return true;
+      } else {
+        const straight = dr === 0 || df === 0;
+        const diagonal = Math.abs(dr) === Math.abs(df);
+        if ((straight && piece.type === 'B') || (diagonal && piece.type === 'R') || (!straight && !diagonal)) continue;
+
+        const stepRank = Math.sign(dr);
+        const stepFile = Math.sign(df);
+        let blocked = false;
+        for (let i = 1; i < Math.max(Math.abs(dr), Math.abs(df)); i++) {
+          if (board.getPiece(r + i * stepRank, f + i * stepFile)) {
+            blocked = true;
+            break;
+          }
+        }
+        if (!blocked) return true;
+      }
+    }
+  }
+  return false;
+};
+
+describe('Tables d\'attaque', () => {
+  it('précalcule les cases atteintes depuis chaque case', () => {
+    expect(Attacks.knight(square('a1')).sort()).toEqual([square('c2'), square('b3')].sort());
+    expect(Attacks.knight(square('d4'))).toHaveLength(8);
+    expect(Attacks.king(square('h8'))).toHaveLength(3);
+    expect(Attacks.pawn('white', square('a2'))).toEqual([square('b3')]);
+    expect(Attacks.pawn('black', square('e7')).sort()).toEqual([square('d6'), square('f6')].sort());
+    // Rayon vers le haut depuis a1, puis diagonale montante depuis a1
+    expect(Attacks.ray(0, square('a1'))).toEqual([8, 16, 24, 32, 40, 48, 56]);
+    expect(Attacks.ray(4, square('a1'))).toEqual([9, 18, 27, 36, 45, 54, 63]);
+  });
+
+  it('détecte les cases attaquées comme un parcours de toutes les pièces', () => {
+    for (const fen of POSITIONS) {
+      const board = Board.fromFEN(fen);
+      // Positions de départ et positions atteintes après chaque coup légal
+      const boards = [board, ...MoveGenerator.generateLegalMoves(board, board.activeColor).map(move => {
+        const next = board.clone();
+        next.makeMove(move);
+        return next;
+      })];
+
+      for (const position of boards) {
+        for (let rank = 0; rank < 8; rank++) {
+          for (let file = 0; file < 8; file++) {
+            for (const color of ['white', 'black']) {
+              const expected = isAttackedNaive(position, rank, file, color);
+              if (position.isSquareAttacked(rank, file, color) !== expected) {
+                throw new Error(`${position.toFEN()} : case ${rank},${file} attaquée par ${color} ? ${expected} attendu`);
+              }
+            }
+          }
+        }
+      }
+    }
+  });
+
+  it('garde l\'API des pièces comme façade du générateur', () => {
+    const board = Board.fromFEN(POSITIONS[0]);
+    const queen = board.getPiece(2, 5);
+    const destinations = queen.getPossibleMoves(board).map(move => Attacks.square(move.toRank, move.toFile));
+
+    for (let target = 0; target < 64; target++) {
+      expect(queen.canMoveTo(target >> 3, target & 7, board)).toBe(destinations.includes(target));
+    }
+    expect(queen.getPossibleMoves(board).find(move => move.toRank === 5 && move.toFile === 5))
+      .toMatchObject({ piece: queen, capturedPiece: expect.objectContaining({ type: 'N', color: 'black' }) });
+
+    const castling = board.getPiece(0, 4).getPossibleMoves(board).filter(move => move.isCastling);
+    expect(castling.map(move => move.isKingside).sort()).toEqual([false, true]);
+  });
+});
@@ -0,0 +1,129 @@
+const Board = require('../../engine/board/Board');
+const Game = require('../../engine/Game');
+const MoveParser = require('../../engine/moves/MoveParser');
+const Perft = require('../../engine/moves/Perft');
+const PGNParser = require('../../engine/pgn/PGNParser');
+const Chess960 = require('../../engine/variants/Chess960');
+
+// Positions de référence et nombres de nœuds publiés (chessprogramming.org, "Chess960 Perft Results")
+const PERFT_POSITIONS = [
+  {
+    fen: 'bqnb1rkr/pp3ppp/3ppn2/2p5/5P2/P2P4/NPP1P1PP/BQ1BNRKR w HFhf - 2 9',
+    nodes: [21, 528, 12189]
+  },
+  {
+    fen: 'qbbnnrkr/2pp2pp/p7/1p2pp2/8/P3PP2/1PPP1KPP/QBBNNR1R w hf - 0 9',
+    nodes: [22, 593, 13440]
+  },
+  {
+    fen: 'qnbnr1kr/ppp1b1pp/4p3/3p1p2/8/2NPP3/PPP1BPPP/QNB1R1KR w HEhe - 1 9',
+    nodes: [29, 899, 26578]
+  }
+];
+
+const castlingMoves = (game) => game.validator.getAllLegalMoves(game.currentTurn)
+  .filter(move => move.isCastling)
+  .map(move => `${move.notation} ${MoveParser.toUCI(move)}`);
+
+describe('Échecs 960', () => {
+  describe('positions de départ', () => {
+    it('numérote les 960 positions selon le schéma de Scharnagl', () => {
+      expect(Chess960.getBackRank(518).join('')).toBe('RNBQKBNR');
+      expect(Chess960.getBackRank(0).join('')).toBe('BBQNNRKR');
+      expect(Chess960.getBackRank(959).join('')).toBe('RKRNNQBB');
+    });
+
+    it('place les fous sur des cases de couleurs opposées et le roi entre les tours', () => {
+      const backRanks = new Set();
+
+      for (let number = 0; number < 960; number++) {
+        const backRank = Chess960.getBackRank(number);
+        const bishops = backRank.flatMap((piece, file) => piece === 'B' ? [file] : []);
+        const rooks = backRank.flatMap((piece, file) => piece === 'R' ? [file] : []);
+        const king = backRank.indexOf('K');
+
+        expect(bishops[0] % 2).not.toBe(bishops[1] % 2);
+        expect(rooks[0] < king && king < rooks[1]).toBe(true);
+        backRanks.add(backRank.join(''));
+      }
+
+      expect(backRanks.size).toBe(960);
+    });
+
+    it('refuse un numéro hors limites', () => {
+      expect(() => Chess960.getStartFEN(960)).toThrow('Position 960 invalide');
+    });
+  });
+
+  describe('roque', () => {
+    it('place le roi et la tour sur g/f et c/d depuis n\'importe quelle colonne', () => {
+      const game = new Game('white', 'black', {
+        variant: 'chess960',
+        fen: '1r4kr/pppppppp/8/8/8/8/PPPPPPPP/1R4KR w KQkq - 0 1'
+      });
+
+      expect(castlingMoves(game)).toEqual(['O-O g1h1', 'O-O-O g1b1']);
+
+      expect(game.makeMove('white', { notation: 'O-O' }).success).toBe(true);
+      expect(game.board.toFEN()).toBe('1r4kr/pppppppp/8/8/8/8/PPPPPPPP/1R3RK1 b kq - 1 1');
+
+      // Roi joué sur sa tour
+      const result = game.makeMove('black', { fromRank: 7, fromFile: 6, toRank: 7, toFile: 1 });
+      expect(result.move.notation).toBe('O-O-O');
+      expect(game.board.toFEN()).toBe('2kr3r/pppppppp/8/8/8/8/PPPPPPPP/1R3RK1 w - - 2 2');
+    });
+
+    it('annule le roque en restaurant la position et le hachage', () => {
+      const fen = '1r4kr/pppppppp/8/8/8/8/PPPPPPPP/1R4KR w KQkq - 0 1';
+      const game = new Game('white', 'black', { variant: 'chess960', fen });
+      const hash = game.board.hash;
+
+      game.makeMove('white', { notation: 'O-O-O' });
+      game.undoLastMove();
+
+      expect(game.board.toFEN()).toBe(fen);
+      expect(game.board.hash).toBe(hash);
+    });
+
+    it('distingue un coup du roi d\'un roque', () => {
+      const game = new Game('white', 'black', {
+        variant: 'chess960',
+        fen: '1r4kr/pppppppp/8/8/8/8/PPPPPPPP/1R4KR w KQkq - 0 1'
+      });
+
+      const result = game.makeMove('white', { notation: 'Kf1' });
+      expect(result.move.isCastling).toBe(false);
+      expect(game.board.getCastlingFEN()).toBe('kq');
+    });
+
+    describe.each(PERFT_POSITIONS)('perft $fen', ({ fen, nodes }) => {
+      it.each(nodes.map((count, index) => [index + 1, count]))('profondeur %i : %i nœuds', (depth, count) => {
+        expect(Perft.fromFEN(fen).run(depth)).toBe(count);
+      });
+    });
+  });
+
+  describe('notation', () => {
+    it('écrit les droits de roque en X-FEN et en Shredder-FEN', () => {
+      const board = Board.fromFEN('rr4k1/8/8/8/8/8/8/RR4K1 w Bb - 0 1');
+
+      expect(board.chess960).toBe(true);
+      expect(board.toFEN()).toBe('rr4k1/8/8/8/8/8/8/RR4K1 w Bb - 0 1');
+      expect(Board.fromFEN(Chess960.getStartFEN(0)).toFEN({ shredder: true }))
+        .toBe('bbqnnrkr/pppppppp/8/8/8/8/PPPPPPPP/BBQNNRKR w HFhf - 0 1');
+    });
+
+    it('exporte les tags Variant et FEN et relit la partie', () => {
+      const game = new Game('white', 'black', { variant: 'chess960', startPosition: 518 });
+      game.makeMove('white', { notation: 'e4' });
+
+      const pgn = game.toPGN();
+      expect(pgn).toContain('[Variant "Chess960"]');
+      expect(pgn).toContain('[FEN "rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1"]');
+
+      const replay = PGNParser.replay(PGNParser.parse(pgn)[0]);
+      expect(replay.isValid).toBe(true);
+      expect(replay.board.chess960).toBe(true);
+    });
+  });
+});
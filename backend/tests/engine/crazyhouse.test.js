@@ -0,0 +1,80 @@
+const Board = require('../../engine/board/Board');
+const Perft = require('../../engine/moves/Perft');
+const { STARTING_FEN } = require('../../../shared/constants/chess-notation');
+const { createGame, play } = require('../helpers/game');
+
+describe('Crazyhouse', () => {
+  it('place les pièces capturées dans la réserve et les parachute', () => {
+    const game = createGame('crazyhouse');
+    play(game, ['e4', 'd5', 'exd5', 'Nf6']);
+    expect(game.board.pockets.white.P).toBe(1);
+
+    const result = game.makeMove('white', { notation: 'P@e6' });
+    expect(result.success).toBe(true);
+    expect(result.move.notation).toBe('P@e6');
+    expect(result.move.drop).toBe('P');
+    expect(game.board.pockets.white.P).toBe(0);
+    expect(game.board.getPiece(5, 4)).toMatchObject({ type: 'P', color: 'white' });
+  });
+
+  it('autorise un parachutage qui pare l\'échec', () => {
+    const game = createGame('crazyhouse', '4k3/8/8/8/8/8/8/r3K3[N] w - - 0 1');
+
+    expect(game.makeMove('white', { drop: 'N', toRank: 5, toFile: 5 }).error).toBe('KING_IN_CHECK');
+    const result = game.makeMove('white', { drop: 'N', toRank: 0, toFile: 3 });
+    expect(result.success).toBe(true);
+    expect(result.move.notation).toBe('N@d1');
+  });
+
+  it('refuse les parachutages de pions sur la première et la dernière rangée', () => {
+    const game = createGame('crazyhouse', '4k3/8/8/8/8/8/8/4K3[Pp] w - - 0 1');
+
+    expect(game.makeMove('white', { notation: 'P@a8' }).success).toBe(false);
+    expect(game.makeMove('white', { drop: 'P', toRank: 0, toFile: 0 }).error).toBe('INVALID_PAWN_DROP');
+    expect(game.makeMove('white', { drop: 'Q', toRank: 3, toFile: 3 }).error).toBe('NOT_IN_POCKET');
+  });
+
+  it('rend un pion pour une pièce promue capturée', () => {
+    const board = Board.fromFEN('3qk3/8/8/8/8/8/8/3QK3[] b - - 0 1', { variant: 'crazyhouse' });
+    board.getPiece(0, 3).promoted = true;
+
+    board.makeMove({ fromRank: 7, fromFile: 3, toRank: 0, toFile: 3 });
+    expect(board.pockets.black).toMatchObject({ P: 1, Q: 0 });
+  });
+
+  it('lit et écrit les réserves et les pièces promues en FEN', () => {
+    const fen = 'r1bqkbnr/pppp1ppp/2n5/4p3/4P3/5N2/PPPP1PPP/RNBQ~KB1R[NPp] w KQkq - 2 3';
+    expect(Board.fromFEN(fen, { variant: 'crazyhouse' }).toFEN()).toBe(fen);
+
+    const slashed = Board.fromFEN('4k3/8/8/8/8/8/8/4K3/Qn w - - 0 1', { variant: 'crazyhouse' });
+    expect(slashed.pockets.white.Q).toBe(1);
+    expect(slashed.pockets.black.N).toBe(1);
+  });
+
+  it('restaure la réserve et le hachage à l\'annulation', () => {
+    const board = Board.fromFEN('4k3/8/8/3p4/4P3/8/8/4K3[Nb] w - - 0 1', { variant: 'crazyhouse' });
+    const fen = board.toFEN();
+    const hash = board.hash;
+
+    board.makeMove({ fromRank: 3, fromFile: 4, toRank: 4, toFile: 3 });
+    board.makeMove({ drop: 'B', toRank: 2, toFile: 2 });
+    expect(board.hash).toBe(Board.fromFEN(board.toFEN(), { variant: 'crazyhouse' }).hash);
+    board.unmakeMove();
+    board.unmakeMove();
+
+    expect(board.toFEN()).toBe(fen);
+    expect(board.hash).toBe(hash);
+  });
+
+  it('refuse les parachutages hors crazyhouse', () => {
+    const game = createGame();
+    const result = game.makeMove('white', { drop: 'N', toRank: 3, toFile: 3 });
+    expect(result.success).toBe(false);
+    expect(result.error).toBe('DROP_NOT_ALLOWED');
+  });
+
+  it('compte les positions de départ (perft)', () => {
+    const board = Board.fromFEN(STARTING_FEN, { variant: 'crazyhouse' });
+    expect(new Perft(board).run(3)).toBe(8902);
+  });
+});
@@ -0,0 +1,45 @@
+const { createGame, play } = require('../helpers/game');
+
+const KNIGHT_DANCE = ['Nf3', 'Nf6', 'Ng1', 'Ng8'];
+
+describe('Nulles', () => {
+  it('applique la règle des 50 coups au centième demi-coup sans prise ni pion', () => {
+    const game = createGame('standard', '7k/8/8/8/8/8/8/R6K w - - 98 80');
+    play(game, ['Ra2']);
+    expect(game.status).toBe('active');
+
+    play(game, ['Kg8']);
+    expect(game.status).toBe('finished');
+    expect(game.resultReason).toBe('fifty_move_rule');
+  });
+
+  it('laisse réclamer la triple répétition et annule d\'office la quintuple', () => {
+    const game = createGame();
+    play(game, [...KNIGHT_DANCE, ...KNIGHT_DANCE]);
+    expect(game.isDrawByRepetition()).toBe(true);
+    expect(game.status).toBe('active');
+
+    play(game, [...KNIGHT_DANCE, ...KNIGHT_DANCE]);
+    expect(game.status).toBe('finished');
+    expect(game.resultReason).toBe('fivefold_repetition');
+
+    const claimed = createGame();
+    play(claimed, [...KNIGHT_DANCE, ...KNIGHT_DANCE]);
+    expect(claimed.offerDraw('black')).toMatchObject({ success: true, reason: 'threefold_repetition' });
+  });
+
+  it('annule fou contre fou de même couleur de cases, pas de couleurs opposées', () => {
+    const sameColor = createGame('standard', '4kb2/8/8/8/8/8/3n4/2B1K3 w - - 0 1');
+    play(sameColor, ['Bxd2']);
+    expect(sameColor.status).toBe('finished');
+    expect(sameColor.resultReason).toBe('insufficient_material');
+
+    const oppositeColors = createGame('standard', '2b1k3/8/8/8/8/8/3n4/2B1K3 w - - 0 1');
+    play(oppositeColors, ['Bxd2']);
+    expect(oppositeColors.status).toBe('active');
+    expect(oppositeColors.isDrawByInsufficientMaterial()).toBe(false);
+
+    expect(createGame('standard', '4k3/8/8/8/8/8/8/2B1K3 w - - 0 1').isDrawByInsufficientMaterial()).toBe(true);
+    expect(createGame('standard', '4k3/8/8/8/8/8/8/1NB1K3 w - - 0 1').isDrawByInsufficientMaterial()).toBe(false);
+  });
+});
@@ -0,0 +1,72 @@
+const EnginePool = require('../../engine/ai/EnginePool');
+
+const KIWIPETE = 'r3k2r/p1ppqpb1/bn2pnp1/3PN3/1p2P3/2N2Q1p/PPPBBPPP/R3K2R w KQkq - 0 1';
+const MATE_IN_ONE = '6k1/5ppp/8/8/8/8/8/R5K1 w - - 0 1';
+
+// Recherche qui ne se termine pas d'elle-même dans la durée d'un test
+const LONG_SEARCH = { fen: KIWIPETE, maxDepth: 64, timeLimit: 20000 };
+
+describe('Pool de moteurs', () => {
+  let pool;
+
+  beforeEach(() => {
+    pool = new EnginePool({ size: 1, maxQueueSize: 2 });
+  });
+
+  afterEach(async () => {
+    jest.useRealTimers();
+    await pool.shutdown();
+  });
+
+  it('cherche dans un thread et rend le coup avec les informations de recherche', async () => {
+    const infos = [];
+    const result = await pool.search({ fen: MATE_IN_ONE, maxDepth: 3 }, { onInfo: info => infos.push(info) });
+
+    expect(result).toMatchObject({ move: { fromRank: 0, fromFile: 0, toRank: 7, toFile: 0 }, depth: 1 });
+    expect(infos).toHaveLength(1);
+    expect(pool.getStats()).toEqual({ size: 1, workers: 1, busy: 0, queued: 0 });
+  });
+
+  it('annule les recherches d\'une partie, en cours comme en attente', async () => {
+    const running = pool.search(LONG_SEARCH, { tag: 'partie-1' });
+    const queued = pool.search(LONG_SEARCH, { tag: 'partie-1' });
+    const other = pool.search({ fen: MATE_IN_ONE, maxDepth: 2 }, { tag: 'partie-2' });
+
+    await expect(pool.search({ fen: MATE_IN_ONE }))
+      .rejects.toMatchObject({ code: 'ENGINE_BUSY' });
+    expect(pool.getStats()).toMatchObject({ busy: 1, queued: 2 });
+
+    expect(pool.cancel('partie-1')).toBe(2);
+    await expect(queued).rejects.toMatchObject({ code: 'SEARCH_CANCELLED' });
+    await expect(running).rejects.toMatchObject({ code: 'SEARCH_CANCELLED' });
+    expect((await other).move).not.toBeNull();
+  });
+
+  it('interrompt une recherche en gardant le meilleur coup trouvé', async () => {
+    let firstIteration;
+    const started = new Promise(resolve => {
+      firstIteration = resolve;
+    });
+    const search = pool.search(LONG_SEARCH, { tag: 'analyse', onInfo: firstIteration });
+
+    await started;
+    expect(pool.stop('analyse')).toBe(1);
+    const result = await search;
+    expect(result.move).not.toBeNull();
+    expect(result.depth).toBeGreaterThanOrEqual(1);
+  });
+
+  it('remplace un thread qui dépasse son temps de réflexion', async () => {
+    jest.useFakeTimers({ doNotFake: ['nextTick', 'queueMicrotask', 'setImmediate'] });
+    const search = pool.search({ ...LONG_SEARCH, timeLimit: 1000 });
+    const [worker] = pool.workers;
+
+    // Le thread ne regarde pas l'horloge simulée : seul le chien de garde expire
+    jest.advanceTimersByTime(6000);
+    await expect(search).rejects.toMatchObject({ code: 'ENGINE_TIMEOUT' });
+    expect(pool.workers).not.toContain(worker);
+
+    jest.useRealTimers();
+    expect((await pool.search({ fen: MATE_IN_ONE, maxDepth: 2 })).depth).toBe(1);
+  });
+});
@@ -0,0 +1,36 @@
+const EngineProvider = require('../../engine/ai/EngineProvider');
+const EnginePool = require('../../engine/ai/EnginePool');
+const UCIAdapter = require('../../engine/uci/UCIAdapter');
+const VariantRegistry = require('../../engine/variants/VariantRegistry');
+
+describe('Choix du moteur', () => {
+  beforeEach(() => {
+    // Le moteur externe n'est lancé qu'à la première recherche
+    process.env.UCI_ENGINE_PATH = '/usr/local/bin/stockfish';
+  });
+
+  afterEach(() => {
+    delete process.env.UCI_ENGINE_PATH;
+    delete process.env.UCI_ENGINE_BOTS;
+  });
+
+  it('réserve au moteur externe les variantes aux règles classiques', () => {
+    expect(EngineProvider.getBotEngine('standard')).toBeInstanceOf(UCIAdapter);
+    expect(EngineProvider.getBotEngine('chess960')).toBeInstanceOf(UCIAdapter);
+
+    for (const variant of VariantRegistry.getNames().filter(name => !['standard', 'chess960'].includes(name))) {
+      expect(EngineProvider.getBotEngine(variant)).toBe(EnginePool.getDefault());
+    }
+  });
+
+  it('laisse les parties à pouvoirs au moteur intégré, qui respecte les effets actifs', () => {
+    expect(VariantRegistry.get('powers').externalEngine).toBe(false);
+    expect(EngineProvider.getBotEngine('powers')).toBe(EnginePool.getDefault());
+    expect(EngineProvider.getAnalysisEngine('powers')).toBe(EnginePool.getDefault());
+  });
+
+  it('garde le moteur intégré pour les bots si UCI_ENGINE_BOTS vaut false', () => {
+    process.env.UCI_ENGINE_BOTS = 'false';
+    expect(EngineProvider.getBotEngine('standard')).toBe(EnginePool.getDefault());
+  });
+});
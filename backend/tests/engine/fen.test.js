@@ -0,0 +1,68 @@
+const Board = require('../../engine/board/Board');
+const Game = require('../../engine/Game');
+const { STARTING_FEN } = require('../../../shared/constants/chess-notation');
+const { createGame, play } = require('../helpers/game');
+
+const invalidReason = (fen) => Board.validateFEN(fen).message;
+
+describe('FEN', () => {
+  it('exporte les six champs de la position', () => {
+    const game = createGame();
+    expect(game.board.toFEN()).toBe(STARTING_FEN);
+
+    play(game, ['e4', 'c5', 'Nf3', 'd6', 'Bb5+', 'Nd7', 'O-O']);
+    expect(game.board.toFEN()).toBe('r1bqkbnr/pp1npppp/3p4/1Bp5/4P3/5N2/PPPP1PPP/RNBQ1RK1 b kq - 3 4');
+
+    const enPassant = createGame();
+    play(enPassant, ['e4', 'a6', 'e5', 'd5']);
+    expect(enPassant.board.toFEN()).toBe('rnbqkbnr/1pp1pppp/p7/3pP3/8/8/PPPP1PPP/RNBQKBNR w KQkq d6 0 3');
+  });
+
+  it('démarre une partie depuis une position quelconque', () => {
+    const fen = 'r3k2r/8/8/8/8/8/8/R3K2R b Kq - 12 40';
+    const game = createGame('standard', fen);
+
+    expect(game.currentTurn).toBe('black');
+    expect(game.initialFen).toBe(fen);
+    expect(Board.fromFEN(fen).toFEN()).toBe(fen);
+    // Sans les compteurs (EPD), la position repart de 0 1
+    expect(Board.fromFEN('r3k2r/8/8/8/8/8/8/R3K2R b Kq -').toFEN()).toBe('r3k2r/8/8/8/8/8/8/R3K2R b Kq - 0 1');
+    expect(game.makeMove('black', { notation: 'O-O' }).success).toBe(false);
+    play(game, ['O-O-O']);
+    expect(game.board.toFEN()).toBe('2kr3r/8/8/8/8/8/8/R3K2R w K - 13 41');
+
+    expect(() => new Game('white', 'black', { fen: '8/8/8/8/8/8/8/8 w - - 0 1' })).toThrow('Roi blanc manquant');
+  });
+
+  it('explique pourquoi une FEN est refusée', () => {
+    expect(Board.validateFEN('')).toEqual({
+      isValid: false, reason: 'INVALID_FEN', message: 'FEN invalide: FEN vide ou non textuelle'
+    });
+    expect(invalidReason('rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0'))
+      .toBe('FEN invalide: Nombre de champs incorrect (5, 6 attendus)');
+    expect(invalidReason('rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR x KQkq - 0 1'))
+      .toBe('FEN invalide: Trait invalide: "x" (w ou b attendu)');
+    expect(invalidReason('rnbqkbnr/pppppppp/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1'))
+      .toBe('FEN invalide: Le placement doit contenir 8 rangées (7 trouvées)');
+    expect(invalidReason('rnbqkbnr/pppppppp/p7p/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1'))
+      .toBe('FEN invalide: La rangée 6 contient plus de 8 cases');
+    expect(invalidReason('rnbqkbnr/ppppxppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1'))
+      .toBe('FEN invalide: Caractère de pièce inconnu: "x"');
+    expect(invalidReason('rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQ1BNR w kq - 0 1'))
+      .toBe('FEN invalide: Roi blanc manquant');
+    expect(invalidReason('rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBKKBNR w kq - 0 1'))
+      .toBe('FEN invalide: Plusieurs rois blancs (2)');
+    expect(invalidReason('Pnbqkbnr/pppppppp/8/8/8/8/1PPPPPPP/RNBQKBNR w KQk - 0 1'))
+      .toBe('FEN invalide: Pion sur la rangée 8 (a8)');
+    expect(invalidReason('rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBN1 w KQkq - 0 1'))
+      .toBe('FEN invalide: Droit de roque "K" impossible: aucune tour côté roi');
+    expect(invalidReason('rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq e3 0 1'))
+      .toBe('FEN invalide: Case en passant e3 incompatible avec le trait');
+    expect(invalidReason('rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR b KQkq e3 0 1'))
+      .toBe('FEN invalide: Case en passant e3 sans double pas de pion correspondant');
+    expect(invalidReason('rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - -1 1'))
+      .toBe('FEN invalide: Compteur de demi-coups invalide: "-1"');
+    expect(invalidReason('rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 0'))
+      .toBe('FEN invalide: Numéro de coup invalide: "0"');
+  });
+});
@@ -0,0 +1,81 @@
+const GameAnalyzer = require('../../engine/analysis/GameAnalyzer');
+const SearchEngine = require('../../engine/ai/SearchEngine');
+
+// Mat du berger : chaque position avant le mat reçoit une évaluation scriptée
+// (score du point de vue des blancs, meilleur coup du moteur)
+const MOVES = ['e4', 'e5', 'Qh5', 'Nc6', 'Bc4', 'Nf6', 'Qxf7#'];
+const EVALUATIONS = [
+  { score: 20, bestMove: 'e2e4' },
+  { score: 30, bestMove: 'c7c5' },
+  { score: 50, bestMove: 'g1f3' },
+  { score: -10, bestMove: 'b8c6' },
+  { score: -10, bestMove: 'g1f3' },
+  { score: -160, bestMove: 'g7g6' },
+  { score: SearchEngine.getMateScore(1), mate: 1, bestMove: 'h5f7' }
+];
+
+const createAnalyzer = () => {
+  const calls = [];
+  const analyzer = new GameAnalyzer(async (fen, options) => {
+    const { score, mate = null, bestMove } = EVALUATIONS[calls.length];
+    calls.push({ fen, options });
+    return { score, mate, bestMove, lines: [{ pv: [bestMove] }] };
+  });
+  return { analyzer, calls };
+};
+
+describe('Analyse de partie', () => {
+  it('classe chaque coup selon sa perte en centipions', async () => {
+    const { analyzer, calls } = createAnalyzer();
+    const progress = [];
+    const analysis = await analyzer.analyze({ initialFen: null, moves: MOVES, variant: 'standard' },
+      (current, total) => progress.push(`${current}/${total}`));
+
+    expect(analysis.moves.map(move => [move.notation, move.centipawnLoss, move.classification])).toEqual([
+      ['e4', 0, 'best'],
+      ['e5', 20, 'good'],
+      ['Qh5', 60, 'inaccuracy'],
+      ['Nc6', 0, 'best'],
+      ['Bc4', 150, 'mistake'],
+      // Le mat est plafonné à 1000 centipions
+      ['Nf6', 1160, 'blunder'],
+      ['Qxf7#', 0, 'best']
+    ]);
+    expect(analysis.moves[4]).toMatchObject({ ply: 5, color: 'white', move: 'f1c4', bestMove: 'g1f3', bestLine: ['g1f3'] });
+
+    // La position de mat finale n'est pas confiée au moteur
+    expect(calls).toHaveLength(7);
+    expect(calls[1]).toEqual({
+      fen: 'rnbqkbnr/pppppppp/8/8/4P3/8/PPPP1PPP/RNBQKBNR b KQkq e3 0 1',
+      options: { variant: 'standard', chess960: false }
+    });
+    expect(progress).toEqual(['1/8', '2/8', '3/8', '4/8', '5/8', '6/8', '7/8', '8/8']);
+    expect(analysis).toMatchObject({ bestMove: null, evaluation: -SearchEngine.getMateScore(0) });
+  });
+
+  it('calcule la précision et le bilan de chaque joueur', async () => {
+    const analysis = await createAnalyzer().analyzer.analyze({ moves: MOVES });
+
+    expect(analysis.moves.map(move => move.accuracy)).toEqual([100, 92.1, 78, 100, 54.4, 3.8, 100]);
+    expect(analysis.accuracy).toEqual({ white: 83.1, black: 65.3 });
+    expect(analysis.averageCentipawnLoss).toEqual({ white: 52.5, black: 393.3 });
+    expect(analysis).toMatchObject({
+      inaccuracies: { white: 1, black: 0 },
+      mistakes: { white: 1, black: 0 },
+      blunders: { white: 0, black: 1 }
+    });
+
+    expect(GameAnalyzer.summarize([])).toMatchObject({ accuracy: { white: null, black: null } });
+    expect(GameAnalyzer.moveAccuracy(300, 300)).toBe(100);
+    expect(GameAnalyzer.winPercent(0)).toBe(50);
+  });
+
+  it('rejoue les coups SAN ou UCI et refuse un coup illisible', () => {
+    const positions = GameAnalyzer.replay(null, ['e2e4', 'c5', 'g1f3']);
+    expect(positions.map(position => position.uci)).toEqual([null, 'e2e4', 'c7c5', 'g1f3']);
+    expect(positions[3].board.toFEN()).toBe('rnbqkbnr/pp1ppppp/8/2p5/4P3/5N2/PPPP1PPP/RNBQKB1R b KQkq - 1 2');
+
+    expect(() => GameAnalyzer.replay(null, ['e4', 'e4']))
+      .toThrow('Coup illisible au demi-coup 2: e4');
+  });
+});
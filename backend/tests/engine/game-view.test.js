@@ -0,0 +1,70 @@
+const Game = require('../../engine/Game');
+const GameView = require('../../engine/powers/GameView');
+const PowerRegistry = require('../../engine/powers/PowerRegistry');
+
+const createGame = () => {
+  const game = new Game('white', 'black', { variant: 'powers' });
+  game.powers.white = ['invisibility', 'exchange'].map(name => PowerRegistry.get(name).createState());
+  game.powers.black = ['teleportation', 'exchange'].map(name => PowerRegistry.get(name).createState());
+  return game;
+};
+
+describe('Vues de la partie', () => {
+  it('cache une pièce invisible et ses coups à l\'adversaire et aux spectateurs', () => {
+    const game = createGame();
+    game.usePower('white', { name: 'invisibility', squares: ['g1'] });
+    game.makeMove('black', { notation: 'e5' });
+    game.makeMove('white', { notation: 'Nf3' });
+
+    const own = GameView.project(game, 'white');
+    expect(own.board).toBe(game.board.toFEN());
+    expect(own.moves[2].notation).toBe('Nf3');
+    expect(own.powerEffects[0].square).toBe('f3');
+
+    for (const viewer of ['black', 'spectator']) {
+      const view = GameView.project(game, viewer);
+      expect(view.board.split(' ')[0]).toBe('rnbqkbnr/pppp1ppp/8/4p3/8/8/PPPPPPPP/RNBQKB1R');
+      expect(view.positionHash).toBeNull();
+      expect(view.moves[0].notation).toBe('I:Ng1');
+      expect(view.moves[2]).toMatchObject({ hidden: true, notation: null, color: 'white' });
+      expect(view.moves[2].to).toBeUndefined();
+      expect(view.powerEffects[0]).toEqual({ name: 'invisibility', color: 'white', remainingPlies: 2 });
+      expect(GameView.projectMove(game, game.moves[2], viewer).hidden).toBe(true);
+    }
+  });
+
+  it('révèle la pièce et ses coups à la fin de l\'invisibilité', () => {
+    const game = createGame();
+    game.usePower('white', { name: 'invisibility', squares: ['b1'] });
+    for (const notation of ['e5', 'Nc3', 'd5', 'Nd5']) {
+      game.makeMove(game.currentTurn, { notation });
+    }
+
+    const view = GameView.project(game, 'black');
+    expect(view.board).toBe(game.board.toFEN());
+    expect(view.moves[2].notation).toBe('Nc3');
+    expect(view.moves[4].notation).toBe('Nxd5');
+  });
+
+  it('cache les pouvoirs adverses inutilisés', () => {
+    const game = createGame();
+    game.usePower('white', { name: 'exchange', squares: ['b1', 'd1'] });
+
+    const black = GameView.project(game, 'black');
+    expect(black.powers.black.map(power => power.name)).toEqual(['teleportation', 'exchange']);
+    expect(black.powers.white).toEqual([
+      { name: null, used: false, usedAt: null },
+      expect.objectContaining({ name: 'exchange', used: true })
+    ]);
+
+    const spectator = GameView.project(game, 'spectator');
+    expect(spectator.powers.black.every(power => power.name === null)).toBe(true);
+    expect(GameView.getViewer(game, 'someone')).toBe('spectator');
+  });
+
+  it('laisse intacte la vue des parties sans pouvoirs', () => {
+    const game = new Game('white', 'black');
+    game.makeMove('white', { notation: 'e4' });
+    expect(GameView.project(game, 'spectator')).toEqual(game.getGameState());
+  });
+});
@@ -0,0 +1,50 @@
+const Board = require('../../engine/board/Board');
+const Perft = require('../../engine/moves/Perft');
+const { STARTING_FEN } = require('../../../shared/constants/chess-notation');
+const { createGame } = require('../helpers/game');
+
+const HORDE_FEN = 'rnbqkbnr/pppppppp/8/1PP2PP1/PPPPPPPP/PPPPPPPP/PPPPPPPP/PPPPPPPP w kq - 0 1';
+
+describe('Horde', () => {
+  it('démarre avec 36 pions blancs sans roi', () => {
+    const game = createGame('horde');
+    expect(game.initialFen).toBe(HORDE_FEN);
+    expect(game.board.findKing('white')).toBeNull();
+    expect(new Perft(game.board).run(3)).toBe(1274);
+  });
+
+  it('n\'accepte les pions de première rangée et l\'absence de roi qu\'en horde', () => {
+    expect(Board.validateFEN(HORDE_FEN).isValid).toBe(false);
+    expect(Board.validateFEN(STARTING_FEN, { variant: 'horde' }).message)
+      .toBe('FEN invalide: Roi blanc interdit dans cette variante');
+  });
+
+  it('permet le double pas depuis la première rangée, et sa prise en passant', () => {
+    const game = createGame('horde', '4k3/8/8/8/8/2p5/8/1P5P w - - 0 1');
+
+    game.makeMove('white', { notation: 'b3' });
+    expect(game.board.toFEN()).toBe('4k3/8/8/8/8/1Pp5/8/7P b - b2 0 1');
+    expect(game.board.hash).toBe(Board.fromFEN(game.board.toFEN(), { variant: 'horde' }).hash);
+
+    const result = game.makeMove('black', { notation: 'cxb2' });
+    expect(result.move.isEnPassant).toBe(true);
+    expect(game.board.getPiece(2, 1)).toBeNull();
+  });
+
+  it('fait gagner les noirs quand toutes les pièces blanches sont capturées', () => {
+    const game = createGame('horde', '4k3/8/8/8/8/2p5/8/1P6 w - - 0 1');
+
+    game.makeMove('white', { notation: 'b3' });
+    game.makeMove('black', { notation: 'cxb2' });
+    expect(game.status).toBe('finished');
+    expect(game.result).toBe('0-1');
+    expect(game.resultReason).toBe('all_pieces_captured');
+  });
+
+  it('ne déclare pas de nulle par matériel insuffisant contre la horde', () => {
+    const game = createGame('horde', '4k3/8/8/8/8/8/8/1N6 b - - 0 1');
+
+    game.makeMove('black', { notation: 'Kd7' });
+    expect(game.status).toBe('active');
+  });
+});
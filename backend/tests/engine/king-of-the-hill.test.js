@@ -0,0 +1,25 @@
+const { createGame } = require('../helpers/game');
+
+describe('Roi de la colline', () => {
+  it('gagne la partie en amenant le roi au centre', () => {
+    const game = createGame('king_of_the_hill', '4k3/8/8/8/8/4K3/8/8 w - - 0 1');
+
+    const result = game.makeMove('white', { notation: 'Kd4' });
+    expect(result.success).toBe(true);
+    expect(game.status).toBe('finished');
+    expect(game.result).toBe('1-0');
+    expect(game.resultReason).toBe('hill_reached');
+  });
+
+  it('interdit d\'entrer au centre en échec', () => {
+    const game = createGame('king_of_the_hill', '3rk3/8/8/8/8/4K3/8/8 w - - 0 1');
+
+    expect(game.makeMove('white', { notation: 'Kd4' }).success).toBe(false);
+    expect(game.status).toBe('active');
+  });
+
+  it('ne déclare pas nulle la partie entre deux rois seuls', () => {
+    const game = createGame('king_of_the_hill', '4k3/8/8/8/8/8/8/4K3 w - - 0 1');
+    expect(game.isDrawByInsufficientMaterial()).toBe(false);
+  });
+});
@@ -0,0 +1,64 @@
+const Board = require('../../engine/board/Board');
+const MoveParser = require('../../engine/moves/MoveParser');
+const { STARTING_FEN } = require('../../../shared/constants/chess-notation');
+
+const parse = (fen, notation) => {
+  const board = Board.fromFEN(fen);
+  return new MoveParser(board).parse(notation, board.activeColor);
+};
+
+// Coup reconnu, en UCI
+const parsedUCI = (fen, notation) => {
+  const result = parse(fen, notation);
+  expect(result.isValid).toBe(true);
+  return MoveParser.toUCI(result.move);
+};
+
+describe('Analyse des coups', () => {
+  it('lit la notation SAN avec ses suffixes et la prise en passant', () => {
+    expect(parsedUCI(STARTING_FEN, 'Nf3!?')).toBe('g1f3');
+    expect(parsedUCI('rnbqkbnr/ppp1p1pp/8/3pPp2/8/8/PPPP1PPP/RNBQKBNR w KQkq f6 0 3', 'exf6 e.p.')).toBe('e5f6');
+    expect(parsedUCI('r3k2r/8/8/8/8/8/8/R3K2R b KQkq - 0 1', '0-0-0')).toBe('e8c8');
+    expect(parsedUCI('4k3/P7/8/8/8/8/8/4K3 w - - 0 1', 'a8=Q+')).toBe('a7a8q');
+    expect(parsedUCI('4k3/P7/8/8/8/8/8/4K3 w - - 0 1', 'a7a8n')).toBe('a7a8n');
+  });
+
+  it('lève les ambiguïtés par la colonne ou la rangée de départ', () => {
+    const knights = '4k3/8/8/8/8/8/8/1N2KN2 w - - 0 1';
+    expect(parse(knights, 'Nd2')).toEqual({
+      isValid: false, reason: 'AMBIGUOUS_MOVE', message: 'Coup ambigu: Nd2 (Nbd2, Nfd2)'
+    });
+    expect(parsedUCI(knights, 'Nbd2')).toBe('b1d2');
+    expect(parsedUCI(knights, 'Nfd2')).toBe('f1d2');
+
+    const rooks = '7k/8/8/R7/8/8/8/R3K3 w - - 0 1';
+    expect(parse(rooks, 'Ra3').reason).toBe('AMBIGUOUS_MOVE');
+    expect(parsedUCI(rooks, 'R5a3')).toBe('a5a3');
+    expect(parsedUCI(rooks, 'R1a3')).toBe('a1a3');
+  });
+
+  it('explique pourquoi un coup est refusé', () => {
+    const pinned = '4k3/4r3/8/8/8/8/4N3/4K3 w - - 0 1';
+    expect(parse(pinned, 'Nc3')).toEqual({
+      isValid: false, reason: 'ILLEGAL_MOVE', message: 'Coup illégal ou impossible: Nc3'
+    });
+    expect(parse(pinned, 'e2c3')).toMatchObject({ reason: 'ILLEGAL_MOVE', message: expect.stringMatching(/^Coup illégal: e2c3 \(/) });
+
+    expect(parse(STARTING_FEN, 'Nxf3').message).toBe('Aucune pièce à capturer en f3: Nxf3');
+    expect(parse(STARTING_FEN, 'ed4').reason).toBe('INVALID_NOTATION');
+    expect(parse(STARTING_FEN, 'Zf3').message).toBe('Notation SAN invalide: "Zf3"');
+    expect(parse(STARTING_FEN, ' ').message).toBe('Notation de coup vide');
+    expect(parse(STARTING_FEN, 'O-O').message).toBe('Roque illégal: O-O');
+    // La tour f4 contrôle f1, case traversée par le roi
+    expect(parse('r3k2r/8/8/8/5r2/8/8/R3K2R w KQkq - 0 1', 'O-O').message).toBe('Roque illégal: O-O');
+
+    expect(parse('4k3/P7/8/8/8/8/8/4K3 w - - 0 1', 'a8').message).toBe('Pièce de promotion manquante: a8');
+    expect(parse(STARTING_FEN, 'e2e4q').message).toBe('Promotion impossible pour ce coup: e2e4q');
+  });
+
+  it('convertit les coups UCI en coordonnées', () => {
+    expect(MoveParser.fromUCI('e7e8q')).toEqual({ fromRank: 6, fromFile: 4, toRank: 7, toFile: 4, promotion: 'Q' });
+    expect(MoveParser.fromUCI('N@f3')).toEqual({ drop: 'N', toRank: 2, toFile: 5 });
+    expect(MoveParser.fromUCI('e9e8')).toBeNull();
+  });
+});
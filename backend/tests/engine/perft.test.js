@@ -0,0 +1,79 @@
+const Board = require('../../engine/board/Board');
+const Perft = require('../../engine/moves/Perft');
+
+// Positions de référence et nombres de nœuds publiés (chessprogramming.org, "Perft Results")
+const POSITIONS = [
+  {
+    name: 'position initiale',
+    fen: 'rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1',
+    nodes: [20, 400, 8902, 197281]
+  },
+  {
+    name: 'Kiwipete (roques, clouages, promotions)',
+    fen: 'r3k2r/p1ppqpb1/bn2pnp1/3PN3/1p2P3/2N2Q1p/PPPBBPPP/R3K2R w KQkq - 0 1',
+    nodes: [48, 2039, 97862]
+  },
+  {
+    name: 'en passant avec échec à la découverte',
+    fen: '8/2p5/3p4/KP5r/1R3p1k/8/4P1P1/8 w - - 0 1',
+    nodes: [14, 191, 2812, 43238]
+  },
+  {
+    name: 'promotions avec capture et roque sous échec',
+    fen: 'r3k2r/Pppp1ppp/1b3nbN/nP6/BBP1P3/q4N2/Pp1P2PP/R2Q1RK1 w kq - 0 1',
+    nodes: [6, 264, 9467]
+  },
+  {
+    name: 'promotions avec capture et roque sous échec (miroir)',
+    fen: 'r2q1rk1/pP1p2pp/Q4n2/bbp1p3/Np6/1B3NBn/pPPP1PPP/R3K2R b KQ - 0 1',
+    nodes: [6, 264, 9467]
+  },
+  {
+    name: 'promotion et roque après échec',
+    fen: 'rnbq1k1r/pp1Pbppp/2p5/8/2B5/8/PPP1NnPP/RNBQK2R w KQ - 1 8',
+    nodes: [44, 1486, 62379]
+  },
+  {
+    name: 'milieu de partie symétrique',
+    fen: 'r4rk1/1pp1qppp/p1np1n2/2b1p1B1/2B1P1b1/P1NP1N2/1PP1QPPP/R4RK1 w - - 0 10',
+    nodes: [46, 2079, 89890]
+  }
+];
+
+describe('Perft', () => {
+  describe.each(POSITIONS)('$name', ({ fen, nodes }) => {
+    it.each(nodes.map((count, index) => [index + 1, count]))('profondeur %i : %i nœuds', (depth, count) => {
+      expect(Perft.fromFEN(fen).run(depth)).toBe(count);
+    });
+  });
+
+  it('restaure la position après le calcul', () => {
+    const board = Board.fromFEN(POSITIONS[1].fen);
+    const hash = board.hash;
+
+    new Perft(board).run(3);
+
+    expect(board.toFEN()).toBe(POSITIONS[1].fen);
+    expect(board.hash).toBe(hash);
+    expect(board.moveHistory).toHaveLength(0);
+  });
+
+  it('détaille les nœuds par coup racine', () => {
+    const perft = Perft.fromFEN(POSITIONS[2].fen);
+    const { moves, nodes } = perft.divide(3);
+
+    // Détail publié pour la position 3 (divide de Stockfish)
+    expect(moves).toEqual({
+      e2e3: 205, e2e4: 177, g2g3: 54, g2g4: 226, a5a6: 240, a5a4: 224, b4b1: 265,
+      b4b2: 205, b4b3: 248, b4a4: 202, b4c4: 254, b4d4: 243, b4e4: 228, b4f4: 41
+    });
+    expect(nodes).toBe(2812);
+    expect(Object.values(moves).reduce((sum, count) => sum + count, 0)).toBe(nodes);
+  });
+
+  it('note les promotions en UCI', () => {
+    const { moves } = Perft.fromFEN(POSITIONS[5].fen).divide(1);
+
+    expect(Object.keys(moves)).toEqual(expect.arrayContaining(['d7c8q', 'd7c8r', 'd7c8b', 'd7c8n']));
+  });
+});
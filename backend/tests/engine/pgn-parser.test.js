@@ -0,0 +1,68 @@
+const PGNParser = require('../../engine/pgn/PGNParser');
+
+const TWO_GAMES = `% Fichier exporté depuis un autre logiciel
+[Event "Championnat du club"]
+[White "Alice \\"la Tour\\" Martin"]
+[Black "Bruno"]
+[Result "1-0"]
+
+{Partie jouée à la pendule} 1. e4 e5 2. Nf3!? Nc6 $6 (2... d6 3. d4 (3. Bc4 Be7) exd4) 3. Bb5 ; l'espagnole
+a6 {[%clk 0:14:55] Le coup principal} 4. Ba4 1-0
+
+[Event "Partie rapide"]
+[Variant "Chess960"]
+[FEN "rk5r/pppppppp/8/8/8/8/PPPPPPPP/RK5R w HAha - 0 1"]
+
+1. O-O O-O-O *
+`;
+
+describe('Import PGN', () => {
+  it('lit les tags, commentaires, NAG et variantes de plusieurs parties', () => {
+    const [first, second] = PGNParser.parse(TWO_GAMES);
+
+    expect(first.headers).toMatchObject({ Event: 'Championnat du club', White: 'Alice "la Tour" Martin' });
+    expect(first.result).toBe('1-0');
+    expect(first.comment).toBe('Partie jouée à la pendule');
+    expect(first.moves.map(move => move.san)).toEqual(['e4', 'e5', 'Nf3', 'Nc6', 'Bb5', 'a6', 'Ba4']);
+    expect(first.moves[2].nags).toEqual([5]);
+    expect(first.moves[3].nags).toEqual([6]);
+    expect(first.moves[4].comments).toEqual(['l\'espagnole']);
+
+    const [variation] = first.moves[3].variations;
+    expect(variation.map(move => move.san)).toEqual(['d6', 'd4', 'exd4']);
+    expect(variation[1].variations[0].map(move => move.san)).toEqual(['Bc4', 'Be7']);
+
+    expect(second.headers.Variant).toBe('Chess960');
+    expect(second.result).toBe('*');
+  });
+
+  it('rejoue les coups, variantes comprises, avec les horloges', () => {
+    const [first, second] = PGNParser.parse(TWO_GAMES);
+
+    const replay = PGNParser.replay(first);
+    expect(replay.isValid).toBe(true);
+    expect(replay.board.toFEN()).toBe('r1bqkbnr/1ppp1ppp/p1n5/4p3/B3P3/5N2/PPPP1PPP/RNBQK2R b KQkq - 1 4');
+    expect(replay.moves[5]).toMatchObject({ notation: 'a6', clock: 895, comment: 'Le coup principal' });
+
+    const chess960 = PGNParser.replay(second);
+    expect(chess960.isValid).toBe(true);
+    expect(chess960.board.toFEN()).toBe('2kr3r/pppppppp/8/8/8/8/PPPPPPPP/R4RK1 w - - 2 2');
+  });
+
+  it('indique le demi-coup où le PGN devient illégal', () => {
+    const [game] = PGNParser.parse('1. e4 e5 2. Ke3 *');
+    expect(PGNParser.replay(game)).toMatchObject({ isValid: false, ply: 3, move: '2. Ke3' });
+
+    const [variation] = PGNParser.parse('1. e4 e5 (1... Nf6 2. Nf6) 2. Nf3 *');
+    const result = PGNParser.replay(variation);
+    expect(result).toMatchObject({ isValid: false, ply: 3, move: '2. Nf6', inVariation: true });
+    expect(result.message).toMatch(/^Coup illégal au demi-coup 3 \(2\. Nf6, dans une variante\)/);
+  });
+
+  it('refuse un PGN mal formé', () => {
+    expect(() => PGNParser.parse('1. e4 (1. d4 *')).toThrow('Résultat à l\'intérieur d\'une variante');
+    expect(() => PGNParser.parse('1. e4 e5 )')).toThrow('Parenthèse fermante sans variante ouverte');
+    expect(() => PGNParser.parse('$1 1. e4')).toThrow('NAG $1 sans coup à annoter');
+    expect(() => PGNParser.parse('[Event "x"]\n1. e4 ]')).toThrow('Caractère inattendu "]" à la ligne 2');
+  });
+});
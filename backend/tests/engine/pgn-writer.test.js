@@ -0,0 +1,86 @@
+const Game = require('../../engine/Game');
+const PGNParser = require('../../engine/pgn/PGNParser');
+const PGNWriter = require('../../engine/pgn/PGNWriter');
+const PowerRegistry = require('../../engine/powers/PowerRegistry');
+
+// Coups joués et secondes passées sur chacun
+const MOVES = [['e4', 5], ['e5', 3], ['S:e4', 12], ['Nf6', 7], ['Nc3', 2]];
+
+const playTimedGame = () => {
+  jest.useFakeTimers({ now: new Date('2024-03-01T10:00:00Z') });
+  const game = new Game('alice', 'bruno', { variant: 'powers', timeControl: 600, increment: 5 });
+  game.powers.white = ['shield', 'freeze'].map(name => PowerRegistry.get(name).createState());
+  game.powers.black = ['teleportation', 'exchange'].map(name => PowerRegistry.get(name).createState());
+
+  for (const [notation, seconds] of MOVES) {
+    jest.advanceTimersByTime(seconds * 1000);
+    expect(game.makeMove(game.players[game.currentTurn].id, { notation }).success).toBe(true);
+  }
+  game.resign('bruno');
+  return game;
+};
+
+describe('Export PGN', () => {
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('écrit les tags de la norme, les horloges et les pouvoirs', () => {
+    const pgn = playTimedGame().toPGN({ Event: 'Rapide du jeudi', WhiteElo: 1512 });
+    const [tagSection, movetext] = pgn.split('\n\n');
+
+    expect(tagSection.split('\n')).toEqual([
+      '[Event "Rapide du jeudi"]',
+      '[Site "AX Chess Platform"]',
+      '[Date "2024.03.01"]',
+      '[Round "-"]',
+      '[White "alice"]',
+      '[Black "bruno"]',
+      '[Result "1-0"]',
+      '[WhiteElo "1512"]',
+      '[TimeControl "600+5"]',
+      '[Termination "normal"]',
+      '[Variant "Powers"]',
+      '[AXResultReason "resignation"]',
+      '[AXPowersWhite "shield*,freeze"]',
+      '[AXPowersBlack "teleportation,exchange"]',
+      '[AXPowerUses "1"]'
+    ]);
+    expect(movetext).toBe(
+      '1. e4 {[%clk 0:10:00]} 1... e5 {[%clk 0:10:02]} 2. S:e4\n' +
+      '{[%clk 0:09:53] [%axpower shield e4]} 2... Nf6 {[%clk 0:10:00]} 3. Nc3\n' +
+      '{[%clk 0:09:56]} 1-0\n');
+    movetext.split('\n').forEach(line => expect(line.length).toBeLessThanOrEqual(80));
+  });
+
+  it('relit sa propre sortie avec notre import', () => {
+    const game = playTimedGame();
+    const [parsed] = PGNParser.parse(game.toPGN());
+    const replay = PGNParser.replay(parsed);
+
+    expect(replay.isValid).toBe(true);
+    expect(replay.board.toFEN()).toBe(game.board.toFEN());
+    expect(replay.moves.map(move => move.clock)).toEqual([600, 602, 593, 600, 596]);
+    expect(replay.moves[2].power).toMatchObject({ name: 'shield', squares: ['e4'] });
+    expect(PGNParser.parsePowers(parsed.headers.AXPowersWhite)).toEqual([
+      { name: 'shield', used: true }, { name: 'freeze', used: false }
+    ]);
+    expect(PGNParser.parseTimeControl(parsed.headers.TimeControl)).toEqual({ initial: 600, increment: 5 });
+  });
+
+  it('numérote les coups depuis la position de départ et renumérote après un commentaire', () => {
+    const pgn = PGNWriter.write({
+      moves: [
+        { notation: 'Kd7', color: 'black', comment: 'Seul coup' },
+        { notation: 'Ra7+', color: 'white', nags: [1] },
+        { notation: 'Kc6', color: 'black' }
+      ],
+      result: '*',
+      initialFen: '3k4/8/8/8/8/8/8/R3K3 b - - 0 40'
+    });
+
+    expect(pgn).toContain('[SetUp "1"]\n[FEN "3k4/8/8/8/8/8/8/R3K3 b - - 0 40"]');
+    expect(pgn).toContain('[Termination "unterminated"]');
+    expect(pgn.split('\n\n')[1]).toBe('40... Kd7 {Seul coup} 41. Ra7+ $1 41... Kc6 *\n');
+  });
+});
@@ -0,0 +1,94 @@
+const Game = require('../../engine/Game');
+const GameView = require('../../engine/powers/GameView');
+const PowerDraft = require('../../engine/powers/PowerDraft');
+const ComputerPlayer = require('../../engine/ai/ComputerPlayer');
+const { COMPUTER_PLAYER_ID } = require('../../../shared/constants/chess-notation');
+
+const createGame = (powerDraft, options = {}) =>
+  new Game('white', 'black', { variant: 'powers', powerDraft, ...options });
+
+describe('Choix des pouvoirs', () => {
+  it('rejoue le tirage au sort à partir de la graine', () => {
+    const first = createGame({ mode: 'random', seed: 42 });
+    const second = createGame({ mode: 'random', seed: 42 });
+
+    expect(first.powers).toEqual(second.powers);
+    expect(first.powers.white).toHaveLength(2);
+    expect(first.getGameState().powerDraft.seed).toBe(42);
+    expect(GameView.project(first, 'black').powerDraft.seed).toBeUndefined();
+    expect(new Set([0, 1, 2, 3, 4, 5].map(seed => PowerDraft.drawLoadouts(seed).white.join())).size).toBeGreaterThan(1);
+  });
+
+  it('attend le choix secret des deux joueurs avant le premier coup', () => {
+    const game = createGame({ mode: 'pick' });
+
+    expect(game.makeMove('white', { notation: 'e4' }).error).toBe('POWER_DRAFT_IN_PROGRESS');
+    expect(game.choosePowers('white', ['teleportation']).error).toBe('INVALID_LOADOUT');
+    expect(game.choosePowers('white', ['teleportation', 'teleportation']).error).toBe('DUPLICATE_POWER');
+    expect(game.choosePowers('white', ['teleportation', 'flight']).error).toBe('UNKNOWN_POWER');
+
+    expect(game.choosePowers('white', ['invisibility', 'exchange']).success).toBe(true);
+    expect(game.choosePowers('white', ['teleportation', 'exchange']).error).toBe('NOT_YOUR_PICK');
+    expect(GameView.project(game, 'black').powerDraft.loadouts.white).toEqual([null, null]);
+
+    expect(game.choosePowers('black', ['teleportation', 'invisibility']).success).toBe(true);
+    expect(game.powers.white.map(power => power.name)).toEqual(['invisibility', 'exchange']);
+    expect(game.makeMove('white', { notation: 'e4' }).success).toBe(true);
+  });
+
+  it('fait choisir à tour de rôle en draft, choix visibles', () => {
+    const game = createGame({ mode: 'draft' });
+
+    expect(game.choosePowers('black', 'exchange').error).toBe('NOT_YOUR_PICK');
+    expect(game.choosePowers('white', 'exchange').success).toBe(true);
+    expect(GameView.project(game, 'black').powerDraft).toMatchObject({
+      turn: 'black',
+      loadouts: { white: ['exchange'], black: [] }
+    });
+    expect(game.choosePowers('black', ['exchange', 'teleportation']).error).toBe('INVALID_LOADOUT');
+    expect(game.choosePowers('black', 'exchange').success).toBe(true);
+    expect(game.choosePowers('black', 'invisibility').success).toBe(true);
+    expect(game.choosePowers('white', 'exchange').error).toBe('DUPLICATE_POWER');
+    expect(game.choosePowers('white', 'teleportation').success).toBe(true);
+
+    expect(game.isPowerDraftInProgress()).toBe(false);
+    expect(game.powers.black.map(power => power.name)).toEqual(['exchange', 'invisibility']);
+  });
+
+  it('attribue les pouvoirs par défaut à l\'échéance', () => {
+    const game = createGame({ mode: 'pick', timeLimit: 30 });
+    game.choosePowers('black', ['exchange', 'invisibility']);
+
+    expect(game.expirePowerDraft(new Date(Date.now() + 10000))).toBe(false);
+    expect(game.expirePowerDraft(new Date(Date.now() + 31000))).toBe(true);
+    expect(game.powers.white.map(power => power.name)).toEqual(['teleportation', 'exchange']);
+    expect(game.powers.black.map(power => power.name)).toEqual(['exchange', 'invisibility']);
+    expect(game.getGameState().powerDraft.timedOut).toBe(true);
+  });
+
+  it('fait choisir l\'ordinateur et le laisse ouvrir après le choix', () => {
+    const game = new Game(COMPUTER_PLAYER_ID, 'black', {
+      variant: 'powers',
+      powerDraft: { mode: 'draft' },
+      computer: { color: 'white', difficulty: 'beginner' }
+    });
+
+    expect(game.powerDraft.loadouts.white).toEqual(['teleportation']);
+    expect(ComputerPlayer.isComputerTurn(game)).toBe(false);
+
+    game.choosePowers('black', 'teleportation');
+    game.choosePowers('black', 'invisibility');
+    expect(game.powers.white.map(power => power.name)).toEqual(['teleportation', 'exchange']);
+    expect(ComputerPlayer.isComputerTurn(game)).toBe(true);
+  });
+
+  it('reprend les pouvoirs déjà attribués', () => {
+    const game = createGame({
+      mode: 'pick',
+      loadouts: { white: ['exchange', 'invisibility'], black: ['teleportation', 'exchange'] }
+    });
+
+    expect(game.isPowerDraftInProgress()).toBe(false);
+    expect(game.powers.black.map(power => power.name)).toEqual(['teleportation', 'exchange']);
+  });
+});
@@ -0,0 +1,102 @@
+const Board = require('../../engine/board/Board');
+const Game = require('../../engine/Game');
+const MoveGenerator = require('../../engine/moves/MoveGenerator');
+const PowerManager = require('../../engine/powers/PowerManager');
+const PowerRegistry = require('../../engine/powers/PowerRegistry');
+const PGNParser = require('../../engine/pgn/PGNParser');
+
+const createGame = (powers) => {
+  const game = new Game('white', 'black', { variant: 'powers' });
+  game.powers.white = powers.map(name => PowerRegistry.get(name).createState());
+  game.powers.black = powers.map(name => PowerRegistry.get(name).createState());
+  return game;
+};
+
+const play = (game, notations) => {
+  for (const notation of notations) {
+    expect(game.makeMove(game.currentTurn, { notation }).success).toBe(true);
+  }
+};
+
+describe('Registre des pouvoirs', () => {
+  it('décrit les pouvoirs et les propose au choix', () => {
+    expect(PowerRegistry.getNames()).toEqual(
+      ['teleportation', 'invisibility', 'exchange', 'shield', 'freeze', 'double-step']);
+    expect(PowerRegistry.findByLetter('D').name).toBe('double-step');
+    expect(PowerRegistry.describeAll().find(power => power.name === 'freeze')).toMatchObject({
+      letter: 'F', targets: 1, targetsOpponent: true, charges: 1, duration: 4
+    });
+
+    const game = new Game('white', 'black', { variant: 'powers', powerDraft: { mode: 'pick' } });
+    expect(game.choosePowers('white', ['shield', 'double-step']).success).toBe(true);
+    expect(game.getGameState().powerDraft.pool).toContain('freeze');
+  });
+
+  it('protège une pièce des prises pendant la durée du bouclier', () => {
+    const game = createGame(['shield']);
+    play(game, ['e4', 'd5']);
+    expect(game.usePower('white', { name: 'shield', squares: ['e1'] }).error).toBe('INVALID_POWER_TARGET');
+    expect(game.makeMove('white', { notation: 'S:e4' }).success).toBe(true);
+
+    expect(game.makeMove('black', { fromRank: 4, fromFile: 3, toRank: 3, toFile: 4 }).error).toBe('PIECE_SHIELDED');
+    expect(MoveGenerator.generateLegalMoves(game.board, 'black').some(move => move.toRank === 3 && move.toFile === 4)).toBe(false);
+
+    play(game, ['Nf6', 'Nc3']);
+    expect(game.makeMove('black', { notation: 'Nxe4' }).success).toBe(false);
+    play(game, ['a6', 'a3']);
+    expect(game.makeMove('black', { notation: 'dxe4' }).success).toBe(true);
+  });
+
+  it('gèle une pièce adverse, y compris pour la recherche du moteur', () => {
+    const game = createGame(['freeze']);
+    expect(game.usePower('white', { name: 'freeze', squares: ['b1'] }).error).toBe('INVALID_POWER_TARGET');
+    expect(game.makeMove('white', { notation: 'F:Ng8' }).success).toBe(true);
+    expect(game.board.activeColor).toBe('black');
+    expect(game.getGameState().powerEffects).toEqual([
+      { name: 'freeze', color: 'white', square: 'g8', remainingPlies: 4 }
+    ]);
+
+    expect(game.makeMove('black', { fromRank: 7, fromFile: 6, toRank: 5, toFile: 5 }).error).toBe('PIECE_FROZEN');
+    const board = Board.fromFEN(game.board.toFEN(), { variant: 'powers' });
+    PowerManager.restoreEffects(board, game.getActivePowerEffects());
+    expect(MoveGenerator.generateLegalMoves(board, 'black')).toHaveLength(18);
+    expect(MoveGenerator.generateLegalMoves(game.board, 'black')).toHaveLength(18);
+
+    // Une copie garde l'effet et annule ses coups sans toucher à l'original
+    const copy = game.board.clone();
+    expect(MoveGenerator.generateLegalMoves(copy, 'black')).toHaveLength(18);
+    copy.unmakeMove();
+    expect(copy.powerEffects).toHaveLength(0);
+    expect(copy.toFEN()).toBe(game.initialFen);
+    expect(game.getActivePowerEffects()).toHaveLength(1);
+    expect(game.board.getPiece(7, 6).type).toBe('N');
+
+    play(game, ['e5', 'd4']);
+    expect(game.makeMove('black', { notation: 'Nf6' }).success).toBe(false);
+    play(game, ['d5', 'c4', 'Nf6']);
+  });
+
+  it('limite les utilisations par les charges et le temps de recharge', () => {
+    const game = createGame(['double-step']);
+    play(game, ['e3', 'a6']);
+    expect(game.usePower('white', { name: 'double-step', squares: ['e3', 'e6'] }).error).toBe('INVALID_POWER_TARGET');
+
+    const result = game.usePower('white', { name: 'double-step', squares: ['e3', 'e5'] });
+    expect(result.move.notation).toBe('D:e3-e5');
+    expect(game.board.enPassantTarget).toBeNull();
+    expect(game.powers.white[0]).toMatchObject({ charges: 1, cooldownUntilPly: 7, used: true });
+
+    play(game, ['a5']);
+    expect(game.makeMove('white', { notation: 'D:d2-d4' }).error).toBe('POWER_ON_COOLDOWN');
+    play(game, ['h3', 'h6', 'g3', 'g6', 'D:d2-d4', 'b6']);
+    expect(game.makeMove('white', { notation: 'D:c2-c4' }).error).toBe('POWER_NOT_AVAILABLE');
+
+    const replay = PGNParser.replay(PGNParser.parse(game.toPGN())[0]);
+    expect(replay.isValid).toBe(true);
+    expect(replay.board.toFEN()).toBe(game.board.toFEN());
+
+    game.undoLastMove();
+    game.undoLastMove();
+    expect(game.powers.white[0]).toMatchObject({ charges: 1, cooldownUntilPly: 7 });
+  });
+});
@@ -0,0 +1,64 @@
+const PowerSimulator = require('../../engine/powers/PowerSimulator');
+const PowerDraft = require('../../engine/powers/PowerDraft');
+
+const createSimulator = (options = {}) => new PowerSimulator({
+  depth: 1,
+  games: 2,
+  maxPlies: 16,
+  seed: 42,
+  ...options
+});
+
+describe('Simulateur d\'équilibrage des pouvoirs', () => {
+  it('rejoue les mêmes parties à partir de la graine', () => {
+    const loadouts = { white: ['shield', 'double-step'], black: ['teleportation', 'freeze'] };
+    const [first] = createSimulator({ loadouts }).playGames(1, 2);
+    const [replay] = createSimulator({ loadouts }).playGames(1, 2);
+
+    expect(replay).toEqual(first);
+    expect(first).toMatchObject({ index: 1, seed: 43, loadouts });
+    expect(first.plies).toBeLessThanOrEqual(16);
+    first.powerUses.forEach(use => expect(loadouts[use.color]).toContain(use.name));
+  });
+
+  it('tire au sort les pouvoirs du camp qui n\'en reçoit pas', () => {
+    const [record] = createSimulator({ loadouts: { white: ['shield', 'freeze'] }, maxPlies: 6 }).playGames(0, 1);
+    expect(record.loadouts.white).toEqual(['shield', 'freeze']);
+    expect(record.loadouts.black).toEqual(PowerDraft.drawLoadouts(42).black);
+
+    expect(() => createSimulator({ loadouts: { white: ['shield'], black: ['freeze'] } }))
+      .toThrow('Les blancs doivent recevoir 2 pouvoirs');
+    expect(() => createSimulator({ loadouts: { black: ['shield', 'lightning'] } }))
+      .toThrow('Pouvoir inconnu: lightning');
+  });
+
+  it('fait le bilan par pouvoir et par camp, en JSON et en CSV', () => {
+    const records = [
+      { winner: 'white', reason: 'checkmate', plies: 40, loadouts: { white: ['shield'], black: ['freeze'] },
+        powerUses: [{ color: 'white', name: 'shield', ply: 11 }] },
+      { winner: null, reason: 'max_plies', plies: 60, loadouts: { white: ['freeze'], black: ['shield'] },
+        powerUses: [{ color: 'black', name: 'shield', ply: 20 }, { color: 'white', name: 'freeze', ply: 31 }] }
+    ];
+    const report = PowerSimulator.summarize(records, createSimulator().options);
+
+    expect(report.results).toMatchObject({ whiteWins: 1, blackWins: 0, draws: 1, whiteWinRate: 0.5 });
+    expect(report.averagePlies).toBe(50);
+    expect(report.endReasons).toEqual({ checkmate: 1, max_plies: 1 });
+    expect(report.powers.map(row => `${row.power}:${row.color}`)).toEqual(
+      ['*:white', '*:black', 'shield:white', 'shield:black', 'freeze:white', 'freeze:black']);
+    expect(report.powers.find(row => row.power === 'freeze' && row.color === 'black')).toMatchObject({
+      games: 1, losses: 1, lossRate: 1, uses: 0, averageUsePly: null, unusedRate: 1
+    });
+
+    const lines = PowerSimulator.toCSV(report).trim().split('\n');
+    expect(lines).toHaveLength(7);
+    expect(lines[0]).toMatch(/^power,color,games,wins/);
+    expect(lines[1]).toBe('*,white,2,1,1,0,0.5,0.5,0,50,2,21,');
+  });
+
+  it('joue aussi les variantes sans pouvoirs', () => {
+    const report = createSimulator({ variant: 'standard', games: 1 }).run();
+    expect(report.games).toBe(1);
+    expect(report.powers.every(row => row.power === '*' && row.uses === 0)).toBe(true);
+  });
+});
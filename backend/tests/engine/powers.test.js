@@ -0,0 +1,108 @@
+const Board = require('../../engine/board/Board');
+const Game = require('../../engine/Game');
+const PowerManager = require('../../engine/powers/PowerManager');
+const PowerRegistry = require('../../engine/powers/PowerRegistry');
+const PGNParser = require('../../engine/pgn/PGNParser');
+
+const createGame = (powers, fen) => {
+  const game = new Game('white', 'black', { variant: 'powers', fen });
+  game.powers.white = powers.map(name => PowerRegistry.get(name).createState());
+  game.powers.black = powers.map(name => PowerRegistry.get(name).createState());
+  return game;
+};
+
+describe('Pouvoirs spéciaux', () => {
+  it('téléporte une pièce sur une case vide et enregistre le pouvoir', () => {
+    const game = createGame(['teleportation']);
+
+    const result = game.usePower('white', { name: 'teleportation', squares: ['b1', 'e5'] });
+    expect(result.success).toBe(true);
+    expect(result.move.notation).toBe('T:Nb1-e5');
+    expect(result.move.power).toEqual({ name: 'teleportation', squares: ['b1', 'e5'] });
+    expect(game.board.getPiece(4, 4)).toMatchObject({ type: 'N', color: 'white' });
+    expect(game.board.getPiece(0, 1)).toBeNull();
+    expect(game.powers.white[0].used).toBe(true);
+    expect(game.currentTurn).toBe('black');
+
+    expect(game.usePower('white', { name: 'teleportation', squares: ['g1', 'f5'] }).error).toBe('NOT_YOUR_TURN');
+    game.makeMove('black', { notation: 'e6' });
+    expect(game.usePower('white', { name: 'teleportation', squares: ['g1', 'f5'] }).error).toBe('POWER_NOT_AVAILABLE');
+  });
+
+  it('échange deux pièces du joueur en conservant le hachage', () => {
+    const game = createGame(['exchange']);
+    const hash = game.board.hash;
+
+    const result = game.usePower('white', { name: 'exchange', squares: ['b1', 'd1'] });
+    expect(result.success).toBe(true);
+    expect(result.move.notation).toBe('X:Nb1-Qd1');
+    expect(game.board.getPiece(0, 1).type).toBe('Q');
+    expect(game.board.getPiece(0, 3).type).toBe('N');
+    expect(game.board.castlingRights.white.queenside).toBe(true);
+    expect(game.board.hash).toBe(Board.fromFEN(game.board.toFEN(), { variant: 'powers' }).hash);
+
+    expect(game.undoLastMove().success).toBe(true);
+    expect(game.board.hash).toBe(hash);
+    expect(game.powers.white[0].used).toBe(false);
+  });
+
+  it('refuse un pouvoir qui laisse le roi en échec ou qui donne échec', () => {
+    const game = createGame(['teleportation', 'exchange'], '4k3/8/8/8/8/8/3N4/r3K2R w - - 0 1');
+
+    expect(game.usePower('white', { name: 'teleportation', squares: ['d2', 'c4'] }).error).toBe('KING_IN_CHECK');
+    expect(game.usePower('white', { name: 'teleportation', squares: ['h1', 'b8'] }).error).toBe('KING_IN_CHECK');
+
+    // Un pouvoir peut parer l'échec, mais pas en donnant échec
+    expect(game.usePower('white', { name: 'exchange', squares: ['e1', 'h1'] }).error).toBe('POWER_GIVES_CHECK');
+    expect(game.usePower('white', { name: 'teleportation', squares: ['h1', 'd1'] }).success).toBe(true);
+
+    const checking = createGame(['teleportation']);
+    expect(checking.usePower('white', { name: 'teleportation', squares: ['b1', 'd6'] }).error).toBe('POWER_GIVES_CHECK');
+  });
+
+  it('rend une pièce invisible pour une durée en demi-coups', () => {
+    const game = createGame(['invisibility']);
+
+    expect(game.usePower('white', { name: 'invisibility', squares: ['e1'] }).error).toBe('INVALID_POWER_TARGET');
+    const result = game.usePower('white', { name: 'invisibility', squares: ['g1'] });
+    expect(result.success).toBe(true);
+    expect(result.move.notation).toBe('I:Ng1');
+    expect(result.gameState.powerEffects).toEqual([
+      { name: 'invisibility', color: 'white', square: 'g1', remainingPlies: 4 }
+    ]);
+
+    for (const notation of ['e5', 'Nf3', 'd5']) {
+      game.makeMove(game.currentTurn, { notation });
+    }
+    expect(game.getGameState().powerEffects[0]).toMatchObject({ square: 'f3', remainingPlies: 1 });
+    game.makeMove('white', { notation: 'd4' });
+    expect(game.getGameState().powerEffects).toEqual([]);
+  });
+
+  it('refuse les pouvoirs hors variante et les cibles invalides', () => {
+    const standard = new Game('white', 'black');
+    expect(standard.usePower('white', { name: 'teleportation', squares: ['b1', 'e5'] }).error).toBe('POWERS_NOT_ALLOWED');
+    expect(standard.makeMove('white', { notation: 'T:Nb1-e5' }).error).toBe('POWERS_NOT_ALLOWED');
+
+    const board = Board.fromFEN('4k3/8/8/8/8/8/4P3/4K3 w - - 0 1', { variant: 'powers' });
+    expect(PowerManager.validate(board, 'white', { name: 'teleportation', squares: ['e2', 'e8'] }).reason).toBe('SQUARE_OCCUPIED');
+    expect(PowerManager.validate(board, 'white', { name: 'teleportation', squares: ['e2', 'a8'] }).reason).toBe('INVALID_PAWN_SQUARE');
+    expect(PowerManager.validate(board, 'white', { name: 'teleportation', squares: ['e8', 'a5'] }).reason).toBe('INVALID_POWER_TARGET');
+    expect(PowerManager.validate(board, 'white', { name: 'flight', squares: ['e2'] }).reason).toBe('UNKNOWN_POWER');
+  });
+
+  it('rejoue les pouvoirs notés dans l\'historique et le PGN', () => {
+    const game = createGame(['teleportation', 'exchange']);
+    expect(game.makeMove('white', { notation: 'T:Nb1-e5' }).success).toBe(true);
+    expect(game.makeMove('black', { notation: 'X:Ng8-Qd8' }).success).toBe(true);
+    expect(game.makeMove('white', { notation: 'd4' }).success).toBe(true);
+
+    const [parsed] = PGNParser.parse(game.toPGN());
+    const replay = PGNParser.replay(parsed);
+    expect(replay.isValid).toBe(true);
+    expect(replay.moves[0].power).toEqual({ name: 'teleportation', squares: ['b1', 'e5'] });
+    expect(replay.moves[1].power).toEqual({ name: 'exchange', squares: ['g8', 'd8'] });
+    expect(replay.moves[2].power).toBeNull();
+    expect(replay.board.toFEN()).toBe(game.board.toFEN());
+  });
+});
@@ -0,0 +1,52 @@
+const Board = require('../../engine/board/Board');
+const MoveParser = require('../../engine/moves/MoveParser');
+const SearchEngine = require('../../engine/ai/SearchEngine');
+
+const search = (fen, options = { maxDepth: 6, timeLimit: 30000 }) => {
+  const board = Board.fromFEN(fen);
+  const result = new SearchEngine(options).search(board);
+
+  // La recherche rend l'échiquier dans l'état où elle l'a trouvé
+  expect(board.toFEN()).toBe(fen);
+  expect(board.moveHistory).toHaveLength(0);
+  return { ...result, uci: result.move && MoveParser.toUCI(result.move) };
+};
+
+describe('Moteur de recherche', () => {
+  it('trouve les mats les plus courts', () => {
+    const mateInOne = search('6k1/5ppp/8/8/8/8/8/R5K1 w - - 0 1');
+    expect(mateInOne.uci).toBe('a1a8');
+    expect(SearchEngine.getMateDistance(mateInOne.score)).toBe(1);
+
+    // Sans mat immédiat : le roi blanc enlève b8 au roi noir avant que la tour ne mate en a1
+    const mateInTwo = search('k7/8/2K5/8/8/8/8/1R6 w - - 0 1');
+    expect(SearchEngine.getMateDistance(mateInTwo.score)).toBe(2);
+    expect(mateInTwo.pv.map(MoveParser.toUCI)).toEqual(['c6c7', 'a8a7', 'b1a1']);
+
+    const mated = search('1k6/8/1K6/8/8/8/8/7R b - - 0 1');
+    expect(SearchEngine.getMateDistance(mated.score)).toBe(-2);
+    expect(mated.score).toBe(SearchEngine.getMateScore(-2));
+  });
+
+  it('prend le matériel laissé en prise et s\'arrête sans coup légal', () => {
+    const capture = search('k7/8/8/3q4/8/8/8/K2R4 w - - 0 1', { maxDepth: 3, timeLimit: 30000 });
+    expect(capture.uci).toBe('d1d5');
+    expect(capture.score).toBeGreaterThan(400);
+
+    const stalemate = search('k7/2Q5/1K6/8/8/8/8/8 b - - 0 1');
+    expect(stalemate).toMatchObject({ move: null, score: 0, depth: 0 });
+  });
+
+  it('respecte le temps de réflexion et règle les niveaux de difficulté', () => {
+    const infos = [];
+    const result = search('r3k2r/p1ppqpb1/bn2pnp1/3PN3/1p2P3/2N2Q1p/PPPBBPPP/R3K2R w KQkq - 0 1',
+      { timeLimit: 200, onInfo: info => infos.push(info) });
+    expect(result.move).not.toBeNull();
+    expect(result.depth).toBeLessThan(64);
+    expect(infos.map(info => info.depth)).toEqual(Array.from({ length: result.depth }, (_, i) => i + 1));
+
+    expect(SearchEngine.getDifficultyLevels()).toEqual(['beginner', 'easy', 'medium', 'hard', 'expert']);
+    expect(SearchEngine.fromDifficulty('hard')).toMatchObject({ maxDepth: 5, timeLimit: 2000, randomness: 0 });
+    expect(SearchEngine.getDifficultySettings('inconnu')).toEqual(SearchEngine.getDifficultySettings('medium'));
+  });
+});
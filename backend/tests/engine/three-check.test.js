@@ -0,0 +1,43 @@
+const Board = require('../../engine/board/Board');
+const { createGame, play } = require('../helpers/game');
+
+describe('Trois échecs', () => {
+  it('compte les échecs donnés dans la partie et la FEN', () => {
+    const game = createGame('three_check');
+    play(game, ['e4', 'f5', 'Qh5+', 'g6']);
+
+    expect(game.getGameState().checks).toEqual({ white: 1, black: 0 });
+    expect(game.board.toFEN()).toBe('rnbqkbnr/ppppp2p/6p1/5p1Q/4P3/8/PPPP1PPP/RNB1KBNR w KQkq - 0 3 +1+0');
+  });
+
+  it('gagne la partie au troisième échec', () => {
+    const game = createGame('three_check', '4k3/8/8/8/8/8/8/R3K3 w - - 0 1 +2+0');
+    expect(game.getGameState().checks).toEqual({ white: 2, black: 0 });
+
+    const result = game.makeMove('white', { notation: 'Ra8+' });
+    expect(result.move.isCheck).toBe(true);
+    expect(result.move.isCheckmate).toBe(false);
+    expect(game.status).toBe('finished');
+    expect(game.result).toBe('1-0');
+    expect(game.resultReason).toBe('three_checks');
+  });
+
+  it('restaure les échecs donnés et le hachage à l\'annulation', () => {
+    const board = Board.fromFEN('4k3/8/8/8/8/8/8/R3K3 w - - 0 1 +1+2', { variant: 'three_check' });
+    const fen = board.toFEN();
+    const hash = board.hash;
+
+    board.makeMove({ fromRank: 0, fromFile: 0, toRank: 7, toFile: 0 });
+    expect(board.checkCounts.white).toBe(2);
+    expect(board.hash).toBe(Board.fromFEN(board.toFEN(), { variant: 'three_check' }).hash);
+    board.unmakeMove();
+
+    expect(board.toFEN()).toBe(fen);
+    expect(board.hash).toBe(hash);
+  });
+
+  it('refuse un nombre d\'échecs invalide', () => {
+    expect(Board.validateFEN('4k3/8/8/8/8/8/8/R3K3 w - - 0 1 +4+0', { variant: 'three_check' }).isValid).toBe(false);
+    expect(Board.validateFEN('4k3/8/8/8/8/8/8/R3K3 w - - 0 1 +1+0').isValid).toBe(false);
+  });
+});
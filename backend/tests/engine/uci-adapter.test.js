@@ -0,0 +1,107 @@
+const path = require('path');
+const UCIAdapter = require('../../engine/uci/UCIAdapter');
+const SearchEngine = require('../../engine/ai/SearchEngine');
+
+const FAKE_ENGINE = path.join(__dirname, '../fixtures/fake-uci-engine.js');
+const START_FEN = 'rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1';
+const MATE_IN_ONE_FEN = '6k1/5ppp/8/8/8/8/5PPP/R5K1 w - - 0 1';
+
+const createAdapter = (options = {}) => new UCIAdapter({
+  path: process.execPath,
+  args: [FAKE_ENGINE],
+  options,
+  restartDelay: 10
+});
+
+describe('UCIAdapter', () => {
+  let adapter;
+
+  afterEach(async () => {
+    await adapter.shutdown();
+  });
+
+  test('mène la poignée de main et retourne le meilleur coup', async () => {
+    adapter = createAdapter({ Threads: 2, Hash: 32 });
+    const result = await adapter.search({ fen: START_FEN, maxDepth: 3 });
+
+    expect(adapter.name).toBe('Fake UCI Engine');
+    expect(adapter.availableOptions).toEqual(['Threads', 'Hash', 'MultiPV']);
+    expect(result.bestMove).toBe('e2e4');
+    expect(result.ponder).toBe('e7e5');
+    expect(result.move).toEqual({ fromRank: 1, fromFile: 4, toRank: 3, toFile: 4, promotion: undefined });
+    expect(result.depth).toBe(3);
+    expect(result.score).toBe(30);
+    expect(result.pv).toHaveLength(2);
+  });
+
+  test('calcule plusieurs variantes avec MultiPV', async () => {
+    adapter = createAdapter({ MultiPV: 3 });
+
+    const configured = await adapter.search({ fen: START_FEN, maxDepth: 3 });
+    expect(configured.lines.map(line => line.pv[0])).toEqual(['e2e4', 'd2d4', 'g1f3']);
+    expect(configured.lines.map(line => line.score)).toEqual([30, 20, 10]);
+
+    const requested = await adapter.search({ fen: START_FEN, maxDepth: 3, multiPV: 2 });
+    expect(requested.lines).toHaveLength(2);
+  });
+
+  test('convertit les scores de mat', async () => {
+    adapter = createAdapter();
+    const result = await adapter.search({ fen: MATE_IN_ONE_FEN, maxDepth: 3 });
+
+    expect(result.bestMove).toBe('a1a8');
+    expect(result.score).toBe(SearchEngine.getMateScore(1));
+    expect(SearchEngine.getMateDistance(result.score)).toBe(1);
+  });
+
+  test('transmet les itérations à onInfo', async () => {
+    adapter = createAdapter();
+    const depths = [];
+    await adapter.search({ fen: START_FEN, maxDepth: 3 }, { onInfo: info => depths.push(info.depth) });
+
+    expect(depths).toEqual([1, 2, 3]);
+  });
+
+  test('stop renvoie le meilleur coup, cancel rejette la recherche', async () => {
+    adapter = createAdapter();
+
+    const stopped = adapter.search({ fen: START_FEN, timeLimit: 5000 }, { tag: 'game-1' });
+    setTimeout(() => adapter.stop('game-1'), 100);
+    await expect(stopped).resolves.toMatchObject({ bestMove: 'e2e4' });
+
+    const searches = [
+      adapter.search({ fen: START_FEN, timeLimit: 5000 }, { tag: 'game-2' }),
+      adapter.search({ fen: START_FEN, timeLimit: 5000 }, { tag: 'game-2' })
+    ];
+    setTimeout(() => adapter.cancel('game-2'), 100);
+    const results = await Promise.allSettled(searches);
+    expect(results.map(result => result.reason && result.reason.code)).toEqual(['SEARCH_CANCELLED', 'SEARCH_CANCELLED']);
+  });
+
+  test('relance le moteur après un plantage', async () => {
+    adapter = createAdapter();
+
+    const crashed = adapter.search({ fen: START_FEN, timeLimit: 5000 });
+    setTimeout(() => adapter.send('crash'), 100);
+    await expect(crashed).rejects.toMatchObject({ code: 'ENGINE_CRASHED' });
+
+    const result = await adapter.search({ fen: START_FEN, maxDepth: 3 });
+    expect(result.bestMove).toBe('e2e4');
+    expect(adapter.getStats().running).toBe(true);
+  });
+
+  test('analyse les lignes info', () => {
+    expect(UCIAdapter.parseInfo('info depth 18 seldepth 25 multipv 2 score cp -35 lowerbound nodes 123456 nps 900000 time 137 pv e7e5 g1f3 b8c6')).toEqual({
+      depth: 18,
+      seldepth: 25,
+      multipv: 2,
+      score: { type: 'cp', value: -35, bound: 'lowerbound' },
+      nodes: 123456,
+      nps: 900000,
+      time: 137,
+      pv: ['e7e5', 'g1f3', 'b8c6']
+    });
+    expect(UCIAdapter.parseInfo('info string NNUE evaluation enabled')).toEqual({ string: 'NNUE evaluation enabled' });
+    expect(UCIAdapter.parseInfo('bestmove e2e4')).toBeNull();
+  });
+});
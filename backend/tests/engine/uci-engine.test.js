@@ -0,0 +1,116 @@
+const path = require('path');
+const { spawn } = require('child_process');
+const UCIEngine = require('../../engine/uci/UCIEngine');
+
+const UCI_SCRIPT = path.join(__dirname, '../../scripts/uci.js');
+
+// Moteur dont les réponses sont relevées ; next(pattern) attend la prochaine
+// ligne correspondante
+const createEngine = () => {
+  const lines = [];
+  const waiting = [];
+  const engine = new UCIEngine(line => {
+    lines.push(line);
+    waiting.filter(wait => wait.pattern.test(line)).forEach(wait => {
+      waiting.splice(waiting.indexOf(wait), 1);
+      wait.resolve(line);
+    });
+  });
+  const next = pattern => new Promise(resolve => waiting.push({ pattern, resolve }));
+  return { engine, lines, next };
+};
+
+describe('Interface UCI', () => {
+  let uci;
+
+  beforeEach(() => {
+    uci = createEngine();
+  });
+
+  afterEach(async () => {
+    await uci.engine.handleCommand('quit');
+  });
+
+  it('se présente et répond aux commandes de contrôle', async () => {
+    await uci.engine.handleCommand('uci');
+    await uci.engine.handleCommand('isready');
+    await uci.engine.handleCommand('setoption name UCI_Chess960 value true');
+    await uci.engine.handleCommand('setoption name Hash value 16');
+    await uci.engine.handleCommand('xboard');
+
+    expect(uci.lines).toEqual([
+      'id name AX Chess',
+      'id author AX Chess Team',
+      'option name UCI_Chess960 type check default false',
+      'uciok',
+      'readyok',
+      'info string Option inconnue: Hash',
+      'info string Commande inconnue: xboard'
+    ]);
+    expect(uci.engine.chess960).toBe(true);
+  });
+
+  it('installe les positions et signale les coups refusés', async () => {
+    await uci.engine.handleCommand('position startpos moves e2e4 e7e5 g1f3');
+    expect(uci.engine.board.toFEN()).toBe('rnbqkbnr/pppp1ppp/8/4p3/4P3/5N2/PPPP1PPP/RNBQKB1R b KQkq - 1 2');
+
+    await uci.engine.handleCommand('position startpos moves e2e4 e2e4 g1f3');
+    expect(uci.lines[0]).toMatch(/^info string Coup illégal: e2e4/);
+    expect(uci.engine.board.toFEN()).toBe('rnbqkbnr/pppppppp/8/8/4P3/8/PPPP1PPP/RNBQKBNR b KQkq e3 0 1');
+
+    await uci.engine.handleCommand('position fen 8/8/8/8/8/8/8/8 w - - 0 1');
+    expect(uci.lines[1]).toBe('info string FEN invalide: FEN invalide: Roi blanc manquant');
+  });
+
+  it('cherche jusqu\'à la profondeur demandée puis donne le meilleur coup', async () => {
+    await uci.engine.handleCommand('position fen 6k1/5ppp/8/8/8/8/8/R5K1 w - - 0 1');
+    const bestMove = uci.next(/^bestmove/);
+    await uci.engine.handleCommand('go depth 3');
+
+    expect(await bestMove).toBe('bestmove a1a8');
+    expect(uci.lines[0]).toMatch(/^info depth 1 score mate 1 nodes \d+ nps \d+ time \d+ pv a1a8$/);
+  });
+
+  it('n\'envoie bestmove qu\'après stop en analyse infinie', async () => {
+    await uci.engine.handleCommand('position startpos');
+    const firstInfo = uci.next(/^info depth 1 /);
+    await uci.engine.handleCommand('go infinite');
+    await firstInfo;
+
+    await uci.engine.handleCommand('go depth 1');
+    expect(uci.lines).toContain('info string Recherche déjà en cours');
+    expect(uci.lines.some(line => line.startsWith('bestmove'))).toBe(false);
+
+    const bestMove = uci.next(/^bestmove/);
+    await uci.engine.handleCommand('stop');
+    expect(await bestMove).toMatch(/^bestmove [a-h][1-8][a-h][1-8]/);
+  });
+
+  it('répartit le temps de la pendule', () => {
+    const params = UCIEngine.parseGoParameters(['wtime', '60000', 'btime', '30000', 'winc', '1000', 'movestogo', '20']);
+    expect(params).toEqual({ infinite: false, wtime: 60000, btime: 30000, winc: 1000, movestogo: 20 });
+    expect(UCIEngine.computeTimeLimit(params, 'white')).toBe(3750);
+    expect(UCIEngine.computeTimeLimit(params, 'black')).toBe(1500);
+    expect(UCIEngine.computeTimeLimit({ movetime: 500 }, 'white')).toBe(400);
+    expect(UCIEngine.computeTimeLimit({ wtime: 50 }, 'white')).toBe(10);
+    expect(UCIEngine.computeTimeLimit({ depth: 5 }, 'white')).toBe(Infinity);
+  });
+
+  it('dialogue par l\'entrée et la sortie standard', async () => {
+    const child = spawn(process.execPath, [UCI_SCRIPT], { stdio: ['pipe', 'pipe', 'inherit'] });
+    let output = '';
+    child.stdout.on('data', data => {
+      output += data;
+    });
+    const exit = new Promise(resolve => child.on('exit', resolve));
+
+    child.stdin.write('uci\nisready\nposition startpos moves e2e4\ngo depth 1\n');
+    while (!output.includes('bestmove')) {
+      await new Promise(resolve => setTimeout(resolve, 50));
+    }
+    child.stdin.end('quit\n');
+
+    expect(await exit).toBe(0);
+    expect(output).toMatch(/uciok\nreadyok\ninfo depth 1 .*\nbestmove [a-h][1-8][a-h][1-8]\n/);
+  }, 20000);
+});
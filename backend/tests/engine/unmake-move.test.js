@@ -0,0 +1,64 @@
+const Board = require('../../engine/board/Board');
+const { createGame, play } = require('../helpers/game');
+
+// Joue un coup puis l'annule : la position doit revenir à l'identique
+const playAndUndo = (fen, notation, expectedFen) => {
+  const game = createGame('standard', fen);
+  const { hash } = game.board;
+  play(game, [notation]);
+  expect(game.board.toFEN()).toBe(expectedFen);
+
+  expect(game.undoLastMove().success).toBe(true);
+  expect(game.board.toFEN()).toBe(fen);
+  expect(game.board.hash).toBe(hash);
+  return game;
+};
+
+describe('Annulation des coups', () => {
+  it('remet le roi et la tour du roque à leur place, avec les droits de roque', () => {
+    const fen = 'r3k2r/8/8/8/8/8/8/R3K2R w KQkq - 5 10';
+    const game = playAndUndo(fen, 'O-O', 'r3k2r/8/8/8/8/8/8/R4RK1 b kq - 6 10');
+    expect(game.board.getPiece(0, 7)).toMatchObject({ type: 'R', hasMoved: false });
+
+    // Les deux roques restent jouables après l'annulation
+    play(game, ['O-O-O', 'O-O']);
+    expect(game.board.toFEN()).toBe('r4rk1/8/8/8/8/8/8/2KR3R w - - 7 11');
+    game.undoLastMove();
+    game.undoLastMove();
+    expect(game.board.toFEN()).toBe(fen);
+    expect(game.currentTurn).toBe('white');
+  });
+
+  it('rend le pion pris en passant sur sa case', () => {
+    const fen = 'rnbqkbnr/ppp1p1pp/8/3pPp2/8/8/PPPP1PPP/RNBQKBNR w KQkq f6 0 3';
+    const game = playAndUndo(fen, 'exf6', 'rnbqkbnr/ppp1p1pp/5P2/3p4/8/8/PPPP1PPP/RNBQKBNR b KQkq - 0 3');
+    expect(game.board.getPiece(4, 5)).toMatchObject({ type: 'P', color: 'black' });
+    expect(game.board.getPiece(5, 5)).toBeNull();
+  });
+
+  it('retransforme la pièce promue en pion et rend la pièce prise', () => {
+    const fen = '1r5k/P7/8/8/8/8/8/K7 w - - 3 40';
+    const game = playAndUndo(fen, 'axb8=N', '1N5k/8/8/8/8/8/8/K7 b - - 0 40');
+    expect(game.board.getPiece(6, 0)).toMatchObject({ type: 'P', color: 'white' });
+    expect(game.board.getPiece(7, 1)).toMatchObject({ type: 'R', color: 'black' });
+
+    expect(() => Board.fromFEN(fen).unmakeMove()).toThrow('Aucun coup à annuler');
+  });
+
+  it('rouvre une partie terminée par le coup annulé', () => {
+    const game = createGame();
+    expect(game.undoLastMove()).toMatchObject({ success: false, message: 'Aucun coup à annuler' });
+
+    play(game, ['f3', 'e5', 'g4', 'Qh4#']);
+    expect(game.resultReason).toBe('checkmate');
+    expect(game.stats.checks.black).toBe(1);
+
+    expect(game.undoLastMove().success).toBe(true);
+    expect(game).toMatchObject({ status: 'active', resultReason: null, currentTurn: 'black' });
+    expect(game.stats).toMatchObject({ totalMoves: 3, checks: { black: 0 } });
+    expect(game.board.toFEN()).toBe('rnbqkbnr/pppp1ppp/8/4p3/6P1/5P2/PPPPP2P/RNBQKBNR b KQkq g3 0 2');
+
+    play(game, ['Qh4#']);
+    expect(game.status).toBe('finished');
+  });
+});
@@ -0,0 +1,83 @@
+const Board = require('../../engine/board/Board');
+const Game = require('../../engine/Game');
+const SearchEngine = require('../../engine/ai/SearchEngine');
+const Variant = require('../../engine/variants/Variant');
+const VariantRegistry = require('../../engine/variants/VariantRegistry');
+const { STARTING_FEN } = require('../../../shared/constants/chess-notation');
+
+// Variante de test : seuls les pions se déplacent, et amener un pion en
+// quatrième rangée gagne la partie
+class PawnRaceVariant extends Variant {
+  constructor() {
+    super('pawn_race');
+  }
+
+  addPieceMoves(board, piece, moves) {
+    if (piece.type === 'P') {
+      super.addPieceMoves(board, piece, moves);
+    }
+  }
+
+  getSpecialOutcome(board) {
+    for (const [color, rank] of [['white', 3], ['black', 4]]) {
+      if (board.squares[rank].some(piece => piece && piece.type === 'P' && piece.color === color)) {
+        return { winner: color, reason: 'pawn_race' };
+      }
+    }
+    return null;
+  }
+}
+
+const createGame = (variant) => {
+  const game = new Game('white', 'black');
+  game.rules = game.board.rules = variant;
+  return game;
+};
+
+describe('Variantes', () => {
+  it('enregistre les variantes disponibles', () => {
+    expect(VariantRegistry.getNames()).toEqual(expect.arrayContaining(['standard', 'powers', 'chess960', 'atomic', 'horde', 'crazyhouse', 'king_of_the_hill', 'three_check', 'antichess']));
+    expect(() => VariantRegistry.get('unknown')).toThrow('Variante inconnue: unknown');
+  });
+
+  it('choisit la position de départ et les pouvoirs selon la variante', () => {
+    const standard = new Game('white', 'black');
+    expect(standard.initialFen).toBe(STARTING_FEN);
+    expect(standard.powers).toEqual({ white: [], black: [] });
+
+    const powers = new Game('white', 'black', { variant: 'powers' });
+    expect(powers.board.rules.name).toBe('powers');
+    expect(powers.powers.white).toHaveLength(2);
+
+    const chess960 = new Game('white', 'black', { variant: 'chess960', startPosition: 0 });
+    expect(chess960.board.chess960).toBe(true);
+    expect(chess960.initialFen).toBe('bbqnnrkr/pppppppp/8/8/8/8/PPPPPPPP/BBQNNRKR w KQkq - 0 1');
+  });
+
+  it('conserve les règles de la variante sur les copies de l\'échiquier', () => {
+    const board = Board.fromFEN(STARTING_FEN, { variant: 'powers' });
+    expect(board.clone().rules).toBe(VariantRegistry.get('powers'));
+  });
+
+  it('applique la génération de coups et les fins de partie de la variante', () => {
+    const game = createGame(new PawnRaceVariant());
+
+    expect(game.validator.getAllLegalMoves('white')).toHaveLength(16);
+    expect(game.makeMove('white', { notation: 'Nf3' }).success).toBe(false);
+
+    game.makeMove('white', { notation: 'e4' });
+    expect(game.status).toBe('finished');
+    expect(game.result).toBe('1-0');
+    expect(game.resultReason).toBe('pawn_race');
+  });
+
+  it('fait chercher le moteur avec les règles de la variante', () => {
+    // Toute avance d'un pion de deux cases gagne immédiatement
+    const board = new Board();
+    board.rules = new PawnRaceVariant();
+
+    const result = new SearchEngine({ maxDepth: 2, timeLimit: 1000 }).search(board);
+    expect(result.move.toRank).toBe(3);
+    expect(SearchEngine.getMateDistance(result.score)).toBe(1);
+  });
+});
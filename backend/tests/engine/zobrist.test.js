@@ -0,0 +1,82 @@
+const Board = require('../../engine/board/Board');
+const Zobrist = require('../../engine/board/Zobrist');
+const MoveGenerator = require('../../engine/moves/MoveGenerator');
+const { STARTING_FEN } = require('../../../shared/constants/chess-notation');
+const { createGame, play } = require('../helpers/game');
+
+// Positions riches en roques, prises en passant, promotions et parachutages
+const POSITIONS = [
+  { fen: 'r3k2r/p1ppqpb1/bn2pnp1/3PN3/1p2P3/2N2Q1p/PPPBBPPP/R3K2R w KQkq - 0 1' },
+  { fen: 'r3k2r/Pppp1ppp/1b3nbN/nP6/BBP1P3/q4N2/Pp1P2PP/R2Q1RK1 w kq - 0 1' },
+  { fen: 'rnbqkbnr/ppp1p1pp/8/3pPp2/8/8/PPPP1PPP/RNBQKBNR w KQkq f6 0 3' },
+  { fen: 'r1bqk2r/pppp1ppp/2n2n2/4p3/1bB1P3/2N2N2/PPPP1PPP/R1BQK2R[Pp] w KQkq - 0 1', variant: 'crazyhouse' },
+  { fen: 'rnbqkbnr/pppp1ppp/8/4p3/4P3/8/PPPP1PPP/RNBQKBNR w KQkq - 0 2 +1+0', variant: 'three_check' }
+];
+
+// Joue des coups légaux tirés au sort (graine fixe) et relève après chacun
+// le hachage incrémental et le hachage complet
+const playout = (board, plies, seed) => {
+  const hashes = [];
+  for (let ply = 0; ply < plies; ply++) {
+    const moves = MoveGenerator.generateLegalMoves(board, board.activeColor);
+    if (moves.length === 0) break;
+    seed = (seed * 1103515245 + 12345) % 2147483648;
+    board.makeMove(moves[seed % moves.length]);
+    hashes.push({ fen: board.toFEN(), incremental: board.hash, full: Zobrist.computeHash(board) });
+  }
+  return hashes;
+};
+
+describe('Hachage de Zobrist', () => {
+  it('met à jour le hachage coup par coup comme un calcul complet', () => {
+    for (const { fen, variant } of POSITIONS) {
+      for (const seed of [1, 2, 3]) {
+        const board = Board.fromFEN(fen, { variant });
+        const initial = board.hash;
+
+        for (const { fen: reached, incremental, full } of playout(board, 30, seed)) {
+          expect({ fen: reached, hash: incremental }).toEqual({ fen: reached, hash: full });
+        }
+
+        while (board.moveHistory.length > 0) {
+          board.unmakeMove();
+          expect(board.hash).toBe(Zobrist.computeHash(board));
+        }
+        expect(board.hash).toBe(initial);
+        expect(board.positionHistory).toEqual([initial]);
+      }
+    }
+  });
+
+  it('distingue le trait, les droits de roque et une prise en passant possible', () => {
+    const hash = (fen) => Board.fromFEN(fen).hash;
+    const start = hash(STARTING_FEN);
+
+    expect(hash(STARTING_FEN.replace(' w ', ' b '))).not.toBe(start);
+    expect(hash(STARTING_FEN.replace('KQkq', 'Qkq'))).not.toBe(start);
+
+    // La case en passant ne compte que si un pion peut prendre
+    const afterE4 = 'rnbqkbnr/pppppppp/8/8/4P3/8/PPPP1PPP/RNBQKBNR b KQkq - 0 1';
+    expect(hash(afterE4.replace(' - ', ' e3 '))).toBe(hash(afterE4));
+    const capturable = 'rnbqkbnr/ppp1pppp/8/8/3pP3/8/PPPP1PPP/RNBQKBNR b KQkq - 0 3';
+    expect(hash(capturable.replace(' - ', ' e3 '))).not.toBe(hash(capturable));
+  });
+
+  it('reconnaît une position atteinte par une autre suite de coups', () => {
+    const first = createGame();
+    const second = createGame();
+    play(first, ['Nf3', 'Nf6', 'Nc3', 'Nc6']);
+    play(second, ['Nc3', 'Nc6', 'Nf3', 'Nf6']);
+    expect(first.board.getPositionKey()).toBe(second.board.getPositionKey());
+
+    play(first, ['Nb1', 'Nb8', 'Nc3', 'Nc6']);
+    expect(first.board.getRepetitionCount()).toBe(2);
+    expect(first.getPositionHistory()[4]).toEqual({ hash: first.board.getPositionKey(), count: 2 });
+
+    // Après un coup de pion, le décompte repart de la nouvelle position
+    play(first, ['e4', 'e5']);
+    expect(first.board.getRepetitionCount()).toBe(1);
+    play(first, ['Nb1', 'Nb8', 'Nc3', 'Nc6']);
+    expect(first.board.getRepetitionCount()).toBe(2);
+  });
+});
@@ -0,0 +1,89 @@
+/**
+ * Faux moteur UCI pour les tests de UCIAdapter
+ * Répond instantanément aux recherches à profondeur fixe ; avec movetime,
+ * « réfléchit » jusqu'à stop ou la fin du temps. La commande non standard
+ * crash termine le processus avec une erreur
+ */
+
+const readline = require('readline');
+
+const options = { Threads: '1', Hash: '16', MultiPV: '1' };
+let fen = 'startpos';
+let thinking = null;
+
+const send = (line) => process.stdout.write(`${line}\n`);
+
+// Position de mat en un coup (Ta8#) reconnue par le faux moteur
+const MATE_IN_ONE_FEN = '6k1/5ppp/8/8/8/8/5PPP/R5K1 w - - 0 1';
+
+const CANDIDATES = {
+  white: [['e2e4', 'e7e5'], ['d2d4', 'd7d5'], ['g1f3', 'g8f6'], ['c2c4', 'e7e5'], ['b1c3', 'd7d5']],
+  black: [['e7e5', 'g1f3'], ['c7c5', 'g1f3'], ['e7e6', 'd2d4'], ['c7c6', 'd2d4'], ['g8f6', 'c2c4']]
+};
+
+const finishSearch = () => {
+  clearTimeout(thinking);
+  thinking = null;
+
+  if (fen === MATE_IN_ONE_FEN) {
+    send('info depth 1 multipv 1 score mate 1 nodes 20 time 1 pv a1a8');
+    send('bestmove a1a8');
+    return;
+  }
+
+  const lines = fen.split(' ')[1] === 'b' ? CANDIDATES.black : CANDIDATES.white;
+  const multiPV = Math.min(parseInt(options.MultiPV, 10), lines.length);
+
+  for (let depth = 1; depth <= 3; depth++) {
+    for (let k = 1; k <= multiPV; k++) {
+      send(`info depth ${depth} seldepth ${depth + 2} multipv ${k} score cp ${40 - 10 * k} nodes ${depth * 1000} nps 100000 time ${depth * 10} pv ${lines[k - 1].join(' ')}`);
+    }
+  }
+  send(`info string Threads ${options.Threads} Hash ${options.Hash}`);
+  send(`bestmove ${lines[0][0]} ponder ${lines[0][1]}`);
+};
+
+readline.createInterface({ input: process.stdin }).on('line', (line) => {
+  const tokens = line.trim().split(/\s+/);
+
+  switch (tokens[0]) {
+    case 'uci':
+      send('id name Fake UCI Engine');
+      send('id author AX Chess Tests');
+      send('option name Threads type spin default 1 min 1 max 8');
+      send('option name Hash type spin default 16 min 1 max 1024');
+      send('option name MultiPV type spin default 1 min 1 max 5');
+      send('uciok');
+      break;
+    case 'isready':
+      send('readyok');
+      break;
+    case 'setoption':
+      options[tokens[2]] = tokens[4];
+      break;
+    case 'position':
+      fen = tokens[1] === 'fen' ? tokens.slice(2, 8).join(' ') : 'startpos w';
+      break;
+    case 'go': {
+      const movetimeIndex = tokens.indexOf('movetime');
+      const movetime = movetimeIndex === -1 ? 0 : parseInt(tokens[movetimeIndex + 1], 10);
+      if (tokens.includes('depth') || movetime < 1000) {
+        finishSearch();
+      } else {
+        thinking = setTimeout(finishSearch, movetime);
+      }
+      break;
+    }
+    case 'stop':
+      if (thinking) finishSearch();
+      break;
+    case 'crash':
+      process.exit(1);
+      break;
+    case 'quit':
+      process.exit(0);
+      break;
+    default:
+      break;
+  }
+});
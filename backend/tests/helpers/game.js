@@ -0,0 +1,22 @@
+const Game = require('../../engine/Game');
+
+/**
+ * Crée une partie entre les joueurs 'white' et 'black'
+ * @param {string} [variant] - Variante (standard par défaut)
+ * @param {string} [fen] - Position de départ (celle de la variante par défaut)
+ * @returns {Game} La partie
+ */
+const createGame = (variant, fen) => new Game('white', 'black', { variant, fen });
+
+/**
+ * Joue des coups pour le camp au trait, chacun devant être accepté
+ * @param {Game} game - La partie
+ * @param {Array} notations - Coups en notation algébrique
+ */
+const play = (game, notations) => {
+  for (const notation of notations) {
+    expect(game.makeMove(game.currentTurn, { notation }).success).toBe(true);
+  }
+};
+
+module.exports = { createGame, play };
@@ -9,6 +9,9 @@ const FILES = ['a', 'b', 'c', 'd', 'e', 'f', 'g', 'h'];
 // Rangées de l'échiquier (ranks)  
 const RANKS = ['1', '2', '3', '4', '5', '6', '7', '8'];
 
+// Position de départ standard en notation FEN
+const STARTING_FEN = 'rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1';
+
 // Types de pièces en notation anglaise
 const PIECE_TYPES = {
   KING: 'K',
@@ -42,8 +45,19 @@ const GAME_END_REASONS = {
   STALEMATE: 'stalemate',
   INSUFFICIENT_MATERIAL: 'insufficient_material',
   THREEFOLD_REPETITION: 'threefold_repetition',
+  FIVEFOLD_REPETITION: 'fivefold_repetition',
   FIFTY_MOVE_RULE: 'fifty_move_rule',
-  ABANDONMENT: 'abandonment'
+  ABANDONMENT: 'abandonment',
+  EXPLOSION: 'explosion', // Échecs atomiques : roi détruit par une explosion
+  ALL_PIECES_CAPTURED: 'all_pieces_captured', // Horde, antichess : toutes les pièces d'un camp capturées
+  HILL_REACHED: 'hill_reached', // Roi de la colline : roi arrivé au centre
+  THREE_CHECKS: 'three_checks' // Trois échecs : troisième échec donné
+};
+
+// Colonnes d'arrivée du roi et de la tour pour chaque roque (échecs classiques et 960)
+const CASTLING_SQUARES = {
+  kingside: { king: 6, rook: 5 },
+  queenside: { king: 2, rook: 3 }
 };
 
 // Types de parties
@@ -55,11 +69,55 @@ const GAME_TYPES = {
   CUSTOM: 'custom'
 };
 
+// Variantes de jeu (règles et position de départ)
+const GAME_VARIANTS = {
+  STANDARD: 'standard',
+  POWERS: 'powers',
+  CHESS960: 'chess960',
+  ATOMIC: 'atomic',
+  HORDE: 'horde',
+  CRAZYHOUSE: 'crazyhouse',
+  KING_OF_THE_HILL: 'king_of_the_hill',
+  THREE_CHECK: 'three_check',
+  ANTICHESS: 'antichess'
+};
+
+// Niveaux de difficulté de l'adversaire ordinateur
+const AI_DIFFICULTY_LEVELS = {
+  BEGINNER: 'beginner',
+  EASY: 'easy',
+  MEDIUM: 'medium',
+  HARD: 'hard',
+  EXPERT: 'expert'
+};
+
+// Identifiant de joueur réservé au camp joué par le serveur
+const COMPUTER_PLAYER_ID = 'computer';
+
+// Qualité d'un coup selon l'analyse post-partie
+const MOVE_CLASSIFICATIONS = {
+  BEST: 'best',
+  GOOD: 'good',
+  INACCURACY: 'inaccuracy',
+  MISTAKE: 'mistake',
+  BLUNDER: 'blunder'
+};
+
 // Pouvoirs spéciaux
 const SPECIAL_POWERS = {
   TELEPORTATION: 'teleportation',
   INVISIBILITY: 'invisibility', 
-  EXCHANGE: 'exchange'
+  EXCHANGE: 'exchange',
+  SHIELD: 'shield',
+  FREEZE: 'freeze',
+  DOUBLE_STEP: 'double-step'
+};
+
+// Choix des pouvoirs avant la partie : tirage, choix libre ou draft alterné
+const POWER_SELECTION_MODES = {
+  RANDOM: 'random',
+  PICK: 'pick',
+  DRAFT: 'draft'
 };
 
 /**
@@ -179,12 +237,19 @@ const getSquareColor = (square) => {
 module.exports = {
   FILES,
   RANKS,
+  STARTING_FEN,
   PIECE_TYPES,
   COLORS,
   GAME_RESULTS,
   GAME_END_REASONS,
+  CASTLING_SQUARES,
   GAME_TYPES,
+  GAME_VARIANTS,
+  AI_DIFFICULTY_LEVELS,
+  COMPUTER_PLAYER_ID,
+  MOVE_CLASSIFICATIONS,
   SPECIAL_POWERS,
+  POWER_SELECTION_MODES,
   positionToAlgebraic,
   algebraicToPosition,
   isValidAlgebraic,